@@ -23,8 +23,28 @@ import {
 // Import WebSocket service
 import webSocketService from './modules-v2/utils/webSocketService.js';
 
-// Initialize the application when the DOM is ready
+// Import auth service
+import authService from './modules-v2/core/authService.js';
+
+// Import presence service
+import presenceService from './modules-v2/core/presenceService.js';
+
+// Import control service
+import controlService from './modules-v2/core/controlService.js';
+
+// Initialize the application when the DOM is ready, once the server accepts this browser
 document.addEventListener('DOMContentLoaded', () => {
+  authService.ensureAuthenticated()
+    .then(startApplication)
+    .catch(error => {
+      console.error('Error checking authentication:', error);
+    });
+});
+
+/**
+ * Initialize the application
+ */
+function startApplication() {
   console.log('Memory Graph Visualizer - Initializing modular version');
   
   // Initialize settings from localStorage first
@@ -119,6 +139,12 @@ document.addEventListener('DOMContentLoaded', () => {
   // Initialize WebSocket connection
   webSocketService.initWebSocket();
   
+  // Share this user's selection and camera with the other users
+  presenceService.initPresence();
+  
+  // Carry out commands sent by agents and scripts
+  controlService.initControl();
+  
   // Set up reconnect event handler
   webSocketService.on('reconnect', (data) => {
     console.log(`WebSocket reconnecting... Attempt ${data.attempt}/${data.maxAttempts}`);
@@ -175,4 +201,4 @@ document.addEventListener('DOMContentLoaded', () => {
     
     console.log('DEBUG mode: Modules available at window.__DEBUG__');
   }
-});
\ No newline at end of file
+}
\ No newline at end of file
@@ -0,0 +1,105 @@
+/**
+ * Auth Service Module
+ *
+ * Client for token login (/api/auth). The server keeps the token in an
+ * HttpOnly cookie, so requests, downloads and the WebSocket connection carry
+ * it without further changes. With a read-only token, editing controls are
+ * hidden: elements with the "edit-only" class through the "read-only" body
+ * class, and everything else by checking isReadOnly().
+ */
+
+import store from '../state/store.js';
+
+/**
+ * Get whether tokens are required and the access of this browser
+ * @returns {Promise<Object>} - Resolves with { enabled, authenticated, role }
+ */
+export function getAuthStatus() {
+  return fetch('/api/auth/status')
+    .then(response => {
+      if (!response.ok) {
+        throw new Error(`Failed to get authentication status: ${response.statusText}`);
+      }
+      return response.json();
+    });
+}
+
+/**
+ * Log in with an API token
+ * @param {string} token - API token
+ * @returns {Promise<Object>} - Resolves with { success, role }
+ */
+export function login(token) {
+  return fetch('/api/auth/login', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ token })
+  })
+    .then(response => response.json().then(result => {
+      if (!response.ok) {
+        throw new Error(result.error || `Login failed: ${response.statusText}`);
+      }
+      return result;
+    }));
+}
+
+/**
+ * Log out and reload, so the login dialog is shown again
+ * @returns {Promise} - Resolves when the page reloads
+ */
+export function logout() {
+  return fetch('/api/auth/logout', { method: 'POST' })
+    .then(() => window.location.reload());
+}
+
+/**
+ * Whether the application is connected with a read-only token
+ * @returns {boolean} - True if editing is not allowed
+ */
+export function isReadOnly() {
+  return store.get('readOnly') === true;
+}
+
+/**
+ * Store the access of this browser and show or hide editing controls
+ * @param {Object} status - { enabled, role }
+ */
+function applyAuthStatus(status) {
+  const readOnly = status.role === 'read-only';
+  store.update({
+    authEnabled: status.enabled,
+    authRole: status.role,
+    readOnly
+  });
+  document.body.classList.toggle('read-only', readOnly);
+}
+
+/**
+ * Make sure the browser may use the API, asking for a token if needed. The
+ * role is fixed for the page's lifetime; logging in again reloads it.
+ * @returns {Promise<Object>} - Resolves with { enabled, authenticated, role } once authenticated
+ */
+export function ensureAuthenticated() {
+  return getAuthStatus()
+    .then(status => {
+      if (!status.enabled || status.authenticated) {
+        return status;
+      }
+
+      // Import dynamically to avoid a circular dependency
+      return import('../ui/loginDialog.js').then(loginDialog => loginDialog.showLoginDialog());
+    })
+    .then(status => {
+      applyAuthStatus(status);
+      console.log(status.enabled ? `Authenticated with a ${status.role} token` : 'Authentication is disabled');
+      return status;
+    });
+}
+
+export default {
+  getAuthStatus,
+  login,
+  logout,
+  isReadOnly,
+  ensureAuthenticated
+};
@@ -0,0 +1,257 @@
+/**
+ * Control Service Module
+ *
+ * Carries out the commands external processes send to the interface over the
+ * WebSocket control topic (see src/websocket/controlCommands.js): focusing a
+ * node, opening its details, highlighting nodes and links, filtering the
+ * graph and showing a toast.
+ */
+
+import store from '../state/store.js';
+import { subscribe, on } from '../utils/webSocketService.js';
+import { updateCombinedHighlights, updateHighlight } from '../utils/helpers.js';
+import { showToast } from '../ui/toast.js';
+import { stopFollowing } from './presenceService.js';
+
+// Commands often name a node the same agent has just created, whose event
+// may not have been applied yet; wait this long for it to appear
+const NODE_WAIT_TIMEOUT = 3000; // milliseconds
+const NODE_WAIT_INTERVAL = 100; // milliseconds
+
+let highlightTimer = null;
+let closeFilterToast = null;
+let initialized = false;
+
+/**
+ * Get the id of a link endpoint, which is a node once the graph has processed the link
+ * @param {Object|string} endpoint - link.source or link.target
+ * @returns {string} - Node id
+ */
+function endpointId(endpoint) {
+  return typeof endpoint === 'object' ? endpoint.id : endpoint;
+}
+
+/**
+ * Find a node in the graph, waiting for it to be added and positioned
+ * @param {string} nodeId - Node id
+ * @returns {Promise<Object|null>} - The graph node, or null if it did not appear in time
+ */
+function waitForNode(nodeId) {
+  const startedAt = Date.now();
+
+  return new Promise(resolve => {
+    const check = () => {
+      const node = store.get('graphData').nodes.find(candidate => candidate.id === nodeId);
+      if (node && node.x !== undefined) {
+        resolve(node);
+      } else if (Date.now() - startedAt >= NODE_WAIT_TIMEOUT) {
+        console.warn(`[Control] Node ${nodeId} is not in the graph`);
+        resolve(null);
+      } else {
+        setTimeout(check, NODE_WAIT_INTERVAL);
+      }
+    };
+    check();
+  });
+}
+
+/**
+ * Fly the camera to a node
+ * @param {Object} command - { nodeId }
+ */
+function focusNode({ nodeId }) {
+  waitForNode(nodeId).then(node => {
+    if (!node) return;
+
+    // Following another user would move the camera straight back
+    stopFollowing();
+    import('./graph.js').then(({ focusOnNode }) => focusOnNode(node));
+  });
+}
+
+/**
+ * Select a node and show it in the info panel
+ * @param {Object} command - { nodeId }
+ */
+function showDetails({ nodeId }) {
+  waitForNode(nodeId).then(node => {
+    // handleViewNodeDetails toggles, so don't deselect an already selected node
+    if (!node || store.get('selectedNode')?.id === node.id) return;
+
+    import('./nodeInteractions.js').then(({ handleViewNodeDetails }) => handleViewNodeDetails(node));
+  });
+}
+
+/**
+ * Replace the highlighted nodes and links
+ * @param {Set} nodes - Graph nodes
+ * @param {Set} links - Graph links
+ */
+function setHighlights(nodes, links) {
+  store.update({
+    controlHighlightNodes: nodes,
+    controlHighlightLinks: links
+  });
+  updateCombinedHighlights();
+  updateHighlight();
+}
+
+/**
+ * Highlight nodes and links, given by their endpoints in either direction,
+ * until the next highlight command or for a limited time
+ * @param {Object} command - { nodeIds, links, duration }
+ */
+function highlight({ nodeIds, links, duration }) {
+  if (highlightTimer) {
+    clearTimeout(highlightTimer);
+    highlightTimer = null;
+  }
+
+  const { graphData } = store.getState();
+  const wantedNodes = new Set(nodeIds);
+  const nodes = new Set(graphData.nodes.filter(node => wantedNodes.has(node.id)));
+
+  const graphLinks = new Set();
+  links.forEach(({ source, target, type }) => {
+    graphData.links.forEach(link => {
+      const linkSource = endpointId(link.source);
+      const linkTarget = endpointId(link.target);
+      const matches = (linkSource === source && linkTarget === target) ||
+                      (linkSource === target && linkTarget === source);
+      if (matches && (!type || link.type === type)) {
+        graphLinks.add(link);
+      }
+    });
+  });
+
+  console.log(`[Control] Highlighting ${nodes.size} nodes and ${graphLinks.size} links`);
+  setHighlights(nodes, graphLinks);
+
+  if (duration > 0 && (nodes.size > 0 || graphLinks.size > 0)) {
+    highlightTimer = setTimeout(() => {
+      highlightTimer = null;
+      setHighlights(new Set(), new Set());
+    }, duration);
+  }
+}
+
+/**
+ * Whether a node passes the current filter
+ * @param {Object} node - Graph node
+ * @returns {boolean} - True if the node is shown
+ */
+function isNodeVisible(node) {
+  const filter = store.get('controlFilter');
+  if (!filter || !node) return true;
+
+  return (filter.domains.length === 0 || filter.domains.includes(node.domain)) &&
+         (filter.tags.length === 0 || (node.tags || []).some(tag => filter.tags.includes(tag))) &&
+         (filter.nodeIds.length === 0 || filter.nodeIds.includes(node.id));
+}
+
+/**
+ * Whether a link passes the current filter: both of its nodes must be shown
+ * @param {Object} link - Graph link
+ * @returns {boolean} - True if the link is shown
+ */
+function isLinkVisible(link) {
+  if (!store.get('controlFilter')) return true;
+
+  const { graphData } = store.getState();
+  const toNode = endpoint => typeof endpoint === 'object'
+    ? endpoint
+    : graphData.nodes.find(node => node.id === endpoint);
+
+  return isNodeVisible(toNode(link.source)) && isNodeVisible(toNode(link.target));
+}
+
+/**
+ * Show only the nodes matching every given criterion; no criteria clears the filter
+ * @param {Object} command - { domains, tags, nodeIds }
+ */
+function applyFilter({ domains, tags, nodeIds }) {
+  const active = domains.length > 0 || tags.length > 0 || nodeIds.length > 0;
+  store.set('controlFilter', active ? { domains, tags, nodeIds } : null);
+
+  // Setting the accessors again makes the graph re-evaluate them
+  const { graph, graphData } = store.getState();
+  if (graph) {
+    graph.nodeVisibility(isNodeVisible);
+    graph.linkVisibility(isLinkVisible);
+  }
+
+  if (closeFilterToast) {
+    closeFilterToast();
+    closeFilterToast = null;
+  }
+
+  if (active) {
+    const shown = graphData.nodes.filter(isNodeVisible).length;
+    console.log(`[Control] Filter applied, showing ${shown} of ${graphData.nodes.length} nodes`);
+    closeFilterToast = showToast(`Filtered view: showing ${shown} of ${graphData.nodes.length} memories`, {
+      duration: 0,
+      action: { label: 'Clear filter', onClick: clearFilter }
+    });
+  } else {
+    console.log('[Control] Filter cleared');
+  }
+}
+
+/**
+ * Show every node again
+ */
+export function clearFilter() {
+  applyFilter({ domains: [], tags: [], nodeIds: [] });
+}
+
+/**
+ * Carry out a control command
+ * @param {Object} command - data of a 'control_command' message
+ */
+export function runCommand(command) {
+  console.log(`[Control] Received ${command.command} from ${command.source}`);
+
+  switch (command.command) {
+    case 'focus_node':
+      focusNode(command);
+      break;
+
+    case 'show_details':
+      showDetails(command);
+      break;
+
+    case 'highlight':
+      highlight(command);
+      break;
+
+    case 'filter':
+      applyFilter(command);
+      break;
+
+    case 'toast':
+      showToast(command.message, { level: command.level, duration: command.duration });
+      break;
+
+    default:
+      console.log(`[Control] Unsupported command: ${command.command}`);
+      break;
+  }
+}
+
+/**
+ * Start listening for control commands. Call once the WebSocket service is initialized.
+ */
+export function initControl() {
+  if (initialized) return;
+  initialized = true;
+
+  // The server forgets subscriptions when the connection closes
+  on('connection', () => subscribe('control'));
+  on('control_command', runCommand);
+}
+
+export default {
+  initControl,
+  runCommand,
+  clearFilter
+};
@@ -40,13 +40,7 @@ export function setDatabasePath(path) {
   })
     .then(response => {
       if (!response.ok) {
-        return response.json().then(err => {
-          // Create a custom error object with detailed information
-          const error = new Error(err.error || err.message || `Failed to set database path: ${response.statusText}`);
-          error.details = err.details;
-          error.status = response.status;
-          throw error;
-        });
+        return rejectWithServerError(response, 'Failed to set database path');
       }
       return response.json();
     })
@@ -63,6 +57,88 @@ export function setDatabasePath(path) {
     });
 }
 
+/**
+ * Turn a failed response into an error carrying the server's details
+ * @param {Response} response - Fetch response
+ * @param {string} fallback - Message if the server sent none
+ * @returns {Promise} - A promise that rejects with the error
+ */
+function rejectWithServerError(response, fallback) {
+  return response.json().then(err => {
+    const error = new Error(err.error || err.message || `${fallback}: ${response.statusText}`);
+    error.details = err.details;
+    error.status = response.status;
+    error.schema = err.schema;
+    throw error;
+  });
+}
+
+/**
+ * Compare a database file with the Memory Graph schema
+ * @param {string} path - Database file path
+ * @returns {Promise<Object>} - Report with valid, empty, exists, canMigrate,
+ *                              missingTables, missingColumns and missingIndexes
+ */
+export function checkDatabaseSchema(path) {
+  return fetch(`/api/db-schema?path=${encodeURIComponent(path)}`)
+    .then(response => {
+      if (!response.ok) {
+        return rejectWithServerError(response, 'Failed to check database schema');
+      }
+      return response.json();
+    });
+}
+
+/**
+ * Create the tables, columns and indexes a database file is missing
+ * @param {string} path - Database file path
+ * @returns {Promise<Object>} - What was created
+ */
+export function createDatabaseSchema(path) {
+  return fetch('/api/db-schema', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ path })
+  })
+    .then(response => {
+      if (!response.ok) {
+        return rejectWithServerError(response, 'Failed to create database schema');
+      }
+      return response.json();
+    });
+}
+
+/**
+ * Create a new database file with the Memory Graph schema and switch to it
+ * @param {string} path - Path of the new database file
+ * @returns {Promise<Object>} - A promise that resolves to the response from the server
+ */
+export function createDatabase(path) {
+  return fetch('/api/db-new', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ path })
+  })
+    .then(response => {
+      if (!response.ok) {
+        return rejectWithServerError(response, 'Failed to create database');
+      }
+      return response.json();
+    })
+    .then(data => {
+      if (data.success) {
+        store.set('databasePath', data.newPath);
+        store.set('customDatabasePath', data.newPath);
+        addToPathHistory(data.newPath);
+      }
+      return data;
+    });
+}
+
 /**
  * Add a path to the database path history
  * @param {string} path - The path to add to history
@@ -102,6 +178,64 @@ export function loadPathHistory() {
   return [];
 }
 
+/**
+ * List the snapshots of the current database
+ * @returns {Promise<Object>} - { directory, snapshots, schedule }, snapshots newest first
+ */
+export function listSnapshots() {
+  return fetch('/api/db/snapshots')
+    .then(response => {
+      if (!response.ok) {
+        return rejectWithServerError(response, 'Failed to list snapshots');
+      }
+      return response.json();
+    });
+}
+
+/**
+ * Take a snapshot of the current database
+ * @returns {Promise<Object>} - The new snapshot
+ */
+export function createSnapshot() {
+  return fetch('/api/db/snapshots', { method: 'POST' })
+    .then(response => {
+      if (!response.ok) {
+        return rejectWithServerError(response, 'Failed to create snapshot');
+      }
+      return response.json();
+    });
+}
+
+/**
+ * Replace the current database's contents with a snapshot
+ * @param {string} id - Snapshot id
+ * @returns {Promise<Object>} - { success, restored, backup, warning } with backup the pre-restore snapshot
+ */
+export function restoreSnapshot(id) {
+  return fetch(`/api/db/snapshots/${encodeURIComponent(id)}/restore`, { method: 'POST' })
+    .then(response => {
+      if (!response.ok) {
+        return rejectWithServerError(response, 'Failed to restore snapshot');
+      }
+      return response.json();
+    });
+}
+
+/**
+ * Delete a snapshot
+ * @param {string} id - Snapshot id
+ * @returns {Promise<Object>} - A promise that resolves to the response from the server
+ */
+export function deleteSnapshot(id) {
+  return fetch(`/api/db/snapshots/${encodeURIComponent(id)}`, { method: 'DELETE' })
+    .then(response => {
+      if (!response.ok) {
+        return rejectWithServerError(response, 'Failed to delete snapshot');
+      }
+      return response.json();
+    });
+}
+
 /**
  * Update the database path in the UI and reload data
  * @param {string} path - The new database path
@@ -109,11 +243,42 @@ export function loadPathHistory() {
  */
 export function updateDatabaseAndReload(path) {
   console.log('Updating database path to:', path);
-  
+  return switchDatabaseAndReload(() => setDatabasePath(path));
+}
+
+/**
+ * Create a new database, switch to it and reload data
+ * @param {string} path - Path of the new database file
+ * @returns {Promise<Object>} - A promise that resolves when the database is created and data is reloaded
+ */
+export function createDatabaseAndReload(path) {
+  console.log('Creating database at:', path);
+  return switchDatabaseAndReload(() => createDatabase(path));
+}
+
+/**
+ * Restore a snapshot and reload data. The restore clears the undo history.
+ * @param {string} id - Snapshot id
+ * @returns {Promise<Object>} - A promise that resolves when the snapshot is restored and data is reloaded
+ */
+export function restoreSnapshotAndReload(id) {
+  console.log('Restoring snapshot:', id);
+  return switchDatabaseAndReload(() => restoreSnapshot(id))
+    .then(result => import('./historyService.js')
+      .then(historyService => historyService.refreshHistoryStatus())
+      .then(() => result));
+}
+
+/**
+ * Switch the server to another database and reload data
+ * @param {Function} switchDatabase - Returns a promise of the server's switch response
+ * @returns {Promise<Object>} - A promise that resolves when data is reloaded
+ */
+function switchDatabaseAndReload(switchDatabase) {
   // Show loading indicator
   document.getElementById('loading-indicator').style.display = 'block';
   
-  return setDatabasePath(path)
+  return switchDatabase()
     .then(response => {
       if (response.success) {
         console.log('Database path updated successfully. Reloading data...');
@@ -130,6 +295,7 @@ export function updateDatabaseAndReload(path) {
               
               return {
                 success: true,
+                newPath: response.newPath,
                 message: 'Database updated and data reloaded successfully'
               };
             });
@@ -152,5 +318,14 @@ export function updateDatabaseAndReload(path) {
 export default {
   getDatabasePath,
   setDatabasePath,
-  updateDatabaseAndReload
+  checkDatabaseSchema,
+  createDatabaseSchema,
+  createDatabase,
+  listSnapshots,
+  createSnapshot,
+  restoreSnapshot,
+  deleteSnapshot,
+  updateDatabaseAndReload,
+  createDatabaseAndReload,
+  restoreSnapshotAndReload
 };
\ No newline at end of file
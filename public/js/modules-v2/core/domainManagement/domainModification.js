@@ -6,7 +6,7 @@
 
 import store from '../../state/store.js';
 import { getDomainNodeCounts } from './domainCollection.js';
-import { showDomainEditDialog } from './ui.js';
+import { showDomainEditDialog, showDomainDeleteDialog } from './ui.js';
 
 /**
  * Change a node's domain
@@ -157,7 +157,8 @@ export function handleCreateDomain() {
 }
 
 /**
- * Rename a domain
+ * Rename a domain. The server moves every node, edge and domain ref in a
+ * single transaction, so the rename either happens completely or not at all.
  * @param {string} oldDomain - The domain to rename
  */
 export function handleRenameDomain(oldDomain) {
@@ -165,111 +166,63 @@ export function handleRenameDomain(oldDomain) {
     ui.showDomainEditDialog(oldDomain, (newDomain) => {
       console.log(`Renaming domain: ${oldDomain} to ${newDomain}`);
       
-      // Check if the new domain already exists
-      const allDomains = store.get('allDomains') || [];
-      if (allDomains.includes(newDomain) && newDomain !== oldDomain) {
-        console.warn(`Domain "${newDomain}" already exists. Please choose a different name.`);
+      if (newDomain === oldDomain) {
         return;
       }
       
-      // Get all nodes with the old domain
-      const { graphData } = store.getState();
-      const nodesToUpdate = graphData.nodes.filter(node => node.domain === oldDomain);
-      
-      if (nodesToUpdate.length === 0) {
-        console.log(`No nodes found with domain ${oldDomain}`);
+      // Check if the new domain already exists
+      const allDomains = store.get('allDomains') || [];
+      if (allDomains.includes(newDomain)) {
+        alert(`Domain "${newDomain}" already exists. Please choose a different name.`);
         return;
       }
       
-      // Log instead of showing confirmation dialog
-      console.log(`Renaming domain "${oldDomain}" to "${newDomain}" (updating ${nodesToUpdate.length} nodes)`);
-      // No confirmation needed, proceed directly
-      
-      // Update each node's domain
-      let updatedCount = 0;
-      let errorCount = 0;
-      
-      const updatePromises = nodesToUpdate.map(node => {
-        // Prepare update data
-        const updateData = {
-          nodeId: node.id,
-          domain: newDomain
-        };
+      fetch(`/api/domains/${encodeURIComponent(oldDomain)}/rename`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ name: newDomain })
+      })
+      .then(response => response.json())
+      .then(result => {
+        if (!result.success) {
+          throw new Error(result.error || 'Unknown error');
+        }
         
-        // Update via API
-        return fetch('/api/nodes/update-domain', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify(updateData)
-        })
-        .then(response => response.json())
-        .then(result => {
-          if (result.success) {
-            console.log(`Domain of node ${node.id} updated successfully`);
-            updatedCount++;
-            
-            // Update the node in our graph data
-            const nodeIndex = graphData.nodes.findIndex(n => n.id === node.id);
-            if (nodeIndex !== -1) {
-              graphData.nodes[nodeIndex].domain = newDomain;
-              graphData.nodes[nodeIndex].group = newDomain; // For ForceGraph
-            }
-            
-            return { success: true, node };
-          } else {
-            console.error(`Failed to update domain of node ${node.id}:`, result.error);
-            errorCount++;
-            return { success: false, node, error: result.error };
-          }
-        })
-        .catch(error => {
-          console.error(`Error updating domain of node ${node.id}:`, error);
-          errorCount++;
-          return { success: false, node, error };
-        });
-      });
-      
-      // Process all updates
-      Promise.all(updatePromises)
-        .then(() => {
-          console.log(`Updated domain for ${updatedCount}/${nodesToUpdate.length} nodes, ${errorCount} errors`);
+        const { nodes, edges, domainRefs } = result.changes;
+        console.log(`Renamed domain "${oldDomain}" to "${newDomain}" (${nodes} nodes, ${edges} edges, ${domainRefs} domain refs)`);
+        
+        // Carry the color over before the renamed nodes arrive, so they keep it
+        return import('./colorManagement.js').then(colors => {
+          colors.transferDomainColor(oldDomain, newDomain);
           
-          // Update the graph
-          const { graph } = store.getState();
-          if (graph) {
-            graph.graphData(graphData);
+          const domainIndex = allDomains.indexOf(oldDomain);
+          if (domainIndex !== -1) {
+            allDomains.splice(domainIndex, 1);
           }
+          if (!allDomains.includes(newDomain)) {
+            allDomains.push(newDomain);
+            allDomains.sort();
+          }
+          store.set('allDomains', allDomains);
           
-          // Update state
-          store.set('graphData', graphData);
-          
-          // Update domain colors
-          import('./colorManagement.js').then(colors => {
-            // Transfer the color from old domain to new domain
-            colors.transferDomainColor(oldDomain, newDomain);
-            
-            // Update allDomains
-            const domainIndex = allDomains.indexOf(oldDomain);
-            if (domainIndex !== -1) {
-              allDomains.splice(domainIndex, 1);
-              if (!allDomains.includes(newDomain)) {
-                allDomains.push(newDomain);
-                allDomains.sort();
-              }
-              store.set('allDomains', allDomains);
-            }
-            
-            // Update domain legend
-            import('./ui.js').then(ui => {
-              ui.updateMemoryDomainsPanel();
-            });
-            
-            // Log result instead of showing alert
-            console.log(`Updated domain for ${updatedCount} nodes, ${errorCount} errors`);
+          return import('../graph/changeSync.js');
+        })
+        .then(({ syncGraphChanges }) => syncGraphChanges())
+        .then(() => {
+          import('./ui.js').then(ui => {
+            ui.updateMemoryDomainsPanel();
+          });
+          import('../historyService.js').then(historyService => {
+            historyService.refreshHistoryStatus();
           });
         });
+      })
+      .catch(error => {
+        console.error('Error renaming domain:', error);
+        alert('Failed to rename domain: ' + error.message);
+      });
     });
   });
 }
@@ -338,9 +291,93 @@ export function handleDeleteEmptyDomain(domain) {
   });
 }
 
+/**
+ * Ask the server how many rows deleting a domain would affect
+ * @param {string} domain - The domain to delete
+ * @param {string} strategy - 'cascade' or 'reassign'
+ * @param {string} [target] - Domain to move contents into (reassign only)
+ * @returns {Promise<Object>} - Counts of { nodes, tags, edges, domainRefs }
+ */
+export function previewDomainDelete(domain, strategy, target) {
+  const params = new URLSearchParams({ strategy, preview: 'true' });
+  if (target) params.set('target', target);
+  
+  return fetch(`/api/domains/${encodeURIComponent(domain)}?${params}`, {
+    method: 'DELETE'
+  })
+  .then(response => response.json())
+  .then(result => {
+    if (!result.success) {
+      throw new Error(result.error || 'Unknown error');
+    }
+    return result.counts;
+  });
+}
+
+/**
+ * Delete a domain that still has nodes, either deleting its contents or
+ * moving them to another domain, after confirming in a dialog
+ * @param {string} domain - The domain to delete
+ */
+export function handleDeleteDomain(domain) {
+  showDomainDeleteDialog(domain, (strategy, target) => {
+    console.log(`Deleting domain "${domain}" (strategy: ${strategy}${target ? `, target: ${target}` : ''})`);
+    
+    const params = new URLSearchParams({ strategy });
+    if (target) params.set('target', target);
+    
+    fetch(`/api/domains/${encodeURIComponent(domain)}?${params}`, {
+      method: 'DELETE'
+    })
+    .then(response => response.json())
+    .then(result => {
+      if (!result.success) {
+        throw new Error(result.error || 'Unknown error');
+      }
+      
+      console.log(`Deleted domain "${domain}":`, result.counts);
+      
+      // Very large deletes are not kept on the undo stack
+      if (result.history && result.history.recorded === false) {
+        import('../../ui/toast.js').then(({ showToast }) => {
+          showToast(`Deleted domain "${domain}". ${result.history.message}.`, { level: 'warning' });
+        });
+      }
+      
+      // Remove the domain from the list
+      const allDomains = store.get('allDomains') || [];
+      const domainIndex = allDomains.indexOf(domain);
+      if (domainIndex !== -1) {
+        allDomains.splice(domainIndex, 1);
+        store.set('allDomains', allDomains);
+      }
+      
+      return import('./colorManagement.js').then(colors => {
+        colors.removeDomainColor(domain);
+        return import('../graph/changeSync.js');
+      })
+      .then(({ syncGraphChanges }) => syncGraphChanges())
+      .then(() => {
+        import('./ui.js').then(ui => {
+          ui.updateMemoryDomainsPanel();
+        });
+        import('../historyService.js').then(historyService => {
+          historyService.refreshHistoryStatus();
+        });
+      });
+    })
+    .catch(error => {
+      console.error('Error deleting domain:', error);
+      alert('Failed to delete domain: ' + error.message);
+    });
+  });
+}
+
 export default {
   handleChangeDomain,
   handleCreateDomain,
   handleRenameDomain,
-  handleDeleteEmptyDomain
+  handleDeleteEmptyDomain,
+  handleDeleteDomain,
+  previewDomainDelete
 };
\ No newline at end of file
@@ -23,7 +23,9 @@ export const {
   handleChangeDomain,
   handleCreateDomain,
   handleRenameDomain,
-  handleDeleteEmptyDomain
+  handleDeleteEmptyDomain,
+  handleDeleteDomain,
+  previewDomainDelete
 } = domainModification;
 
 export const {
@@ -32,6 +34,7 @@ export const {
 
 export const {
   showDomainEditDialog,
+  showDomainDeleteDialog,
   updateMemoryDomainsPanel,
   toggleMemoryDomainsPanel
 } = ui;
@@ -62,12 +65,15 @@ export default {
   handleCreateDomain,
   handleRenameDomain,
   handleDeleteEmptyDomain,
+  handleDeleteDomain,
+  previewDomainDelete,
   
   // Domain Selection
   handleSelectAllNodesInDomain,
   
   // UI
   showDomainEditDialog,
+  showDomainDeleteDialog,
   updateMemoryDomainsPanel,
   toggleMemoryDomainsPanel,
   
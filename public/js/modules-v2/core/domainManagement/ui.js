@@ -7,7 +7,7 @@
 import store from '../../state/store.js';
 import { initializeDomainColors, assignColorsToAllDomains } from './colorManagement.js';
 import { handleSelectAllNodesInDomain } from './domainSelection.js';
-import { handleCreateDomain, handleRenameDomain, handleDeleteEmptyDomain } from './domainModification.js';
+import { handleCreateDomain, handleRenameDomain, handleDeleteEmptyDomain, handleDeleteDomain, previewDomainDelete } from './domainModification.js';
 import { getDomainNodeCounts } from './domainCollection.js';
 
 /**
@@ -117,6 +117,179 @@ export function showDomainEditDialog(currentDomain, onComplete) {
   });
 }
 
+/**
+ * Show the dialog for deleting a domain that still has nodes. The user picks
+ * whether to delete its contents or move them to another domain, and sees how
+ * many rows that affects before confirming.
+ * @param {string} domain - The domain to delete
+ * @param {function} onConfirm - Callback(strategy, target) when the user confirms
+ */
+export function showDomainDeleteDialog(domain, onConfirm) {
+  // Create modal dialog
+  const modal = document.createElement('div');
+  modal.style.position = 'fixed';
+  modal.style.top = '50%';
+  modal.style.left = '50%';
+  modal.style.transform = 'translate(-50%, -50%)';
+  modal.style.backgroundColor = 'rgba(30, 30, 40, 0.95)';
+  modal.style.padding = '20px';
+  modal.style.borderRadius = '8px';
+  modal.style.boxShadow = '0 0 20px rgba(0, 0, 0, 0.7)';
+  modal.style.zIndex = '1000';
+  modal.style.minWidth = '360px';
+  modal.style.border = '1px solid rgba(100, 100, 255, 0.3)';
+  
+  // Add title
+  const title = document.createElement('h3');
+  title.textContent = `Delete Domain "${domain}"`;
+  title.style.marginTop = '0';
+  title.style.marginBottom = '15px';
+  title.style.color = '#aaccff';
+  title.style.borderBottom = '1px solid #5a5a8a';
+  title.style.paddingBottom = '10px';
+  modal.appendChild(title);
+  
+  // Strategy options
+  const createOption = (value, text) => {
+    const label = document.createElement('label');
+    label.style.display = 'flex';
+    label.style.alignItems = 'center';
+    label.style.gap = '8px';
+    label.style.marginBottom = '10px';
+    label.style.cursor = 'pointer';
+    
+    const radio = document.createElement('input');
+    radio.type = 'radio';
+    radio.name = 'domain-delete-strategy';
+    radio.value = value;
+    label.appendChild(radio);
+    label.appendChild(document.createTextNode(text));
+    
+    modal.appendChild(label);
+    return { label, radio };
+  };
+  
+  const reassignOption = createOption('reassign', 'Move its memories to');
+  const cascadeOption = createOption('cascade', 'Delete its memories, links and tags');
+  
+  // Target domain picker for reassign
+  const otherDomains = (store.get('allDomains') || []).filter(d => d !== domain);
+  const targetSelect = document.createElement('select');
+  targetSelect.style.flex = '1';
+  targetSelect.style.padding = '4px';
+  targetSelect.style.backgroundColor = 'rgba(40, 40, 60, 0.7)';
+  targetSelect.style.color = '#fff';
+  targetSelect.style.border = '1px solid rgba(100, 100, 255, 0.3)';
+  targetSelect.style.borderRadius = '4px';
+  otherDomains.forEach(d => {
+    const option = document.createElement('option');
+    option.value = d;
+    option.textContent = d;
+    targetSelect.appendChild(option);
+  });
+  reassignOption.label.appendChild(targetSelect);
+  
+  if (otherDomains.length > 0) {
+    reassignOption.radio.checked = true;
+  } else {
+    reassignOption.radio.disabled = true;
+    targetSelect.disabled = true;
+    cascadeOption.radio.checked = true;
+  }
+  
+  // Preview of the affected rows
+  const summary = document.createElement('div');
+  summary.style.margin = '10px 0 20px';
+  summary.style.padding = '8px';
+  summary.style.minHeight = '18px';
+  summary.style.fontSize = '13px';
+  summary.style.backgroundColor = 'rgba(40, 40, 60, 0.7)';
+  summary.style.borderRadius = '4px';
+  modal.appendChild(summary);
+  
+  // Add buttons
+  const buttonContainer = document.createElement('div');
+  buttonContainer.style.display = 'flex';
+  buttonContainer.style.justifyContent = 'flex-end';
+  buttonContainer.style.gap = '10px';
+  
+  const cancelButton = document.createElement('button');
+  cancelButton.textContent = 'Cancel';
+  cancelButton.style.padding = '8px 16px';
+  cancelButton.style.backgroundColor = '#525252';
+  cancelButton.style.color = '#fff';
+  cancelButton.style.border = 'none';
+  cancelButton.style.borderRadius = '4px';
+  cancelButton.style.cursor = 'pointer';
+  cancelButton.addEventListener('click', () => {
+    document.body.removeChild(modal);
+  });
+  buttonContainer.appendChild(cancelButton);
+  
+  const deleteButton = document.createElement('button');
+  deleteButton.textContent = 'Delete Domain';
+  deleteButton.style.padding = '8px 16px';
+  deleteButton.style.backgroundColor = '#f44336';
+  deleteButton.style.color = '#fff';
+  deleteButton.style.border = 'none';
+  deleteButton.style.borderRadius = '4px';
+  deleteButton.style.cursor = 'pointer';
+  buttonContainer.appendChild(deleteButton);
+  
+  modal.appendChild(buttonContainer);
+  
+  const getChoice = () => {
+    const strategy = cascadeOption.radio.checked ? 'cascade' : 'reassign';
+    return { strategy, target: strategy === 'reassign' ? targetSelect.value : null };
+  };
+  
+  // Refresh the counts whenever the choice changes; ignore stale responses
+  let previewRequest = 0;
+  const updatePreview = () => {
+    const { strategy, target } = getChoice();
+    const requestId = ++previewRequest;
+    
+    deleteButton.disabled = true;
+    deleteButton.style.opacity = '0.5';
+    summary.style.color = '#ccc';
+    summary.textContent = 'Counting affected items...';
+    
+    previewDomainDelete(domain, strategy, target)
+      .then(counts => {
+        if (requestId !== previewRequest) return;
+        
+        const items = `${counts.nodes} memories, ${counts.tags} tags, ${counts.edges} links and ${counts.domainRefs} cross-domain references`;
+        summary.textContent = strategy === 'cascade'
+          ? `This permanently deletes ${items}.`
+          : `This moves ${counts.nodes} memories (with their tags), ${counts.edges} links and ${counts.domainRefs} cross-domain references to "${target}".`;
+        summary.style.color = strategy === 'cascade' ? '#ff9999' : '#ccc';
+        
+        deleteButton.disabled = false;
+        deleteButton.style.opacity = '1';
+      })
+      .catch(error => {
+        if (requestId !== previewRequest) return;
+        summary.style.color = '#ff9999';
+        summary.textContent = `Could not preview delete: ${error.message}`;
+      });
+  };
+  
+  [reassignOption.radio, cascadeOption.radio, targetSelect].forEach(element => {
+    element.addEventListener('change', updatePreview);
+  });
+  
+  deleteButton.addEventListener('click', () => {
+    if (deleteButton.disabled) return;
+    const { strategy, target } = getChoice();
+    document.body.removeChild(modal);
+    if (onConfirm) onConfirm(strategy, target);
+  });
+  
+  // Add to document
+  document.body.appendChild(modal);
+  updatePreview();
+}
+
 /**
  * Update the memory domains panel
  */
@@ -277,7 +450,7 @@ export function updateMemoryDomainsPanel() {
       // Add create new domain button
       const addButton = document.createElement('span');
       addButton.textContent = '➕';
-      addButton.className = 'window-control';
+      addButton.className = 'window-control edit-only';
       addButton.title = 'Create new domain';
       addButton.style.cursor = 'pointer';
       addButton.addEventListener('click', handleCreateDomain);
@@ -405,6 +578,7 @@ export function updateMemoryDomainsPanel() {
         const editButton = document.createElement('span');
         editButton.textContent = '✏️';
         editButton.title = 'Rename domain';
+        editButton.className = 'edit-only';
         editButton.style.cursor = 'pointer';
         editButton.style.fontSize = '14px';
         editButton.style.opacity = '0.7';
@@ -466,31 +640,33 @@ export function updateMemoryDomainsPanel() {
         
         itemControls.appendChild(exportButton);
         
-        // Delete button (only if domain has no nodes)
-        if (nodeCount === 0) {
-          const deleteButton = document.createElement('span');
-          deleteButton.textContent = '🗑️';
-          deleteButton.title = 'Delete empty domain';
-          deleteButton.style.cursor = 'pointer';
-          deleteButton.style.fontSize = '14px';
+        // Delete button (non-empty domains ask what to do with their contents)
+        const deleteButton = document.createElement('span');
+        deleteButton.textContent = '🗑️';
+        deleteButton.title = nodeCount === 0 ? 'Delete empty domain' : 'Delete domain...';
+        deleteButton.style.cursor = 'pointer';
+        deleteButton.style.fontSize = '14px';
+        deleteButton.style.opacity = '0.7';
+        deleteButton.style.transition = 'opacity 0.2s';
+        deleteButton.className = 'delete-button edit-only';
+        
+        deleteButton.addEventListener('mouseenter', () => {
+          deleteButton.style.opacity = '1';
+        });
+        
+        deleteButton.addEventListener('mouseleave', () => {
           deleteButton.style.opacity = '0.7';
-          deleteButton.style.transition = 'opacity 0.2s';
-          deleteButton.className = 'delete-button';
-          
-          deleteButton.addEventListener('mouseenter', () => {
-            deleteButton.style.opacity = '1';
-          });
-          
-          deleteButton.addEventListener('mouseleave', () => {
-            deleteButton.style.opacity = '0.7';
-          });
-          
-          deleteButton.addEventListener('click', () => {
+        });
+        
+        deleteButton.addEventListener('click', () => {
+          if (nodeCount === 0) {
             handleDeleteEmptyDomain(domain);
-          });
-          
-          itemControls.appendChild(deleteButton);
-        }
+          } else {
+            handleDeleteDomain(domain);
+          }
+        });
+        
+        itemControls.appendChild(deleteButton);
         
         item.appendChild(itemControls);
         domainsContainer.appendChild(item);
@@ -498,6 +674,7 @@ export function updateMemoryDomainsPanel() {
       
       // Add "Create new domain" button at the bottom
       const createButtonContainer = document.createElement('div');
+      createButtonContainer.className = 'edit-only';
       createButtonContainer.style.marginTop = '15px';
       createButtonContainer.style.display = 'flex';
       createButtonContainer.style.justifyContent = 'center';
@@ -555,6 +732,7 @@ export function toggleMemoryDomainsPanel() {
 
 export default {
   showDomainEditDialog,
+  showDomainDeleteDialog,
   updateMemoryDomainsPanel,
   toggleMemoryDomainsPanel
 };
\ No newline at end of file
@@ -0,0 +1,38 @@
+/**
+ * Camera Module
+ * 
+ * Handles camera movements such as flying to a node.
+ */
+
+import store from '../../state/store.js';
+
+/**
+ * Move the camera so it looks at a node from a fixed distance
+ * @param {Object} node - The node to focus on (must have x, y, z)
+ * @param {number} duration - Transition duration in milliseconds
+ * @param {number} distance - Distance to keep between the camera and the node
+ */
+export function focusOnNode(node, duration = 1000, distance = 120) {
+  const { graph } = store.getState();
+  if (!graph || !node || node.x === undefined) return;
+  
+  // Approach the node along the line from the origin, keeping the same side of the graph
+  const length = Math.hypot(node.x, node.y, node.z);
+  const cameraPosition = length > 0
+    ? {
+        x: node.x * (1 + distance / length),
+        y: node.y * (1 + distance / length),
+        z: node.z * (1 + distance / length)
+      }
+    : { x: 0, y: 0, z: distance };
+  
+  graph.cameraPosition(
+    cameraPosition,
+    { x: node.x, y: node.y, z: node.z },
+    duration
+  );
+}
+
+export default {
+  focusOnNode
+};
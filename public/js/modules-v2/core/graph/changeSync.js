@@ -0,0 +1,229 @@
+/**
+ * Change Sync Module
+ *
+ * Applies incremental database changes (from /api/graph/changes) to the
+ * current graph data instead of reloading the whole graph.
+ */
+
+import store from '../../state/store.js';
+import { loadData } from './dataLoading.js';
+import { positionPlaneBelowNodes } from './referencePlane.js';
+
+/**
+ * Get the id of a link endpoint, which may be an id or a resolved node object
+ * @param {string|Object} end - Link source or target
+ * @returns {string} - Node id
+ */
+function getEndId(end) {
+  return typeof end === 'object' ? end.id : end;
+}
+
+/**
+ * Convert a DOMAIN_REFS row into cross-domain links, as /api/graph/memory does
+ * @param {Object} ref - Domain ref row
+ * @returns {Array<Object>} - Graph links
+ */
+function domainRefToLinks(ref) {
+  const links = [{
+    id: `crossdomain-${ref.nodeId}-${ref.targetNodeId}`,
+    source: ref.nodeId,
+    target: ref.targetNodeId,
+    type: 'cross_domain',
+    strength: 0.7,
+    domain: ref.domain,
+    targetDomain: ref.targetDomain,
+    description: ref.description
+  }];
+
+  if (ref.bidirectional) {
+    links.push({
+      id: `crossdomain-${ref.targetNodeId}-${ref.nodeId}`,
+      source: ref.targetNodeId,
+      target: ref.nodeId,
+      type: 'cross_domain',
+      strength: 0.7,
+      domain: ref.targetDomain,
+      targetDomain: ref.domain,
+      description: ref.description
+    });
+  }
+
+  return links;
+}
+
+/**
+ * Apply a list of change records to the current graph data in place
+ * @param {Array<Object>} changes - Change records ({ kind, op, data })
+ * @returns {Object} - Counts of applied changes and touched domains
+ */
+export function applyGraphChanges(changes) {
+  const { graphData, graph } = store.getState();
+  if (!graphData || changes.length === 0) {
+    return { applied: 0, domains: [] };
+  }
+
+  const nodesById = new Map(graphData.nodes.map(node => [node.id, node]));
+  const linksById = new Map(graphData.links.map(link => [link.id, link]));
+  const removedNodeIds = new Set();
+  const touchedDomains = new Set();
+
+  const upsertLink = (link) => {
+    const existing = linksById.get(link.id);
+    if (existing) {
+      // Keep the resolved source/target objects
+      const { source, target, ...fields } = link;
+      Object.assign(existing, fields);
+    } else {
+      linksById.set(link.id, { ...link });
+    }
+  };
+
+  const updateNodeSize = (node) => {
+    node.val = node.tags && node.tags.length ? Math.min(5, node.tags.length) : 1;
+  };
+
+  changes.forEach(({ kind, op, data }) => {
+    switch (kind) {
+      case 'node': {
+        if (op === 'delete') {
+          nodesById.delete(data.id);
+          removedNodeIds.add(data.id);
+          touchedDomains.add(data.domain);
+          break;
+        }
+
+        const existing = nodesById.get(data.id);
+        const { timestamp, ...fields } = data;
+        if (existing) {
+          touchedDomains.add(existing.domain);
+          Object.assign(existing, fields, { group: data.domain });
+        } else {
+          const node = { ...fields, group: data.domain, tags: [] };
+          updateNodeSize(node);
+          nodesById.set(node.id, node);
+          removedNodeIds.delete(node.id);
+        }
+        touchedDomains.add(data.domain);
+        break;
+      }
+
+      case 'tag': {
+        const node = nodesById.get(data.nodeId);
+        if (!node) break;
+
+        node.tags = node.tags || [];
+        if (op === 'delete') {
+          node.tags = node.tags.filter(tag => tag !== data.tag);
+        } else if (!node.tags.includes(data.tag)) {
+          node.tags.push(data.tag);
+        }
+        updateNodeSize(node);
+        break;
+      }
+
+      case 'edge': {
+        if (op === 'delete') {
+          linksById.delete(data.id);
+        } else {
+          // Replace the placeholder shown while this client was creating the link
+          linksById.delete(`temp_${data.source}_${data.target}`);
+          upsertLink(data);
+        }
+        break;
+      }
+
+      case 'domain_ref': {
+        // Refs are keyed by their endpoints; drop both directions before re-adding
+        linksById.delete(`crossdomain-${data.nodeId}-${data.targetNodeId}`);
+        linksById.delete(`crossdomain-${data.targetNodeId}-${data.nodeId}`);
+        if (op !== 'delete') {
+          domainRefToLinks(data).forEach(upsertLink);
+        }
+        break;
+      }
+
+      default:
+        console.warn('Unknown change kind:', kind);
+        break;
+    }
+  });
+
+  // Rebuild arrays, dropping links whose endpoints are gone
+  graphData.nodes = Array.from(nodesById.values());
+  graphData.links = Array.from(linksById.values()).filter(link =>
+    nodesById.has(getEndId(link.source)) && nodesById.has(getEndId(link.target))
+  );
+
+  // Clear selection of deleted nodes
+  const selectedNode = store.get('selectedNode');
+  if (selectedNode && removedNodeIds.has(selectedNode.id)) {
+    import('../nodeInteractions.js').then(({ handleViewNodeDetails }) => {
+      handleViewNodeDetails(selectedNode);
+    });
+  }
+
+  graphData.timestamp = Date.now();
+  if (graph) {
+    graph.graphData(graphData);
+  }
+  store.set('graphData', graphData);
+
+  if (store.get('referencePlane')?.visible) {
+    positionPlaneBelowNodes(graphData, 100);
+  }
+
+  return { applied: changes.length, domains: Array.from(touchedDomains) };
+}
+
+/**
+ * Fetch and apply changes made since the last load or sync.
+ * Falls back to a full reload when the server can't provide a delta.
+ * @returns {Promise<Object>} - Resolves with { mode: 'delta'|'full', applied }
+ */
+export function syncGraphChanges() {
+  const cursor = store.get('graphCursor');
+
+  const fullReload = () => loadData(true).then(() => ({ mode: 'full', applied: 0 }));
+
+  if (!cursor) {
+    return fullReload();
+  }
+
+  return fetch(`/api/graph/changes?since=${encodeURIComponent(cursor)}`)
+    .then(response => {
+      if (!response.ok) {
+        throw new Error(`Server returned ${response.status}`);
+      }
+      return response.json();
+    })
+    .then(result => {
+      if (result.reset) {
+        console.log('Change journal cannot catch up from cursor, reloading all data');
+        return fullReload();
+      }
+
+      const { applied, domains } = applyGraphChanges(result.changes);
+      store.set('graphCursor', result.cursor);
+
+      console.log(`Applied ${applied} changes (cursor ${result.cursor})`);
+
+      // New domains need colors and a place in the legend
+      if (domains.length > 0) {
+        import('../domainManagement.js').then(domainManagement => {
+          domains.forEach(domain => domainManagement.assignDomainColor(domain));
+          domainManagement.updateMemoryDomainsPanel();
+        });
+      }
+
+      return { mode: 'delta', applied };
+    })
+    .catch(error => {
+      console.error('Error syncing graph changes:', error);
+      return fullReload();
+    });
+}
+
+export default {
+  applyGraphChanges,
+  syncGraphChanges
+};
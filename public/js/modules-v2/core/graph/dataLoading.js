@@ -76,6 +76,9 @@ export function loadData(preservePositions = false, skipLinks = false) {
         // Process the data
         processGraphData(data, currentPositions, preservePositions);
         
+        // Remember where in the change journal this data was read
+        store.set('graphCursor', data.cursor || null);
+        
         // Hide loading indicator
         document.getElementById('loading-indicator').style.display = 'none';
         
@@ -240,7 +243,10 @@ export function processGraphData(data, currentPositions = {}, preservePositions
 }
 
 /**
- * Reload specific nodes or links without reloading the entire graph
+ * Reload specific nodes or links without reloading the entire graph.
+ * Fresh data is merged into the existing graph objects in place, so positions,
+ * selections and highlights survive. Requesting a node also refreshes every
+ * link touching it; ids the server no longer knows about are removed.
  * @param {Array} nodeIds - Array of node IDs to reload
  * @param {Array} linkIds - Array of link IDs to reload
  * @returns {Promise} - A promise that resolves when data loading is complete
@@ -258,47 +264,85 @@ export function reloadSpecificData(nodeIds = [], linkIds = []) {
     
     // Fetch specific data
     fetch(`/api/graph/elements?${queryString}`)
-      .then(response => response.json())
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`Server returned ${response.status}`);
+        }
+        return response.json();
+      })
       .then(data => {
         // Get current graph data
         const { graphData, graph } = store.getState();
+        if (!graphData) {
+          resolve(data);
+          return;
+        }
+        
+        const getId = end => (typeof end === 'object' ? end.id : end);
+        const missingNodeIds = new Set(data.missing?.nodes || []);
+        const requestedNodeIds = new Set(nodeIds);
+        const requestedLinkIds = new Set(linkIds);
         
-        // Update nodes
-        if (data.nodes && data.nodes.length > 0) {
-          // Remove old nodes
-          graphData.nodes = graphData.nodes.filter(node => !nodeIds.includes(node.id));
+        // Merge nodes, keeping the existing objects (and their positions)
+        const existingNodes = new Map(graphData.nodes.map(node => [node.id, node]));
+        (data.nodes || []).forEach(newNode => {
+          const fields = {
+            ...newNode,
+            group: newNode.domain,
+            // Scale node size based on tags
+            val: newNode.tags && newNode.tags.length ? Math.min(5, newNode.tags.length) : 1
+          };
           
-          // Add new nodes
-          data.nodes.forEach(newNode => {
-            // Find corresponding position in current graph if it exists
-            const oldNode = graphData.nodes.find(n => n.id === newNode.id);
-            if (oldNode) {
-              // Preserve position and velocity
-              newNode.x = oldNode.x;
-              newNode.y = oldNode.y;
-              newNode.z = oldNode.z;
-              newNode.vx = oldNode.vx;
-              newNode.vy = oldNode.vy;
-              newNode.vz = oldNode.vz;
-            }
-            
-            // Add to graph data
-            graphData.nodes.push(newNode);
-          });
+          const oldNode = existingNodes.get(newNode.id);
+          if (oldNode) {
+            Object.assign(oldNode, fields);
+          } else {
+            graphData.nodes.push(fields);
+            existingNodes.set(fields.id, fields);
+          }
+        });
+        
+        // Drop nodes that no longer exist
+        if (missingNodeIds.size > 0) {
+          graphData.nodes = graphData.nodes.filter(node => !missingNodeIds.has(node.id));
         }
         
-        // Update links
-        if (data.links && data.links.length > 0) {
-          // Remove old links
-          graphData.links = graphData.links.filter(link => !linkIds.includes(link.id));
+        // Links in scope are those requested directly or touching a requested node;
+        // the server returns all of them that still exist
+        const freshLinks = new Map((data.links || []).map(link => [link.id, link]));
+        const inScope = link => requestedLinkIds.has(link.id) ||
+          requestedNodeIds.has(getId(link.source)) ||
+          requestedNodeIds.has(getId(link.target));
+        
+        graphData.links = graphData.links.filter(link => {
+          const sourceId = getId(link.source);
+          const targetId = getId(link.target);
+          if (missingNodeIds.has(sourceId) || missingNodeIds.has(targetId)) {
+            return false;
+          }
           
-          // Add new links
-          graphData.links.push(...data.links);
-        }
+          const fresh = freshLinks.get(link.id);
+          if (fresh) {
+            // Update attributes but keep the resolved source/target objects
+            const { source, target, ...fields } = fresh;
+            Object.assign(link, fields);
+            freshLinks.delete(link.id);
+            return true;
+          }
+          
+          return !inScope(link);
+        });
+        
+        // Whatever is left is new; only add links whose endpoints are in the graph
+        freshLinks.forEach(link => {
+          if (existingNodes.has(getId(link.source)) && existingNodes.has(getId(link.target))) {
+            graphData.links.push(link);
+          }
+        });
         
         // Update the graph with a new timestamp
+        graphData.timestamp = Date.now();
         if (graph) {
-          graphData.timestamp = Date.now();
           graph.graphData(graphData);
         }
         
@@ -8,6 +8,7 @@ import store from '../../state/store.js';
 import { disableForcesDuringDrag, restoreForces } from './forceManagement.js';
 import { updateHighlight } from '../../utils/helpers.js';
 import * as eventBus from '../../utils/eventBus.js';
+import { isReadOnly } from '../authService.js';
 
 /**
  * Set up drag handling for the graph
@@ -22,8 +23,10 @@ export function setupDragHandling(graph) {
     // Reduce forces during drag to make positioning easier
     disableForcesDuringDrag(graph);
     
-    // Find potential link targets during drag
-    findPotentialLinkTarget(graph, node);
+    // Find potential link targets during drag; read-only tokens can only move nodes
+    if (!isReadOnly()) {
+      findPotentialLinkTarget(graph, node);
+    }
   });
   
   // Node drag end handling
@@ -171,7 +174,9 @@ function createLinkAfterDrag(graph, sourceNode, targetNode) {
     console.log('[API] Response JSON for POST /api/edges', result);
     
     if (result.success) {
-      console.log('Link created successfully');
+      // Accidental drops are common; the link can be removed with Edit > Undo
+      console.log('Link created successfully (Ctrl+Z to undo)');
+      import('../historyService.js').then(historyService => historyService.refreshHistoryStatus());
       
       // Update the temporary link with the real ID
       if (result.id) {
@@ -5,7 +5,7 @@
  */
 
 import * as eventBus from '../../utils/eventBus.js';
-import { loadData } from './dataLoading.js';
+import { loadData, reloadSpecificData } from './dataLoading.js';
 import { positionPlaneBelowNodes } from './referencePlane.js';
 import store from '../../state/store.js';
 
@@ -18,6 +18,14 @@ export function setupEventListeners() {
     loadData(preservePositions, skipLinks);
   });
   
+  // Partial reload event - refresh only the given nodes and links
+  eventBus.on('graph:reloadElements', ({ nodeIds = [], linkIds = [] }) => {
+    reloadSpecificData(nodeIds, linkIds).catch(() => {
+      // Fall back to a full reload if the partial one fails
+      loadData(true);
+    });
+  });
+  
   // Window resize event - to be handled by the graph module
   eventBus.on('window:resize', (dimensions) => {
     // Handled in other module that has access to the graph instance
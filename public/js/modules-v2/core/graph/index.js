@@ -14,6 +14,9 @@ import * as dragHandling from './dragHandling.js';
 import * as events from './events.js';
 import * as referencePlane from './referencePlane.js';
 import * as selectionBox from './selectionBox.js';
+import * as camera from './camera.js';
+import * as changeSync from './changeSync.js';
+import * as presenceOverlay from './presenceOverlay.js';
 
 // Initialize event listeners
 events.setupEventListeners();
@@ -59,6 +62,19 @@ export const {
   cleanupSelectionBox
 } = selectionBox;
 
+export const {
+  focusOnNode
+} = camera;
+
+export const {
+  applyGraphChanges,
+  syncGraphChanges
+} = changeSync;
+
+export const {
+  updatePresenceOverlay
+} = presenceOverlay;
+
 // Export default object with all functions
 export default {
   // Initialization
@@ -92,5 +108,15 @@ export default {
   
   // Selection Box
   initSelectionBox,
-  cleanupSelectionBox
+  cleanupSelectionBox,
+  
+  // Camera
+  focusOnNode,
+  
+  // Change Sync
+  applyGraphChanges,
+  syncGraphChanges,
+  
+  // Presence
+  updatePresenceOverlay
 };
\ No newline at end of file
@@ -8,6 +8,7 @@
 import store from '../../state/store.js';
 import { updateCombinedHighlights, updateHighlight } from '../../utils/helpers.js';
 import { showContextMenu, hideContextMenu } from '../../ui/contextMenu.js';
+import { isReadOnly } from '../authService.js';
 
 // Import modules using dynamic imports to avoid circular dependencies
 const importNodeInteractions = () => import('../../core/nodeInteractions.js');
@@ -107,7 +108,7 @@ export function setupNodeInteractions(graph) {
     }
     
     // Handle control+click for node deletion
-    if (store.get('controlKeyPressed')) {
+    if (store.get('controlKeyPressed') && !isReadOnly()) {
       console.log('Control-click detected on node:', node.id);
       importNodeInteractions().then(nodeInteractions => {
         nodeInteractions.handleDeleteNode(node);
@@ -116,7 +117,7 @@ export function setupNodeInteractions(graph) {
     }
     
     // Handle alt+click for link creation between selected nodes
-    if (event.altKey) {
+    if (event.altKey && !isReadOnly()) {
       console.log('Alt-click detected on node:', node.id);
       
       const selectedNodes = store.get('selectedNodes');
@@ -188,7 +189,7 @@ export function setupLinkInteractions(graph) {
   // Link click handling
   graph.onLinkClick((link, event) => {
     // Handle control+click for link deletion
-    if (store.get('controlKeyPressed') && store.get('hoverLink') === link) {
+    if (store.get('controlKeyPressed') && store.get('hoverLink') === link && !isReadOnly()) {
       console.log('Control-click detected on link:', link);
       
       importLinkManagement().then(linkManagement => {
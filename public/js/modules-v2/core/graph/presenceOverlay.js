@@ -0,0 +1,221 @@
+/**
+ * Presence Overlay Module
+ *
+ * Draws other users in the scene: a wireframe outline in their color around
+ * each node they have selected, and a small cone with their name where their
+ * camera is, pointing at what they look at.
+ */
+
+import store from '../../state/store.js';
+
+// Must match nodeRelSize in initialization.js; node radius is cbrt(val) * NODE_REL_SIZE
+const NODE_REL_SIZE = 12;
+const OUTLINE_SCALE = 1.35;
+
+// Scene objects of each remote user, by client id
+const userObjects = new Map();
+
+// Geometries shared by every user
+let outlineGeometry = null;
+let markerGeometry = null;
+
+// Node lookup, rebuilt when the graph data changes
+let nodeLookup = { graphData: null, timestamp: null, byId: new Map() };
+let frameRequested = false;
+
+/**
+ * Get graph nodes by id
+ * @returns {Map} - Map of node id to graph node
+ */
+function getNodesById() {
+  const { graphData } = store.getState();
+  if (graphData !== nodeLookup.graphData || graphData?.timestamp !== nodeLookup.timestamp) {
+    nodeLookup = {
+      graphData,
+      timestamp: graphData?.timestamp,
+      byId: new Map((graphData?.nodes || []).map(node => [node.id, node]))
+    };
+  }
+  return nodeLookup.byId;
+}
+
+/**
+ * Create the scene objects of a remote user
+ * @param {Object} graph - The 3D force graph instance
+ * @param {Object} user - Remote user
+ * @returns {Object} - { group, marker, label, name, materials, outlines }
+ */
+function createUserObjects(graph, user) {
+  if (!outlineGeometry) {
+    outlineGeometry = new THREE.SphereGeometry(NODE_REL_SIZE * OUTLINE_SCALE, 16, 12);
+    // Cones point along +Y; turn them to +Z so lookAt aims the tip
+    markerGeometry = new THREE.ConeGeometry(6, 16, 4);
+    markerGeometry.rotateX(Math.PI / 2);
+  }
+
+  const materials = {
+    primary: new THREE.MeshBasicMaterial({ color: user.color, wireframe: true, transparent: true, opacity: 0.9 }),
+    secondary: new THREE.MeshBasicMaterial({ color: user.color, wireframe: true, transparent: true, opacity: 0.45 }),
+    marker: new THREE.MeshBasicMaterial({ color: user.color, transparent: true, opacity: 0.85 })
+  };
+
+  const group = new THREE.Group();
+  group.name = `presence-${user.clientId}`;
+
+  const marker = new THREE.Mesh(markerGeometry, materials.marker);
+  marker.visible = false;
+  group.add(marker);
+
+  graph.scene().add(group);
+
+  return { group, marker, label: null, name: null, materials, outlines: new Map() };
+}
+
+/**
+ * Remove a remote user's objects from the scene and free them
+ * @param {Object} graph - The 3D force graph instance
+ * @param {Object} objects - Objects from createUserObjects
+ */
+function removeUserObjects(graph, objects) {
+  graph.scene().remove(objects.group);
+  Object.values(objects.materials).forEach(material => material.dispose());
+  if (objects.label && objects.label.material) {
+    objects.label.material.dispose();
+  }
+}
+
+/**
+ * Bring a remote user's objects in line with their presence
+ * @param {Object} objects - Objects from createUserObjects
+ * @param {Object} user - Remote user
+ * @param {boolean} followed - Whether this client is following the user
+ */
+function updateUserObjects(objects, user, followed) {
+  // One outline per selected node; the main selection is drawn stronger
+  const selectedIds = new Set(user.selectedNodeIds || []);
+  if (user.selectedNodeId) {
+    selectedIds.add(user.selectedNodeId);
+  }
+
+  objects.outlines.forEach((outline, nodeId) => {
+    if (!selectedIds.has(nodeId)) {
+      objects.group.remove(outline);
+      objects.outlines.delete(nodeId);
+    }
+  });
+
+  selectedIds.forEach(nodeId => {
+    let outline = objects.outlines.get(nodeId);
+    if (!outline) {
+      outline = new THREE.Mesh(outlineGeometry, objects.materials.secondary);
+      outline.visible = false;
+      objects.group.add(outline);
+      objects.outlines.set(nodeId, outline);
+    }
+    outline.material = nodeId === user.selectedNodeId ? objects.materials.primary : objects.materials.secondary;
+  });
+
+  // The camera marker, hidden while following (it would sit on our own camera)
+  const camera = user.camera;
+  objects.marker.visible = Boolean(camera) && !followed;
+  if (camera) {
+    objects.marker.position.set(camera.position.x, camera.position.y, camera.position.z);
+    objects.marker.lookAt(camera.target.x, camera.target.y, camera.target.z);
+  }
+
+  // Name label above the marker
+  if (typeof SpriteText !== 'undefined' && objects.name !== user.name) {
+    if (objects.label) {
+      objects.group.remove(objects.label);
+      objects.label.material.dispose();
+    }
+    objects.label = new SpriteText(user.name);
+    objects.label.color = user.color;
+    objects.label.textHeight = 6;
+    objects.label.backgroundColor = 'rgba(0,0,0,0.6)';
+    objects.label.padding = 2;
+    objects.group.add(objects.label);
+    objects.name = user.name;
+  }
+
+  if (objects.label) {
+    objects.label.visible = objects.marker.visible;
+    if (camera) {
+      objects.label.position.set(camera.position.x, camera.position.y + 14, camera.position.z);
+    }
+  }
+}
+
+/**
+ * Move the selection outlines to their nodes, which the simulation keeps moving
+ */
+function positionOutlines() {
+  const nodesById = getNodesById();
+
+  userObjects.forEach(objects => {
+    objects.outlines.forEach((outline, nodeId) => {
+      const node = nodesById.get(nodeId);
+      if (!node || node.x === undefined) {
+        outline.visible = false;
+        return;
+      }
+
+      outline.visible = true;
+      outline.position.set(node.x, node.y, node.z);
+      outline.scale.setScalar(Math.cbrt(node.val || 1));
+    });
+  });
+}
+
+/**
+ * Keep positioning outlines every frame while there are remote users
+ */
+function requestFrame() {
+  if (frameRequested || userObjects.size === 0) return;
+
+  frameRequested = true;
+  requestAnimationFrame(() => {
+    frameRequested = false;
+    positionOutlines();
+    requestFrame();
+  });
+}
+
+/**
+ * Bring the overlay in line with the remote users in the store
+ */
+export function updatePresenceOverlay() {
+  const { graph } = store.getState();
+  if (!graph || typeof THREE === 'undefined') return;
+
+  const users = store.get('remoteUsers') || [];
+  const followedUserId = store.get('followedUserId');
+  const present = new Set(users.map(user => user.clientId));
+
+  userObjects.forEach((objects, clientId) => {
+    if (!present.has(clientId)) {
+      removeUserObjects(graph, objects);
+      userObjects.delete(clientId);
+    }
+  });
+
+  users.forEach(user => {
+    let objects = userObjects.get(user.clientId);
+    if (!objects) {
+      objects = createUserObjects(graph, user);
+      userObjects.set(user.clientId, objects);
+    }
+    updateUserObjects(objects, user, user.clientId === followedUserId);
+  });
+
+  positionOutlines();
+  requestFrame();
+}
+
+// Redraw as other users come, go and move
+store.subscribeToKey('remoteUsers', updatePresenceOverlay);
+store.subscribeToKey('followedUserId', updatePresenceOverlay);
+
+export default {
+  updatePresenceOverlay
+};
@@ -0,0 +1,85 @@
+/**
+ * History Service Module
+ * 
+ * Client for the server-side undo/redo history (/api/history).
+ */
+
+import store from '../state/store.js';
+
+/**
+ * Fetch the current undo/redo state from the server
+ * @returns {Promise<Object>} - Resolves with { canUndo, canRedo, undoLabel, redoLabel }
+ */
+export function refreshHistoryStatus() {
+  return fetch('/api/history')
+    .then(response => {
+      if (!response.ok) {
+        throw new Error(`Failed to get history: ${response.statusText}`);
+      }
+      return response.json();
+    })
+    .then(status => {
+      store.set('historyStatus', status);
+      return status;
+    });
+}
+
+/**
+ * Undo or redo one step, then apply the resulting changes to the graph
+ * @param {string} direction - 'undo' or 'redo'
+ * @returns {Promise<Object|null>} - Resolves with the server response, or null if the step failed
+ */
+function stepHistory(direction) {
+  return fetch(`/api/history/${direction}`, { method: 'POST' })
+    .then(response => response.json().then(result => ({ ok: response.ok, status: response.status, result })))
+    .then(({ ok, status, result }) => {
+      store.set('historyStatus', {
+        canUndo: result.canUndo,
+        canRedo: result.canRedo,
+        undoLabel: result.undoLabel,
+        redoLabel: result.redoLabel
+      });
+      
+      if (!ok) {
+        // Nothing to undo/redo is not worth a dialog
+        if (status !== 400) {
+          alert(result.error || `Failed to ${direction}`);
+        }
+        console.warn(`${direction} failed:`, result.error);
+        return null;
+      }
+      
+      console.log(`${direction === 'undo' ? 'Undid' : 'Redid'}: ${result.operation.label}`);
+      
+      // Pull the restored rows into the graph without a full reload
+      return import('./graph.js')
+        .then(graph => graph.syncGraphChanges())
+        .then(() => result);
+    })
+    .catch(error => {
+      console.error(`Error performing ${direction}:`, error);
+      return null;
+    });
+}
+
+/**
+ * Undo the most recent graph change
+ * @returns {Promise<Object|null>}
+ */
+export function undo() {
+  return stepHistory('undo');
+}
+
+/**
+ * Redo the most recently undone graph change
+ * @returns {Promise<Object|null>}
+ */
+export function redo() {
+  return stepHistory('redo');
+}
+
+export default {
+  refreshHistoryStatus,
+  undo,
+  redo
+};
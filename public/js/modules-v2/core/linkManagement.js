@@ -74,6 +74,21 @@ export function handleCreateLink(source, target) {
     toggleLinkCreationMode();
   }
   
+  // Nodes in different domains are connected by a cross-domain reference
+  if (source.domain && target.domain && source.domain !== target.domain) {
+    handleCreateDomainRef(source, target);
+    return;
+  }
+  
+  createEdgeLink(source, target);
+}
+
+/**
+ * Create a MEMORY_EDGES link between two nodes, showing it before the server confirms
+ * @param {Object} source - Source node
+ * @param {Object} target - Target node
+ */
+function createEdgeLink(source, target) {
   // Create link data with the correct API field names
   const linkData = {
     source: source.id,
@@ -530,6 +545,284 @@ export function getLinkTypePaginationInfo() {
   };
 }
 
+/**
+ * Get the source and target node ids of a link
+ * @param {Object} link - Link whose ends are ids or resolved node objects
+ * @returns {Object} - { sourceId, targetId }
+ */
+function getLinkEndIds(link) {
+  return {
+    sourceId: typeof link.source === 'object' ? link.source.id : link.source,
+    targetId: typeof link.target === 'object' ? link.target.id : link.target
+  };
+}
+
+/**
+ * Re-sync the graph and undo state after a cross-domain reference changed
+ */
+function afterDomainRefChange() {
+  import('./graph/changeSync.js').then(({ syncGraphChanges }) => syncGraphChanges());
+  import('./historyService.js').then(historyService => historyService.refreshHistoryStatus());
+}
+
+/**
+ * Show the dialog for creating or editing a cross-domain reference
+ * @param {Object} options - Dialog options
+ * @param {string} options.title - Dialog title
+ * @param {string} options.summary - Line describing the two endpoints
+ * @param {string} options.description - Initial description
+ * @param {boolean} options.bidirectional - Initial bidirectional flag
+ * @param {string} options.confirmLabel - Label of the confirm button
+ * @param {string} [options.alternativeLabel] - Label of an optional alternative action button
+ * @returns {Promise<Object>} - Resolves with { action, description, bidirectional };
+ *                              action is 'confirm', 'alternative' or 'cancel'
+ */
+function showDomainRefDialog(options) {
+  return new Promise(resolve => {
+    const existingDialog = document.getElementById('domain-ref-dialog');
+    if (existingDialog) {
+      document.body.removeChild(existingDialog);
+    }
+    
+    const dialog = document.createElement('div');
+    dialog.id = 'domain-ref-dialog';
+    dialog.className = 'modal-dialog';
+    dialog.innerHTML = `
+      <div class="dialog-content">
+        <div class="dialog-header">
+          <h3></h3>
+          <button class="close-button">&times;</button>
+        </div>
+        <div class="dialog-body">
+          <p id="domain-ref-summary" style="margin-top: 0; color: #ccc;"></p>
+          <div class="form-group">
+            <label for="domain-ref-description">Description:</label>
+            <textarea id="domain-ref-description" rows="3" placeholder="How are these memories related?"></textarea>
+          </div>
+          <div class="form-group">
+            <label style="cursor: pointer;">
+              <input type="checkbox" id="domain-ref-bidirectional"> Bidirectional (applies both ways)
+            </label>
+          </div>
+        </div>
+        <div class="dialog-footer">
+          <button class="primary-button" id="domain-ref-confirm-btn"></button>
+          ${options.alternativeLabel ? '<button class="secondary-button" id="domain-ref-alternative-btn"></button>' : ''}
+          <button class="secondary-button" id="domain-ref-cancel-btn">Cancel</button>
+        </div>
+      </div>
+    `;
+    
+    // Text is set separately so node ids and descriptions are never parsed as HTML
+    dialog.querySelector('h3').textContent = options.title;
+    dialog.querySelector('#domain-ref-summary').textContent = options.summary;
+    dialog.querySelector('#domain-ref-confirm-btn').textContent = options.confirmLabel;
+    if (options.alternativeLabel) {
+      dialog.querySelector('#domain-ref-alternative-btn').textContent = options.alternativeLabel;
+    }
+    
+    const descriptionInput = dialog.querySelector('#domain-ref-description');
+    const bidirectionalInput = dialog.querySelector('#domain-ref-bidirectional');
+    descriptionInput.value = options.description || '';
+    bidirectionalInput.checked = !!options.bidirectional;
+    
+    document.body.appendChild(dialog);
+    descriptionInput.focus();
+    
+    const close = (action) => {
+      if (document.body.contains(dialog)) {
+        document.body.removeChild(dialog);
+      }
+      resolve({
+        action,
+        description: descriptionInput.value.trim(),
+        bidirectional: bidirectionalInput.checked
+      });
+    };
+    
+    dialog.querySelector('#domain-ref-confirm-btn').addEventListener('click', () => close('confirm'));
+    dialog.querySelector('#domain-ref-cancel-btn').addEventListener('click', () => close('cancel'));
+    dialog.querySelector('.close-button').addEventListener('click', () => close('cancel'));
+    if (options.alternativeLabel) {
+      dialog.querySelector('#domain-ref-alternative-btn').addEventListener('click', () => close('alternative'));
+    }
+    
+    dialog.addEventListener('keydown', (e) => {
+      e.stopPropagation();
+      if (e.key === 'Escape') {
+        close('cancel');
+      } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+        close('confirm');
+      }
+    });
+  });
+}
+
+/**
+ * Create a cross-domain reference between nodes in different domains,
+ * asking for its description first. The dialog can also fall back to a plain link.
+ * @param {Object} source - Source node
+ * @param {Object} target - Target node
+ */
+export function handleCreateDomainRef(source, target) {
+  showDomainRefDialog({
+    title: 'Create Cross-Domain Reference',
+    summary: `${source.id} (${source.domain}) → ${target.id} (${target.domain})`,
+    description: '',
+    bidirectional: false,
+    confirmLabel: 'Create Reference',
+    alternativeLabel: 'Plain Link Instead'
+  }).then(({ action, description, bidirectional }) => {
+    if (action === 'alternative') {
+      createEdgeLink(source, target);
+      return;
+    }
+    
+    if (action !== 'confirm') {
+      return;
+    }
+    
+    console.log(`Creating cross-domain reference from ${source.id} to ${target.id}`);
+    
+    fetch('/api/domain-refs', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        nodeId: source.id,
+        targetNodeId: target.id,
+        description,
+        bidirectional
+      })
+    })
+    .then(response => response.json())
+    .then(result => {
+      if (!result.success) {
+        throw new Error(result.error || 'Unknown error');
+      }
+      
+      console.log('Cross-domain reference created:', result.ref);
+      afterDomainRefChange();
+    })
+    .catch(error => {
+      console.error('Error creating cross-domain reference:', error);
+      alert('Failed to create cross-domain reference: ' + error.message);
+    });
+  });
+}
+
+/**
+ * Find the DOMAIN_REFS row a cross-domain link was drawn from. The reversed
+ * link of a bidirectional ref points the other way from the stored row.
+ * @param {Object} link - A 'cross_domain' link
+ * @returns {Promise<Object|null>} - The ref, or null if it no longer exists
+ */
+function findDomainRef(link) {
+  const { sourceId, targetId } = getLinkEndIds(link);
+  
+  return fetch(`/api/domain-refs?nodeId=${encodeURIComponent(sourceId)}`)
+    .then(response => {
+      if (!response.ok) {
+        throw new Error(`Server returned ${response.status}`);
+      }
+      return response.json();
+    })
+    .then(refs => refs.find(ref => ref.nodeId === sourceId && ref.targetNodeId === targetId) ||
+      refs.find(ref => ref.bidirectional && ref.nodeId === targetId && ref.targetNodeId === sourceId) ||
+      null);
+}
+
+/**
+ * Edit the description and direction of a cross-domain link
+ * @param {Object} link - A 'cross_domain' link
+ */
+export function handleEditDomainRef(link) {
+  findDomainRef(link).then(ref => {
+    if (!ref) {
+      alert('This cross-domain reference no longer exists');
+      afterDomainRefChange();
+      return;
+    }
+    
+    return showDomainRefDialog({
+      title: 'Edit Cross-Domain Reference',
+      summary: `${ref.nodeId} (${ref.domain}) → ${ref.targetNodeId} (${ref.targetDomain})`,
+      description: ref.description,
+      bidirectional: ref.bidirectional,
+      confirmLabel: 'Save'
+    }).then(({ action, description, bidirectional }) => {
+      if (action !== 'confirm') {
+        return;
+      }
+      
+      return fetch(`/api/domain-refs/${encodeURIComponent(ref.nodeId)}/${encodeURIComponent(ref.targetNodeId)}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ description, bidirectional })
+      })
+      .then(response => response.json())
+      .then(result => {
+        if (!result.success) {
+          throw new Error(result.error || 'Unknown error');
+        }
+        
+        console.log('Cross-domain reference updated:', result.ref);
+        afterDomainRefChange();
+      });
+    });
+  })
+  .catch(error => {
+    console.error('Error editing cross-domain reference:', error);
+    alert('Failed to edit cross-domain reference: ' + error.message);
+  });
+}
+
+/**
+ * Delete the cross-domain reference behind a link, after confirmation.
+ * For bidirectional refs this removes both directions.
+ * @param {Object} link - A 'cross_domain' link
+ */
+export function handleDeleteDomainRef(link) {
+  findDomainRef(link).then(ref => {
+    if (!ref) {
+      alert('This cross-domain reference no longer exists');
+      afterDomainRefChange();
+      return;
+    }
+    
+    const message = ref.bidirectional
+      ? `Delete the bidirectional reference between "${ref.nodeId}" and "${ref.targetNodeId}"?`
+      : `Delete the reference from "${ref.nodeId}" to "${ref.targetNodeId}"?`;
+    
+    showCustomConfirmDialog(message, () => {
+      fetch(`/api/domain-refs/${encodeURIComponent(ref.nodeId)}/${encodeURIComponent(ref.targetNodeId)}`, {
+        method: 'DELETE'
+      })
+      .then(response => response.json())
+      .then(result => {
+        if (!result.success) {
+          throw new Error(result.error || 'Unknown error');
+        }
+        
+        console.log(`Cross-domain reference ${ref.nodeId} → ${ref.targetNodeId} deleted`);
+        clearLinkFromSelections(link);
+        afterDomainRefChange();
+      })
+      .catch(error => {
+        console.error('Error deleting cross-domain reference:', error);
+        alert('Failed to delete cross-domain reference: ' + error.message);
+      });
+    });
+  })
+  .catch(error => {
+    console.error('Error loading cross-domain reference:', error);
+    alert('Failed to load cross-domain reference: ' + error.message);
+  });
+}
+
 /**
  * Create a promise for link creation (for batch operations)
  * @param {Object} source - Source node
@@ -584,6 +877,9 @@ export default {
   toggleLinkCreationMode,
   handleCreateLink,
   handleDeleteLink,
+  handleCreateDomainRef,
+  handleEditDomainRef,
+  handleDeleteDomainRef,
   handleChangeStrength,
   handleChangeLinkType,
   fetchLinkTypes,
@@ -18,7 +18,17 @@ export function setupEventListeners() {
     const selectedNode = store.get('selectedNode');
     if (selectedNode) {
       import('./nodeManipulation.js').then(({ handleShowTagInput }) => {
-        handleShowTagInput(selectedNode, true);
+        handleShowTagInput(selectedNode);
+      });
+    }
+  });
+
+  // Handle content editing events
+  eventBus.on('node:editContent', () => {
+    const selectedNode = store.get('selectedNode');
+    if (selectedNode) {
+      import('./nodeEditing.js').then(({ handleEditNode }) => {
+        handleEditNode(selectedNode);
       });
     }
   });
@@ -8,6 +8,9 @@
 // Import all sub-modules
 import * as nodeSelection from './nodeSelection.js';
 import * as nodeManipulation from './nodeManipulation.js';
+import * as nodeCreation from './nodeCreation.js';
+import * as tagEditor from './tagEditor.js';
+import * as nodeEditing from './nodeEditing.js';
 import * as nodeLinking from './nodeLinking.js';
 import * as ui from './ui.js';
 import * as events from './events.js';
@@ -31,6 +34,22 @@ export const {
   applyDomainChangeToSelectedNodes
 } = nodeManipulation;
 
+export const {
+  showNewNodeDialog,
+  handleCreateNode
+} = nodeCreation;
+
+export const {
+  renderTagEditor,
+  addTagsToNode,
+  removeTagFromNode
+} = tagEditor;
+
+export const {
+  handleEditNode,
+  showEditConflictDialog
+} = nodeEditing;
+
 export const {
   createLinkPromise,
   handleLinkAllSelected
@@ -60,6 +79,19 @@ export default {
   handleChangeSelectedNodesDomain,
   applyDomainChangeToSelectedNodes,
   
+  // Node Creation
+  showNewNodeDialog,
+  handleCreateNode,
+  
+  // Tag Editor
+  renderTagEditor,
+  addTagsToNode,
+  removeTagFromNode,
+  
+  // Node Editing
+  handleEditNode,
+  showEditConflictDialog,
+  
   // Node Linking
   handleLinkAllSelected,
   
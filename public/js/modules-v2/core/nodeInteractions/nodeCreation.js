@@ -0,0 +1,269 @@
+/**
+ * Node Creation Module
+ *
+ * Handles creating new memory nodes from the UI, including the
+ * "New Memory" dialog and placing the created node in the graph.
+ */
+
+import store from '../../state/store.js';
+
+/**
+ * Show the "New Memory" dialog
+ * @param {Array} domains - Known domain names to offer as suggestions
+ * @param {string} defaultDomain - Domain to pre-fill
+ * @returns {Promise<Object|null>} - Resolves with the node fields, or null if cancelled
+ */
+export function showNewNodeDialog(domains = [], defaultDomain = '') {
+  return new Promise(resolve => {
+    // Remove any existing dialog
+    const existingDialog = document.getElementById('new-node-dialog');
+    if (existingDialog) {
+      document.body.removeChild(existingDialog);
+    }
+
+    const dialog = document.createElement('div');
+    dialog.id = 'new-node-dialog';
+    dialog.className = 'modal-dialog';
+    dialog.innerHTML = `
+      <div class="dialog-content" style="width: 500px;">
+        <div class="dialog-header">
+          <h3>New Memory</h3>
+          <button class="close-button">&times;</button>
+        </div>
+        <div class="dialog-body">
+          <div class="form-group">
+            <label for="new-node-content">Content:</label>
+            <textarea id="new-node-content" rows="6" style="width: 100%; padding: 10px; background-color: rgba(40, 40, 60, 0.7); border: 1px solid rgba(100, 100, 255, 0.3); color: #ffffff; border-radius: 4px; font-size: 14px; resize: vertical; box-sizing: border-box;"></textarea>
+          </div>
+          <div class="form-group">
+            <label for="new-node-summary">Summary (optional):</label>
+            <input type="text" id="new-node-summary">
+          </div>
+          <div class="form-group">
+            <label for="new-node-domain">Domain:</label>
+            <input type="text" id="new-node-domain" list="new-node-domain-list">
+            <datalist id="new-node-domain-list"></datalist>
+          </div>
+          <div class="form-group">
+            <label for="new-node-path">Path (optional):</label>
+            <input type="text" id="new-node-path">
+          </div>
+          <div class="form-group">
+            <label for="new-node-tags">Tags (comma separated):</label>
+            <input type="text" id="new-node-tags">
+          </div>
+          <div id="new-node-error" class="form-info" style="color: #ff6b6b; display: none;"></div>
+        </div>
+        <div class="dialog-footer">
+          <button class="primary-button" id="create-node-btn">Create</button>
+          <button class="secondary-button" id="cancel-node-btn">Cancel</button>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(dialog);
+
+    const contentInput = document.getElementById('new-node-content');
+    const summaryInput = document.getElementById('new-node-summary');
+    const domainInput = document.getElementById('new-node-domain');
+    const pathInput = document.getElementById('new-node-path');
+    const tagsInput = document.getElementById('new-node-tags');
+    const errorDisplay = document.getElementById('new-node-error');
+
+    // Offer existing domains as suggestions
+    const domainList = document.getElementById('new-node-domain-list');
+    domains.forEach(domain => {
+      const option = document.createElement('option');
+      option.value = domain;
+      domainList.appendChild(option);
+    });
+    domainInput.value = defaultDomain;
+
+    const close = (result) => {
+      if (document.body.contains(dialog)) {
+        document.body.removeChild(dialog);
+      }
+      resolve(result);
+    };
+
+    const submit = () => {
+      const content = contentInput.value.trim();
+      const domain = domainInput.value.trim();
+
+      if (!content || !domain) {
+        errorDisplay.textContent = 'Content and domain are required.';
+        errorDisplay.style.display = 'block';
+        return;
+      }
+
+      const fields = { content, domain };
+      if (summaryInput.value.trim()) fields.content_summary = summaryInput.value.trim();
+      if (pathInput.value.trim()) fields.path = pathInput.value.trim();
+
+      const tags = tagsInput.value.split(',').map(tag => tag.trim()).filter(Boolean);
+      if (tags.length > 0) fields.tags = tags;
+
+      close(fields);
+    };
+
+    document.getElementById('create-node-btn').addEventListener('click', submit);
+    document.getElementById('cancel-node-btn').addEventListener('click', () => close(null));
+    dialog.querySelector('.close-button').addEventListener('click', () => close(null));
+
+    // Ctrl+Enter submits from the content field, Escape cancels
+    dialog.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        close(null);
+      } else if (e.key === 'Enter' && (e.ctrlKey || e.target.tagName === 'INPUT')) {
+        e.preventDefault();
+        submit();
+      }
+    });
+
+    contentInput.focus();
+  });
+}
+
+/**
+ * Convert a screen position into graph coordinates
+ * @param {Object} screenPosition - Position in client pixels ({ x, y })
+ * @returns {Object|null} - Graph coordinates ({ x, y, z }) or null if unavailable
+ */
+function screenToGraphPosition(screenPosition) {
+  const { graph } = store.getState();
+  if (!graph || !screenPosition || typeof graph.screen2GraphCoords !== 'function') {
+    return null;
+  }
+
+  // screen2GraphCoords expects coordinates relative to the graph canvas
+  const rect = graph.renderer().domElement.getBoundingClientRect();
+  const camera = graph.camera();
+  const controls = graph.controls();
+  const distance = controls && controls.target
+    ? camera.position.distanceTo(controls.target)
+    : camera.position.length();
+
+  return graph.screen2GraphCoords(
+    screenPosition.x - rect.left,
+    screenPosition.y - rect.top,
+    distance
+  );
+}
+
+/**
+ * Add a newly created node to the graph at the given position
+ * @param {Object} node - Node as returned by the API
+ * @param {Object|null} position - Graph coordinates to place the node at
+ * @returns {Object} - The graph node object
+ */
+function addNodeToGraph(node, position) {
+  const { graph, graphData } = store.getState();
+
+  // The node_created event for this node may have added it already
+  const existingNode = graphData.nodes.find(n => n.id === node.id);
+  const graphNode = Object.assign(existingNode || {}, {
+    ...node,
+    group: node.domain,
+    // Scale node size based on tags
+    val: node.tags && node.tags.length ? Math.min(5, node.tags.length) : 1
+  });
+
+  if (position) {
+    graphNode.x = position.x;
+    graphNode.y = position.y;
+    graphNode.z = position.z;
+
+    // Temporarily fix position so the node appears where the user clicked
+    graphNode.fx = position.x;
+    graphNode.fy = position.y;
+    graphNode.fz = position.z;
+
+    setTimeout(() => {
+      graphNode.fx = undefined;
+      graphNode.fy = undefined;
+      graphNode.fz = undefined;
+    }, 1500);
+  }
+
+  if (!existingNode) {
+    graphData.nodes.push(graphNode);
+  }
+  graphData.timestamp = Date.now();
+
+  if (graph) {
+    graph.graphData(graphData);
+  }
+
+  store.set('graphData', graphData);
+
+  return graphNode;
+}
+
+/**
+ * Prompt for and create a new memory node
+ * @param {Object} screenPosition - Optional client position ({ x, y }) to place the node at
+ * @returns {Promise<Object|null>} - Resolves with the created graph node, or null if cancelled
+ */
+export function handleCreateNode(screenPosition = null) {
+  // Capture the position before the dialog opens, while the camera is where the user clicked
+  const position = screenToGraphPosition(screenPosition);
+  const selectedNode = store.get('selectedNode');
+
+  return import('../domainManagement.js')
+    .then(domainManagement => domainManagement.collectAllDomains())
+    .then(domains => {
+      const defaultDomain = (selectedNode && selectedNode.domain) || domains[0] || '';
+      return showNewNodeDialog(domains, defaultDomain);
+    })
+    .then(fields => {
+      if (!fields) return null;
+
+      console.log('Creating new node:', fields);
+
+      return fetch('/api/nodes', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(fields)
+      })
+      .then(response => response.json())
+      .then(result => {
+        if (!result.success) {
+          const details = result.details ? `\n${result.details.join('\n')}` : '';
+          throw new Error((result.error || 'Failed to create node') + details);
+        }
+
+        console.log('Node created successfully:', result.node.id);
+
+        const graphNode = addNodeToGraph(result.node, position);
+
+        // Make sure a new domain gets a color and shows up in the legend
+        const allDomains = store.get('allDomains') || [];
+        if (!allDomains.includes(graphNode.domain)) {
+          store.set('allDomains', [...allDomains, graphNode.domain].sort());
+        }
+
+        import('../domainManagement.js').then(domainManagement => {
+          domainManagement.assignDomainColor(graphNode.domain);
+          domainManagement.updateMemoryDomainsPanel();
+        });
+
+        // Select the new node
+        return import('./nodeSelection.js').then(({ handleViewNodeDetails }) => {
+          handleViewNodeDetails(graphNode);
+          return graphNode;
+        });
+      });
+    })
+    .catch(error => {
+      console.error('Error creating node:', error);
+      alert('Error creating node: ' + error.message);
+      return null;
+    });
+}
+
+export default {
+  showNewNodeDialog,
+  handleCreateNode
+};
@@ -0,0 +1,455 @@
+/**
+ * Node Editing Module
+ *
+ * Inline editor for a node's content, summary, path and timestamp in the
+ * info panel. Edits are saved against the revision they were started from;
+ * if the node changed in the meantime (e.g. the MCP wrote to it), a dialog
+ * lets the user merge, overwrite or keep the other version.
+ */
+
+import store from '../../state/store.js';
+
+// Editable fields and their labels, in display order
+const EDITABLE_FIELDS = [
+  { name: 'content', label: 'Content' },
+  { name: 'content_summary', label: 'Summary' },
+  { name: 'path', label: 'Path' },
+  { name: 'timestamp', label: 'Timestamp' }
+];
+
+// Shared style for the editor's inputs
+const INPUT_STYLE = 'width: 100%; padding: 8px; background-color: rgba(40, 40, 60, 0.7); color: #f0f0f0; ' +
+  'border: 1px solid rgba(100, 100, 255, 0.3); border-radius: 4px; font-size: 13px; font-family: inherit; box-sizing: border-box;';
+
+/**
+ * Normalize a field value so empty optional fields compare equal to null
+ * @param {*} value - Field value
+ * @returns {string|null} - Normalized value
+ */
+function normalize(value) {
+  return value === undefined || value === null || value === '' ? null : value;
+}
+
+/**
+ * Fetch the latest stored version of a node, including its revision
+ * @param {string} nodeId - The node id
+ * @returns {Promise<Object>} - The node
+ */
+function fetchNode(nodeId) {
+  return fetch(`/api/nodes/${encodeURIComponent(nodeId)}`)
+    .then(response => response.json().then(result => {
+      if (!response.ok) {
+        throw new Error(result.error || response.statusText);
+      }
+      return result;
+    }));
+}
+
+/**
+ * Save field changes against a revision
+ * @param {string} nodeId - The node id
+ * @param {Object} changes - Fields to update
+ * @param {string} revision - Revision the changes are based on
+ * @returns {Promise<Object>} - { status, result }
+ */
+function saveNode(nodeId, changes, revision) {
+  return fetch(`/api/nodes/${encodeURIComponent(nodeId)}`, {
+    method: 'PUT',
+    headers: {
+      'Content-Type': 'application/json',
+      'If-Match': `"${revision}"`
+    },
+    body: JSON.stringify(changes)
+  }).then(response => response.json().then(result => ({ status: response.status, result })));
+}
+
+/**
+ * Apply saved field values to the node in the graph and refresh the info panel
+ * @param {string} nodeId - The node id
+ * @param {Object} saved - The node as stored on the server
+ */
+function applySavedNode(nodeId, saved) {
+  const { graph, graphData } = store.getState();
+  const node = graphData.nodes.find(n => n.id === nodeId);
+  if (!node) return;
+
+  EDITABLE_FIELDS.forEach(({ name }) => {
+    node[name] = saved[name];
+  });
+
+  if (graph) {
+    // Summaries are drawn on the nodes, so redraw them
+    graph.refresh();
+  }
+  store.set('graphData', graphData);
+
+  // Re-render the info panel with the saved values
+  import('./nodeSelection.js').then(({ handleViewNodeDetails }) => {
+    store.set('selectedNode', null);
+    handleViewNodeDetails(node);
+  });
+}
+
+/**
+ * Show the conflict dialog for an edit that was rejected because the node changed
+ * @param {Object} base - The node as it was when editing started
+ * @param {Object} mine - The edited field values
+ * @param {Object} theirs - The node as it is now on the server
+ * @returns {Promise<Object>} - Resolves with { action, values }; action is
+ *                              'merge', 'overwrite', 'discard' or 'cancel'
+ */
+export function showEditConflictDialog(base, mine, theirs) {
+  return new Promise(resolve => {
+    const existingDialog = document.getElementById('edit-conflict-dialog');
+    if (existingDialog) {
+      document.body.removeChild(existingDialog);
+    }
+
+    // Work out which side changed each field
+    const fields = EDITABLE_FIELDS.map(({ name, label }) => {
+      const baseValue = normalize(base[name]);
+      const mineValue = normalize(mine[name]);
+      const theirsValue = normalize(theirs[name]);
+      const mineChanged = mineValue !== baseValue;
+      const theirsChanged = theirsValue !== baseValue;
+
+      return {
+        name,
+        label,
+        mineValue,
+        theirsValue,
+        mineChanged,
+        theirsChanged,
+        conflict: mineChanged && theirsChanged && mineValue !== theirsValue
+      };
+    }).filter(field => field.mineChanged || field.theirsChanged);
+
+    const dialog = document.createElement('div');
+    dialog.id = 'edit-conflict-dialog';
+    dialog.className = 'modal-dialog';
+    dialog.innerHTML = `
+      <div class="dialog-content" style="width: 700px;">
+        <div class="dialog-header">
+          <h3>Memory Changed While You Were Editing</h3>
+          <button class="close-button">&times;</button>
+        </div>
+        <div class="dialog-body" style="max-height: 60vh; overflow-y: auto;">
+          <p style="margin-top: 0; color: #ccc;">
+            Someone else saved this memory after you started editing. Choose which version to keep for each field.
+          </p>
+          <div id="edit-conflict-fields"></div>
+        </div>
+        <div class="dialog-footer">
+          <button class="primary-button" id="conflict-merge-btn">Save Merged</button>
+          <button class="secondary-button" id="conflict-overwrite-btn">Overwrite with Mine</button>
+          <button class="secondary-button" id="conflict-discard-btn">Keep Theirs</button>
+          <button class="secondary-button" id="conflict-cancel-btn">Back to Editing</button>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(dialog);
+
+    const fieldsContainer = document.getElementById('edit-conflict-fields');
+
+    const createValueBlock = (value) => {
+      const block = document.createElement('pre');
+      block.style.margin = '4px 0 0';
+      block.style.padding = '8px';
+      block.style.maxHeight = '150px';
+      block.style.overflow = 'auto';
+      block.style.whiteSpace = 'pre-wrap';
+      block.style.backgroundColor = 'rgba(40, 40, 60, 0.7)';
+      block.style.borderRadius = '4px';
+      block.style.fontSize = '12px';
+      block.style.color = value === null ? '#888' : '#f0f0f0';
+      block.textContent = value === null ? '(empty)' : value;
+      return block;
+    };
+
+    fields.forEach(field => {
+      const row = document.createElement('div');
+      row.className = 'form-group';
+
+      const title = document.createElement('div');
+      title.style.color = '#aaccff';
+      title.style.marginBottom = '6px';
+      title.textContent = field.label + (field.conflict ? ' — changed by both' :
+        field.mineChanged ? ' — changed by you (kept)' : ' — changed by them (kept)');
+      row.appendChild(title);
+
+      if (field.conflict) {
+        // Both sides changed this field: let the user pick
+        ['mine', 'theirs'].forEach(side => {
+          const option = document.createElement('label');
+          option.style.display = 'block';
+          option.style.marginBottom = '6px';
+          option.style.cursor = 'pointer';
+
+          const radio = document.createElement('input');
+          radio.type = 'radio';
+          radio.name = `conflict-${field.name}`;
+          radio.value = side;
+          radio.checked = side === 'mine';
+
+          option.appendChild(radio);
+          option.appendChild(document.createTextNode(side === 'mine' ? ' Mine' : ' Theirs'));
+          option.appendChild(createValueBlock(side === 'mine' ? field.mineValue : field.theirsValue));
+          row.appendChild(option);
+        });
+      } else {
+        row.appendChild(createValueBlock(field.mineChanged ? field.mineValue : field.theirsValue));
+      }
+
+      fieldsContainer.appendChild(row);
+    });
+
+    const close = (result) => {
+      if (document.body.contains(dialog)) {
+        document.body.removeChild(dialog);
+      }
+      resolve(result);
+    };
+
+    // Merged values: non-conflicting changes from both sides, chosen side for conflicts
+    const mergedValues = () => {
+      const values = {};
+      EDITABLE_FIELDS.forEach(({ name }) => {
+        values[name] = normalize(theirs[name]);
+      });
+
+      fields.forEach(field => {
+        if (field.conflict) {
+          const choice = dialog.querySelector(`input[name="conflict-${field.name}"]:checked`);
+          values[field.name] = choice && choice.value === 'theirs' ? field.theirsValue : field.mineValue;
+        } else if (field.mineChanged) {
+          values[field.name] = field.mineValue;
+        }
+      });
+
+      return values;
+    };
+
+    document.getElementById('conflict-merge-btn').addEventListener('click', () => {
+      close({ action: 'merge', values: mergedValues() });
+    });
+    document.getElementById('conflict-overwrite-btn').addEventListener('click', () => {
+      close({ action: 'overwrite', values: { ...mine } });
+    });
+    document.getElementById('conflict-discard-btn').addEventListener('click', () => {
+      close({ action: 'discard', values: null });
+    });
+    document.getElementById('conflict-cancel-btn').addEventListener('click', () => {
+      close({ action: 'cancel', values: null });
+    });
+    dialog.querySelector('.close-button').addEventListener('click', () => {
+      close({ action: 'cancel', values: null });
+    });
+
+    dialog.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        close({ action: 'cancel', values: null });
+      }
+    });
+  });
+}
+
+/**
+ * Save edited values, resolving conflicts with the user until the save
+ * succeeds or they give up
+ * @param {string} nodeId - The node id
+ * @param {Object} base - The stored node the edit started from
+ * @param {Object} values - The edited field values
+ * @returns {Promise<boolean>} - True if the editor can close
+ */
+function saveWithConflictResolution(nodeId, base, values) {
+  // Only send fields that differ from what the edit is based on
+  const changes = {};
+  EDITABLE_FIELDS.forEach(({ name }) => {
+    if (normalize(values[name]) !== normalize(base[name])) {
+      changes[name] = normalize(values[name]);
+    }
+  });
+
+  if (Object.keys(changes).length === 0) {
+    return Promise.resolve(true);
+  }
+
+  return saveNode(nodeId, changes, base.revision).then(({ status, result }) => {
+    if (status === 200 && result.success) {
+      console.log('Node updated successfully:', nodeId);
+      applySavedNode(nodeId, result.node);
+      import('../historyService.js').then(historyService => historyService.refreshHistoryStatus())
+        .catch(() => {});
+      return true;
+    }
+
+    if (status === 409 && result.current) {
+      const theirs = result.current;
+      return showEditConflictDialog(base, values, theirs).then(({ action, values: resolved }) => {
+        if (action === 'discard') {
+          applySavedNode(nodeId, theirs);
+          return true;
+        }
+
+        if (action === 'cancel') {
+          return false;
+        }
+
+        // Merge or overwrite: save again on top of their version
+        return saveWithConflictResolution(nodeId, theirs, resolved);
+      });
+    }
+
+    const details = result.details ? `\n${result.details.join('\n')}` : '';
+    throw new Error((result.error || `Server returned ${status}`) + details);
+  });
+}
+
+/**
+ * Open the inline editor for a node in the info panel
+ * @param {Object} node - The node to edit
+ */
+export function handleEditNode(node) {
+  const nodeContentDiv = document.getElementById('node-content');
+  if (!nodeContentDiv || !node) {
+    console.error('No node selected for editing');
+    return;
+  }
+
+  // Only one editor at a time
+  if (document.getElementById('node-edit-form')) {
+    document.getElementById('node-edit-content')?.focus();
+    return;
+  }
+
+  // Edit the stored version, not whatever the graph last loaded
+  fetchNode(node.id).then(base => {
+    const form = document.createElement('div');
+    form.id = 'node-edit-form';
+
+    EDITABLE_FIELDS.forEach(({ name, label }) => {
+      const group = document.createElement('div');
+      group.style.marginBottom = '8px';
+
+      const labelElement = document.createElement('label');
+      labelElement.textContent = label;
+      labelElement.style.display = 'block';
+      labelElement.style.fontSize = '12px';
+      labelElement.style.color = '#aaccff';
+      labelElement.style.marginBottom = '3px';
+
+      const input = document.createElement(name === 'content' ? 'textarea' : 'input');
+      input.id = `node-edit-${name.replace('_', '-')}`;
+      input.dataset.field = name;
+      input.value = base[name] || '';
+      input.style.cssText = INPUT_STYLE;
+
+      if (name === 'content') {
+        input.style.minHeight = '200px';
+        input.style.maxHeight = '60vh';
+        input.style.lineHeight = '1.6';
+        input.style.resize = 'vertical';
+      }
+
+      labelElement.htmlFor = input.id;
+      group.appendChild(labelElement);
+      group.appendChild(input);
+      form.appendChild(group);
+    });
+
+    // Control buttons
+    const controlsDiv = document.createElement('div');
+    controlsDiv.style.marginTop = '10px';
+    controlsDiv.style.display = 'flex';
+    controlsDiv.style.gap = '10px';
+    controlsDiv.style.justifyContent = 'flex-end';
+
+    const commitBtn = document.createElement('button');
+    commitBtn.innerHTML = '✓';
+    commitBtn.title = 'Save changes (Ctrl+S)';
+    commitBtn.style.backgroundColor = '#4CAF50';
+    commitBtn.style.color = 'white';
+    commitBtn.style.border = 'none';
+    commitBtn.style.padding = '8px 16px';
+    commitBtn.style.borderRadius = '4px';
+    commitBtn.style.cursor = 'pointer';
+    commitBtn.style.fontSize = '16px';
+
+    const cancelBtn = document.createElement('button');
+    cancelBtn.innerHTML = '✗';
+    cancelBtn.title = 'Cancel changes (Esc)';
+    cancelBtn.style.backgroundColor = '#f44336';
+    cancelBtn.style.color = 'white';
+    cancelBtn.style.border = 'none';
+    cancelBtn.style.padding = '8px 16px';
+    cancelBtn.style.borderRadius = '4px';
+    cancelBtn.style.cursor = 'pointer';
+    cancelBtn.style.fontSize = '16px';
+
+    controlsDiv.appendChild(commitBtn);
+    controlsDiv.appendChild(cancelBtn);
+    form.appendChild(controlsDiv);
+
+    nodeContentDiv.style.display = 'none';
+    nodeContentDiv.parentNode.insertBefore(form, nodeContentDiv.nextSibling);
+
+    const restoreView = () => {
+      form.remove();
+      nodeContentDiv.style.display = 'block';
+    };
+
+    let saving = false;
+    const commit = () => {
+      if (saving) return;
+      saving = true;
+
+      const values = {};
+      form.querySelectorAll('[data-field]').forEach(input => {
+        values[input.dataset.field] = input.value;
+      });
+
+      saveWithConflictResolution(node.id, base, values)
+        .then(done => {
+          if (done) {
+            restoreView();
+          }
+        })
+        .catch(error => {
+          console.error('Error updating node:', error);
+          alert('Failed to update node: ' + error.message);
+        })
+        .finally(() => {
+          saving = false;
+        });
+    };
+
+    commitBtn.addEventListener('click', commit);
+    cancelBtn.addEventListener('click', restoreView);
+
+    form.addEventListener('keydown', (e) => {
+      // Keep graph shortcuts from firing while typing
+      e.stopPropagation();
+
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        restoreView();
+      } else if (e.key === 's' && (e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        commit();
+      }
+    });
+
+    const contentInput = document.getElementById('node-edit-content');
+    contentInput.focus();
+    contentInput.select();
+  }).catch(error => {
+    console.error('Error loading node for editing:', error);
+    alert('Failed to load node for editing: ' + error.message);
+  });
+}
+
+export default {
+  handleEditNode,
+  showEditConflictDialog
+};
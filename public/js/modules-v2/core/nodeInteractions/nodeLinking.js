@@ -184,10 +184,11 @@ export function handleLinkAllSelected() {
         // Store the updated graph data
         store.set('graphData', graphData);
         
-        // Reload full data from server after a short delay
+        // Refresh the linked nodes from the server after a short delay
         setTimeout(() => {
-          // Emit event to reload graph data
-          eventBus.emit('graph:reload', { preservePositions: true, skipLinks: true });
+          eventBus.emit('graph:reloadElements', {
+            nodeIds: multiSelectedNodes.map(node => node.id)
+          });
         }, 500);
       }
       
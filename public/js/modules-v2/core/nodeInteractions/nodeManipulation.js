@@ -9,155 +9,38 @@ import store from '../../state/store.js';
 import { updateCombinedHighlights, updateHighlight } from '../../utils/helpers.js';
 import { clearNodeFromSelections } from './nodeSelection.js';
 import { showCustomConfirmDialog } from './ui.js';
+import { renderTagEditor, addTagsToNode } from './tagEditor.js';
 import domainManagement from '../domainManagement.js';
 
 /**
- * Show the tag input for a node
- * @param {Object} node - The node to add tags to
+ * Show the tag editor for a node
+ * @param {Object} node - The node to edit tags for
  * @param {boolean} skipViewDetails - Whether to skip showing node details
  */
 export function handleShowTagInput(node, skipViewDetails = false) {
-  console.log('Showing tag input for node:', node.id);
+  console.log('Showing tag editor for node:', node.id);
   
   // If not skipping view details, ensure the info panel is shown for this node
-  if (!skipViewDetails) {
+  if (!skipViewDetails && store.get('selectedNode')?.id !== node.id) {
     import('./nodeSelection.js').then(({ handleViewNodeDetails }) => {
       handleViewNodeDetails(node);
+      // handleViewNodeDetails renders the editor asynchronously; focus it once it's there
+      setTimeout(() => document.getElementById('tag-input')?.focus(), 0);
     });
-    return; // handleViewNodeDetails will call this function again with skipViewDetails=true
+    return;
   }
   
-  // Get the node tags element
-  const nodeTags = document.getElementById('node-tags');
-  if (!nodeTags) return;
-  
-  // Check if input already exists
-  if (document.getElementById('tag-input')) return;
-  
-  // Create a tag input container
-  const inputContainer = document.createElement('div');
-  inputContainer.className = 'tag-input-container';
-  inputContainer.style.marginTop = '10px';
-  inputContainer.style.display = 'flex';
-  
-  // Create the input element
-  const input = document.createElement('input');
-  input.id = 'tag-input';
-  input.type = 'text';
-  input.placeholder = 'Add tag...';
-  input.style.flex = '1';
-  input.style.padding = '8px';
-  input.style.backgroundColor = 'rgba(40, 40, 60, 0.7)';
-  input.style.color = '#fff';
-  input.style.border = '1px solid rgba(100, 100, 255, 0.3)';
-  input.style.borderRadius = '4px';
-  input.style.marginRight = '5px';
-  
-  // Create the add button
-  const addButton = document.createElement('button');
-  addButton.id = 'add-tag-btn';
-  addButton.textContent = 'Add';
-  addButton.style.padding = '8px 12px';
-  addButton.style.backgroundColor = '#2a5298';
-  addButton.style.color = '#fff';
-  addButton.style.border = 'none';
-  addButton.style.borderRadius = '4px';
-  addButton.style.cursor = 'pointer';
-  
-  // Add button click handler
-  addButton.onclick = function() {
-    const tagValue = input.value.trim();
-    if (tagValue) {
-      // Add the tag to the node
-      addTagToNode(node, tagValue);
-      
-      // Clear the input
-      input.value = '';
-      
-      // Focus back on the input
-      input.focus();
-    }
-  };
-  
-  // Add keydown handler for Enter key
-  input.addEventListener('keydown', function(event) {
-    if (event.key === 'Enter') {
-      addButton.click();
-    }
-  });
-  
-  // Append elements to container
-  inputContainer.appendChild(input);
-  inputContainer.appendChild(addButton);
-  
-  // Add to the DOM
-  nodeTags.appendChild(inputContainer);
-  
-  // Focus on the input
-  input.focus();
+  renderTagEditor(node, !skipViewDetails);
 }
 
 /**
  * Add a tag to a node
  * @param {Object} node - The node to add the tag to
  * @param {string} tag - The tag to add
+ * @returns {Promise<boolean>} - Whether the tag was saved
  */
 export function addTagToNode(node, tag) {
-  console.log('Adding tag to node:', node.id, tag);
-  
-  // Ensure node has a tags array
-  if (!node.tags) {
-    node.tags = [];
-  }
-  
-  // Check if tag already exists
-  if (node.tags.includes(tag)) {
-    console.log('Tag already exists on node');
-    return;
-  }
-  
-  // Add the tag
-  node.tags.push(tag);
-  
-  // Update the node via API
-  fetch('/api/tags', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify({
-      node_id: node.id,
-      tag
-    })
-  })
-  .then(response => response.json())
-  .then(result => {
-    if (result.success) {
-      console.log('Tag added successfully');
-      
-      // Refresh the node details display
-      import('./nodeSelection.js').then(({ handleViewNodeDetails }) => {
-        handleViewNodeDetails(node);
-      });
-    } else {
-      console.error('Failed to add tag:', result.error);
-      
-      // Remove the tag from the local node object
-      const index = node.tags.indexOf(tag);
-      if (index !== -1) {
-        node.tags.splice(index, 1);
-      }
-    }
-  })
-  .catch(error => {
-    console.error('Error adding tag:', error);
-    
-    // Remove the tag from the local node object
-    const index = node.tags.indexOf(tag);
-    if (index !== -1) {
-      node.tags.splice(index, 1);
-    }
-  });
+  return addTagsToNode(node, [tag]);
 }
 
 /**
@@ -112,17 +112,9 @@ export function handleViewNodeDetails(node) {
       // Set node tags
       const nodeTags = document.getElementById('node-tags');
       if (nodeTags) {
+        // Tags are shown as chips by the tag editor (added below)
         nodeTags.innerHTML = '';
         
-        if (node.tags && node.tags.length > 0) {
-          node.tags.forEach(tag => {
-            const tagElement = document.createElement('span');
-            tagElement.className = 'tag';
-            tagElement.textContent = tag;
-            nodeTags.appendChild(tagElement);
-          });
-        }
-        
         // Add summary if available
         if (node.content_summary) {
           const summaryDiv = document.createElement('div');
@@ -135,7 +127,7 @@ export function handleViewNodeDetails(node) {
       // Show the panel
       infoPanel.style.display = 'block';
       
-      // Always show the tag input interface (with skipViewDetails=true to avoid infinite loop)
+      // Always show the tag editor (with skipViewDetails=true to avoid infinite loop)
       import('./nodeManipulation.js').then(({ handleShowTagInput }) => {
         handleShowTagInput(node, true);
       });
@@ -0,0 +1,462 @@
+/**
+ * Tag Editor Module
+ *
+ * Inline chip editor for a node's tags in the info panel. Tags are shown as
+ * removable chips, new tags autocomplete from the existing vocabulary, and
+ * every change is saved immediately.
+ */
+
+import store from '../../state/store.js';
+
+// Maximum number of autocomplete suggestions shown
+const MAX_SUGGESTIONS = 8;
+
+// How long the fetched tag vocabulary is reused before fetching again
+const VOCABULARY_TTL_MS = 30000;
+
+// Tag vocabulary cache ([{ tag, count }], most used first)
+let vocabulary = [];
+let vocabularyFetchedAt = 0;
+let vocabularyRequest = null;
+
+/**
+ * Add the CSS for the tag editor
+ */
+function addTagEditorStyles() {
+  if (document.getElementById('tag-editor-styles')) return;
+
+  const style = document.createElement('style');
+  style.id = 'tag-editor-styles';
+  style.textContent = `
+    .tag-editor {
+      position: relative;
+      display: flex;
+      flex-wrap: wrap;
+      align-items: center;
+      gap: 2px;
+      padding: 4px;
+      background-color: rgba(40, 40, 60, 0.7);
+      border: 1px solid rgba(100, 100, 255, 0.3);
+      border-radius: 4px;
+      cursor: text;
+    }
+
+    .tag-editor .tag {
+      display: inline-flex;
+      align-items: center;
+      gap: 4px;
+    }
+
+    .tag-editor .tag.pending {
+      opacity: 0.6;
+    }
+
+    .tag-editor .tag.marked {
+      background-color: #a04040;
+    }
+
+    .tag-editor .tag-remove {
+      cursor: pointer;
+      opacity: 0.7;
+      font-size: 12px;
+    }
+
+    .tag-editor .tag-remove:hover {
+      opacity: 1;
+    }
+
+    .tag-editor input {
+      flex: 1;
+      min-width: 80px;
+      padding: 5px;
+      background: transparent;
+      border: none;
+      outline: none;
+      color: #fff;
+      font-size: 13px;
+    }
+
+    .tag-suggestions {
+      position: absolute;
+      top: 100%;
+      left: 0;
+      right: 0;
+      margin-top: 2px;
+      background-color: rgba(40, 40, 50, 0.97);
+      border: 1px solid rgba(100, 100, 255, 0.3);
+      border-radius: 4px;
+      box-shadow: 0 8px 16px rgba(0, 0, 0, 0.4);
+      z-index: 1600;
+      display: none;
+    }
+
+    .tag-suggestion {
+      display: flex;
+      justify-content: space-between;
+      padding: 5px 10px;
+      font-size: 13px;
+      color: #ddd;
+      cursor: pointer;
+    }
+
+    .tag-suggestion.active,
+    .tag-suggestion:hover {
+      background-color: rgba(60, 60, 90, 0.8);
+    }
+
+    .tag-suggestion-count {
+      color: #888;
+      font-size: 11px;
+    }
+  `;
+  document.head.appendChild(style);
+}
+
+/**
+ * Load the tag vocabulary, reusing a recent copy
+ * @returns {Promise<Array<Object>>} - Tags with usage counts
+ */
+function loadVocabulary() {
+  if (Date.now() - vocabularyFetchedAt < VOCABULARY_TTL_MS) {
+    return Promise.resolve(vocabulary);
+  }
+
+  if (!vocabularyRequest) {
+    vocabularyRequest = fetch('/api/tags/counts')
+      .then(response => response.json())
+      .then(tags => {
+        vocabulary = Array.isArray(tags) ? tags : [];
+        vocabularyFetchedAt = Date.now();
+        return vocabulary;
+      })
+      .catch(error => {
+        console.error('Error loading tag vocabulary:', error);
+        return vocabulary;
+      })
+      .finally(() => {
+        vocabularyRequest = null;
+      });
+  }
+
+  return vocabularyRequest;
+}
+
+/**
+ * Split typed or pasted text into tags
+ * @param {string} text - Comma or newline separated tags
+ * @returns {Array<string>} - Trimmed, non-empty, de-duplicated tags
+ */
+function parseTags(text) {
+  return [...new Set(text.split(/[,\n]/).map(tag => tag.trim()).filter(Boolean))];
+}
+
+/**
+ * Recompute a node's size from its tag count and redraw the graph
+ * @param {Object} node - The node whose tags changed
+ */
+function updateNodeSize(node) {
+  node.val = node.tags && node.tags.length ? Math.min(5, node.tags.length) : 1;
+
+  const { graph, graphData } = store.getState();
+  if (graph && graphData) {
+    graph.graphData(graphData);
+    store.set('graphData', graphData);
+  }
+}
+
+/**
+ * Persist a tag change, then refresh sizes, history and the editor
+ * @param {Object} node - The node being edited
+ * @param {Promise<Response>} request - The pending fetch
+ * @param {function} revert - Undo the optimistic local change
+ * @returns {Promise<boolean>} - Whether the change was saved
+ */
+function persistTagChange(node, request, revert) {
+  return request
+    .then(response => response.json().then(result => {
+      if (!response.ok || !result.success) {
+        throw new Error(result.error || response.statusText);
+      }
+      return true;
+    }))
+    .catch(error => {
+      console.error('Error saving tags:', error);
+      revert();
+      alert('Failed to save tags: ' + error.message);
+      return false;
+    })
+    .then(saved => {
+      // New tags become part of the vocabulary
+      vocabularyFetchedAt = 0;
+
+      updateNodeSize(node);
+      if (store.get('selectedNode')?.id === node.id) {
+        renderTagEditor(node, saved);
+      }
+
+      import('../historyService.js').then(historyService => historyService.refreshHistoryStatus())
+        .catch(() => {});
+
+      return saved;
+    });
+}
+
+/**
+ * Add tags to a node and save them
+ * @param {Object} node - The node to tag
+ * @param {Array<string>} tags - Tags to add
+ * @returns {Promise<boolean>} - Whether the tags were saved
+ */
+export function addTagsToNode(node, tags) {
+  node.tags = node.tags || [];
+  const newTags = tags.filter(tag => !node.tags.includes(tag));
+
+  if (newTags.length === 0) {
+    return Promise.resolve(true);
+  }
+
+  console.log('Adding tags to node:', node.id, newTags);
+  node.tags.push(...newTags);
+
+  const request = fetch('/api/tags', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ nodeId: node.id, tags: newTags })
+  });
+
+  return persistTagChange(node, request, () => {
+    node.tags = node.tags.filter(tag => !newTags.includes(tag));
+  });
+}
+
+/**
+ * Remove a tag from a node and save the change
+ * @param {Object} node - The node to untag
+ * @param {string} tag - The tag to remove
+ * @returns {Promise<boolean>} - Whether the removal was saved
+ */
+export function removeTagFromNode(node, tag) {
+  const index = (node.tags || []).indexOf(tag);
+  if (index === -1) {
+    return Promise.resolve(true);
+  }
+
+  console.log('Removing tag from node:', node.id, tag);
+  node.tags.splice(index, 1);
+
+  const request = fetch(`/api/nodes/${encodeURIComponent(node.id)}/tags/${encodeURIComponent(tag)}`, {
+    method: 'DELETE'
+  });
+
+  return persistTagChange(node, request, () => {
+    if (!node.tags.includes(tag)) {
+      node.tags.splice(index, 0, tag);
+    }
+  });
+}
+
+/**
+ * Render the chip editor at the top of the info panel's tag area,
+ * replacing any previous editor
+ * @param {Object} node - The node being edited
+ * @param {boolean} focus - Whether to focus the input afterwards
+ */
+export function renderTagEditor(node, focus = false) {
+  const nodeTags = document.getElementById('node-tags');
+  if (!nodeTags || !node) return;
+
+  addTagEditorStyles();
+
+  const existing = document.getElementById('tag-editor');
+  if (existing) {
+    existing.remove();
+  }
+
+  const editor = document.createElement('div');
+  editor.id = 'tag-editor';
+  editor.className = 'tag-editor';
+
+  // Chips
+  (node.tags || []).forEach(tag => {
+    const chip = document.createElement('span');
+    chip.className = 'tag';
+    chip.dataset.tag = tag;
+
+    const label = document.createElement('span');
+    label.textContent = tag;
+    chip.appendChild(label);
+
+    const remove = document.createElement('span');
+    remove.className = 'tag-remove edit-only';
+    remove.textContent = '✕';
+    remove.title = `Remove tag "${tag}"`;
+    remove.addEventListener('click', (e) => {
+      e.stopPropagation();
+      chip.classList.add('pending');
+      removeTagFromNode(node, tag);
+    });
+    chip.appendChild(remove);
+
+    editor.appendChild(chip);
+  });
+
+  // Input for new tags
+  const input = document.createElement('input');
+  input.id = 'tag-input';
+  input.className = 'edit-only';
+  input.type = 'text';
+  input.placeholder = node.tags && node.tags.length ? 'Add tag...' : 'Add tags (comma separated)...';
+  input.autocomplete = 'off';
+  editor.appendChild(input);
+
+  // Autocomplete dropdown
+  const suggestions = document.createElement('div');
+  suggestions.className = 'tag-suggestions';
+  editor.appendChild(suggestions);
+
+  let currentSuggestions = [];
+  let activeIndex = -1;
+
+  const hideSuggestions = () => {
+    currentSuggestions = [];
+    activeIndex = -1;
+    suggestions.style.display = 'none';
+  };
+
+  const commit = (text) => {
+    const tags = parseTags(text);
+    input.value = '';
+    hideSuggestions();
+
+    if (tags.length > 0) {
+      addTagsToNode(node, tags);
+    }
+  };
+
+  const renderSuggestions = () => {
+    suggestions.innerHTML = '';
+
+    if (currentSuggestions.length === 0) {
+      suggestions.style.display = 'none';
+      return;
+    }
+
+    currentSuggestions.forEach(({ tag, count }, index) => {
+      const item = document.createElement('div');
+      item.className = 'tag-suggestion' + (index === activeIndex ? ' active' : '');
+
+      const name = document.createElement('span');
+      name.textContent = tag;
+      const uses = document.createElement('span');
+      uses.className = 'tag-suggestion-count';
+      uses.textContent = count;
+
+      item.appendChild(name);
+      item.appendChild(uses);
+
+      // mousedown fires before the input loses focus
+      item.addEventListener('mousedown', (e) => {
+        e.preventDefault();
+        commit(tag);
+      });
+
+      suggestions.appendChild(item);
+    });
+
+    suggestions.style.display = 'block';
+  };
+
+  const updateSuggestions = () => {
+    const text = input.value.trim().toLowerCase();
+    if (!text) {
+      hideSuggestions();
+      return;
+    }
+
+    loadVocabulary().then(tags => {
+      // The input may have changed while the vocabulary was loading
+      if (input.value.trim().toLowerCase() !== text) return;
+
+      const available = tags.filter(({ tag }) => !(node.tags || []).includes(tag));
+      const prefixMatches = available.filter(({ tag }) => tag.toLowerCase().startsWith(text));
+      const otherMatches = available.filter(({ tag }) =>
+        !tag.toLowerCase().startsWith(text) && tag.toLowerCase().includes(text)
+      );
+
+      currentSuggestions = [...prefixMatches, ...otherMatches].slice(0, MAX_SUGGESTIONS);
+      activeIndex = -1;
+      renderSuggestions();
+    });
+  };
+
+  input.addEventListener('input', () => {
+    // Typing a comma completes the tag before it
+    if (input.value.includes(',')) {
+      const parts = input.value.split(',');
+      const remainder = parts.pop();
+      commit(parts.join(','));
+      input.value = remainder.trimStart();
+    }
+
+    editor.querySelectorAll('.tag.marked').forEach(chip => chip.classList.remove('marked'));
+    updateSuggestions();
+  });
+
+  input.addEventListener('paste', (e) => {
+    const text = (e.clipboardData || window.clipboardData)?.getData('text');
+    if (!text || !/[,\n]/.test(text)) return;
+
+    e.preventDefault();
+    commit(input.value + text);
+  });
+
+  input.addEventListener('keydown', (e) => {
+    // Keep graph shortcuts from firing while typing
+    e.stopPropagation();
+
+    if (e.key === 'ArrowDown' && currentSuggestions.length > 0) {
+      e.preventDefault();
+      activeIndex = (activeIndex + 1) % currentSuggestions.length;
+      renderSuggestions();
+    } else if (e.key === 'ArrowUp' && currentSuggestions.length > 0) {
+      e.preventDefault();
+      activeIndex = (activeIndex - 1 + currentSuggestions.length) % currentSuggestions.length;
+      renderSuggestions();
+    } else if (e.key === 'Enter' || (e.key === 'Tab' && activeIndex !== -1)) {
+      e.preventDefault();
+      commit(activeIndex !== -1 ? currentSuggestions[activeIndex].tag : input.value);
+    } else if (e.key === 'Escape') {
+      input.value = '';
+      hideSuggestions();
+    } else if (e.key === 'Backspace' && input.value === '') {
+      // First backspace marks the last chip, the second removes it
+      const chips = editor.querySelectorAll('.tag');
+      const lastChip = chips[chips.length - 1];
+      if (!lastChip) return;
+
+      if (lastChip.classList.contains('marked')) {
+        lastChip.classList.add('pending');
+        removeTagFromNode(node, lastChip.dataset.tag);
+      } else {
+        lastChip.classList.add('marked');
+      }
+    }
+  });
+
+  input.addEventListener('blur', hideSuggestions);
+
+  // Clicking anywhere in the editor focuses the input
+  editor.addEventListener('click', () => input.focus());
+
+  nodeTags.insertBefore(editor, nodeTags.firstChild);
+
+  if (focus) {
+    input.focus();
+  }
+}
+
+export default {
+  renderTagEditor,
+  addTagsToNode,
+  removeTagFromNode
+};
@@ -0,0 +1,225 @@
+/**
+ * Presence Service Module
+ *
+ * Shares this client's display name, selection and camera with the other
+ * clients over the WebSocket, and keeps theirs in the store ('remoteUsers').
+ * Remote selections and cameras are drawn by graph/presenceOverlay.js.
+ * Following a user mirrors their camera until this user moves the camera.
+ */
+
+import store from '../state/store.js';
+import { sendMessage, subscribe, on } from '../utils/webSocketService.js';
+import { saveSetting } from '../utils/settingsManager.js';
+
+// How often the camera is checked for movement, and how long a followed move takes
+const CAMERA_POLL_INTERVAL = 250; // milliseconds
+const FOLLOW_TRANSITION = 300; // milliseconds
+const MAX_NAME_LENGTH = 40;
+
+// Other clients by client id
+const remoteUsers = new Map();
+
+let cameraTimer = null;
+let lastCameraKey = null;
+let initialized = false;
+
+/**
+ * Get the display name, choosing one on first use. It is saved with the other
+ * settings, so a name loaded from them later replaces it.
+ * @returns {string} - Display name
+ */
+export function getDisplayName() {
+  let name = store.get('displayName');
+  if (!name) {
+    name = `User ${Math.random().toString(36).substring(2, 6)}`;
+    store.set('displayName', name);
+  }
+  return name;
+}
+
+/**
+ * Change the display name shown to other clients
+ * @param {string} name - New display name
+ */
+export function setDisplayName(name) {
+  const trimmed = (name || '').trim().substring(0, MAX_NAME_LENGTH);
+  if (!trimmed || trimmed === store.get('displayName')) return;
+
+  saveSetting('displayName', trimmed);
+}
+
+/**
+ * Send part of this client's presence; fields left out keep their value
+ * @param {Object} fields - { name, selectedNodeId, selectedNodeIds, camera }
+ */
+function publishPresence(fields) {
+  if (!store.get('websocketConnected')) return;
+  sendMessage({ type: 'presence_update', data: fields });
+}
+
+/**
+ * Get the selected node and the multi-selection
+ * @returns {Object} - { selectedNodeId, selectedNodeIds }
+ */
+function getSelection() {
+  const selectedNode = store.get('selectedNode');
+  const multiSelectedNodes = store.get('multiSelectedNodes') || [];
+  return {
+    selectedNodeId: selectedNode ? selectedNode.id : null,
+    selectedNodeIds: multiSelectedNodes.map(node => node.id)
+  };
+}
+
+/**
+ * Get the camera position and the point it looks at
+ * @returns {Object|null} - { position, target }, or null before the graph exists
+ */
+function getCameraPose() {
+  const { graph } = store.getState();
+  if (!graph) return null;
+
+  const camera = graph.camera();
+  const controls = graph.controls();
+  if (!camera || !controls || !controls.target) return null;
+
+  // Round so tiny drifts of the orbit controls are not sent
+  const round = point => ({
+    x: Math.round(point.x * 10) / 10,
+    y: Math.round(point.y * 10) / 10,
+    z: Math.round(point.z * 10) / 10
+  });
+
+  return { position: round(camera.position), target: round(controls.target) };
+}
+
+/**
+ * Send the camera pose if it changed since it was last sent
+ */
+function publishCameraIfMoved() {
+  const camera = getCameraPose();
+  if (!camera) return;
+
+  const key = JSON.stringify(camera);
+  if (key === lastCameraKey) return;
+
+  lastCameraKey = key;
+  publishPresence({ camera });
+}
+
+/**
+ * Publish the store's view of the other clients
+ */
+function updateRemoteUsers() {
+  store.set('remoteUsers', Array.from(remoteUsers.values()));
+}
+
+/**
+ * Move the camera to a remote user's pose
+ * @param {Object} user - Remote user with a camera
+ * @param {number} duration - Transition duration in milliseconds
+ */
+function mirrorCamera(user, duration = FOLLOW_TRANSITION) {
+  const { graph } = store.getState();
+  if (!graph || !user.camera) return;
+
+  graph.cameraPosition(user.camera.position, user.camera.target, duration);
+}
+
+/**
+ * Mirror another user's camera until following is stopped
+ * @param {string} clientId - Client id of the user to follow
+ */
+export function followUser(clientId) {
+  const user = remoteUsers.get(clientId);
+  if (!user) return;
+
+  store.set('followedUserId', clientId);
+  mirrorCamera(user, 1000);
+  console.log(`Following ${user.name}`);
+}
+
+/**
+ * Stop mirroring another user's camera
+ */
+export function stopFollowing() {
+  if (!store.get('followedUserId')) return;
+
+  store.set('followedUserId', null);
+  console.log('Stopped following');
+}
+
+/**
+ * Start sharing presence. Call once the WebSocket service is initialized.
+ */
+export function initPresence() {
+  if (initialized) return;
+  initialized = true;
+
+  // The server forgets everything about a connection when it closes
+  on('connection', () => {
+    remoteUsers.clear();
+    updateRemoteUsers();
+    lastCameraKey = null;
+
+    subscribe('presence');
+    publishPresence({ name: getDisplayName(), ...getSelection(), camera: getCameraPose() });
+  });
+
+  on('presence_snapshot', ({ users }) => {
+    remoteUsers.clear();
+    (users || []).forEach(user => remoteUsers.set(user.clientId, user));
+    updateRemoteUsers();
+  });
+
+  on('presence_changed', (user) => {
+    remoteUsers.set(user.clientId, user);
+    updateRemoteUsers();
+
+    if (store.get('followedUserId') === user.clientId) {
+      mirrorCamera(user);
+    }
+  });
+
+  on('presence_left', ({ clientId }) => {
+    remoteUsers.delete(clientId);
+    if (store.get('followedUserId') === clientId) {
+      stopFollowing();
+    }
+    updateRemoteUsers();
+  });
+
+  // Share name and selection changes as they happen and camera moves a few times a second
+  store.subscribeToKey('displayName', (name) => {
+    if (name) publishPresence({ name });
+  });
+  store.subscribeToKey('selectedNode', () => publishPresence(getSelection()));
+  store.subscribeToKey('multiSelectedNodes', () => publishPresence(getSelection()));
+  cameraTimer = setInterval(publishCameraIfMoved, CAMERA_POLL_INTERVAL);
+
+  // Taking the camera back stops following
+  const container = document.getElementById('graph-container');
+  if (container) {
+    ['pointerdown', 'wheel'].forEach(eventType => {
+      container.addEventListener(eventType, stopFollowing, { passive: true });
+    });
+  }
+}
+
+/**
+ * Stop sharing the camera (e.g. when the page is torn down)
+ */
+export function stopPresence() {
+  if (cameraTimer) {
+    clearInterval(cameraTimer);
+    cameraTimer = null;
+  }
+}
+
+export default {
+  initPresence,
+  stopPresence,
+  getDisplayName,
+  setDisplayName,
+  followUser,
+  stopFollowing
+};
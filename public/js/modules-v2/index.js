@@ -10,12 +10,21 @@ import * as nodeInteractions from './core/nodeInteractions.js';
 import * as linkManagement from './core/linkManagement.js';
 import * as domainManagement from './core/domainManagement.js';
 import * as databaseService from './core/databaseService.js';
+import * as authService from './core/authService.js';
+import * as presenceService from './core/presenceService.js';
+import * as controlService from './core/controlService.js';
 import * as controls from './ui/controls.js';
 import * as contextMenu from './ui/contextMenu.js';
 import * as windowManager from './ui/windowManager.js';
 import * as menuBar from './ui/menuBar.js';
 import * as fileDialog from './ui/fileDialog.js';
 import * as visualizationControlsPanel from './ui/visualizationControlsPanel.js';
+import * as tagsPanel from './ui/tagsPanel.js';
+import * as presencePanel from './ui/presencePanel.js';
+import * as exportDialog from './ui/exportDialog.js';
+import * as importDialog from './ui/importDialog.js';
+import * as snapshotDialog from './ui/snapshotDialog.js';
+import * as toast from './ui/toast.js';
 import * as helpers from './utils/helpers.js';
 import * as eventBus from './utils/eventBus.js';
 import * as settingsManager from './utils/settingsManager.js';
@@ -33,12 +42,21 @@ export {
   linkManagement,
   domainManagement,
   databaseService,
+  authService,
+  presenceService,
+  controlService,
   controls,
   contextMenu,
   windowManager,
   menuBar,
   fileDialog,
   visualizationControlsPanel,
+  tagsPanel,
+  presencePanel,
+  exportDialog,
+  importDialog,
+  snapshotDialog,
+  toast,
   helpers,
   eventBus,
   settingsManager,
@@ -57,12 +75,21 @@ export default {
   linkManagement,
   domainManagement,
   databaseService,
+  authService,
+  presenceService,
+  controlService,
   controls,
   contextMenu,
   windowManager,
   menuBar,
   fileDialog,
   visualizationControlsPanel,
+  tagsPanel,
+  presencePanel,
+  exportDialog,
+  importDialog,
+  snapshotDialog,
+  toast,
   helpers,
   eventBus,
   settingsManager,
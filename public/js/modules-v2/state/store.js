@@ -18,6 +18,8 @@ const initialState = {
   showEdgeLabels: false,
   zoomOnSelect: false,
   showHelpCard: true,
+  tagsPanelVisible: false,
+  presencePanelVisible: false,
 
   // Data source settings
   databasePath: '/default/database/path',
@@ -26,8 +28,20 @@ const initialState = {
   databaseChanged: false,
   autoRefreshOnDatabaseChange: true,
   lastDatabaseChangeTimestamp: null,
+  graphCursor: null,
+  historyStatus: { canUndo: false, canRedo: false, undoLabel: null, redoLabel: null },
   websocketConnected: false,
   
+  // Access, from /api/auth/status; read-only hides editing controls
+  authEnabled: false,
+  authRole: null,
+  readOnly: false,
+  
+  // Presence: this user's name, the other connected users and who is being followed
+  displayName: null,
+  remoteUsers: [],
+  followedUserId: null,
+  
   // Highlighting
   highlightNodes: new Set(),
   highlightLinks: new Set(),
@@ -35,6 +49,12 @@ const initialState = {
   selectedHighlightLinks: new Set(),
   hoverHighlightNodes: new Set(),
   hoverHighlightLinks: new Set(),
+  searchHighlightNodes: new Set(),
+  controlHighlightNodes: new Set(),
+  controlHighlightLinks: new Set(),
+  
+  // Filter sent by an external process ({ domains, tags, nodeIds }), or null
+  controlFilter: null,
 
   // Multi-selection
   multiSelectActive: false,
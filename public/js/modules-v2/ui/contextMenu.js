@@ -5,10 +5,12 @@
  */
 
 import store from '../state/store.js';
-import { handleViewNodeDetails, handleShowTagInput, handleDeleteNode } from '../core/nodeInteractions.js';
+import { handleViewNodeDetails, handleShowTagInput, handleDeleteNode, handleCreateNode } from '../core/nodeInteractions.js';
 import { 
   toggleLinkCreationMode, 
   handleDeleteLink, 
+  handleEditDomainRef,
+  handleDeleteDomainRef,
   handleChangeStrength, 
   handleChangeLinkType,
   nextLinkTypePage, 
@@ -21,6 +23,7 @@ import {
   prevDomainPage, 
   getDomainPaginationInfo 
 } from '../core/domainManagement.js';
+import { isReadOnly } from '../core/authService.js';
 
 /**
  * Show the context menu at the specified position
@@ -120,6 +123,9 @@ function populateNodeContextMenu(contextMenu, node) {
   });
   contextMenu.appendChild(viewDetails);
   
+  // Read-only tokens cannot change the node
+  if (isReadOnly()) return;
+  
   // Add domain submenu
   const domainItem = createMenuItem('Change Domain', null, true);
   const domainSubmenu = createDomainSubmenu(node);
@@ -160,9 +166,31 @@ function populateLinkContextMenu(contextMenu, link) {
   // Add menu header
   const header = document.createElement('div');
   header.className = 'context-menu-header';
-  header.textContent = `Link: ${link.source.id || link.source} → ${link.target.id || link.target}`;
+  const kind = link.type === 'cross_domain' ? 'Reference' : 'Link';
+  header.textContent = `${kind}: ${link.source.id || link.source} → ${link.target.id || link.target}`;
   contextMenu.appendChild(header);
   
+  // Read-only tokens cannot change the link
+  if (isReadOnly()) return;
+  
+  // Cross-domain links come from DOMAIN_REFS and have no type or strength to change
+  if (link.type === 'cross_domain') {
+    const editItem = createMenuItem('Edit Reference...', () => {
+      hideContextMenu();
+      handleEditDomainRef(link);
+    });
+    contextMenu.appendChild(editItem);
+    
+    contextMenu.appendChild(createSeparator());
+    
+    const deleteRefItem = createMenuItem('Delete Reference', () => {
+      hideContextMenu();
+      handleDeleteDomainRef(link);
+    }, false, true);
+    contextMenu.appendChild(deleteRefItem);
+    return;
+  }
+  
   // Add link type submenu
   const typeItem = createMenuItem('Change Type', null, true);
   const typeSubmenu = createLinkTypeSubmenu(link);
@@ -197,6 +225,17 @@ function populateBackgroundContextMenu(contextMenu) {
   header.textContent = 'Graph Options';
   contextMenu.appendChild(header);
   
+  // Add new memory option, placing the node where the menu was opened
+  if (!isReadOnly()) {
+    const newMemoryItem = createMenuItem('New Memory', () => {
+      const position = store.get('contextMenuPosition');
+      hideContextMenu();
+      handleCreateNode(position);
+    });
+    contextMenu.appendChild(newMemoryItem);
+    contextMenu.appendChild(createSeparator());
+  }
+  
   // Add refresh option
   const refreshItem = createMenuItem('Refresh Data', () => {
     hideContextMenu();
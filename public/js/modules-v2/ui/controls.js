@@ -8,6 +8,7 @@ import store from '../state/store.js';
 import { updateHighlight } from '../utils/helpers.js';
 import { applyVisualizationStyle } from '../core/visualizationManager.js';
 import * as visualizationControlsPanel from './visualizationControlsPanel.js';
+import { isReadOnly } from '../core/authService.js';
 
 /**
  * Toggle bloom effect on/off
@@ -335,6 +336,29 @@ export function setupUIEventListeners() {
     }
   });
   
+  // Undo/redo shortcuts (Ctrl+Z, Ctrl+Shift+Z / Ctrl+Y); text fields keep their own undo
+  document.addEventListener('keydown', e => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    
+    const target = e.target;
+    if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable)) {
+      return;
+    }
+    
+    const key = e.key.toLowerCase();
+    const isUndo = key === 'z' && !e.shiftKey;
+    const isRedo = (key === 'z' && e.shiftKey) || key === 'y';
+    if (!isUndo && !isRedo) return;
+    
+    // Read-only tokens cannot change the graph
+    if (isReadOnly()) return;
+    
+    e.preventDefault();
+    import('../core/historyService.js').then(historyService => {
+      return isUndo ? historyService.undo() : historyService.redo();
+    });
+  });
+  
   document.addEventListener('keyup', e => {
     if (e.key === 'Control') {
       store.set('controlKeyPressed', false);
@@ -0,0 +1,171 @@
+/**
+ * Export Dialog Module
+ *
+ * Dialog for exporting the graph as GraphML or GEXF, for analysis in tools
+ * such as yEd and Gephi, or as a zipped Markdown vault for note-taking apps
+ * such as Obsidian. The export can cover the whole database, one domain or
+ * the currently selected nodes.
+ */
+
+import store from '../state/store.js';
+
+const DIALOG_ID = 'graph-export-dialog';
+
+// Formats offered by the dialog, in display order
+const EXPORT_FORMATS = [
+  { value: 'graphml', label: 'GraphML (yEd, Cytoscape, NetworkX)', extension: 'graphml' },
+  { value: 'gexf', label: 'GEXF (Gephi)', extension: 'gexf' },
+  { value: 'markdown', label: 'Markdown vault, zipped (Obsidian)', extension: 'zip' }
+];
+
+/**
+ * Get the ids of the selected nodes: the multi-selection, or else the node
+ * shown in the info panel
+ * @returns {Array<string>} - Selected node ids
+ */
+function getSelectedNodeIds() {
+  const { selectedNodes, selectedNode } = store.getState();
+  if (selectedNodes && selectedNodes.length > 0) {
+    return selectedNodes.map(node => node.id);
+  }
+  return selectedNode ? [selectedNode.id] : [];
+}
+
+/**
+ * Download a server export as a file
+ * @param {string} url - Export URL
+ * @param {string} fallbackName - File name to use if the server does not send one
+ * @returns {Promise<void>}
+ */
+function downloadExport(url, fallbackName) {
+  return fetch(url)
+    .then(response => {
+      if (!response.ok) {
+        return response.json()
+          .catch(() => ({}))
+          .then(result => {
+            throw new Error(result.error || `Server returned ${response.status}`);
+          });
+      }
+
+      const disposition = response.headers.get('Content-Disposition') || '';
+      const match = disposition.match(/filename="([^"]+)"/);
+      return response.blob().then(blob => ({ blob, fileName: match ? match[1] : fallbackName }));
+    })
+    .then(({ blob, fileName }) => {
+      const objectUrl = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.style.display = 'none';
+      a.href = objectUrl;
+      a.download = fileName;
+      document.body.appendChild(a);
+      a.click();
+      window.URL.revokeObjectURL(objectUrl);
+      document.body.removeChild(a);
+    });
+}
+
+/**
+ * Show the graph export dialog
+ */
+export function showGraphExportDialog() {
+  const existingDialog = document.getElementById(DIALOG_ID);
+  if (existingDialog) {
+    document.body.removeChild(existingDialog);
+  }
+
+  const allDomains = store.get('allDomains') || [];
+  const selectedNodeIds = getSelectedNodeIds();
+
+  const dialog = document.createElement('div');
+  dialog.id = DIALOG_ID;
+  dialog.className = 'modal-dialog';
+  dialog.innerHTML = `
+    <div class="dialog-content" style="width: 420px;">
+      <div class="dialog-header">
+        <h3>Export Graph</h3>
+        <button class="close-button">&times;</button>
+      </div>
+      <div class="dialog-body">
+        <div class="form-group">
+          <label for="graph-export-format">Format:</label>
+          <select id="graph-export-format" style="width: 100%; padding: 8px;">
+            ${EXPORT_FORMATS.map(format => `<option value="${format.value}">${format.label}</option>`).join('')}
+          </select>
+        </div>
+        <div class="form-group">
+          <label>Include:</label>
+          <label style="display: block; cursor: pointer;">
+            <input type="radio" name="graph-export-scope" value="all" checked> Whole database
+          </label>
+          <label style="display: block; cursor: pointer;">
+            <input type="radio" name="graph-export-scope" value="domain" ${allDomains.length === 0 ? 'disabled' : ''}> Domain
+            <select id="graph-export-domain" style="margin-left: 6px; padding: 4px;"></select>
+          </label>
+          <label style="display: block; cursor: pointer;">
+            <input type="radio" name="graph-export-scope" value="nodes" ${selectedNodeIds.length === 0 ? 'disabled' : ''}>
+            Selected nodes (${selectedNodeIds.length})
+          </label>
+        </div>
+        <div class="form-info">
+          <p>Node tags, summaries, paths and timestamps, link types and strengths, and cross-domain references are included.</p>
+        </div>
+      </div>
+      <div class="dialog-footer">
+        <button class="primary-button" id="graph-export-btn">Export</button>
+        <button class="secondary-button" id="graph-export-cancel-btn">Cancel</button>
+      </div>
+    </div>
+  `;
+
+  // Domain names come from the database, so add them as text
+  const domainSelect = dialog.querySelector('#graph-export-domain');
+  allDomains.forEach(domain => {
+    const option = document.createElement('option');
+    option.value = domain;
+    option.textContent = domain;
+    domainSelect.appendChild(option);
+  });
+
+  document.body.appendChild(dialog);
+
+  const close = () => {
+    if (document.body.contains(dialog)) {
+      document.body.removeChild(dialog);
+    }
+  };
+
+  // Picking a domain implies exporting that domain
+  domainSelect.addEventListener('change', () => {
+    dialog.querySelector('input[name="graph-export-scope"][value="domain"]').checked = true;
+  });
+
+  dialog.querySelector('#graph-export-btn').addEventListener('click', () => {
+    const format = dialog.querySelector('#graph-export-format').value;
+    const { extension } = EXPORT_FORMATS.find(option => option.value === format);
+    const scope = dialog.querySelector('input[name="graph-export-scope"]:checked').value;
+
+    const params = new URLSearchParams({ format });
+    if (scope === 'domain') {
+      params.set('domain', domainSelect.value);
+    } else if (scope === 'nodes') {
+      params.set('nodes', selectedNodeIds.join(','));
+    }
+
+    console.log(`Exporting graph as ${format} (${scope})`);
+
+    downloadExport(`/api/export?${params}`, `memory-graph-export.${extension}`)
+      .then(close)
+      .catch(error => {
+        console.error('Graph export failed:', error);
+        alert('Export failed: ' + error.message);
+      });
+  });
+
+  dialog.querySelector('#graph-export-cancel-btn').addEventListener('click', close);
+  dialog.querySelector('.close-button').addEventListener('click', close);
+}
+
+export default {
+  showGraphExportDialog
+};
@@ -1,7 +1,8 @@
 /**
  * File Dialog Module
  * 
- * Provides UI components for file path selection dialogs with file browser integration.
+ * Provides UI components for file path selection dialogs with file browser integration,
+ * checking the chosen file against the Memory Graph schema, and for creating a new database.
  */
 
 import store from '../state/store.js';
@@ -47,6 +48,38 @@ async function browseDirectory(path, filter = '.db') {
   }
 }
 
+/**
+ * Describe the result of a schema check for the dialog
+ * @param {Object} report - Schema report from the server
+ * @returns {string} - Description of what the database is missing
+ */
+function describeSchemaReport(report) {
+  if (report.valid) {
+    return '✓ Memory Graph database';
+  }
+  
+  if (!report.exists) {
+    return 'The file does not exist. Use "New Database..." to create it.';
+  }
+  
+  if (report.empty) {
+    return 'The database is empty. Create the Memory Graph tables to use it.';
+  }
+  
+  const parts = [];
+  if (report.missingTables.length > 0) {
+    parts.push(`Missing tables: ${report.missingTables.join(', ')}`);
+  }
+  const columns = Object.entries(report.missingColumns)
+    .flatMap(([table, names]) => names.map(name => `${table}.${name}`));
+  if (columns.length > 0) {
+    parts.push(`Missing columns: ${columns.join(', ')}`);
+  }
+  
+  return `This is not a Memory Graph database. ${parts.join('. ')}.` +
+    (report.canMigrate ? '' : ' Its key columns cannot be added automatically.');
+}
+
 /**
  * Creates and opens a dialog for database file selection with file browser
  * @param {Function} onConfirm - Callback function that receives the selected path
@@ -130,11 +163,17 @@ export function openDatabasePathDialog(onConfirm) {
             </div>
           </div>
           
+          <div id="database-schema-status" class="form-info" style="display: none; margin-top: 10px;">
+            <p id="database-schema-text"></p>
+            <button id="create-schema-button" class="secondary-button" style="display: none;">Create Schema</button>
+          </div>
+          
           <div class="form-info" style="margin-top: 10px;">
             <p id="browser-help-text">Enter the full path to your SQLite database file, or click Browse to select a file.</p>
           </div>
         </div>
         <div class="dialog-footer">
+          <button id="new-database-button" class="secondary-button" style="margin-right: auto;">New Database...</button>
           <button id="confirm-path-button" class="primary-button">Confirm</button>
           <button id="cancel-path-button" class="secondary-button">Cancel</button>
         </div>
@@ -158,6 +197,37 @@ export function openDatabasePathDialog(onConfirm) {
     const directoryError = document.getElementById('directory-error');
     const directoryContents = document.getElementById('directory-contents');
     const directoryList = document.getElementById('directory-list');
+    const schemaStatus = document.getElementById('database-schema-status');
+    const schemaText = document.getElementById('database-schema-text');
+    const createSchemaButton = document.getElementById('create-schema-button');
+    const newDatabaseButton = document.getElementById('new-database-button');
+    
+    // Only the latest schema check may update the dialog
+    let schemaCheck = 0;
+    
+    // Check the chosen file against the schema and show what it is missing
+    function checkSchema(path) {
+      const checkId = ++schemaCheck;
+      schemaStatus.style.display = 'block';
+      schemaText.style.color = '';
+      schemaText.textContent = 'Checking database...';
+      createSchemaButton.style.display = 'none';
+      
+      return databaseService.checkDatabaseSchema(path)
+        .then(report => {
+          if (checkId !== schemaCheck) return null;
+          schemaText.textContent = describeSchemaReport(report);
+          schemaText.style.color = report.valid ? '#aaffcc' : '#ffb74d';
+          createSchemaButton.style.display = !report.valid && report.exists && report.canMigrate ? 'inline-block' : 'none';
+          return report;
+        })
+        .catch(error => {
+          if (checkId !== schemaCheck) return null;
+          schemaText.textContent = `Error: ${error.message}`;
+          schemaText.style.color = '#ff6b6b';
+          return null;
+        });
+    }
     
     // Function to load and display directory contents
     async function loadDirectory(path) {
@@ -203,6 +273,7 @@ export function openDatabasePathDialog(onConfirm) {
             pathInput.value = file.path;
             // Hide the browser after selection
             fileBrowser.style.display = 'none';
+            checkSchema(file.path);
           });
           
           row.addEventListener('dblclick', () => {
@@ -281,17 +352,49 @@ export function openDatabasePathDialog(onConfirm) {
       document.body.removeChild(dialog);
     });
     
-    // Confirm button calls the callback with the selected path
+    // Check typed paths once they are complete
+    pathInput.addEventListener('change', () => {
+      const path = pathInput.value.trim();
+      if (path) checkSchema(path);
+    });
+    
+    // Create the missing tables, columns and indexes, then check again
+    createSchemaButton.addEventListener('click', () => {
+      const path = pathInput.value.trim();
+      createSchemaButton.disabled = true;
+      
+      databaseService.createDatabaseSchema(path)
+        .then(() => checkSchema(path))
+        .catch(error => {
+          schemaText.textContent = `Error: ${error.message}`;
+          schemaText.style.color = '#ff6b6b';
+        })
+        .finally(() => {
+          createSchemaButton.disabled = false;
+        });
+    });
+    
+    // Switch to creating a new database
+    newDatabaseButton.addEventListener('click', () => {
+      document.body.removeChild(dialog);
+      document.removeEventListener('keydown', handleKeyDown);
+      openNewDatabaseDialog();
+    });
+    
+    // Confirm button calls the callback with the selected path, if it is a Memory Graph database
     confirmButton.addEventListener('click', () => {
       const path = pathInput.value.trim();
-      if (path) {
-        onConfirm(path);
-      } else {
+      if (!path) {
         // If path is empty, show error
         alert('Please enter a valid database path.');
         return;
       }
-      document.body.removeChild(dialog);
+      
+      checkSchema(path).then(report => {
+        if (!report || !report.valid || !document.body.contains(dialog)) return;
+        onConfirm(path);
+        document.body.removeChild(dialog);
+      });
     });
     
     // Add path history dropdown functionality if we have history
@@ -359,6 +462,94 @@ export function openDatabasePathDialog(onConfirm) {
   });
 }
 
+/**
+ * Creates and opens a dialog for creating a new database with the Memory Graph
+ * schema. The app switches to the new database once it is created.
+ * @param {Function} onCreated - Optional callback that receives the result of the switch
+ */
+export function openNewDatabaseDialog(onCreated) {
+  Promise.all([
+    import('../core/databaseService.js'),
+    import('./menuBar.js')
+  ]).then(([databaseService, menuBar]) => {
+    const existingDialog = document.getElementById('new-database-dialog');
+    if (existingDialog) {
+      document.body.removeChild(existingDialog);
+    }
+    
+    // Suggest a file next to the last database used
+    const lastPath = store.get('customDatabasePath') || store.get('databasePath') || '';
+    const lastDir = lastPath.substring(0, lastPath.lastIndexOf('/')) || '';
+    
+    const dialog = document.createElement('div');
+    dialog.id = 'new-database-dialog';
+    dialog.className = 'modal-dialog';
+    dialog.innerHTML = `
+      <div class="dialog-content" style="width: 500px; max-width: 90%;">
+        <div class="dialog-header">
+          <h3>New Database</h3>
+          <button class="close-button">&times;</button>
+        </div>
+        <div class="dialog-body">
+          <div class="form-group">
+            <label for="new-database-path-input">Database Path:</label>
+            <input type="text" id="new-database-path-input" style="width: 100%; box-sizing: border-box;"
+                   placeholder="/path/to/new-memory-graph.db">
+          </div>
+          <div class="form-info">
+            <p>Creates an SQLite file with the Memory Graph tables and indexes and switches to it.
+            The folder must exist; an existing database is never overwritten.</p>
+          </div>
+        </div>
+        <div class="dialog-footer">
+          <button id="create-database-button" class="primary-button">Create</button>
+          <button id="cancel-new-database-button" class="secondary-button">Cancel</button>
+        </div>
+      </div>
+    `;
+    
+    document.body.appendChild(dialog);
+    
+    const pathInput = dialog.querySelector('#new-database-path-input');
+    const createButton = dialog.querySelector('#create-database-button');
+    pathInput.value = `${lastDir}/new-memory-graph.db`;
+    
+    const close = () => {
+      if (document.body.contains(dialog)) {
+        document.body.removeChild(dialog);
+      }
+    };
+    
+    createButton.addEventListener('click', () => {
+      const path = pathInput.value.trim();
+      if (!path) {
+        alert('Please enter a path for the new database.');
+        return;
+      }
+      
+      createButton.disabled = true;
+      databaseService.createDatabaseAndReload(path)
+        .then(result => {
+          close();
+          menuBar.showDatabaseSwitchedNotification(result, 'Database Created', 'Created and switched to a new database');
+          if (onCreated) onCreated(result);
+        })
+        .catch(error => {
+          createButton.disabled = false;
+          alert(`Failed to create database: ${error.message}${error.details ? `\n${error.details}` : ''}`);
+        });
+    });
+    
+    dialog.querySelector('#cancel-new-database-button').addEventListener('click', close);
+    dialog.querySelector('.close-button').addEventListener('click', close);
+    
+    pathInput.focus();
+    
+    return dialog;
+  });
+}
+
 export default {
-  openDatabasePathDialog
+  openDatabasePathDialog,
+  openNewDatabaseDialog
 };
\ No newline at end of file
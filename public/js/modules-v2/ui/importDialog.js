@@ -0,0 +1,844 @@
+/**
+ * Import Dialog Module
+ *
+ * Dialogs for importing: a domain export, previewed against the database
+ * before anything is written and streamed to the server as NDJSON with
+ * progress reported over the WebSocket, a Markdown vault, such as one written by the
+ * Markdown export or an Obsidian vault folder, the JSONL knowledge graph
+ * of the MCP memory server, and a whole-database bundle.
+ */
+
+import store from '../state/store.js';
+import { on as onWebSocketEvent, subscribe, unsubscribe } from '../utils/webSocketService.js';
+
+const DOMAIN_DIALOG_ID = 'domain-import-dialog';
+const DIALOG_ID = 'markdown-import-dialog';
+const MCP_DIALOG_ID = 'mcp-memory-import-dialog';
+const BUNDLE_DIALOG_ID = 'bundle-import-dialog';
+
+// How much of an NDJSON file is read to find its domain record
+const NDJSON_HEAD_BYTES = 256 * 1024;
+
+// Strategies for nodes that already exist, in display order
+const IMPORT_STRATEGIES = [
+  { value: 'overwrite', label: 'Overwrite', description: 'Imported content and tags replace the existing ones.' },
+  { value: 'skip', label: 'Skip', description: 'Existing nodes and links are left as they are.' },
+  { value: 'keep-both', label: 'Keep both', description: 'Differing nodes are imported as copies with new ids.' },
+  { value: 'merge-tags', label: 'Merge tags', description: 'Existing nodes keep their content and gain the imported tags.' }
+];
+
+// Colors for node and edge statuses in the preview
+const STATUS_COLORS = {
+  new: '#4caf50',
+  changed: '#ffb74d',
+  unchanged: '#888',
+  conflict: '#e57373',
+  dangling: '#e57373'
+};
+
+// How each planned action is described in the preview
+const ACTION_LABELS = {
+  create: 'create',
+  copy: 'import as copy',
+  overwrite: 'overwrite',
+  'merge-tags': 'add tags',
+  skip: 'skip',
+  none: 'no change'
+};
+
+/**
+ * Show a notification summarizing a finished import
+ * @param {Object} result - Import response
+ * @param {string} message - Summary line
+ */
+function showImportNotification(result, message) {
+  const { stats, warnings = [] } = result;
+
+  const notification = document.createElement('div');
+  notification.className = 'success-notification';
+  notification.innerHTML = `
+    <div class="success-title">Import Successful</div>
+    <div class="success-message"></div>
+    <div class="success-details">
+      Nodes: ${stats.nodesImported} imported, ${stats.nodesUpdated} updated${stats.nodesUnchanged ? `, ${stats.nodesUnchanged} unchanged` : ''}${stats.nodesSkipped ? `, ${stats.nodesSkipped} skipped` : ''}<br>
+      Edges: ${stats.edgesImported} imported${stats.edgesUnchanged ? `, ${stats.edgesUnchanged} unchanged` : ''}, ${stats.edgesSkipped} skipped<br>
+      References: ${stats.domainRefsImported} imported${stats.domainRefsSkipped ? `, ${stats.domainRefsSkipped} skipped` : ''}<br>
+      ${stats.errors > 0 ? `Errors: ${stats.errors}<br>` : ''}
+      ${warnings.length > 0 ? `Warnings: ${warnings.length} (see console)<br>` : ''}
+      ${result.history && result.history.recorded === false ? 'Too large to undo' : ''}
+    </div>
+  `;
+
+  // Domain names come from the imported data, so add them as text
+  notification.querySelector('.success-message').textContent = message;
+
+  notification.style.position = 'fixed';
+  notification.style.bottom = '10px';
+  notification.style.right = '10px';
+  notification.style.backgroundColor = 'rgba(20, 60, 20, 0.95)';
+  notification.style.color = 'white';
+  notification.style.padding = '15px';
+  notification.style.borderRadius = '5px';
+  notification.style.zIndex = 2000;
+  notification.style.maxWidth = '400px';
+  notification.style.boxShadow = '0 4px 12px rgba(0, 0, 0, 0.5)';
+  notification.style.border = '1px solid rgba(100, 255, 100, 0.3)';
+
+  document.body.appendChild(notification);
+
+  setTimeout(() => {
+    if (document.body.contains(notification)) {
+      document.body.removeChild(notification);
+    }
+  }, 8000);
+}
+
+/**
+ * Read the Markdown notes of a folder picked with a directory input. Paths
+ * are made relative to the picked folder, so notes at its top level are not
+ * put in a domain named after it.
+ * @param {FileList} fileList - Picked files
+ * @returns {Promise<Array<Object>>} - Files as { path, content }
+ */
+function readFolderNotes(fileList) {
+  const notes = Array.from(fileList).filter(file => /\.md$/i.test(file.name));
+  return Promise.all(notes.map(file => file.text().then(content => ({
+    path: (file.webkitRelativePath || file.name).replace(/^[^/]+\//, ''),
+    content
+  }))));
+}
+
+/**
+ * Send an import to the server and refresh the graph
+ * @param {string} url - Import endpoint
+ * @param {Object} request - { body, contentType }
+ * @returns {Promise<Object>} - Import response
+ */
+function postImport(url, request) {
+  return fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': request.contentType },
+    body: request.body
+  })
+    .then(response => response.json())
+    .then(result => {
+      if (!result.success) {
+        throw new Error(result.error || 'Unknown error');
+      }
+
+      if (result.warnings && result.warnings.length > 0) {
+        console.warn('Import warnings:', result.warnings);
+      }
+      if (result.errors && result.errors.length > 0) {
+        console.error('Import errors:', result.errors);
+      }
+
+      // Refresh data
+      import('../core/graph.js').then(graph => {
+        graph.loadData(true);
+      });
+
+      import('../core/domainManagement.js').then(domainManagement => {
+        domainManagement.updateMemoryDomainsPanel();
+      });
+
+      import('../core/historyService.js').then(historyService => historyService.refreshHistoryStatus());
+
+      return result;
+    });
+}
+
+/**
+ * Read a domain export file for import. JSON exports are converted to NDJSON
+ * records; NDJSON exports are sent as they are, with only their head read to
+ * find the domain.
+ * @param {File} file - Picked .json or .ndjson file
+ * @returns {Promise<Object>} - Import source { domain, exportDate, nodeCount, edgeCount, body }
+ */
+export function readDomainImportFile(file) {
+  if (/\.(ndjson|jsonl)$/i.test(file.name)) {
+    return file.slice(0, NDJSON_HEAD_BYTES).text().then(head => {
+      const records = head.split('\n').slice(0, -1).map(line => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          return null;
+        }
+      });
+      const header = records.find(record => record && record.record === 'export') || {};
+      const domain = records.find(record => record && record.record === 'domain');
+
+      if (!domain || !domain.id) {
+        throw new Error('Invalid import file format: no domain record');
+      }
+
+      // Counting would mean reading the whole file, so the preview reports them instead
+      return { domain, exportDate: header.exportDate, nodeCount: null, edgeCount: null, body: file };
+    });
+  }
+
+  return file.text().then(text => {
+    const importData = JSON.parse(text);
+
+    // Validate the structure
+    if (!importData.domain || !importData.nodes || !importData.edges) {
+      throw new Error('Invalid import file format');
+    }
+
+    const records = [
+      { record: 'export', version: importData.version, exportDate: importData.exportDate },
+      { record: 'domain', ...importData.domain },
+      ...importData.nodes.map(node => ({ record: 'node', ...node })),
+      ...importData.edges.map(edge => ({ record: 'edge', ...edge }))
+    ];
+
+    return {
+      domain: importData.domain,
+      exportDate: importData.exportDate,
+      nodeCount: importData.nodes.length,
+      edgeCount: importData.edges.length,
+      body: new Blob(records.map(record => JSON.stringify(record) + '\n'), { type: 'application/x-ndjson' })
+    };
+  });
+}
+
+/**
+ * Ask the server what importing a domain export would do
+ * @param {Object} source - Import source from readDomainImportFile
+ * @param {string} strategy - Import strategy
+ * @returns {Promise<Object>} - Dry run result
+ */
+function fetchImportPreview(source, strategy) {
+  return fetch(`/api/domains/import?dryRun=true&strategy=${encodeURIComponent(strategy)}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-ndjson' },
+    body: source.body
+  })
+    .then(response => response.json())
+    .then(result => {
+      if (!result.success) {
+        throw new Error(result.error || 'Unknown error');
+      }
+      return result;
+    });
+}
+
+/**
+ * Create a colored status badge
+ * @param {string} status - Entry status
+ * @returns {HTMLElement} - Badge element
+ */
+function createStatusBadge(status) {
+  const badge = document.createElement('span');
+  badge.textContent = status;
+  badge.style.cssText = `display: inline-block; min-width: 70px; margin-right: 8px; font-size: 11px;
+    color: ${STATUS_COLORS[status]}; text-transform: uppercase;`;
+  return badge;
+}
+
+/**
+ * Render the changes of a node as a diff
+ * @param {Object} entry - Node plan entry
+ * @returns {HTMLElement} - Diff element
+ */
+function createNodeDiff(entry) {
+  const diff = document.createElement('div');
+  diff.style.cssText = `margin: 4px 0 8px 78px; padding: 6px; background: rgba(0, 0, 0, 0.3);
+    font-family: monospace; font-size: 11px; white-space: pre-wrap; word-break: break-word;`;
+
+  const addLine = (text, color) => {
+    const line = document.createElement('div');
+    line.textContent = text;
+    if (color) line.style.color = color;
+    diff.appendChild(line);
+  };
+
+  const { changes = {} } = entry;
+
+  if (entry.status === 'conflict') {
+    addLine(`domain: exists in '${entry.existingDomain}', importing into '${entry.domain}'`, STATUS_COLORS.conflict);
+  }
+
+  ['content_summary', 'path'].forEach(field => {
+    if (changes[field]) {
+      addLine(`${field}: ${changes[field].from || '(none)'} → ${changes[field].to || '(none)'}`);
+    }
+  });
+
+  if (changes.tags) {
+    if (changes.tags.added.length > 0) addLine(`tags added: ${changes.tags.added.join(', ')}`, STATUS_COLORS.new);
+    if (changes.tags.removed.length > 0) addLine(`tags removed: ${changes.tags.removed.join(', ')}`, STATUS_COLORS.conflict);
+  }
+
+  if (changes.content) {
+    changes.content.forEach(({ op, text }) => {
+      addLine(`${op} ${text}`, op === '+' ? STATUS_COLORS.new : op === '-' ? STATUS_COLORS.conflict : null);
+    });
+  }
+
+  return diff;
+}
+
+/**
+ * Render a dry run result into the preview area
+ * @param {HTMLElement} container - Preview area
+ * @param {Object} preview - Dry run result
+ */
+function renderImportPreview(container, preview) {
+  container.innerHTML = '';
+
+  const { summary } = preview;
+  const summaryLine = document.createElement('p');
+  summaryLine.textContent =
+    `Nodes: ${summary.nodes.new} new, ${summary.nodes.changed} changed, ${summary.nodes.conflict} in another domain, ` +
+    `${summary.nodes.unchanged} unchanged. Links: ${summary.edges.new} new, ${summary.edges.changed} changed, ` +
+    `${summary.edges.dangling} dangling, ${summary.edges.unchanged} unchanged.`;
+  container.appendChild(summaryLine);
+
+  const addRow = (entry, label, expandable) => {
+    const row = document.createElement('div');
+    row.style.cssText = 'padding: 3px 0; border-bottom: 1px solid rgba(255, 255, 255, 0.08);';
+
+    const header = document.createElement('div');
+    header.appendChild(createStatusBadge(entry.status));
+
+    const name = document.createElement('span');
+    name.textContent = label;
+    header.appendChild(name);
+
+    const action = document.createElement('span');
+    action.textContent = ` → ${ACTION_LABELS[entry.action]}${entry.newId ? ` (${entry.newId})` : ''}`;
+    action.style.color = '#aaa';
+    header.appendChild(action);
+
+    row.appendChild(header);
+
+    if (expandable) {
+      header.style.cursor = 'pointer';
+      header.title = 'Show changes';
+      let diff = null;
+      header.addEventListener('click', () => {
+        if (diff) {
+          row.removeChild(diff);
+          diff = null;
+        } else {
+          diff = createNodeDiff(entry);
+          row.appendChild(diff);
+        }
+      });
+    }
+
+    container.appendChild(row);
+  };
+
+  // Unchanged entries need no review, so only the rest are listed
+  preview.nodes
+    .filter(entry => entry.status !== 'unchanged')
+    .forEach(entry => addRow(entry, entry.id, entry.status === 'changed' || entry.status === 'conflict'));
+
+  preview.edges
+    .filter(entry => entry.status === 'changed' || entry.status === 'dangling')
+    .forEach(entry => {
+      const strength = entry.changes ? ` (strength ${entry.changes.strength.from} → ${entry.changes.strength.to})` : '';
+      addRow(entry, `${entry.source} → ${entry.target} [${entry.type}]${strength}`, false);
+    });
+}
+
+/**
+ * Work out how far an import has got. The server reads the whole upload
+ * (the first half of the bar) before writing it (the second half).
+ * @param {Object} progress - data of an 'import_progress' message
+ * @param {number} totalBytes - Size of the upload
+ * @returns {number} - Fraction done, from 0 to 1
+ */
+function importFraction(progress, totalBytes) {
+  if (progress.phase === 'done') return 1;
+
+  if (progress.phase === 'importing') {
+    const total = (progress.totalNodes || 0) + (progress.totalEdges || 0);
+    const written = (progress.nodes || 0) + (progress.edges || 0);
+    return 0.5 + (total > 0 ? Math.min(written / total, 1) / 2 : 0.5);
+  }
+
+  return Math.min(progress.bytesRead / totalBytes, 1) / 2;
+}
+
+/**
+ * Run a domain import, following its progress over the WebSocket
+ * @param {Object} source - Import source from readDomainImportFile
+ * @param {string} strategy - Import strategy
+ * @param {function} onProgress - Called with the fraction of the file imported
+ * @returns {Promise<Object>} - Import response
+ */
+function runDomainImport(source, strategy, onProgress) {
+  const progressId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  const topic = `import:${progressId}`;
+
+  // Without a connection the import still runs, just without progress
+  subscribe(topic);
+  const removeHandler = onWebSocketEvent('import_progress', progress => {
+    if (progress.id !== progressId) return;
+    onProgress(importFraction(progress, progress.totalBytes || source.body.size), progress);
+  });
+
+  const cleanUp = () => {
+    removeHandler();
+    unsubscribe(topic);
+  };
+
+  return postImport(`/api/domains/import?strategy=${encodeURIComponent(strategy)}&progress=${progressId}`, {
+    body: source.body,
+    contentType: 'application/x-ndjson'
+  })
+    .then(result => {
+      cleanUp();
+      return result;
+    }, error => {
+      cleanUp();
+      throw error;
+    });
+}
+
+/**
+ * Show the domain import dialog: a preview of what the import would change,
+ * refreshed whenever the strategy for existing nodes changes
+ * @param {Object} source - Import source from readDomainImportFile
+ */
+export function showDomainImportDialog(source) {
+  const existingDialog = document.getElementById(DOMAIN_DIALOG_ID);
+  if (existingDialog) {
+    document.body.removeChild(existingDialog);
+  }
+
+  const dialog = document.createElement('div');
+  dialog.id = DOMAIN_DIALOG_ID;
+  dialog.className = 'modal-dialog';
+  dialog.innerHTML = `
+    <div class="dialog-content" style="width: 620px;">
+      <div class="dialog-header">
+        <h3>Import Domain</h3>
+        <button class="close-button">&times;</button>
+      </div>
+      <div class="dialog-body">
+        <div class="import-info">
+          <p><strong>Domain:</strong> <span id="domain-import-name"></span></p>
+          ${source.nodeCount !== null
+            ? `<p><strong>Nodes:</strong> ${source.nodeCount}, <strong>Edges:</strong> ${source.edgeCount}</p>`
+            : `<p><strong>Size:</strong> ${(source.body.size / 1024).toFixed(1)} KB</p>`}
+          ${source.exportDate ? `<p><strong>Export Date:</strong> ${new Date(source.exportDate).toLocaleDateString()}</p>` : ''}
+        </div>
+        <div class="form-group">
+          <label for="domain-import-strategy">Existing nodes:</label>
+          <select id="domain-import-strategy" style="width: 100%; padding: 8px;">
+            ${IMPORT_STRATEGIES.map(strategy => `<option value="${strategy.value}">${strategy.label}</option>`).join('')}
+          </select>
+          <div id="domain-import-strategy-description" class="form-info" style="margin-top: 4px;"></div>
+        </div>
+        <div id="domain-import-preview" style="max-height: 320px; overflow-y: auto; font-size: 12px;">
+          Loading preview...
+        </div>
+        <div id="domain-import-progress" style="display: none; margin-top: 10px;">
+          <div style="height: 8px; background: rgba(255, 255, 255, 0.1); border-radius: 4px; overflow: hidden;">
+            <div id="domain-import-progress-bar" style="width: 0%; height: 100%; background: #4caf50; transition: width 0.2s;"></div>
+          </div>
+          <div id="domain-import-progress-text" class="form-info" style="margin-top: 4px;"></div>
+        </div>
+      </div>
+      <div class="dialog-footer">
+        <button class="primary-button" id="domain-import-btn" disabled>Import</button>
+        <button class="secondary-button" id="domain-import-cancel-btn">Cancel</button>
+      </div>
+    </div>
+  `;
+
+  // The domain name comes from the file, so add it as text
+  dialog.querySelector('#domain-import-name').textContent = `${source.domain.name} (${source.domain.id})`;
+
+  document.body.appendChild(dialog);
+
+  const strategySelect = dialog.querySelector('#domain-import-strategy');
+  const strategyDescription = dialog.querySelector('#domain-import-strategy-description');
+  const previewArea = dialog.querySelector('#domain-import-preview');
+  const importButton = dialog.querySelector('#domain-import-btn');
+  const progressArea = dialog.querySelector('#domain-import-progress');
+  const progressBar = dialog.querySelector('#domain-import-progress-bar');
+  const progressText = dialog.querySelector('#domain-import-progress-text');
+
+  const close = () => {
+    if (document.body.contains(dialog)) {
+      document.body.removeChild(dialog);
+    }
+  };
+
+  // Only the latest preview request may update the dialog
+  let previewRequest = 0;
+
+  const updatePreview = () => {
+    const strategy = strategySelect.value;
+    const requestId = ++previewRequest;
+
+    strategyDescription.textContent = IMPORT_STRATEGIES.find(option => option.value === strategy).description;
+    previewArea.textContent = 'Loading preview...';
+    importButton.disabled = true;
+
+    fetchImportPreview(source, strategy)
+      .then(preview => {
+        if (requestId !== previewRequest) return;
+        renderImportPreview(previewArea, preview);
+        importButton.disabled = false;
+      })
+      .catch(error => {
+        if (requestId !== previewRequest) return;
+        console.error('Import preview failed:', error);
+        previewArea.textContent = 'Preview failed: ' + error.message;
+      });
+  };
+
+  strategySelect.addEventListener('change', updatePreview);
+
+  importButton.addEventListener('click', () => {
+    const strategy = strategySelect.value;
+    importButton.disabled = true;
+    strategySelect.disabled = true;
+    progressArea.style.display = 'block';
+    progressBar.style.width = '0%';
+    progressText.textContent = 'Uploading...';
+
+    runDomainImport(source, strategy, (fraction, progress) => {
+      progressBar.style.width = `${Math.round(fraction * 100)}%`;
+      if (progress.phase === 'done') {
+        progressText.textContent = 'Finishing...';
+      } else if (progress.phase === 'importing') {
+        progressText.textContent = `${progress.nodes || 0} of ${progress.totalNodes} nodes, ` +
+          `${progress.edges || 0} of ${progress.totalEdges} edges`;
+      } else {
+        progressText.textContent = `Uploading... (${Math.round(fraction * 2 * 100)}%)`;
+      }
+    })
+      .then(result => {
+        close();
+        showImportNotification(result, `Domain "${result.domain}" imported successfully`);
+      })
+      .catch(error => {
+        importButton.disabled = false;
+        strategySelect.disabled = false;
+        progressArea.style.display = 'none';
+        console.error('Domain import failed:', error);
+        alert('Import failed: ' + error.message);
+      });
+  });
+
+  dialog.querySelector('#domain-import-cancel-btn').addEventListener('click', close);
+  dialog.querySelector('.close-button').addEventListener('click', close);
+
+  updatePreview();
+}
+
+/**
+ * Show the Markdown vault import dialog
+ */
+export function showMarkdownImportDialog() {
+  const existingDialog = document.getElementById(DIALOG_ID);
+  if (existingDialog) {
+    document.body.removeChild(existingDialog);
+  }
+
+  const dialog = document.createElement('div');
+  dialog.id = DIALOG_ID;
+  dialog.className = 'modal-dialog';
+  dialog.innerHTML = `
+    <div class="dialog-content" style="width: 460px;">
+      <div class="dialog-header">
+        <h3>Import Markdown Vault</h3>
+        <button class="close-button">&times;</button>
+      </div>
+      <div class="dialog-body">
+        <div class="form-group">
+          <label>Source:</label>
+          <label style="display: block; cursor: pointer;">
+            <input type="radio" name="markdown-import-source" value="zip" checked> Zip archive
+          </label>
+          <label style="display: block; cursor: pointer;">
+            <input type="radio" name="markdown-import-source" value="folder"> Folder
+          </label>
+        </div>
+        <div class="form-group">
+          <label for="markdown-import-domain">Default domain:</label>
+          <input type="text" id="markdown-import-domain" placeholder="For notes outside a domain folder"
+                 style="width: 100%; padding: 8px; box-sizing: border-box;">
+        </div>
+        <div class="form-info">
+          <p>Each note becomes a node. Front-matter sets its id, domain, tags and timestamp;
+          notes without them use their file name and folder. Links listed as [[wikilinks]]
+          become edges.</p>
+          <p>⚠️ Existing nodes with the same id are updated.</p>
+        </div>
+      </div>
+      <div class="dialog-footer">
+        <button class="primary-button" id="markdown-import-btn">Choose...</button>
+        <button class="secondary-button" id="markdown-import-cancel-btn">Cancel</button>
+      </div>
+    </div>
+  `;
+
+  document.body.appendChild(dialog);
+
+  const close = () => {
+    if (document.body.contains(dialog)) {
+      document.body.removeChild(dialog);
+    }
+  };
+
+  dialog.querySelector('#markdown-import-btn').addEventListener('click', () => {
+    const source = dialog.querySelector('input[name="markdown-import-source"]:checked').value;
+    const defaultDomain = dialog.querySelector('#markdown-import-domain').value.trim();
+
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.style.display = 'none';
+    if (source === 'folder') {
+      fileInput.webkitdirectory = true;
+    } else {
+      fileInput.accept = '.zip';
+    }
+
+    fileInput.addEventListener('change', (event) => {
+      const files = event.target.files;
+      if (!files || files.length === 0) return;
+
+      const request = source === 'folder'
+        ? readFolderNotes(files).then(notes => ({
+          body: JSON.stringify({ files: notes }),
+          contentType: 'application/json'
+        }))
+        : Promise.resolve({ body: files[0], contentType: 'application/zip' });
+
+      console.log(`Importing Markdown vault from ${source}`);
+
+      const params = new URLSearchParams();
+      if (defaultDomain) {
+        params.set('domain', defaultDomain);
+      }
+
+      request
+        .then(vault => postImport(`/api/import/markdown?${params}`, vault))
+        .then(result => {
+          close();
+          showImportNotification(result,
+            `Imported into ${result.domains.length === 1 ? 'domain' : 'domains'} ${result.domains.join(', ')}`);
+        })
+        .catch(error => {
+          console.error('Markdown import failed:', error);
+          alert('Import failed: ' + error.message);
+        });
+    });
+
+    // Trigger file selection
+    document.body.appendChild(fileInput);
+    fileInput.click();
+    document.body.removeChild(fileInput);
+  });
+
+  dialog.querySelector('#markdown-import-cancel-btn').addEventListener('click', close);
+  dialog.querySelector('.close-button').addEventListener('click', close);
+}
+
+/**
+ * Show the MCP memory JSONL import dialog
+ */
+export function showMcpMemoryImportDialog() {
+  const existingDialog = document.getElementById(MCP_DIALOG_ID);
+  if (existingDialog) {
+    document.body.removeChild(existingDialog);
+  }
+
+  const allDomains = store.get('allDomains') || [];
+
+  const dialog = document.createElement('div');
+  dialog.id = MCP_DIALOG_ID;
+  dialog.className = 'modal-dialog';
+  dialog.innerHTML = `
+    <div class="dialog-content" style="width: 460px;">
+      <div class="dialog-header">
+        <h3>Import MCP Memory</h3>
+        <button class="close-button">&times;</button>
+      </div>
+      <div class="dialog-body">
+        <div class="form-group">
+          <label for="mcp-memory-import-domain">Import into domain:</label>
+          <input type="text" id="mcp-memory-import-domain" list="mcp-memory-import-domains"
+                 placeholder="Existing or new domain" style="width: 100%; padding: 8px; box-sizing: border-box;">
+          <datalist id="mcp-memory-import-domains"></datalist>
+        </div>
+        <div class="form-info">
+          <p>Reads the JSONL file of the MCP memory server. Each entity becomes a node, tagged
+          with its entity type, with one line per observation; each relation becomes a link.</p>
+          <p>⚠️ Entities imported into this domain before are updated.</p>
+        </div>
+      </div>
+      <div class="dialog-footer">
+        <button class="primary-button" id="mcp-memory-import-btn">Choose File...</button>
+        <button class="secondary-button" id="mcp-memory-import-cancel-btn">Cancel</button>
+      </div>
+    </div>
+  `;
+
+  // Domain names come from the database, so add them as text
+  const domainList = dialog.querySelector('#mcp-memory-import-domains');
+  allDomains.forEach(domain => {
+    const option = document.createElement('option');
+    option.value = domain;
+    domainList.appendChild(option);
+  });
+
+  document.body.appendChild(dialog);
+
+  const close = () => {
+    if (document.body.contains(dialog)) {
+      document.body.removeChild(dialog);
+    }
+  };
+
+  dialog.querySelector('#mcp-memory-import-btn').addEventListener('click', () => {
+    const domain = dialog.querySelector('#mcp-memory-import-domain').value.trim();
+    if (!domain) {
+      alert('Please enter a domain to import into');
+      return;
+    }
+
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.jsonl,.json,.ndjson';
+    fileInput.style.display = 'none';
+
+    fileInput.addEventListener('change', (event) => {
+      const file = event.target.files[0];
+      if (!file) return;
+
+      console.log(`Importing MCP memory into domain ${domain}`);
+
+      file.text()
+        .then(text => postImport(`/api/domains/${encodeURIComponent(domain)}/import/mcp-memory`, {
+          body: text,
+          contentType: 'text/plain'
+        }))
+        .then(result => {
+          close();
+          showImportNotification(result, `Imported into domain ${result.domain}`);
+        })
+        .catch(error => {
+          console.error('MCP memory import failed:', error);
+          alert('Import failed: ' + error.message);
+        });
+    });
+
+    // Trigger file selection
+    document.body.appendChild(fileInput);
+    fileInput.click();
+    document.body.removeChild(fileInput);
+  });
+
+  dialog.querySelector('#mcp-memory-import-cancel-btn').addEventListener('click', close);
+  dialog.querySelector('.close-button').addEventListener('click', close);
+}
+
+/**
+ * Show the whole-database bundle import dialog
+ */
+export function showBundleImportDialog() {
+  const existingDialog = document.getElementById(BUNDLE_DIALOG_ID);
+  if (existingDialog) {
+    document.body.removeChild(existingDialog);
+  }
+
+  const dialog = document.createElement('div');
+  dialog.id = BUNDLE_DIALOG_ID;
+  dialog.className = 'modal-dialog';
+  dialog.innerHTML = `
+    <div class="dialog-content" style="width: 460px;">
+      <div class="dialog-header">
+        <h3>Import Database Bundle</h3>
+        <button class="close-button">&times;</button>
+      </div>
+      <div class="dialog-body">
+        <div class="form-group">
+          <label for="bundle-import-strategy">Existing nodes:</label>
+          <select id="bundle-import-strategy" style="width: 100%; padding: 8px;">
+            ${IMPORT_STRATEGIES.map(strategy => `<option value="${strategy.value}">${strategy.label}</option>`).join('')}
+          </select>
+          <div id="bundle-import-strategy-description" class="form-info" style="margin-top: 4px;"></div>
+        </div>
+        <div class="form-info">
+          <p>Restores every domain, node, tag and link of a bundle exported with
+          "Export Database Bundle...", including links and references between domains.</p>
+          <p>⚠️ Bundles from a different schema version or with damaged files are rejected.</p>
+        </div>
+      </div>
+      <div class="dialog-footer">
+        <button class="primary-button" id="bundle-import-btn">Choose File...</button>
+        <button class="secondary-button" id="bundle-import-cancel-btn">Cancel</button>
+      </div>
+    </div>
+  `;
+
+  document.body.appendChild(dialog);
+
+  const strategySelect = dialog.querySelector('#bundle-import-strategy');
+  const strategyDescription = dialog.querySelector('#bundle-import-strategy-description');
+  const updateDescription = () => {
+    strategyDescription.textContent = IMPORT_STRATEGIES.find(option => option.value === strategySelect.value).description;
+  };
+  strategySelect.addEventListener('change', updateDescription);
+  updateDescription();
+
+  const close = () => {
+    if (document.body.contains(dialog)) {
+      document.body.removeChild(dialog);
+    }
+  };
+
+  dialog.querySelector('#bundle-import-btn').addEventListener('click', () => {
+    const strategy = strategySelect.value;
+
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.zip';
+    fileInput.style.display = 'none';
+
+    fileInput.addEventListener('change', (event) => {
+      const file = event.target.files[0];
+      if (!file) return;
+
+      console.log(`Importing database bundle ${file.name} (strategy: ${strategy})`);
+
+      postImport(`/api/import/bundle?strategy=${encodeURIComponent(strategy)}`, {
+        body: file,
+        contentType: 'application/zip'
+      })
+        .then(result => {
+          close();
+          showImportNotification(result, `Imported ${result.domains.length} ${result.domains.length === 1 ? 'domain' : 'domains'}`);
+        })
+        .catch(error => {
+          console.error('Bundle import failed:', error);
+          alert('Import failed: ' + error.message);
+        });
+    });
+
+    // Trigger file selection
+    document.body.appendChild(fileInput);
+    fileInput.click();
+    document.body.removeChild(fileInput);
+  });
+
+  dialog.querySelector('#bundle-import-cancel-btn').addEventListener('click', close);
+  dialog.querySelector('.close-button').addEventListener('click', close);
+}
+
+export default {
+  readDomainImportFile,
+  showDomainImportDialog,
+  showMarkdownImportDialog,
+  showMcpMemoryImportDialog,
+  showBundleImportDialog
+};
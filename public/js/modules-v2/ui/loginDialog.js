@@ -0,0 +1,85 @@
+/**
+ * Login Dialog Module
+ *
+ * Asks for an API token when the server requires one. The application
+ * starts once a valid token is entered.
+ */
+
+import { login } from '../core/authService.js';
+
+const DIALOG_ID = 'login-dialog';
+
+/**
+ * Show the login dialog
+ * @returns {Promise<Object>} - Resolves with { enabled, authenticated, role } after a successful login
+ */
+export function showLoginDialog() {
+  return new Promise(resolve => {
+    const existingDialog = document.getElementById(DIALOG_ID);
+    if (existingDialog) {
+      document.body.removeChild(existingDialog);
+    }
+
+    const dialog = document.createElement('div');
+    dialog.id = DIALOG_ID;
+    dialog.className = 'modal-dialog';
+    dialog.innerHTML = `
+      <div class="dialog-content" style="width: 400px;">
+        <div class="dialog-header">
+          <h3>Log In</h3>
+        </div>
+        <div class="dialog-body">
+          <div class="form-group">
+            <label for="login-token">API token:</label>
+            <input type="password" id="login-token" autocomplete="current-password" style="width: 100%; padding: 8px;">
+          </div>
+          <div id="login-error" class="form-info" style="color: #e57373; display: none;"></div>
+          <div class="form-info">
+            <p>This server requires an API token. Read-only tokens can browse the graph but not change it.</p>
+          </div>
+        </div>
+        <div class="dialog-footer">
+          <button class="primary-button" id="login-btn">Log In</button>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(dialog);
+
+    const tokenInput = dialog.querySelector('#login-token');
+    const loginButton = dialog.querySelector('#login-btn');
+    const errorMessage = dialog.querySelector('#login-error');
+
+    const submit = () => {
+      const token = tokenInput.value.trim();
+      if (!token) return;
+
+      loginButton.disabled = true;
+      errorMessage.style.display = 'none';
+
+      login(token)
+        .then(result => {
+          document.body.removeChild(dialog);
+          resolve({ enabled: true, authenticated: true, role: result.role });
+        })
+        .catch(error => {
+          console.error('Login failed:', error);
+          errorMessage.textContent = error.message;
+          errorMessage.style.display = 'block';
+          loginButton.disabled = false;
+          tokenInput.select();
+        });
+    };
+
+    loginButton.addEventListener('click', submit);
+    tokenInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') submit();
+    });
+
+    tokenInput.focus();
+  });
+}
+
+export default {
+  showLoginDialog
+};
@@ -8,6 +8,13 @@ import { toggleMemoryDomainsPanel } from '../core/domainManagement/ui.js';
 import { toggleReferencePlane } from '../core/graph/referencePlane.js';
 import { refreshDataFromDatabaseChange } from '../utils/webSocketService.js';
 import { applyVisualizationStyle, getVisualizationStyles, getActiveVisualizationStyle } from '../core/visualizationManager.js';
+import { createSearchBox } from './searchBar.js';
+import { toggleTagsPanel } from './tagsPanel.js';
+import { togglePresencePanel } from './presencePanel.js';
+import { showGraphExportDialog } from './exportDialog.js';
+import { readDomainImportFile, showDomainImportDialog, showMarkdownImportDialog, showMcpMemoryImportDialog, showBundleImportDialog } from './importDialog.js';
+import { showSnapshotsDialog } from './snapshotDialog.js';
+import { isReadOnly, logout } from '../core/authService.js';
 
 // Cache DOM elements
 let menuBarElement = null;
@@ -152,6 +159,17 @@ function addSeparator(dropdown) {
   const separator = document.createElement('div');
   separator.className = 'menu-separator';
   dropdown.appendChild(separator);
+  return separator;
+}
+
+/**
+ * Mark a menu element as an editing control, hidden for read-only tokens
+ * @param {HTMLElement} element - Menu category, item or separator
+ * @returns {HTMLElement} - The same element
+ */
+function editOnly(element) {
+  element.classList.add('edit-only');
+  return element;
 }
 
 /**
@@ -233,6 +251,171 @@ export function updateDatabaseChangeBadge(isVisible) {
   }
 }
 
+/**
+ * Show a notification that the app switched to another database
+ * @param {Object} result - Result of the switch
+ * @param {string} title - Notification title
+ * @param {string} message - Notification message
+ */
+export function showDatabaseSwitchedNotification(result, title = 'Database Updated', message = 'Successfully switched to new database') {
+  // Create success notification
+  const notification = document.createElement('div');
+  notification.className = 'success-notification';
+  
+  // Add success message
+  let successContent = `<div class="success-title">${title}</div>`;
+  successContent += `<div class="success-message">${message}</div>`;
+  
+  // Add path details
+  if (result && result.newPath) {
+    successContent += `<div class="success-details">Path: ${result.newPath}</div>`;
+  }
+  
+  notification.innerHTML = successContent;
+  
+  // Style the notification
+  notification.style.position = 'fixed';
+  notification.style.bottom = '10px';
+  notification.style.right = '10px';
+  notification.style.backgroundColor = 'rgba(20, 60, 20, 0.95)';
+  notification.style.color = 'white';
+  notification.style.padding = '15px';
+  notification.style.borderRadius = '5px';
+  notification.style.zIndex = 2000;
+  notification.style.maxWidth = '400px';
+  notification.style.boxShadow = '0 4px 12px rgba(0, 0, 0, 0.5)';
+  notification.style.border = '1px solid rgba(100, 255, 100, 0.3)';
+  
+  // Style success title
+  const titleStyle = document.createElement('style');
+  titleStyle.textContent = `
+    .success-title {
+      font-weight: bold;
+      font-size: 16px;
+      margin-bottom: 8px;
+      color: #88ff88;
+    }
+    .success-message {
+      margin-bottom: 8px;
+    }
+    .success-details {
+      font-size: 13px;
+      color: #cccccc;
+      border-top: 1px solid rgba(100, 255, 100, 0.3);
+      padding-top: 8px;
+      margin-top: 8px;
+      word-break: break-all;
+    }
+  `;
+  document.head.appendChild(titleStyle);
+  
+  // Add close button
+  const closeButton = document.createElement('div');
+  closeButton.textContent = '✕';
+  closeButton.style.position = 'absolute';
+  closeButton.style.top = '8px';
+  closeButton.style.right = '8px';
+  closeButton.style.cursor = 'pointer';
+  closeButton.style.color = '#88ff88';
+  closeButton.style.fontSize = '16px';
+  closeButton.addEventListener('click', () => {
+    if (document.body.contains(notification)) {
+      document.body.removeChild(notification);
+    }
+  });
+  
+  notification.appendChild(closeButton);
+  document.body.appendChild(notification);
+  
+  // Remove notification after 5 seconds
+  setTimeout(() => {
+    if (document.body.contains(notification)) {
+      document.body.removeChild(notification);
+    }
+  }, 5000);
+}
+
+/**
+ * Show a notification that switching databases failed
+ * @param {Error} error - Error with optional details
+ */
+function showDatabaseErrorNotification(error) {
+  // Create detailed error notification
+  const errorNotification = document.createElement('div');
+  errorNotification.className = 'error-notification';
+  
+  // Add error title and message
+  let errorContent = `<div class="error-title">Database Error</div>`;
+  errorContent += `<div class="error-message">${error.message || 'Failed to update database'}</div>`;
+  
+  // Add error details if available
+  if (error.details) {
+    errorContent += `<div class="error-details">${error.details}</div>`;
+  }
+  
+  errorNotification.innerHTML = errorContent;
+  
+  // Style the notification
+  errorNotification.style.position = 'fixed';
+  errorNotification.style.bottom = '10px';
+  errorNotification.style.right = '10px';
+  errorNotification.style.backgroundColor = 'rgba(60, 20, 20, 0.95)';
+  errorNotification.style.color = 'white';
+  errorNotification.style.padding = '15px';
+  errorNotification.style.borderRadius = '5px';
+  errorNotification.style.zIndex = 2000;
+  errorNotification.style.maxWidth = '400px';
+  errorNotification.style.boxShadow = '0 4px 12px rgba(0, 0, 0, 0.5)';
+  errorNotification.style.border = '1px solid rgba(255, 100, 100, 0.3)';
+  
+  // Style error title
+  const titleStyle = document.createElement('style');
+  titleStyle.textContent = `
+    .error-title {
+      font-weight: bold;
+      font-size: 16px;
+      margin-bottom: 8px;
+      color: #ff8888;
+    }
+    .error-message {
+      margin-bottom: 8px;
+    }
+    .error-details {
+      font-size: 13px;
+      color: #cccccc;
+      border-top: 1px solid rgba(255, 100, 100, 0.3);
+      padding-top: 8px;
+      margin-top: 8px;
+    }
+  `;
+  document.head.appendChild(titleStyle);
+  
+  // Add close button
+  const closeButton = document.createElement('div');
+  closeButton.textContent = '✕';
+  closeButton.style.position = 'absolute';
+  closeButton.style.top = '8px';
+  closeButton.style.right = '8px';
+  closeButton.style.cursor = 'pointer';
+  closeButton.style.color = '#ff8888';
+  closeButton.style.fontSize = '16px';
+  closeButton.addEventListener('click', () => {
+    if (document.body.contains(errorNotification)) {
+      document.body.removeChild(errorNotification);
+    }
+  });
+  
+  errorNotification.appendChild(closeButton);
+  document.body.appendChild(errorNotification);
+  
+  // Remove notification after 8 seconds
+  setTimeout(() => {
+    if (document.body.contains(errorNotification)) {
+      document.body.removeChild(errorNotification);
+    }
+  }, 8000);
+}
+
 /**
  * Initialize the menu bar
  */
@@ -266,6 +449,20 @@ export function initMenuBar() {
     const { category: fileCategory, dropdown: fileDropdown } = createMenuCategory('File');
     
     // Add items to File dropdown
+    fileDropdown.appendChild(
+      editOnly(createDropdownItem('New Memory...', () => {
+        import('../core/nodeInteractions.js').then(nodeInteractions => {
+          // Place the new node in the middle of the current view
+          nodeInteractions.handleCreateNode({
+            x: window.innerWidth / 2,
+            y: window.innerHeight / 2
+          });
+        });
+      }))
+    );
+    
+    editOnly(addSeparator(fileDropdown));
+    
     fileDropdown.appendChild(
       createDropdownItem('Refresh Data', () => {
         Promise.all([
@@ -286,9 +483,15 @@ export function initMenuBar() {
       })
     );
     
+    fileDropdown.appendChild(
+      editOnly(createDropdownItem('New Database...', () => {
+        import('../ui/fileDialog.js').then(fileDialog => fileDialog.openNewDatabaseDialog());
+      }))
+    );
+    
     // Add select database path option
     fileDropdown.appendChild(
-      createDropdownItem('Select Database...', () => {
+      editOnly(createDropdownItem('Select Database...', () => {
         // Import modules dynamically to avoid circular dependencies
         Promise.all([
           import('../ui/fileDialog.js'),
@@ -300,165 +503,22 @@ export function initMenuBar() {
               databaseService.updateDatabaseAndReload(selectedPath)
                 .then(result => {
                   console.log('Database updated:', result);
-                  
-                  // Create success notification
-                  const notification = document.createElement('div');
-                  notification.className = 'success-notification';
-                  
-                  // Add success message
-                  let successContent = `<div class="success-title">Database Updated</div>`;
-                  successContent += `<div class="success-message">Successfully switched to new database</div>`;
-                  
-                  // Add path details
-                  if (result && result.newPath) {
-                    successContent += `<div class="success-details">Path: ${result.newPath}</div>`;
-                  }
-                  
-                  notification.innerHTML = successContent;
-                  
-                  // Style the notification
-                  notification.style.position = 'fixed';
-                  notification.style.bottom = '10px';
-                  notification.style.right = '10px';
-                  notification.style.backgroundColor = 'rgba(20, 60, 20, 0.95)';
-                  notification.style.color = 'white';
-                  notification.style.padding = '15px';
-                  notification.style.borderRadius = '5px';
-                  notification.style.zIndex = 2000;
-                  notification.style.maxWidth = '400px';
-                  notification.style.boxShadow = '0 4px 12px rgba(0, 0, 0, 0.5)';
-                  notification.style.border = '1px solid rgba(100, 255, 100, 0.3)';
-                  
-                  // Style success title
-                  const titleStyle = document.createElement('style');
-                  titleStyle.textContent = `
-                    .success-title {
-                      font-weight: bold;
-                      font-size: 16px;
-                      margin-bottom: 8px;
-                      color: #88ff88;
-                    }
-                    .success-message {
-                      margin-bottom: 8px;
-                    }
-                    .success-details {
-                      font-size: 13px;
-                      color: #cccccc;
-                      border-top: 1px solid rgba(100, 255, 100, 0.3);
-                      padding-top: 8px;
-                      margin-top: 8px;
-                      word-break: break-all;
-                    }
-                  `;
-                  document.head.appendChild(titleStyle);
-                  
-                  // Add close button
-                  const closeButton = document.createElement('div');
-                  closeButton.textContent = '✕';
-                  closeButton.style.position = 'absolute';
-                  closeButton.style.top = '8px';
-                  closeButton.style.right = '8px';
-                  closeButton.style.cursor = 'pointer';
-                  closeButton.style.color = '#88ff88';
-                  closeButton.style.fontSize = '16px';
-                  closeButton.addEventListener('click', () => {
-                    if (document.body.contains(notification)) {
-                      document.body.removeChild(notification);
-                    }
-                  });
-                  
-                  notification.appendChild(closeButton);
-                  document.body.appendChild(notification);
-                  
-                  // Remove notification after 5 seconds
-                  setTimeout(() => {
-                    if (document.body.contains(notification)) {
-                      document.body.removeChild(notification);
-                    }
-                  }, 5000);
+                  showDatabaseSwitchedNotification(result);
                 })
                 .catch(error => {
                   console.error('Error updating database:', error);
-                  
-                  // Create detailed error notification
-                  const errorNotification = document.createElement('div');
-                  errorNotification.className = 'error-notification';
-                  
-                  // Add error title and message
-                  let errorContent = `<div class="error-title">Database Error</div>`;
-                  errorContent += `<div class="error-message">${error.message || 'Failed to update database'}</div>`;
-                  
-                  // Add error details if available
-                  if (error.details) {
-                    errorContent += `<div class="error-details">${error.details}</div>`;
-                  }
-                  
-                  errorNotification.innerHTML = errorContent;
-                  
-                  // Style the notification
-                  errorNotification.style.position = 'fixed';
-                  errorNotification.style.bottom = '10px';
-                  errorNotification.style.right = '10px';
-                  errorNotification.style.backgroundColor = 'rgba(60, 20, 20, 0.95)';
-                  errorNotification.style.color = 'white';
-                  errorNotification.style.padding = '15px';
-                  errorNotification.style.borderRadius = '5px';
-                  errorNotification.style.zIndex = 2000;
-                  errorNotification.style.maxWidth = '400px';
-                  errorNotification.style.boxShadow = '0 4px 12px rgba(0, 0, 0, 0.5)';
-                  errorNotification.style.border = '1px solid rgba(255, 100, 100, 0.3)';
-                  
-                  // Style error title
-                  const titleStyle = document.createElement('style');
-                  titleStyle.textContent = `
-                    .error-title {
-                      font-weight: bold;
-                      font-size: 16px;
-                      margin-bottom: 8px;
-                      color: #ff8888;
-                    }
-                    .error-message {
-                      margin-bottom: 8px;
-                    }
-                    .error-details {
-                      font-size: 13px;
-                      color: #cccccc;
-                      border-top: 1px solid rgba(255, 100, 100, 0.3);
-                      padding-top: 8px;
-                      margin-top: 8px;
-                    }
-                  `;
-                  document.head.appendChild(titleStyle);
-                  
-                  // Add close button
-                  const closeButton = document.createElement('div');
-                  closeButton.textContent = '✕';
-                  closeButton.style.position = 'absolute';
-                  closeButton.style.top = '8px';
-                  closeButton.style.right = '8px';
-                  closeButton.style.cursor = 'pointer';
-                  closeButton.style.color = '#ff8888';
-                  closeButton.style.fontSize = '16px';
-                  closeButton.addEventListener('click', () => {
-                    if (document.body.contains(errorNotification)) {
-                      document.body.removeChild(errorNotification);
-                    }
-                  });
-                  
-                  errorNotification.appendChild(closeButton);
-                  document.body.appendChild(errorNotification);
-                  
-                  // Remove notification after 8 seconds
-                  setTimeout(() => {
-                    if (document.body.contains(errorNotification)) {
-                      document.body.removeChild(errorNotification);
-                    }
-                  }, 8000);
+                  showDatabaseErrorNotification(error);
                 });
             }
           });
         });
-      })
+      }))
+    );
+    
+    fileDropdown.appendChild(
+      editOnly(createDropdownItem('Snapshots...', () => {
+        showSnapshotsDialog();
+      }))
     );
     
     // Add get current database path option
@@ -558,6 +618,14 @@ export function initMenuBar() {
                     }).join('')}
                   </select>
                 </div>
+                <div class="form-group">
+                  <label for="export-domain-format">Format:</label>
+                  <select id="export-domain-format" style="width: 100%; padding: 8px;">
+                    <option value="json">Memory Graph (JSON)</option>
+                    <option value="ndjson">Memory Graph (NDJSON, streamed for large domains)</option>
+                    <option value="mcp-memory">MCP memory server (JSONL)</option>
+                  </select>
+                </div>
               </div>
               <div class="dialog-footer">
                 <button class="primary-button" id="export-domain-btn">Export</button>
@@ -571,7 +639,25 @@ export function initMenuBar() {
           // Add event handlers after the dialog is added to DOM
           document.getElementById('export-domain-btn').addEventListener('click', () => {
             const selectedDomain = document.getElementById('export-domain-select').value;
-            fetch('/api/domains/' + selectedDomain + '/export')
+            const format = document.getElementById('export-domain-format').value;
+            const isMcpMemory = format === 'mcp-memory';
+            const exportUrl = '/api/domains/' + encodeURIComponent(selectedDomain) + '/export' +
+              (isMcpMemory ? '/mcp-memory' : '');
+            
+            if (format === 'ndjson') {
+              // Let the browser download the stream directly instead of buffering it here
+              const a = document.createElement('a');
+              a.style.display = 'none';
+              a.href = exportUrl + '?format=ndjson';
+              a.download = selectedDomain + '-export.ndjson';
+              document.body.appendChild(a);
+              a.click();
+              document.body.removeChild(a);
+              document.body.removeChild(dialog);
+              return;
+            }
+            
+            fetch(exportUrl)
               .then(response => {
                 if (!response.ok) throw new Error('Export failed');
                 return response.blob();
@@ -581,7 +667,7 @@ export function initMenuBar() {
                 const a = document.createElement('a');
                 a.style.display = 'none';
                 a.href = url;
-                a.download = selectedDomain + '-export.json';
+                a.download = selectedDomain + (isMcpMemory ? '-memory.jsonl' : '-export.json');
                 document.body.appendChild(a);
                 a.click();
                 window.URL.revokeObjectURL(url);
@@ -613,136 +699,41 @@ export function initMenuBar() {
     );
     
     fileDropdown.appendChild(
-      createDropdownItem('Import Domain...', () => {
+      createDropdownItem('Export Database Bundle', () => {
+        // Let the browser download the bundle directly
+        const a = document.createElement('a');
+        a.style.display = 'none';
+        a.href = '/api/export?format=bundle';
+        a.download = 'memory-graph-export.bundle.zip';
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+      })
+    );
+    
+    fileDropdown.appendChild(
+      createDropdownItem('Export Graph (GraphML/GEXF/Markdown)...', () => {
+        showGraphExportDialog();
+      })
+    );
+    
+    fileDropdown.appendChild(
+      editOnly(createDropdownItem('Import Domain...', () => {
         // Create file input for importing
         const fileInput = document.createElement('input');
         fileInput.type = 'file';
-        fileInput.accept = '.json';
+        fileInput.accept = '.json,.ndjson,.jsonl';
         fileInput.style.display = 'none';
         
         fileInput.addEventListener('change', (event) => {
           const file = event.target.files[0];
           if (file) {
-            const reader = new FileReader();
-            reader.onload = (e) => {
-              try {
-                const importData = JSON.parse(e.target.result);
-                
-                // Validate the structure
-                if (!importData.domain || !importData.nodes || !importData.edges) {
-                  throw new Error('Invalid import file format');
-                }
-                
-                // Show confirmation dialog
-                const confirmDialog = document.createElement('div');
-                confirmDialog.className = 'modal-dialog';
-                confirmDialog.innerHTML = `
-                  <div class="dialog-content" style="width: 500px;">
-                    <div class="dialog-header">
-                      <h3>Import Domain</h3>
-                      <button class="close-button">&times;</button>
-                    </div>
-                    <div class="dialog-body">
-                      <div class="import-info">
-                        <p><strong>Domain:</strong> ${importData.domain.name} (${importData.domain.id})</p>
-                        <p><strong>Nodes:</strong> ${importData.nodes.length}</p>
-                        <p><strong>Edges:</strong> ${importData.edges.length}</p>
-                        <p><strong>Export Date:</strong> ${new Date(importData.exportDate).toLocaleDateString()}</p>
-                      </div>
-                      <div class="form-info" style="margin-top: 15px;">
-                        <p>⚠️ If this domain already exists, nodes will be updated and new nodes will be added.</p>
-                      </div>
-                    </div>
-                    <div class="dialog-footer">
-                      <button class="primary-button" id="confirm-import-btn">Import</button>
-                      <button class="secondary-button" id="cancel-import-btn">Cancel</button>
-                    </div>
-                  </div>
-                `;
-                
-                document.body.appendChild(confirmDialog);
-                
-                // Add event handlers for dialog buttons
-                document.getElementById('cancel-import-btn').addEventListener('click', () => {
-                  document.body.removeChild(confirmDialog);
-                });
-                
-                confirmDialog.querySelector('.close-button').addEventListener('click', () => {
-                  document.body.removeChild(confirmDialog);
-                });
-                
-                // Handle import confirmation
-                document.getElementById('confirm-import-btn').addEventListener('click', () => {
-                  fetch('/api/domains/import', {
-                    method: 'POST',
-                    headers: {
-                      'Content-Type': 'application/json'
-                    },
-                    body: JSON.stringify(importData)
-                  })
-                  .then(response => response.json())
-                  .then(result => {
-                    document.body.removeChild(confirmDialog);
-                    
-                    if (result.success) {
-                      // Show success notification
-                      const notification = document.createElement('div');
-                      notification.className = 'success-notification';
-                      notification.innerHTML = `
-                        <div class="success-title">Import Successful</div>
-                        <div class="success-message">
-                          Domain "${result.domain}" imported successfully
-                        </div>
-                        <div class="success-details">
-                          Nodes: ${result.stats.nodesImported} imported, ${result.stats.nodesUpdated} updated<br>
-                          Edges: ${result.stats.edgesImported} imported, ${result.stats.edgesSkipped} skipped<br>
-                          ${result.stats.errors > 0 ? `Errors: ${result.stats.errors}` : ''}
-                        </div>
-                      `;
-                      
-                      notification.style.position = 'fixed';
-                      notification.style.bottom = '10px';
-                      notification.style.right = '10px';
-                      notification.style.backgroundColor = 'rgba(20, 60, 20, 0.95)';
-                      notification.style.color = 'white';
-                      notification.style.padding = '15px';
-                      notification.style.borderRadius = '5px';
-                      notification.style.zIndex = 2000;
-                      notification.style.maxWidth = '400px';
-                      notification.style.boxShadow = '0 4px 12px rgba(0, 0, 0, 0.5)';
-                      notification.style.border = '1px solid rgba(100, 255, 100, 0.3)';
-                      
-                      document.body.appendChild(notification);
-                      
-                      // Refresh data
-                      import('../core/graph.js').then(graph => {
-                        graph.loadData(true);
-                      });
-                      
-                      import('../core/domainManagement.js').then(domainManagement => {
-                        domainManagement.updateMemoryDomainsPanel();
-                      });
-                      
-                      setTimeout(() => {
-                        if (document.body.contains(notification)) {
-                          document.body.removeChild(notification);
-                        }
-                      }, 8000);
-                    } else {
-                      alert('Import failed: ' + result.error);
-                    }
-                  })
-                  .catch(error => {
-                    document.body.removeChild(confirmDialog);
-                    alert('Import failed: ' + error.message);
-                  });
-                });
-                
-              } catch (error) {
+            // Preview the import against the database before committing it
+            readDomainImportFile(file)
+              .then(showDomainImportDialog)
+              .catch(error => {
                 alert('Error reading file: ' + error.message);
-              }
-            };
-            reader.readAsText(file);
+              });
           }
         });
         
@@ -750,10 +741,77 @@ export function initMenuBar() {
         document.body.appendChild(fileInput);
         fileInput.click();
         document.body.removeChild(fileInput);
-      })
+      }))
+    );
+    
+    fileDropdown.appendChild(
+      editOnly(createDropdownItem('Import Database Bundle...', () => {
+        showBundleImportDialog();
+      }))
+    );
+    
+    fileDropdown.appendChild(
+      editOnly(createDropdownItem('Import Markdown Vault...', () => {
+        showMarkdownImportDialog();
+      }))
+    );
+    
+    fileDropdown.appendChild(
+      editOnly(createDropdownItem('Import MCP Memory (JSONL)...', () => {
+        showMcpMemoryImportDialog();
+      }))
     );
     
-    // 2. View Menu
+    // Logging out only applies when the server requires tokens
+    if (store.get('authEnabled')) {
+      addSeparator(fileDropdown);
+      
+      fileDropdown.appendChild(
+        createDropdownItem('Log Out', () => {
+          logout();
+        })
+      );
+    }
+    
+    // 2. Edit Menu
+    const { category: editCategory, dropdown: editDropdown } = createMenuCategory('Edit');
+    editOnly(editCategory);
+    
+    const undoItem = createDropdownItem('Undo', () => {
+      if (store.get('historyStatus').canUndo) {
+        import('../core/historyService.js').then(historyService => historyService.undo());
+      }
+    });
+    undoItem.id = 'edit-undo';
+    editDropdown.appendChild(undoItem);
+    
+    const redoItem = createDropdownItem('Redo', () => {
+      if (store.get('historyStatus').canRedo) {
+        import('../core/historyService.js').then(historyService => historyService.redo());
+      }
+    });
+    redoItem.id = 'edit-redo';
+    editDropdown.appendChild(redoItem);
+    
+    // Keep labels and enabled state in line with the server history
+    const updateEditMenu = (status) => {
+      undoItem.querySelector('.menu-item-label').textContent =
+        status.canUndo && status.undoLabel ? `Undo ${status.undoLabel}  (Ctrl+Z)` : 'Undo  (Ctrl+Z)';
+      redoItem.querySelector('.menu-item-label').textContent =
+        status.canRedo && status.redoLabel ? `Redo ${status.redoLabel}  (Ctrl+Shift+Z)` : 'Redo  (Ctrl+Shift+Z)';
+      undoItem.classList.toggle('disabled', !status.canUndo);
+      redoItem.classList.toggle('disabled', !status.canRedo);
+    };
+    updateEditMenu(store.get('historyStatus'));
+    store.subscribeToKey('historyStatus', updateEditMenu);
+    
+    // Other clients and routes add to the history, so refresh when the menu opens
+    editCategory.addEventListener('click', () => {
+      import('../core/historyService.js').then(historyService => historyService.refreshHistoryStatus())
+        .catch(error => console.error('Error refreshing history:', error));
+    });
+    
+    // 3. View Menu
     const { category: viewCategory, dropdown: viewDropdown } = createMenuCategory('View');
     
     // Modify toggleBloomEffect to update menu item state
@@ -955,6 +1013,25 @@ export function initMenuBar() {
     vizControlsItem.id = 'toggle-viz-controls';
     panelsDropdown.appendChild(vizControlsItem);
     
+    // Tags Panel
+    const tagsPanelItem = createDropdownItem('Tags Panel', toggleTagsPanel, false, true, store.get('tagsPanelVisible'));
+    tagsPanelItem.id = 'toggle-tags-panel';
+    panelsDropdown.appendChild(tagsPanelItem);
+    
+    // The panel can also be closed from its own header
+    store.subscribeToKey('tagsPanelVisible', (isVisible) => {
+      updateMenuItemState('toggle-tags-panel', isVisible);
+    });
+    
+    // Users Panel, listing the other connected users
+    const presencePanelItem = createDropdownItem('Users Panel', togglePresencePanel, false, true, store.get('presencePanelVisible'));
+    presencePanelItem.id = 'toggle-presence-panel';
+    panelsDropdown.appendChild(presencePanelItem);
+    
+    store.subscribeToKey('presencePanelVisible', (isVisible) => {
+      updateMenuItemState('toggle-presence-panel', isVisible);
+    });
+    
     // Help Card - gets initial state
     const helpCardVisible = store.get('showHelpCard') || false;
     const helpCardItem = createDropdownItem('Help Card', wrappedToggleHelpCard, false, true, helpCardVisible);
@@ -1010,11 +1087,31 @@ export function initMenuBar() {
     
     // Add categories to menu bar
     menuBarElement.appendChild(fileCategory);
+    menuBarElement.appendChild(editCategory);
     menuBarElement.appendChild(viewCategory);
     menuBarElement.appendChild(visualizationCategory);
     menuBarElement.appendChild(panelsCategory);
     menuBarElement.appendChild(helpCategory);
     
+    // Add the search box after the menus
+    menuBarElement.appendChild(createSearchBox());
+    
+    // Show that editing is disabled for read-only tokens
+    if (isReadOnly()) {
+      const readOnlyLabel = document.createElement('div');
+      readOnlyLabel.id = 'read-only-label';
+      readOnlyLabel.textContent = 'Read-only';
+      readOnlyLabel.title = 'Connected with a read-only token; editing is disabled';
+      readOnlyLabel.style.alignSelf = 'center';
+      readOnlyLabel.style.marginLeft = '10px';
+      readOnlyLabel.style.padding = '2px 8px';
+      readOnlyLabel.style.fontSize = '12px';
+      readOnlyLabel.style.color = '#ffb74d';
+      readOnlyLabel.style.border = '1px solid rgba(255, 183, 77, 0.5)';
+      readOnlyLabel.style.borderRadius = '4px';
+      menuBarElement.appendChild(readOnlyLabel);
+    }
+    
     // Add menu bar to document
     const graphContainer = document.getElementById('graph-container');
     if (graphContainer) {
@@ -1199,5 +1296,6 @@ export default {
   initMenuBar,
   setupMenuStateListeners,
   updateDatabaseChangeBadge,
+  showDatabaseSwitchedNotification,
   toggleAboutDialog
 };
\ No newline at end of file
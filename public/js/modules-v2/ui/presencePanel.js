@@ -0,0 +1,298 @@
+/**
+ * Presence Panel Module
+ *
+ * Draggable panel listing the other users connected to the server, with
+ * their color, what they have selected and a button to follow their camera.
+ * This user's display name can be changed at the top.
+ */
+
+import store from '../state/store.js';
+import * as windowManager from './windowManager.js';
+import { getDisplayName, setDisplayName, followUser, stopFollowing } from '../core/presenceService.js';
+
+const PANEL_ID = 'presence-panel';
+
+// Last rendered list, so camera-only updates don't rebuild the panel
+let lastRenderKey = null;
+
+/**
+ * Create the panel element
+ * @returns {HTMLElement} - The panel
+ */
+function createPresencePanel() {
+  const panel = document.createElement('div');
+  panel.id = PANEL_ID;
+  panel.style.position = 'absolute';
+  panel.style.top = '100px';
+  panel.style.right = '20px';
+  panel.style.width = '280px';
+  panel.style.maxHeight = '60vh';
+  panel.style.display = 'none';
+  panel.style.flexDirection = 'column';
+  panel.style.backgroundColor = 'rgba(20, 20, 30, 0.9)';
+  panel.style.borderRadius = '8px';
+  panel.style.padding = '15px';
+  panel.style.boxShadow = '0 0 20px rgba(0, 0, 0, 0.7)';
+  panel.style.border = '1px solid rgba(100, 130, 255, 0.3)';
+  panel.style.fontFamily = "'Segoe UI', Tahoma, Geneva, Verdana, sans-serif";
+  panel.style.color = '#ddd';
+
+  // Header (drag handle)
+  const header = document.createElement('h3');
+  header.className = 'window-header drag-handle';
+  header.style.marginTop = '0';
+  header.style.borderBottom = '1px solid #5a5a8a';
+  header.style.paddingBottom = '10px';
+  header.style.color = '#aaccff';
+  header.style.fontSize = '16px';
+  header.style.display = 'flex';
+  header.style.justifyContent = 'space-between';
+  header.style.alignItems = 'center';
+  header.style.cursor = 'move';
+
+  const title = document.createElement('span');
+  title.textContent = 'Users';
+
+  const closeButton = document.createElement('span');
+  closeButton.className = 'close-icon';
+  closeButton.textContent = '✖';
+  closeButton.style.cursor = 'pointer';
+  closeButton.style.color = '#ff8888';
+  closeButton.addEventListener('click', hidePresencePanel);
+
+  header.appendChild(title);
+  header.appendChild(closeButton);
+
+  // Own display name
+  const nameRow = document.createElement('div');
+  nameRow.style.display = 'flex';
+  nameRow.style.alignItems = 'center';
+  nameRow.style.gap = '6px';
+  nameRow.style.marginBottom = '8px';
+  nameRow.style.fontSize = '13px';
+
+  const nameLabel = document.createElement('label');
+  nameLabel.htmlFor = 'presence-panel-name';
+  nameLabel.textContent = 'Your name:';
+
+  const nameInput = document.createElement('input');
+  nameInput.id = 'presence-panel-name';
+  nameInput.value = getDisplayName();
+  nameInput.maxLength = 40;
+  nameInput.style.flex = '1';
+  nameInput.style.minWidth = '0';
+  nameInput.style.padding = '4px 6px';
+  nameInput.style.backgroundColor = 'rgba(40, 40, 60, 0.7)';
+  nameInput.style.border = '1px solid rgba(100, 100, 255, 0.3)';
+  nameInput.style.borderRadius = '4px';
+  nameInput.style.color = '#fff';
+  nameInput.addEventListener('change', () => {
+    setDisplayName(nameInput.value);
+    nameInput.value = getDisplayName();
+  });
+  nameInput.addEventListener('keydown', e => {
+    if (e.key === 'Enter') nameInput.blur();
+  });
+
+  nameRow.appendChild(nameLabel);
+  nameRow.appendChild(nameInput);
+
+  // User list
+  const list = document.createElement('div');
+  list.id = 'presence-panel-list';
+  list.style.overflowY = 'auto';
+  list.style.flex = '1';
+  list.style.minHeight = '40px';
+
+  panel.appendChild(header);
+  panel.appendChild(nameRow);
+  panel.appendChild(list);
+
+  // Keep graph shortcuts from firing while typing in the panel
+  panel.addEventListener('keydown', e => e.stopPropagation());
+
+  document.body.appendChild(panel);
+
+  windowManager.makeDraggable(PANEL_ID, {
+    controls: [],
+    addHeader: false // We've already added a header
+  });
+
+  return panel;
+}
+
+/**
+ * Describe what a user has selected
+ * @param {Object} user - Remote user
+ * @param {Map} nodesById - Graph nodes by id
+ * @returns {Object|null} - { text, node } for the main selection, or null
+ */
+function describeSelection(user, nodesById) {
+  const nodeId = user.selectedNodeId || (user.selectedNodeIds || [])[0];
+  if (!nodeId) return null;
+
+  const node = nodesById.get(nodeId);
+  const name = node ? (node.content_summary || node.id) : nodeId;
+  const others = new Set(user.selectedNodeIds || []);
+  others.delete(nodeId);
+
+  return {
+    text: others.size > 0 ? `${name} (+${others.size} more)` : name,
+    node
+  };
+}
+
+/**
+ * Render the user list
+ */
+function renderPresenceList() {
+  const list = document.getElementById('presence-panel-list');
+  if (!list) return;
+
+  const users = store.get('remoteUsers') || [];
+  const followedUserId = store.get('followedUserId');
+
+  // Camera moves alone don't change what the panel shows
+  const renderKey = JSON.stringify([followedUserId, users.map(user =>
+    [user.clientId, user.name, user.color, user.role, user.selectedNodeId, user.selectedNodeIds, Boolean(user.camera)])]);
+  if (renderKey === lastRenderKey) return;
+  lastRenderKey = renderKey;
+
+  list.innerHTML = '';
+
+  if (users.length === 0) {
+    const empty = document.createElement('div');
+    empty.style.color = '#888';
+    empty.style.fontSize = '12px';
+    empty.style.padding = '6px 0';
+    empty.textContent = 'Nobody else is connected';
+    list.appendChild(empty);
+    return;
+  }
+
+  const nodesById = new Map((store.get('graphData')?.nodes || []).map(node => [node.id, node]));
+
+  users.forEach(user => {
+    const row = document.createElement('div');
+    row.style.padding = '6px 2px';
+    row.style.borderBottom = '1px solid rgba(100, 100, 255, 0.1)';
+    row.style.fontSize = '13px';
+
+    const top = document.createElement('div');
+    top.style.display = 'flex';
+    top.style.alignItems = 'center';
+    top.style.gap = '6px';
+
+    const swatch = document.createElement('span');
+    swatch.style.display = 'inline-block';
+    swatch.style.width = '10px';
+    swatch.style.height = '10px';
+    swatch.style.borderRadius = '50%';
+    swatch.style.backgroundColor = user.color;
+
+    const name = document.createElement('span');
+    name.textContent = user.role === 'read-only' ? `${user.name} (read-only)` : user.name;
+    name.style.flex = '1';
+    name.style.overflow = 'hidden';
+    name.style.textOverflow = 'ellipsis';
+    name.style.whiteSpace = 'nowrap';
+
+    const following = user.clientId === followedUserId;
+    const followButton = document.createElement('button');
+    followButton.textContent = following ? 'Unfollow' : 'Follow';
+    followButton.title = following ? 'Stop mirroring their camera' : 'Mirror their camera; move your own camera to stop';
+    followButton.disabled = !user.camera && !following;
+    followButton.style.padding = '2px 8px';
+    followButton.style.backgroundColor = following ? '#8a3a3a' : '#2a5298';
+    followButton.style.color = '#fff';
+    followButton.style.border = 'none';
+    followButton.style.borderRadius = '4px';
+    followButton.style.cursor = 'pointer';
+    followButton.addEventListener('click', () => {
+      if (following) {
+        stopFollowing();
+      } else {
+        followUser(user.clientId);
+      }
+    });
+
+    top.appendChild(swatch);
+    top.appendChild(name);
+    top.appendChild(followButton);
+    row.appendChild(top);
+
+    // What they are looking at; click to go there
+    const selection = describeSelection(user, nodesById);
+    if (selection) {
+      const detail = document.createElement('div');
+      detail.textContent = `Selected: ${selection.text}`;
+      detail.style.color = '#999';
+      detail.style.fontSize = '11px';
+      detail.style.marginTop = '2px';
+      detail.style.marginLeft = '16px';
+      detail.style.overflow = 'hidden';
+      detail.style.textOverflow = 'ellipsis';
+      detail.style.whiteSpace = 'nowrap';
+
+      if (selection.node) {
+        detail.style.cursor = 'pointer';
+        detail.title = 'Show this memory';
+        detail.addEventListener('click', () => {
+          import('../core/graph.js').then(({ focusOnNode }) => focusOnNode(selection.node));
+        });
+      }
+
+      row.appendChild(detail);
+    }
+
+    list.appendChild(row);
+  });
+}
+
+/**
+ * Show the presence panel
+ */
+export function showPresencePanel() {
+  const panel = document.getElementById(PANEL_ID) || createPresencePanel();
+  panel.style.display = 'flex';
+  windowManager.bringToFront(panel);
+  store.set('presencePanelVisible', true);
+  lastRenderKey = null;
+  renderPresenceList();
+}
+
+/**
+ * Hide the presence panel
+ */
+export function hidePresencePanel() {
+  const panel = document.getElementById(PANEL_ID);
+  if (panel) {
+    panel.style.display = 'none';
+  }
+  store.set('presencePanelVisible', false);
+}
+
+/**
+ * Toggle the presence panel
+ * @returns {boolean} - Whether the panel is now visible
+ */
+export function togglePresencePanel() {
+  const panel = document.getElementById(PANEL_ID);
+  if (panel && panel.style.display !== 'none') {
+    hidePresencePanel();
+    return false;
+  }
+
+  showPresencePanel();
+  return true;
+}
+
+// Keep the list current as users come, go and change their selection
+store.subscribeToKey('remoteUsers', () => renderPresenceList());
+store.subscribeToKey('followedUserId', () => renderPresenceList());
+
+export default {
+  showPresencePanel,
+  hidePresencePanel,
+  togglePresencePanel
+};
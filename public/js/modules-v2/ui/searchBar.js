@@ -0,0 +1,356 @@
+/**
+ * Search Bar Module
+ *
+ * Full-text search box for the menu bar. Results are shown in a ranked
+ * dropdown, matching nodes are highlighted in the graph, and picking a
+ * result flies the camera to that node.
+ */
+
+import store from '../state/store.js';
+import { getNodeColor, updateCombinedHighlights, updateHighlight } from '../utils/helpers.js';
+
+// Delay between the last keystroke and the search request
+const SEARCH_DEBOUNCE_MS = 200;
+
+// Cache DOM elements and search state
+let searchInput = null;
+let resultsDropdown = null;
+let debounceTimer = null;
+let currentResults = [];
+let activeIndex = -1;
+let requestCounter = 0;
+
+/**
+ * Add the CSS for the search box
+ */
+function addSearchStyles() {
+  if (document.getElementById('search-bar-styles')) return;
+
+  const style = document.createElement('style');
+  style.id = 'search-bar-styles';
+  style.textContent = `
+    .menu-search {
+      position: relative;
+      display: flex;
+      align-items: center;
+      padding: 0 10px;
+    }
+
+    .menu-search input {
+      width: 220px;
+      padding: 5px 8px;
+      background-color: rgba(40, 40, 60, 0.7);
+      border: 1px solid rgba(100, 100, 255, 0.3);
+      border-radius: 4px;
+      color: #ffffff;
+      font-size: 13px;
+    }
+
+    .search-results {
+      position: absolute;
+      top: 100%;
+      left: 10px;
+      width: 360px;
+      max-height: 60vh;
+      overflow-y: auto;
+      background-color: rgba(40, 40, 50, 0.95);
+      border: 1px solid rgba(100, 100, 255, 0.3);
+      border-top: none;
+      box-shadow: 0 8px 16px rgba(0, 0, 0, 0.4);
+      border-radius: 0 0 4px 4px;
+      z-index: 1600;
+      display: none;
+    }
+
+    .search-result {
+      padding: 8px 12px;
+      cursor: pointer;
+      border-bottom: 1px solid rgba(100, 100, 255, 0.1);
+    }
+
+    .search-result.active,
+    .search-result:hover {
+      background-color: rgba(60, 60, 90, 0.8);
+    }
+
+    .search-result-title {
+      display: flex;
+      align-items: center;
+      gap: 6px;
+      color: #aaccff;
+      font-size: 13px;
+      margin-bottom: 3px;
+    }
+
+    .search-result-domain {
+      margin-left: auto;
+      color: #888;
+      font-size: 11px;
+    }
+
+    .search-result-snippet {
+      color: #ccc;
+      font-size: 12px;
+      line-height: 1.4;
+    }
+
+    .search-result-snippet mark {
+      background-color: rgba(255, 136, 0, 0.4);
+      color: #fff;
+      border-radius: 2px;
+    }
+
+    .search-empty {
+      padding: 8px 12px;
+      color: #888;
+      font-size: 12px;
+    }
+  `;
+  document.head.appendChild(style);
+}
+
+/**
+ * Find the graph node object for a node id
+ * @param {string} nodeId - The node id
+ * @returns {Object|undefined} - The node in the current graph data
+ */
+function findGraphNode(nodeId) {
+  const { graphData } = store.getState();
+  return graphData?.nodes.find(node => node.id === nodeId);
+}
+
+/**
+ * Highlight the nodes from the current result list
+ */
+function highlightResults() {
+  const nodes = currentResults
+    .map(result => findGraphNode(result.id))
+    .filter(Boolean);
+
+  store.set('searchHighlightNodes', new Set(nodes));
+  updateCombinedHighlights();
+  updateHighlight();
+}
+
+/**
+ * Clear search results and their highlights
+ */
+export function clearSearch() {
+  currentResults = [];
+  activeIndex = -1;
+
+  if (resultsDropdown) {
+    resultsDropdown.style.display = 'none';
+    resultsDropdown.innerHTML = '';
+  }
+
+  if (store.get('searchHighlightNodes')?.size > 0) {
+    store.set('searchHighlightNodes', new Set());
+    updateCombinedHighlights();
+    updateHighlight();
+  }
+}
+
+/**
+ * Render the result dropdown
+ */
+function renderResults() {
+  resultsDropdown.innerHTML = '';
+
+  if (currentResults.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'search-empty';
+    empty.textContent = 'No matching memories';
+    resultsDropdown.appendChild(empty);
+  }
+
+  currentResults.forEach((result, index) => {
+    const item = document.createElement('div');
+    item.className = 'search-result' + (index === activeIndex ? ' active' : '');
+
+    const title = document.createElement('div');
+    title.className = 'search-result-title';
+
+    // Domain color dot, matching the node's color in the graph
+    const dot = document.createElement('span');
+    dot.style.width = '8px';
+    dot.style.height = '8px';
+    dot.style.borderRadius = '50%';
+    dot.style.flexShrink = '0';
+    dot.style.backgroundColor = getNodeColor({ group: result.domain });
+    title.appendChild(dot);
+
+    const label = document.createElement('span');
+    label.textContent = result.content_summary || result.id;
+    title.appendChild(label);
+
+    const domain = document.createElement('span');
+    domain.className = 'search-result-domain';
+    domain.textContent = result.domain;
+    title.appendChild(domain);
+
+    item.appendChild(title);
+
+    // Snippet comes from the server already escaped, with matches in <mark>
+    const snippet = document.createElement('div');
+    snippet.className = 'search-result-snippet';
+    snippet.innerHTML = result.snippet;
+    item.appendChild(snippet);
+
+    // mousedown fires before the input loses focus
+    item.addEventListener('mousedown', (e) => {
+      e.preventDefault();
+      selectResult(index);
+    });
+
+    resultsDropdown.appendChild(item);
+  });
+
+  resultsDropdown.style.display = 'block';
+}
+
+/**
+ * Fly to and select the node for a result
+ * @param {number} index - Index into the current results
+ */
+function selectResult(index) {
+  const result = currentResults[index];
+  if (!result) return;
+
+  const node = findGraphNode(result.id);
+  if (!node) {
+    console.warn('Search result is not in the current graph:', result.id);
+    return;
+  }
+
+  resultsDropdown.style.display = 'none';
+  searchInput.blur();
+
+  Promise.all([
+    import('../core/graph.js'),
+    import('../core/nodeInteractions.js')
+  ]).then(([graph, nodeInteractions]) => {
+    graph.focusOnNode(node);
+
+    // handleViewNodeDetails toggles, so don't deselect an already selected node
+    if (store.get('selectedNode')?.id !== node.id) {
+      nodeInteractions.handleViewNodeDetails(node);
+    }
+  });
+}
+
+/**
+ * Run a search and show the results
+ * @param {string} query - The search text
+ */
+function runSearch(query) {
+  const requestId = ++requestCounter;
+
+  fetch(`/api/search?q=${encodeURIComponent(query)}`)
+    .then(response => response.json())
+    .then(data => {
+      // Ignore responses to searches that have since been superseded
+      if (requestId !== requestCounter) return;
+
+      if (data.error) {
+        throw new Error(data.error);
+      }
+
+      currentResults = data.results || [];
+      activeIndex = currentResults.length > 0 ? 0 : -1;
+      renderResults();
+      highlightResults();
+    })
+    .catch(error => {
+      console.error('Error searching memories:', error);
+    });
+}
+
+/**
+ * Handle keyboard navigation within the search box
+ * @param {KeyboardEvent} e - The keyboard event
+ */
+function handleSearchKeyDown(e) {
+  if (e.key === 'ArrowDown' && currentResults.length > 0) {
+    e.preventDefault();
+    activeIndex = (activeIndex + 1) % currentResults.length;
+    renderResults();
+  } else if (e.key === 'ArrowUp' && currentResults.length > 0) {
+    e.preventDefault();
+    activeIndex = (activeIndex - 1 + currentResults.length) % currentResults.length;
+    renderResults();
+  } else if (e.key === 'Enter') {
+    e.preventDefault();
+    selectResult(activeIndex);
+  } else if (e.key === 'Escape') {
+    searchInput.value = '';
+    clearSearch();
+    searchInput.blur();
+  }
+}
+
+/**
+ * Create the search box element for the menu bar
+ * @returns {HTMLElement} - The search box container
+ */
+export function createSearchBox() {
+  addSearchStyles();
+
+  const container = document.createElement('div');
+  container.className = 'menu-search';
+
+  searchInput = document.createElement('input');
+  searchInput.type = 'search';
+  searchInput.id = 'memory-search-input';
+  searchInput.placeholder = 'Search memories...';
+  searchInput.autocomplete = 'off';
+
+  resultsDropdown = document.createElement('div');
+  resultsDropdown.className = 'search-results';
+
+  searchInput.addEventListener('input', () => {
+    clearTimeout(debounceTimer);
+    const query = searchInput.value.trim();
+
+    if (!query) {
+      requestCounter++;
+      clearSearch();
+      return;
+    }
+
+    debounceTimer = setTimeout(() => runSearch(query), SEARCH_DEBOUNCE_MS);
+  });
+
+  searchInput.addEventListener('keydown', handleSearchKeyDown);
+
+  // Hide the dropdown (but keep highlights) when focus leaves the box
+  searchInput.addEventListener('blur', () => {
+    resultsDropdown.style.display = 'none';
+  });
+
+  searchInput.addEventListener('focus', () => {
+    if (searchInput.value.trim() && resultsDropdown.childElementCount > 0) {
+      resultsDropdown.style.display = 'block';
+    }
+  });
+
+  // Keep clicks inside the search box from closing menus or reaching the graph
+  container.addEventListener('click', e => e.stopPropagation());
+
+  // Node objects are replaced on a full reload, so re-resolve the highlights
+  store.subscribeToKey('graphData', () => {
+    if (currentResults.length > 0) {
+      highlightResults();
+    }
+  });
+
+  container.appendChild(searchInput);
+  container.appendChild(resultsDropdown);
+
+  return container;
+}
+
+export default {
+  createSearchBox,
+  clearSearch
+};
@@ -0,0 +1,205 @@
+/**
+ * Snapshot Dialog Module
+ *
+ * Lists the current database's snapshots with their size and graph stats,
+ * and takes, restores and deletes snapshots.
+ */
+
+import {
+  listSnapshots,
+  createSnapshot,
+  deleteSnapshot,
+  restoreSnapshotAndReload
+} from '../core/databaseService.js';
+
+const DIALOG_ID = 'snapshot-dialog';
+
+// How each snapshot kind is shown
+const KIND_LABELS = {
+  manual: 'Manual',
+  auto: 'Automatic',
+  'pre-restore': 'Before restore'
+};
+
+/**
+ * Format a file size for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} - Size such as "1.2 MB"
+ */
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Describe the automatic snapshot schedule
+ * @param {Object} schedule - { intervalMinutes, keep, active } from the server
+ * @returns {string} - Description
+ */
+function describeSchedule(schedule) {
+  if (!schedule.active) {
+    return 'Automatic snapshots are off. Set SNAPSHOT_INTERVAL_MINUTES to enable them.';
+  }
+  return `A snapshot is taken every ${schedule.intervalMinutes} minutes; the newest ${schedule.keep} automatic snapshots are kept.`;
+}
+
+/**
+ * Render the snapshot table
+ * @param {HTMLElement} container - Element to render into
+ * @param {Array<Object>} snapshots - Snapshots, newest first
+ */
+function renderSnapshotTable(container, snapshots) {
+  if (snapshots.length === 0) {
+    container.innerHTML = '<div class="form-info">No snapshots yet.</div>';
+    return;
+  }
+
+  container.innerHTML = `
+    <table style="width: 100%; border-collapse: collapse; font-size: 13px;">
+      <thead>
+        <tr style="text-align: left; border-bottom: 1px solid #555;">
+          <th style="padding: 4px;">Created</th>
+          <th style="padding: 4px;">Kind</th>
+          <th style="padding: 4px; text-align: right;">Size</th>
+          <th style="padding: 4px; text-align: right;">Nodes</th>
+          <th style="padding: 4px; text-align: right;">Links</th>
+          <th style="padding: 4px;"></th>
+        </tr>
+      </thead>
+      <tbody>
+        ${snapshots.map(snapshot => `
+          <tr data-id="${snapshot.id}" style="border-bottom: 1px solid #333;">
+            <td style="padding: 4px;">${new Date(snapshot.created).toLocaleString()}</td>
+            <td style="padding: 4px;">${KIND_LABELS[snapshot.kind] || snapshot.kind}</td>
+            <td style="padding: 4px; text-align: right;">${formatSize(snapshot.size)}</td>
+            <td style="padding: 4px; text-align: right;">${snapshot.stats ? snapshot.stats.nodes : '?'}</td>
+            <td style="padding: 4px; text-align: right;">${snapshot.stats ? snapshot.stats.edges : '?'}</td>
+            <td style="padding: 4px; white-space: nowrap;">
+              <button class="secondary-button snapshot-restore-btn" style="padding: 2px 8px;">Restore</button>
+              <button class="secondary-button snapshot-delete-btn" style="padding: 2px 8px;">Delete</button>
+            </td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+/**
+ * Show the snapshots dialog
+ */
+export function showSnapshotsDialog() {
+  const existingDialog = document.getElementById(DIALOG_ID);
+  if (existingDialog) {
+    document.body.removeChild(existingDialog);
+  }
+
+  const dialog = document.createElement('div');
+  dialog.id = DIALOG_ID;
+  dialog.className = 'modal-dialog';
+  dialog.innerHTML = `
+    <div class="dialog-content" style="width: 620px;">
+      <div class="dialog-header">
+        <h3>Database Snapshots</h3>
+        <button class="close-button">&times;</button>
+      </div>
+      <div class="dialog-body">
+        <div id="snapshot-directory" class="form-info" style="word-break: break-all;"></div>
+        <div id="snapshot-schedule" class="form-info" style="margin-bottom: 10px;"></div>
+        <div id="snapshot-list" style="max-height: 320px; overflow-y: auto;">Loading snapshots...</div>
+        <div class="form-info" style="margin-top: 10px;">
+          <p>Snapshots are consistent copies taken while the database stays in use.</p>
+          <p>⚠️ Restoring replaces the current contents and clears the undo history.
+          The current contents are kept as a "Before restore" snapshot first.</p>
+        </div>
+      </div>
+      <div class="dialog-footer">
+        <button class="primary-button" id="snapshot-create-btn">Take Snapshot</button>
+        <button class="secondary-button" id="snapshot-close-btn">Close</button>
+      </div>
+    </div>
+  `;
+
+  document.body.appendChild(dialog);
+
+  const listContainer = dialog.querySelector('#snapshot-list');
+  const createButton = dialog.querySelector('#snapshot-create-btn');
+  let busy = false;
+
+  const close = () => {
+    if (document.body.contains(dialog)) {
+      document.body.removeChild(dialog);
+    }
+  };
+
+  const refresh = () => listSnapshots()
+    .then(result => {
+      // The directory comes from the server's file system, so add it as text
+      dialog.querySelector('#snapshot-directory').textContent = `Directory: ${result.directory}`;
+      dialog.querySelector('#snapshot-schedule').textContent = describeSchedule(result.schedule);
+      renderSnapshotTable(listContainer, result.snapshots);
+    })
+    .catch(error => {
+      console.error('Error listing snapshots:', error);
+      listContainer.textContent = `Failed to list snapshots: ${error.message}`;
+    });
+
+  // Only one snapshot operation at a time
+  const runExclusive = (operation) => {
+    if (busy) return;
+    busy = true;
+    createButton.disabled = true;
+
+    operation()
+      .catch(error => {
+        console.error('Snapshot operation failed:', error);
+        alert('Snapshot operation failed: ' + error.message);
+      })
+      .finally(() => {
+        busy = false;
+        createButton.disabled = false;
+        if (document.body.contains(dialog)) refresh();
+      });
+  };
+
+  createButton.addEventListener('click', () => {
+    runExclusive(() => createSnapshot().then(snapshot => {
+      console.log('Snapshot created:', snapshot);
+    }));
+  });
+
+  listContainer.addEventListener('click', (event) => {
+    const row = event.target.closest('tr[data-id]');
+    if (!row) return;
+    const id = row.dataset.id;
+
+    if (event.target.classList.contains('snapshot-restore-btn')) {
+      if (!confirm('Replace the current database contents with this snapshot? The undo history will be cleared.')) return;
+
+      runExclusive(() => restoreSnapshotAndReload(id).then(result => {
+        console.log('Snapshot restored:', result);
+        if (result.warning) {
+          import('./toast.js').then(({ showToast }) => showToast(result.warning, { level: 'warning', duration: 0 }));
+        }
+        return import('./menuBar.js').then(menuBar => {
+          menuBar.showDatabaseSwitchedNotification(result, 'Snapshot Restored',
+            `Restored the snapshot from ${row.cells[0].textContent}`);
+        });
+      }));
+    } else if (event.target.classList.contains('snapshot-delete-btn')) {
+      if (!confirm('Delete this snapshot?')) return;
+
+      runExclusive(() => deleteSnapshot(id));
+    }
+  });
+
+  dialog.querySelector('#snapshot-close-btn').addEventListener('click', close);
+  dialog.querySelector('.close-button').addEventListener('click', close);
+
+  refresh();
+}
+
+export default {
+  showSnapshotsDialog
+};
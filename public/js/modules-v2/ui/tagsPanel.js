@@ -0,0 +1,456 @@
+/**
+ * Tags Panel Module
+ *
+ * Draggable panel listing every tag with its usage count. Tags can be
+ * renamed, merged into one another, or removed from the selected node.
+ */
+
+import store from '../state/store.js';
+import * as windowManager from './windowManager.js';
+import { isReadOnly } from '../core/authService.js';
+
+const PANEL_ID = 'tags-panel';
+
+// Cached tag list and UI state
+let tagCounts = [];
+let filterText = '';
+const checkedTags = new Set();
+
+/**
+ * Send a JSON request and reject with the server's error message on failure
+ * @param {string} url - Request URL
+ * @param {Object} options - fetch options
+ * @returns {Promise<Object>} - Parsed response body
+ */
+function requestJson(url, options = {}) {
+  return fetch(url, options)
+    .then(response => response.json().then(result => {
+      if (!response.ok) {
+        throw new Error(result.error || response.statusText);
+      }
+      return result;
+    }));
+}
+
+/**
+ * Pull tag changes into the graph and refresh the panel afterwards
+ * @returns {Promise<void>}
+ */
+function afterTagChange() {
+  return Promise.all([
+    import('../core/graph.js'),
+    import('../core/historyService.js')
+  ]).then(([graph, historyService]) => {
+    historyService.refreshHistoryStatus().catch(() => {});
+    return graph.syncGraphChanges();
+  }).then(() => {
+    // Re-render the info panel for the selected node (its tags may have changed)
+    const selectedNode = store.get('selectedNode');
+    if (selectedNode) {
+      import('../core/nodeInteractions.js').then(({ handleViewNodeDetails }) => {
+        store.set('selectedNode', null);
+        handleViewNodeDetails(selectedNode);
+      });
+    }
+    return refreshTagsPanel();
+  });
+}
+
+/**
+ * Rename a tag on every node
+ * @param {string} from - Current tag name
+ * @param {string} to - New tag name (an existing tag merges the two)
+ * @returns {Promise<Object>}
+ */
+export function renameTag(from, to) {
+  return requestJson('/api/tags/rename', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ from, to })
+  }).then(result => afterTagChange().then(() => result));
+}
+
+/**
+ * Merge several tags into one
+ * @param {Array<string>} tags - Tags to merge
+ * @param {string} into - Target tag
+ * @returns {Promise<Object>}
+ */
+export function mergeTags(tags, into) {
+  return requestJson('/api/tags/merge', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ tags, into })
+  }).then(result => afterTagChange().then(() => result));
+}
+
+/**
+ * Remove a tag from a single node
+ * @param {string} nodeId - The node id
+ * @param {string} tag - The tag to remove
+ * @returns {Promise<Object>}
+ */
+export function removeTagFromNode(nodeId, tag) {
+  return requestJson(`/api/nodes/${encodeURIComponent(nodeId)}/tags/${encodeURIComponent(tag)}`, {
+    method: 'DELETE'
+  }).then(result => afterTagChange().then(() => result));
+}
+
+/**
+ * Create the panel element
+ * @returns {HTMLElement} - The panel
+ */
+function createTagsPanel() {
+  const panel = document.createElement('div');
+  panel.id = PANEL_ID;
+  panel.style.position = 'absolute';
+  panel.style.top = '100px';
+  panel.style.left = '20px';
+  panel.style.width = '320px';
+  panel.style.maxHeight = '70vh';
+  panel.style.display = 'none';
+  panel.style.flexDirection = 'column';
+  panel.style.backgroundColor = 'rgba(20, 20, 30, 0.9)';
+  panel.style.borderRadius = '8px';
+  panel.style.padding = '15px';
+  panel.style.boxShadow = '0 0 20px rgba(0, 0, 0, 0.7)';
+  panel.style.border = '1px solid rgba(100, 130, 255, 0.3)';
+  panel.style.fontFamily = "'Segoe UI', Tahoma, Geneva, Verdana, sans-serif";
+  panel.style.color = '#ddd';
+
+  // Header (drag handle)
+  const header = document.createElement('h3');
+  header.className = 'window-header drag-handle';
+  header.style.marginTop = '0';
+  header.style.borderBottom = '1px solid #5a5a8a';
+  header.style.paddingBottom = '10px';
+  header.style.color = '#aaccff';
+  header.style.fontSize = '16px';
+  header.style.display = 'flex';
+  header.style.justifyContent = 'space-between';
+  header.style.alignItems = 'center';
+  header.style.cursor = 'move';
+
+  const title = document.createElement('span');
+  title.textContent = 'Tags';
+
+  const closeButton = document.createElement('span');
+  closeButton.className = 'close-icon';
+  closeButton.textContent = '✖';
+  closeButton.style.cursor = 'pointer';
+  closeButton.style.color = '#ff8888';
+  closeButton.addEventListener('click', hideTagsPanel);
+
+  header.appendChild(title);
+  header.appendChild(closeButton);
+
+  // Filter box
+  const filter = document.createElement('input');
+  filter.type = 'search';
+  filter.placeholder = 'Filter tags...';
+  filter.style.width = '100%';
+  filter.style.boxSizing = 'border-box';
+  filter.style.padding = '6px 8px';
+  filter.style.marginBottom = '8px';
+  filter.style.backgroundColor = 'rgba(40, 40, 60, 0.7)';
+  filter.style.border = '1px solid rgba(100, 100, 255, 0.3)';
+  filter.style.borderRadius = '4px';
+  filter.style.color = '#fff';
+  filter.addEventListener('input', () => {
+    filterText = filter.value.trim().toLowerCase();
+    renderTagList();
+  });
+
+  // Tag list
+  const list = document.createElement('div');
+  list.id = 'tags-panel-list';
+  list.style.overflowY = 'auto';
+  list.style.flex = '1';
+  list.style.minHeight = '60px';
+
+  // Merge footer
+  const footer = document.createElement('div');
+  footer.className = 'edit-only';
+  footer.style.display = 'flex';
+  footer.style.gap = '6px';
+  footer.style.marginTop = '10px';
+  footer.style.paddingTop = '10px';
+  footer.style.borderTop = '1px solid #5a5a8a';
+
+  const mergeInput = document.createElement('input');
+  mergeInput.id = 'tags-panel-merge-target';
+  mergeInput.placeholder = 'Merge checked into...';
+  mergeInput.style.flex = '1';
+  mergeInput.style.padding = '6px 8px';
+  mergeInput.style.backgroundColor = 'rgba(40, 40, 60, 0.7)';
+  mergeInput.style.border = '1px solid rgba(100, 100, 255, 0.3)';
+  mergeInput.style.borderRadius = '4px';
+  mergeInput.style.color = '#fff';
+
+  const mergeButton = document.createElement('button');
+  mergeButton.id = 'tags-panel-merge';
+  mergeButton.textContent = 'Merge';
+  mergeButton.style.padding = '6px 12px';
+  mergeButton.style.backgroundColor = '#2a5298';
+  mergeButton.style.color = '#fff';
+  mergeButton.style.border = 'none';
+  mergeButton.style.borderRadius = '4px';
+  mergeButton.style.cursor = 'pointer';
+  mergeButton.addEventListener('click', () => {
+    const into = mergeInput.value.trim();
+    if (!into || checkedTags.size === 0) return;
+
+    mergeTags(Array.from(checkedTags), into)
+      .then(() => {
+        checkedTags.clear();
+        mergeInput.value = '';
+        renderTagList();
+      })
+      .catch(error => alert('Failed to merge tags: ' + error.message));
+  });
+  mergeInput.addEventListener('keydown', e => {
+    if (e.key === 'Enter') mergeButton.click();
+  });
+
+  footer.appendChild(mergeInput);
+  footer.appendChild(mergeButton);
+
+  panel.appendChild(header);
+  panel.appendChild(filter);
+  panel.appendChild(list);
+  panel.appendChild(footer);
+
+  // Keep graph shortcuts from firing while typing in the panel
+  panel.addEventListener('keydown', e => e.stopPropagation());
+
+  document.body.appendChild(panel);
+
+  windowManager.makeDraggable(PANEL_ID, {
+    controls: [],
+    addHeader: false // We've already added a header
+  });
+
+  return panel;
+}
+
+/**
+ * Create a small icon button for a tag row
+ * @param {string} icon - Button text
+ * @param {string} titleText - Tooltip
+ * @param {function} onClick - Click handler
+ * @returns {HTMLElement} - The button
+ */
+function createRowButton(icon, titleText, onClick) {
+  const button = document.createElement('span');
+  button.className = 'edit-only';
+  button.textContent = icon;
+  button.title = titleText;
+  button.style.cursor = 'pointer';
+  button.style.padding = '0 4px';
+  button.style.opacity = '0.8';
+  button.addEventListener('click', (e) => {
+    e.stopPropagation();
+    onClick();
+  });
+  return button;
+}
+
+/**
+ * Swap a tag's label for an input and rename the tag on Enter
+ * @param {HTMLElement} label - The label element to replace
+ * @param {string} tag - The tag being renamed
+ */
+function startRename(label, tag) {
+  const input = document.createElement('input');
+  input.value = tag;
+  input.style.flex = '1';
+  input.style.minWidth = '0';
+  input.style.padding = '2px 4px';
+  input.style.backgroundColor = 'rgba(40, 40, 60, 0.9)';
+  input.style.border = '1px solid rgba(100, 100, 255, 0.5)';
+  input.style.borderRadius = '3px';
+  input.style.color = '#fff';
+
+  let done = false;
+  const finish = (commit) => {
+    if (done) return;
+    done = true;
+
+    const newName = input.value.trim();
+    if (commit && newName && newName !== tag) {
+      renameTag(tag, newName).catch(error => {
+        alert('Failed to rename tag: ' + error.message);
+        renderTagList();
+      });
+    } else {
+      renderTagList();
+    }
+  };
+
+  input.addEventListener('keydown', e => {
+    if (e.key === 'Enter') finish(true);
+    if (e.key === 'Escape') finish(false);
+  });
+  input.addEventListener('blur', () => finish(false));
+
+  label.replaceWith(input);
+  input.focus();
+  input.select();
+}
+
+/**
+ * Render the tag list from the cached counts
+ */
+function renderTagList() {
+  const list = document.getElementById('tags-panel-list');
+  if (!list) return;
+
+  list.innerHTML = '';
+
+  const selectedNode = store.get('selectedNode');
+  const selectedTags = new Set(selectedNode?.tags || []);
+  const visibleTags = tagCounts.filter(({ tag }) => !filterText || tag.toLowerCase().includes(filterText));
+
+  if (visibleTags.length === 0) {
+    const empty = document.createElement('div');
+    empty.style.color = '#888';
+    empty.style.fontSize = '12px';
+    empty.style.padding = '6px 0';
+    empty.textContent = tagCounts.length === 0 ? 'No tags in this database' : 'No matching tags';
+    list.appendChild(empty);
+    return;
+  }
+
+  visibleTags.forEach(({ tag, count }) => {
+    const row = document.createElement('div');
+    row.style.display = 'flex';
+    row.style.alignItems = 'center';
+    row.style.gap = '6px';
+    row.style.padding = '4px 2px';
+    row.style.borderBottom = '1px solid rgba(100, 100, 255, 0.1)';
+    row.style.fontSize = '13px';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.className = 'edit-only';
+    checkbox.checked = checkedTags.has(tag);
+    checkbox.title = 'Include in merge';
+    checkbox.addEventListener('change', () => {
+      if (checkbox.checked) {
+        checkedTags.add(tag);
+      } else {
+        checkedTags.delete(tag);
+      }
+    });
+
+    const label = document.createElement('span');
+    label.textContent = tag;
+    label.title = isReadOnly() ? tag : 'Double-click to rename';
+    label.style.flex = '1';
+    label.style.overflow = 'hidden';
+    label.style.textOverflow = 'ellipsis';
+    label.style.whiteSpace = 'nowrap';
+    label.style.color = selectedTags.has(tag) ? '#ffcc66' : '#ddd';
+    label.addEventListener('dblclick', () => {
+      if (!isReadOnly()) startRename(label, tag);
+    });
+
+    const countBadge = document.createElement('span');
+    countBadge.textContent = count;
+    countBadge.style.color = '#888';
+    countBadge.style.fontSize = '11px';
+
+    row.appendChild(checkbox);
+    row.appendChild(label);
+    row.appendChild(countBadge);
+    row.appendChild(createRowButton('✏️', 'Rename tag everywhere', () => startRename(label, tag)));
+
+    // Tags on the selected node can be removed from it
+    if (selectedTags.has(tag)) {
+      row.appendChild(createRowButton('✖', 'Remove from selected memory', () => {
+        removeTagFromNode(selectedNode.id, tag)
+          .catch(error => alert('Failed to remove tag: ' + error.message));
+      }));
+    }
+
+    list.appendChild(row);
+  });
+}
+
+/**
+ * Reload tag counts from the server and re-render the panel
+ * @returns {Promise<void>}
+ */
+export function refreshTagsPanel() {
+  const panel = document.getElementById(PANEL_ID);
+  if (!panel || panel.style.display === 'none') {
+    return Promise.resolve();
+  }
+
+  return requestJson('/api/tags/counts')
+    .then(counts => {
+      tagCounts = counts;
+
+      // Forget checked tags that no longer exist
+      const existing = new Set(counts.map(({ tag }) => tag));
+      Array.from(checkedTags).forEach(tag => {
+        if (!existing.has(tag)) checkedTags.delete(tag);
+      });
+
+      renderTagList();
+    })
+    .catch(error => {
+      console.error('Error loading tag counts:', error);
+    });
+}
+
+/**
+ * Show the tags panel
+ */
+export function showTagsPanel() {
+  const panel = document.getElementById(PANEL_ID) || createTagsPanel();
+  panel.style.display = 'flex';
+  windowManager.bringToFront(panel);
+  store.set('tagsPanelVisible', true);
+  refreshTagsPanel();
+}
+
+/**
+ * Hide the tags panel
+ */
+export function hideTagsPanel() {
+  const panel = document.getElementById(PANEL_ID);
+  if (panel) {
+    panel.style.display = 'none';
+  }
+  store.set('tagsPanelVisible', false);
+}
+
+/**
+ * Toggle the tags panel
+ * @returns {boolean} - Whether the panel is now visible
+ */
+export function toggleTagsPanel() {
+  const panel = document.getElementById(PANEL_ID);
+  if (panel && panel.style.display !== 'none') {
+    hideTagsPanel();
+    return false;
+  }
+
+  showTagsPanel();
+  return true;
+}
+
+// Keep the list current as the graph and selection change
+store.subscribeToKey('graphData', () => refreshTagsPanel());
+store.subscribeToKey('selectedNode', () => renderTagList());
+
+export default {
+  showTagsPanel,
+  hideTagsPanel,
+  toggleTagsPanel,
+  refreshTagsPanel,
+  renameTag,
+  mergeTags,
+  removeTagFromNode
+};
@@ -0,0 +1,121 @@
+/**
+ * Toast Module
+ *
+ * Short messages stacked at the bottom of the screen, closed after a while
+ * or by the user. A toast can carry one action button.
+ */
+
+const CONTAINER_ID = 'toast-container';
+
+// Accent color of each level
+const LEVEL_COLORS = {
+  info: '#8888ff',
+  success: '#6bcb77',
+  warning: '#ffd93d',
+  error: '#ff6b6b'
+};
+
+/**
+ * Get the element toasts are stacked in, creating it on first use
+ * @returns {HTMLElement} - The container
+ */
+function getContainer() {
+  let container = document.getElementById(CONTAINER_ID);
+  if (!container) {
+    container = document.createElement('div');
+    container.id = CONTAINER_ID;
+    container.style.position = 'fixed';
+    container.style.bottom = '20px';
+    container.style.left = '50%';
+    container.style.transform = 'translateX(-50%)';
+    container.style.display = 'flex';
+    container.style.flexDirection = 'column';
+    container.style.alignItems = 'center';
+    container.style.gap = '8px';
+    container.style.zIndex = 2100;
+    container.style.pointerEvents = 'none';
+    document.body.appendChild(container);
+  }
+  return container;
+}
+
+/**
+ * Show a toast
+ * @param {string} message - Text to show
+ * @param {Object} options - Toast options
+ * @param {string} options.level - 'info', 'success', 'warning' or 'error'
+ * @param {number} options.duration - Milliseconds before it closes; 0 keeps it open
+ * @param {Object} options.action - Optional button, as { label, onClick }
+ * @returns {function} - Function that closes the toast
+ */
+export function showToast(message, options = {}) {
+  const { level = 'info', duration = 5000, action = null } = options;
+  const color = LEVEL_COLORS[level] || LEVEL_COLORS.info;
+
+  const toast = document.createElement('div');
+  toast.className = 'toast';
+  toast.style.display = 'flex';
+  toast.style.alignItems = 'center';
+  toast.style.gap = '12px';
+  toast.style.maxWidth = '480px';
+  toast.style.padding = '10px 14px';
+  toast.style.backgroundColor = 'rgba(30, 30, 70, 0.95)';
+  toast.style.color = 'white';
+  toast.style.fontSize = '14px';
+  toast.style.borderRadius = '5px';
+  toast.style.borderLeft = `4px solid ${color}`;
+  toast.style.boxShadow = '0 4px 12px rgba(0, 0, 0, 0.5)';
+  toast.style.pointerEvents = 'auto';
+
+  const text = document.createElement('span');
+  text.textContent = message;
+  text.style.flex = '1';
+  text.style.wordBreak = 'break-word';
+  toast.appendChild(text);
+
+  let timer = null;
+  const close = () => {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    if (toast.parentNode) {
+      toast.parentNode.removeChild(toast);
+    }
+  };
+
+  if (action) {
+    const button = document.createElement('button');
+    button.textContent = action.label;
+    button.style.padding = '3px 10px';
+    button.style.backgroundColor = '#2a5298';
+    button.style.color = '#fff';
+    button.style.border = 'none';
+    button.style.borderRadius = '4px';
+    button.style.cursor = 'pointer';
+    button.addEventListener('click', () => {
+      close();
+      action.onClick();
+    });
+    toast.appendChild(button);
+  }
+
+  const closeButton = document.createElement('span');
+  closeButton.textContent = '✕';
+  closeButton.style.cursor = 'pointer';
+  closeButton.style.color = color;
+  closeButton.addEventListener('click', close);
+  toast.appendChild(closeButton);
+
+  getContainer().appendChild(toast);
+
+  if (duration > 0) {
+    timer = setTimeout(close, duration);
+  }
+
+  return close;
+}
+
+export default {
+  showToast
+};
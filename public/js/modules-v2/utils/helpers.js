@@ -176,6 +176,9 @@ export function updateCombinedHighlights() {
     hoverHighlightNodes,
     hoverHighlightLinks,
     multiSelectHighlightNodes,
+    searchHighlightNodes,
+    controlHighlightNodes,
+    controlHighlightLinks,
     hoverNode
   } = store.getState();
   
@@ -194,6 +197,15 @@ export function updateCombinedHighlights() {
     hoverHighlightLinks.forEach(link => highlightLinks.add(link));
   }
   
+  // Add search matches
+  if (searchHighlightNodes) {
+    searchHighlightNodes.forEach(node => highlightNodes.add(node));
+  }
+  
+  // Add highlights sent by external processes
+  controlHighlightNodes.forEach(node => highlightNodes.add(node));
+  controlHighlightLinks.forEach(link => highlightLinks.add(link));
+  
   // Add multi-select highlights last
   multiSelectHighlightNodes.forEach(node => highlightNodes.add(node));
   
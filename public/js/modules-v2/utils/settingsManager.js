@@ -25,6 +25,9 @@ const DEFAULT_SETTINGS = {
   // Database settings
   databasePathHistory: [],
   
+  // Name shown to other users
+  displayName: null,
+  
   // Internal settings
   storageVersion: STORAGE_VERSION
 };
@@ -91,6 +94,9 @@ export function saveAllSettings() {
       // Database settings
       databasePathHistory: state.databasePathHistory || [],
       
+      // Name shown to other users
+      displayName: state.displayName || null,
+      
       // Internal settings
       storageVersion: STORAGE_VERSION
     };
@@ -196,7 +202,8 @@ export function setupSettingsEventListeners() {
       'zoomOnSelect', 
       'showHelpCard',
       'databasePathHistory',
-      'visualizationStyle'
+      'visualizationStyle',
+      'displayName'
     ];
     
     const hasChanged = settingsKeys.some(key => 
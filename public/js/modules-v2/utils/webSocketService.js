@@ -5,7 +5,7 @@
  */
 
 import store from '../state/store.js';
-import { loadData } from '../core/graph.js';
+import { syncGraphChanges, applyGraphChanges, loadData } from '../core/graph.js';
 
 // WebSocket connection and state
 let socket = null;
@@ -17,12 +17,33 @@ const RECONNECT_DELAY_BASE = 1000; // 1 second
 const PING_INTERVAL = 30000; // 30 seconds
 let pingTimer = null;
 
+// Server epoch and the sequence number of the last change notification
+// received, used to resume after a reconnect without missing changes
+let serverEpoch = null;
+let lastSeq = null;
+
+// Mutation events arrive one message per row; they are applied together
+const MUTATION_BATCH_DELAY = 50; // milliseconds
+let pendingGraphChanges = [];
+let pendingDomainEvents = [];
+let mutationBatchTimer = null;
+
+// Domains this client receives mutation events for, and what they were derived from
+let subscribedDomains = new Set();
+let lastGraphData = null;
+let lastGraphTimestamp = null;
+let lastAllDomains = null;
+
 // Event handlers
 const eventHandlers = {
   'database_changed': [],
+  'graph_mutation': [],
+  'import_progress': [],
   'connection': [],
   'error': [],
-  'reconnect': []
+  'reconnect': [],
+  'resume': [],
+  'control_command': []
 };
 
 /**
@@ -71,13 +92,27 @@ export function initWebSocket() {
       // Trigger connected event
       triggerEvent('connection', { connected: true });
       
-      // Subscribe to database changes
+      // Subscribe to database changes, then to the domains on display;
+      // the server forgets subscriptions when the connection closes
       sendMessage({
         type: 'subscribe',
         data: {
-          topic: 'database_changes'
+          topic: 'database'
         }
       });
+      subscribedDomains = new Set();
+      syncDomainSubscriptions();
+      
+      // After a reconnect, ask for the changes missed while disconnected
+      if (serverEpoch !== null && lastSeq !== null) {
+        sendMessage({
+          type: 'resume',
+          data: {
+            epoch: serverEpoch,
+            lastSeq
+          }
+        });
+      }
       
       // Request current database status
       sendMessage({
@@ -251,10 +286,36 @@ function handleServerMessage(messageData) {
     const message = JSON.parse(messageData);
     console.log(`[WebSocket] Received message: ${message.type}`);
     
+    // Change notifications are numbered; remember the highest one seen. Replayed
+    // messages can arrive after newer live ones, and must not move it back.
+    if (typeof message.seq === 'number') {
+      lastSeq = lastSeq === null ? message.seq : Math.max(lastSeq, message.seq);
+    }
+    
     switch (message.type) {
       case 'connection':
         // Connection confirmation
         console.log('[WebSocket] Connection confirmed by server');
+        
+        // Start counting on the first connection; reconnects resume instead
+        if (serverEpoch === null) {
+          serverEpoch = message.data?.epoch ?? null;
+          lastSeq = message.data?.seq ?? null;
+        }
+        break;
+        
+      case 'resume_complete':
+        console.log(`[WebSocket] Resumed, ${message.data?.replayed} missed messages replayed`);
+        triggerEvent('resume', { replayed: message.data?.replayed, reloaded: false });
+        break;
+        
+      case 'resume_failed':
+        // The missed changes are gone from the server's buffer (or it restarted)
+        console.log(`[WebSocket] Cannot resume (${message.data?.reason}), reloading all data`);
+        serverEpoch = message.data?.epoch ?? null;
+        lastSeq = message.data?.seq ?? null;
+        reloadAfterMissedChanges();
+        triggerEvent('resume', { replayed: 0, reloaded: true });
         break;
         
       case 'pong':
@@ -291,6 +352,40 @@ function handleServerMessage(messageData) {
         }
         break;
         
+      case 'node_created':
+      case 'node_updated':
+      case 'node_deleted':
+      case 'edge_created':
+      case 'edge_updated':
+      case 'edge_deleted':
+      case 'tags_changed':
+      case 'domain_changed':
+        // A change made through the API, by this or another client
+        queueMutationEvent(message.type, message.data || {});
+        triggerEvent('graph_mutation', { type: message.type, ...message.data });
+        break;
+        
+      case 'presence_snapshot':
+      case 'presence_changed':
+      case 'presence_left':
+        // Other users' names, selections and cameras, for the presence service
+        triggerEvent(message.type, message.data || {});
+        break;
+        
+      case 'control_command':
+        // A command from an external process, for the control service
+        triggerEvent('control_command', message.data || {});
+        break;
+        
+      case 'import_progress':
+        // Progress of an import this client subscribed to
+        triggerEvent('import_progress', message.data || {});
+        break;
+        
+      case 'subscription_confirmed':
+        console.log(`[WebSocket] ${message.data?.active ? 'Subscribed to' : 'Unsubscribed from'}: ${(message.data?.topics || []).join(', ')}`);
+        break;
+        
       case 'error':
         // Server reported an error
         console.error('[WebSocket] Server error:', message.data?.message);
@@ -306,6 +401,169 @@ function handleServerMessage(messageData) {
   }
 }
 
+/**
+ * Convert a mutation event into change records for applyGraphChanges
+ * @param {string} type - Event type
+ * @param {Object} data - Event payload
+ * @returns {Array<Object>} - Change records ({ kind, op, data })
+ */
+function mutationToChanges(type, data) {
+  switch (type) {
+    case 'node_created':
+    case 'node_updated': {
+      const { tags, ...node } = data.node;
+      const changes = [{ kind: 'node', op: 'upsert', data: node }];
+      // Tags of existing nodes change through tags_changed
+      if (type === 'node_created') {
+        (tags || []).forEach(tag => changes.push({ kind: 'tag', op: 'upsert', data: { nodeId: node.id, tag } }));
+      }
+      return changes;
+    }
+
+    case 'node_deleted':
+      return [{ kind: 'node', op: 'delete', data: data.node }];
+
+    case 'tags_changed':
+      return [
+        ...data.added.map(tag => ({ kind: 'tag', op: 'upsert', data: { nodeId: data.nodeId, tag } })),
+        ...data.removed.map(tag => ({ kind: 'tag', op: 'delete', data: { nodeId: data.nodeId, tag } }))
+      ];
+
+    case 'edge_created':
+    case 'edge_updated':
+    case 'edge_deleted':
+      return [{
+        kind: data.ref ? 'domain_ref' : 'edge',
+        op: type === 'edge_deleted' ? 'delete' : 'upsert',
+        data: data.ref || data.edge
+      }];
+
+    default:
+      return [];
+  }
+}
+
+/**
+ * Queue a mutation event to be applied with the others of the same change
+ * @param {string} type - Event type
+ * @param {Object} data - Event payload
+ */
+function queueMutationEvent(type, data) {
+  if (type === 'domain_changed') {
+    pendingDomainEvents.push(data);
+  } else {
+    pendingGraphChanges.push(...mutationToChanges(type, data));
+  }
+
+  if (!mutationBatchTimer) {
+    mutationBatchTimer = setTimeout(applyPendingMutations, MUTATION_BATCH_DELAY);
+  }
+}
+
+/**
+ * Apply the queued mutation events to the live graph and the domains panel
+ */
+function applyPendingMutations() {
+  mutationBatchTimer = null;
+
+  const changes = pendingGraphChanges;
+  const domainEvents = pendingDomainEvents;
+  pendingGraphChanges = [];
+  pendingDomainEvents = [];
+
+  const { domains } = applyGraphChanges(changes);
+  console.log(`[WebSocket] Applied ${changes.length} changes from mutation events`);
+
+  if (domains.length === 0 && domainEvents.length === 0) {
+    return;
+  }
+
+  import('../core/domainManagement.js').then(domainManagement => {
+    domainEvents
+      .filter(event => event.action === 'deleted')
+      .forEach(event => domainManagement.removeDomainColor(event.domain.id));
+
+    // Refresh the domain list, then color and show any new domains
+    return domainManagement.collectAllDomains().then(allDomains => {
+      allDomains.forEach(domain => domainManagement.assignDomainColor(domain));
+      domainManagement.updateMemoryDomainsPanel();
+    });
+  }).catch(error => {
+    console.error('[WebSocket] Error updating domains after mutation events:', error);
+  });
+}
+
+/**
+ * Reload the whole graph after changes were missed that cannot be replayed
+ */
+function reloadAfterMissedChanges() {
+  store.set('databaseChanged', false);
+
+  loadData(true)
+    .then(() => import('../core/domainManagement.js'))
+    .then(domainManagement => {
+      domainManagement.updateMemoryDomainsPanel();
+      console.log('[WebSocket] Graph reloaded after missed changes');
+    })
+    .catch(error => {
+      console.error('[WebSocket] Error reloading after missed changes:', error);
+    });
+}
+
+/**
+ * Subscribe to a server topic, such as the progress of an import
+ * @param {string} topic - Topic name
+ * @returns {boolean} - Whether the subscription was sent
+ */
+export function subscribe(topic) {
+  return sendMessage({ type: 'subscribe', data: { topic } });
+}
+
+/**
+ * Unsubscribe from a server topic
+ * @param {string} topic - Topic name
+ * @returns {boolean} - Whether the request was sent
+ */
+export function unsubscribe(topic) {
+  return sendMessage({ type: 'unsubscribe', data: { topic } });
+}
+
+/**
+ * Get the domains the graph is displaying, including empty ones in the domains panel
+ * @returns {Set<string>} - Domain ids
+ */
+function getDisplayedDomains() {
+  const { graphData } = store.getState();
+  const domains = new Set(store.get('allDomains') || []);
+  (graphData?.nodes || []).forEach(node => {
+    if (node.domain) {
+      domains.add(node.domain);
+    }
+  });
+  return domains;
+}
+
+/**
+ * Subscribe to the domain topics of the displayed domains and unsubscribe
+ * from the ones no longer displayed
+ */
+export function syncDomainSubscriptions() {
+  if (!isConnected) return;
+
+  const displayed = getDisplayedDomains();
+  const added = [...displayed].filter(domain => !subscribedDomains.has(domain));
+  const removed = [...subscribedDomains].filter(domain => !displayed.has(domain));
+
+  if (added.length > 0) {
+    sendMessage({ type: 'subscribe', data: { topics: added.map(domain => `domain:${domain}`) } });
+  }
+  if (removed.length > 0) {
+    sendMessage({ type: 'unsubscribe', data: { topics: removed.map(domain => `domain:${domain}`) } });
+  }
+
+  subscribedDomains = displayed;
+}
+
 /**
  * Register an event handler
  * @param {string} eventType - Type of event to listen for
@@ -346,16 +604,17 @@ function triggerEvent(eventType, data) {
 }
 
 /**
- * Reload graph data in response to database changes
+ * Update graph data in response to database changes. Only the changes since
+ * the last load are applied; a full reload happens if the delta is unavailable.
  * @param {boolean} showNotification - Whether to show a notification to the user
  */
 export function refreshDataFromDatabaseChange(showNotification = true) {
   // Reset database changed flag
   store.set('databaseChanged', false);
   
-  // Reload graph data, preserving positions
-  loadData(true).then(() => {
-    console.log('[WebSocket] Graph data reloaded due to database change');
+  // Apply the changes, preserving positions
+  syncGraphChanges().then(({ mode, applied }) => {
+    console.log(`[WebSocket] Graph data updated due to database change (${mode}, ${applied} changes)`);
     
     // Update memory domains panel
     import('../core/domainManagement.js').then((domainManagement) => {
@@ -434,10 +693,31 @@ export function refreshDataFromDatabaseChange(showNotification = true) {
   });
 }
 
+// Follow the domains on display as the graph and the domain list change
+store.subscribe((state) => {
+  const graphTimestamp = state.graphData?.timestamp;
+  if (state.graphData === lastGraphData && graphTimestamp === lastGraphTimestamp &&
+      state.allDomains === lastAllDomains) {
+    return;
+  }
+
+  lastGraphData = state.graphData;
+  lastGraphTimestamp = graphTimestamp;
+  lastAllDomains = state.allDomains;
+  syncDomainSubscriptions();
+});
+
 // Initialize WebSocket when this module is loaded
 // Setup event listener for database changes
-on('database_changed', () => {
+on('database_changed', (data) => {
   try {
+    // Nothing to do if the graph already reflects this revision
+    if (data.cursor && !data.reset && data.cursor === store.get('graphCursor')) {
+      store.set('databaseChanged', false);
+      console.log('[WebSocket] Graph is already up to date');
+      return;
+    }
+    
     // Check if auto-refresh is enabled
     const autoRefreshEnabled = store.get('autoRefreshOnDatabaseChange') !== false;
     
@@ -458,6 +738,9 @@ export default {
   initWebSocket,
   closeConnection,
   sendMessage,
+  subscribe,
+  unsubscribe,
+  syncDomainSubscriptions,
   on,
   refreshDataFromDatabaseChange
 };
\ No newline at end of file
@@ -0,0 +1,198 @@
+/**
+ * Token Authentication Module
+ *
+ * Checks API tokens on HTTP requests and WebSocket upgrades. Tokens are
+ * configured with API_TOKENS; each has the read-write role unless it is
+ * suffixed with ":read-only". Clients send a token as
+ * "Authorization: Bearer <token>", or log in once with POST /api/auth/login,
+ * which keeps it in an HttpOnly cookie for the browser's requests, downloads
+ * and WebSocket connection. Without configured tokens everyone has read-write
+ * access, as before.
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+
+const ROLE_READ_WRITE = 'read-write';
+const ROLE_READ_ONLY = 'read-only';
+
+const COOKIE_NAME = 'memory_graph_token';
+
+// API paths, relative to /api, that answer without a token
+const PUBLIC_PATHS = ['/auth/status', '/auth/login', '/auth/logout'];
+
+// Methods that never change the graph or the database
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+let tokens = null;
+
+/**
+ * Hash a token, so tokens of any length can be compared in constant time
+ * @param {string} token - Token
+ * @returns {Buffer} - SHA-256 digest
+ */
+function digest(token) {
+  return crypto.createHash('sha256').update(token).digest();
+}
+
+/**
+ * Get the configured tokens with their roles
+ * @returns {Array<Object>} - Tokens as { digest, role }
+ */
+function getTokens() {
+  if (!tokens) {
+    tokens = config.apiTokens.map(entry => {
+      const separator = entry.lastIndexOf(':');
+      const suffix = separator === -1 ? null : entry.slice(separator + 1);
+      const hasRole = suffix === ROLE_READ_ONLY || suffix === ROLE_READ_WRITE;
+      return {
+        digest: digest(hasRole ? entry.slice(0, separator) : entry),
+        role: hasRole ? suffix : ROLE_READ_WRITE
+      };
+    });
+  }
+  return tokens;
+}
+
+/**
+ * Whether tokens are required
+ * @returns {boolean} - True if any token is configured
+ */
+function isAuthEnabled() {
+  return getTokens().length > 0;
+}
+
+/**
+ * Find the role of a token
+ * @param {string} token - Token sent by a client
+ * @returns {string|null} - Role, or null for an unknown token
+ */
+function getTokenRole(token) {
+  if (!token) return null;
+
+  const candidate = digest(token);
+  let role = null;
+  // Compare with every token, so the time taken does not tell which one matched
+  getTokens().forEach(entry => {
+    if (crypto.timingSafeEqual(candidate, entry.digest) && !role) {
+      role = entry.role;
+    }
+  });
+  return role;
+}
+
+/**
+ * Read the token a request carries, from the Authorization header or the login cookie
+ * @param {Object} req - HTTP request (Express or a plain upgrade request)
+ * @returns {string|null} - Token
+ */
+function getRequestToken(req) {
+  const header = req.headers.authorization;
+  if (header && header.startsWith('Bearer ')) {
+    return header.slice('Bearer '.length).trim();
+  }
+
+  const cookies = (req.headers.cookie || '').split(';');
+  for (const cookie of cookies) {
+    const separator = cookie.indexOf('=');
+    if (separator !== -1 && cookie.slice(0, separator).trim() === COOKIE_NAME) {
+      try {
+        return decodeURIComponent(cookie.slice(separator + 1).trim());
+      } catch (err) {
+        return null;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find the access a request has
+ * @param {Object} req - HTTP request (Express or a plain upgrade request)
+ * @returns {Object|null} - { role }, or null if a token is required and missing or unknown
+ */
+function authenticateRequest(req) {
+  if (!isAuthEnabled()) {
+    return { role: ROLE_READ_WRITE };
+  }
+
+  const role = getTokenRole(getRequestToken(req));
+  return role ? { role } : null;
+}
+
+/**
+ * Middleware that rejects API requests without a valid token and sets req.auth
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {function} next - Next middleware
+ */
+function authenticate(req, res, next) {
+  if (PUBLIC_PATHS.includes(req.path)) return next();
+
+  const auth = authenticateRequest(req);
+  if (!auth) {
+    console.log(`[Auth] Rejected ${req.method} ${req.originalUrl}: missing or invalid token`);
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  req.auth = auth;
+  next();
+}
+
+/**
+ * Middleware that rejects requests made with a read-only token
+ * @param {Object} req - Express request, after authenticate
+ * @param {Object} res - Express response
+ * @param {function} next - Next middleware
+ */
+function requireWriteAccess(req, res, next) {
+  if (req.auth && req.auth.role === ROLE_READ_ONLY) {
+    console.log(`[Auth] Rejected ${req.method} ${req.originalUrl}: read-only token`);
+    return res.status(403).json({ error: 'This token has read-only access' });
+  }
+  next();
+}
+
+/**
+ * Middleware that applies requireWriteAccess to every mutating request
+ * @param {Object} req - Express request, after authenticate
+ * @param {Object} res - Express response
+ * @param {function} next - Next middleware
+ */
+function rejectReadOnlyMutations(req, res, next) {
+  if (SAFE_METHODS.includes(req.method) || PUBLIC_PATHS.includes(req.path)) return next();
+  requireWriteAccess(req, res, next);
+}
+
+/**
+ * Keep a token in the login cookie
+ * @param {Object} res - Express response
+ * @param {string} token - Token
+ */
+function setTokenCookie(res, token) {
+  res.setHeader('Set-Cookie',
+    `${COOKIE_NAME}=${encodeURIComponent(token)}; Path=/; HttpOnly; SameSite=Strict`);
+}
+
+/**
+ * Remove the login cookie
+ * @param {Object} res - Express response
+ */
+function clearTokenCookie(res) {
+  res.setHeader('Set-Cookie', `${COOKIE_NAME}=; Path=/; HttpOnly; SameSite=Strict; Max-Age=0`);
+}
+
+module.exports = {
+  ROLE_READ_WRITE,
+  ROLE_READ_ONLY,
+  isAuthEnabled,
+  getTokenRole,
+  getRequestToken,
+  authenticateRequest,
+  authenticate,
+  requireWriteAccess,
+  rejectReadOnlyMutations,
+  setTokenCookie,
+  clearTokenCookie
+};
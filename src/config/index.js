@@ -15,6 +15,21 @@ const config = {
   // Database configuration
   dbPath: process.env.DB_PATH || './memory-graph.db',
   
+  // Snapshot settings. Without a directory, snapshots are kept next to the database;
+  // automatic snapshots are taken every snapshotIntervalMinutes (0 = off) and the
+  // newest snapshotKeep of them are kept
+  snapshotDir: process.env.SNAPSHOT_DIR || null,
+  snapshotIntervalMinutes: parseInt(process.env.SNAPSHOT_INTERVAL_MINUTES, 10) || 0,
+  snapshotKeep: parseInt(process.env.SNAPSHOT_KEEP, 10) || 10,
+  
+  // Largest NDJSON domain import accepted, in megabytes. The upload is read
+  // into memory before it is written, so this bounds what one import can use.
+  maxNdjsonImportMb: parseInt(process.env.MAX_NDJSON_IMPORT_MB, 10) || 200,
+  
+  // API tokens, comma-separated, each optionally suffixed with ":read-only".
+  // Without any tokens the API and WebSocket are open to everyone.
+  apiTokens: (process.env.API_TOKENS || '').split(',').map(token => token.trim()).filter(Boolean),
+  
   // Connection retry settings
   maxReconnectAttempts: 10,
   baseReconnectDelay: 500, // 500ms initial delay
@@ -31,6 +46,8 @@ const config = {
 console.log('Application Configuration:');
 console.log(`- Port: ${config.port}`);
 console.log(`- Database: ${config.dbPath}`);
+console.log(`- Snapshots: ${config.snapshotIntervalMinutes > 0 ? `every ${config.snapshotIntervalMinutes} min, keeping ${config.snapshotKeep}` : 'manual only'}`);
+console.log(`- Authentication: ${config.apiTokens.length > 0 ? `${config.apiTokens.length} API tokens` : 'disabled'}`);
 console.log(`- Environment: ${config.isProduction ? 'Production' : 'Development'}`);
 
 module.exports = config;
\ No newline at end of file
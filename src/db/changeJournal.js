@@ -0,0 +1,341 @@
+/**
+ * Change Journal Module
+ *
+ * Records inserts, updates and deletes of nodes, edges, tags and domain refs
+ * by diffing snapshots of the database each time it changes. Snapshot diffing
+ * is used instead of triggers so the MCP-owned tables are never modified.
+ * Snapshots are read in one read transaction on a connection of their own and
+ * keep only a fingerprint of each row.
+ *
+ * Cursors have the form `<epoch>.<revision>`. The epoch changes whenever the
+ * journal is restarted (server start, database switch), so clients holding a
+ * cursor from an earlier epoch know they need a full reload.
+ */
+
+const sqlite3 = require('sqlite3');
+const crypto = require('crypto');
+const fs = require('fs');
+const dbService = require('./dbService');
+
+// Maximum number of revisions kept for clients to catch up from
+const MAX_REVISIONS = 500;
+
+// Changes often come in bursts (a watcher event per write); captures asked for
+// within this long of each other share one read
+const CAPTURE_DELAY = 100; // milliseconds
+
+// Journaled tables, in the order their changes are reported: the query reading
+// them, the primary key of a row, and the fields a delete reports
+const JOURNAL_TABLES = {
+  nodes: {
+    kind: 'node',
+    query: 'SELECT id, content, content_summary, domain, path, timestamp FROM MEMORY_NODES',
+    key: row => row.id,
+    removal: row => ({ id: row.id, domain: row.domain })
+  },
+  tags: {
+    kind: 'tag',
+    query: 'SELECT nodeId, tag FROM MEMORY_TAGS',
+    key: row => `${row.nodeId}\u0000${row.tag}`,
+    removal: row => row
+  },
+  edges: {
+    kind: 'edge',
+    query: 'SELECT id, source, target, type, strength, domain FROM MEMORY_EDGES',
+    key: row => row.id,
+    removal: row => ({ id: row.id, source: row.source, target: row.target, domain: row.domain })
+  },
+  refs: {
+    kind: 'domain_ref',
+    query: 'SELECT nodeId, domain, targetNodeId, targetDomain, description, bidirectional FROM DOMAIN_REFS',
+    key: row => `${row.nodeId}\u0000${row.targetNodeId}`,
+    removal: row => ({ nodeId: row.nodeId, domain: row.domain, targetNodeId: row.targetNodeId, targetDomain: row.targetDomain })
+  }
+};
+
+// Journal state
+let epoch = Date.now().toString(36);
+let revision = 0;
+let snapshot = null;
+let snapshotPath = null;
+const revisions = [];
+
+// Connection snapshots are read on (see getReadConnection)
+let readConnection = null;
+
+// Callbacks waiting on a capture in progress
+let pendingCapture = null;
+
+/**
+ * Get the current cursor
+ * @returns {string} - Cursor for the latest recorded revision
+ */
+function getCursor() {
+  return `${epoch}.${revision}`;
+}
+
+/**
+ * Open (or reuse) the connection snapshots are read on. It is kept apart from
+ * the shared connection so each snapshot can be read in one read transaction,
+ * and so PRAGMA data_version reports every commit made by anyone else. It is
+ * reopened if the database file is replaced.
+ * @param {string} dbPath - Path of the database
+ * @param {function} callback - callback(err, connection)
+ */
+function getReadConnection(dbPath, callback) {
+  let inode = null;
+  try {
+    inode = fs.statSync(dbPath).ino;
+  } catch (err) {
+    return callback(err);
+  }
+
+  if (readConnection && readConnection.path === dbPath && readConnection.inode === inode) {
+    return callback(null, readConnection.db);
+  }
+
+  closeReadConnection();
+
+  const db = new sqlite3.Database(dbPath, sqlite3.OPEN_READONLY, (err) => {
+    if (err) {
+      console.error('[Journal] Error opening read connection:', err.message);
+      return callback(err);
+    }
+
+    db.configure('busyTimeout', 5000);
+    readConnection = { db, path: dbPath, inode, dataVersion: null };
+    callback(null, db);
+  });
+}
+
+/**
+ * Close the snapshot read connection, if open
+ */
+function closeReadConnection() {
+  if (!readConnection) return;
+
+  readConnection.db.close((err) => {
+    if (err) console.error('[Journal] Error closing read connection:', err.message);
+  });
+  readConnection = null;
+}
+
+/**
+ * Read the current state of all journaled tables in one read transaction and
+ * diff it against the previous snapshot as the rows arrive. Snapshots keep a
+ * fingerprint of each row rather than the row, plus the fields clients need
+ * to remove it, so only changed rows are held in full.
+ * @param {Object} db - Read connection
+ * @param {Object|null} previous - Previous snapshot, or null for a baseline
+ * @param {function} callback - callback(err, { snapshot, changes })
+ */
+function readSnapshot(db, previous, callback) {
+  const snapshot = {};
+  const inserted = {};
+  const updated = {};
+  const tables = Object.keys(JOURNAL_TABLES);
+
+  const readTable = (index) => {
+    if (index === tables.length) return finish();
+
+    const table = tables[index];
+    const { query, key, removal } = JOURNAL_TABLES[table];
+    const rows = new Map();
+    const oldRows = previous ? previous[table] : null;
+    inserted[table] = [];
+    updated[table] = [];
+
+    db.each(query, [], (err, row) => {
+      if (err) return;
+
+      const rowKey = key(row);
+      const fingerprint = crypto.createHash('sha1').update(JSON.stringify(row)).digest('base64');
+      rows.set(rowKey, { fingerprint, removal: removal(row) });
+
+      if (!oldRows) return;
+      const oldRow = oldRows.get(rowKey);
+      if (!oldRow) {
+        inserted[table].push(row);
+      } else if (oldRow.fingerprint !== fingerprint) {
+        updated[table].push(row);
+      }
+    }, (err) => {
+      if (err) return fail(err);
+      snapshot[table] = rows;
+      readTable(index + 1);
+    });
+  };
+
+  const fail = (err) => {
+    db.run('ROLLBACK', (rollbackErr) => {
+      if (rollbackErr) console.error('[Journal] Error ending snapshot read:', rollbackErr.message);
+      callback(err);
+    });
+  };
+
+  const finish = () => {
+    db.run('COMMIT', (err) => {
+      if (err) return fail(err);
+
+      const changes = [];
+      if (previous) {
+        // Nodes first so clients can attach tags and links to them
+        tables.forEach(table => {
+          const kind = JOURNAL_TABLES[table].kind;
+          inserted[table].forEach(row => changes.push({ kind, op: 'insert', data: row }));
+          updated[table].forEach(row => changes.push({ kind, op: 'update', data: row }));
+          previous[table].forEach((row, rowKey) => {
+            if (!snapshot[table].has(rowKey)) {
+              changes.push({ kind, op: 'delete', data: row.removal });
+            }
+          });
+        });
+      }
+
+      callback(null, { snapshot, changes });
+    });
+  };
+
+  db.run('BEGIN TRANSACTION', (err) => {
+    if (err) return callback(err);
+    readTable(0);
+  });
+}
+
+/**
+ * Get the data version of the read connection, which changes whenever another
+ * connection commits to the database
+ * @param {Object} db - Read connection
+ * @param {function} callback - callback(err, version)
+ */
+function getDataVersion(db, callback) {
+  db.get('PRAGMA data_version', [], (err, row) => {
+    if (err) return callback(err);
+    callback(null, row.data_version);
+  });
+}
+
+/**
+ * Start a new epoch, discarding all recorded revisions
+ */
+function resetJournal() {
+  epoch = Date.now().toString(36);
+  revision = 0;
+  revisions.length = 0;
+  snapshot = null;
+}
+
+/**
+ * Diff the database against the last snapshot and record any changes.
+ * Concurrent callers share a single capture, and the tables are only read
+ * again once something has been committed since the last one.
+ * @param {function} callback - callback(err, { cursor, changeCount, reset }); reset
+ *                              is true when a new journal was started
+ */
+function capture(callback = () => {}) {
+  if (pendingCapture) {
+    pendingCapture.push(callback);
+    return;
+  }
+
+  pendingCapture = [callback];
+
+  const finish = (err, result) => {
+    const waiting = pendingCapture;
+    pendingCapture = null;
+    waiting.forEach(cb => cb(err, result));
+  };
+
+  // Let a burst of requests settle into one read
+  setTimeout(() => {
+    // A different database file means a different history
+    const dbPath = dbService.getDatabasePath();
+    const isNewJournal = snapshotPath !== dbPath;
+    if (isNewJournal) {
+      console.log(`[Journal] Starting new change journal for ${dbPath}`);
+      resetJournal();
+      snapshotPath = dbPath;
+    }
+
+    getReadConnection(dbPath, (err, db) => {
+      if (err) {
+        console.error('[Journal] Error reading database snapshot:', err.message);
+        return finish(err);
+      }
+
+      getDataVersion(db, (err, dataVersion) => {
+        if (err) {
+          console.error('[Journal] Error reading database snapshot:', err.message);
+          return finish(err);
+        }
+
+        // Nothing was committed since the last snapshot, so there is nothing to read
+        if (snapshot && dataVersion === readConnection.dataVersion) {
+          return finish(null, { cursor: getCursor(), changeCount: 0, reset: false });
+        }
+
+        readSnapshot(db, snapshot, (err, current) => {
+          if (err) {
+            console.error('[Journal] Error reading database snapshot:', err.message);
+            return finish(err);
+          }
+
+          const isBaseline = !snapshot;
+          snapshot = current.snapshot;
+          readConnection.dataVersion = dataVersion;
+
+          // The first snapshot is only a baseline
+          if (isBaseline) {
+            return finish(null, { cursor: getCursor(), changeCount: 0, reset: isNewJournal });
+          }
+
+          const { changes } = current;
+          if (changes.length > 0) {
+            revision++;
+            revisions.push({ revision, changes });
+
+            if (revisions.length > MAX_REVISIONS) {
+              revisions.shift();
+            }
+
+            console.log(`[Journal] Recorded revision ${revision} with ${changes.length} changes`);
+          }
+
+          finish(null, { cursor: getCursor(), changeCount: changes.length, reset: false });
+        });
+      });
+    });
+  }, CAPTURE_DELAY);
+}
+
+/**
+ * Get all changes recorded after a cursor
+ * @param {string} since - Cursor previously returned by the journal
+ * @returns {Object} - { cursor, reset, changes }. When reset is true the
+ *                     cursor can't be caught up from and changes is empty.
+ */
+function getChangesSince(since) {
+  const [sinceEpoch, sinceRevisionText] = String(since || '').split('.');
+  const sinceRevision = parseInt(sinceRevisionText, 10);
+  const oldestAvailable = revisions.length > 0 ? revisions[0].revision - 1 : revision;
+
+  if (sinceEpoch !== epoch || isNaN(sinceRevision) ||
+      sinceRevision > revision || sinceRevision < oldestAvailable) {
+    return { cursor: getCursor(), reset: true, changes: [] };
+  }
+
+  const changes = [];
+  revisions.forEach(entry => {
+    if (entry.revision > sinceRevision) {
+      changes.push(...entry.changes);
+    }
+  });
+
+  return { cursor: getCursor(), reset: false, changes };
+}
+
+module.exports = {
+  getCursor,
+  capture,
+  getChangesSince
+};
@@ -8,6 +8,7 @@ const sqlite3 = require('sqlite3').verbose();
 const config = require('../config');
 const fs = require('fs');
 const path = require('path');
+const searchIndex = require('./searchIndex');
 
 // Database connection
 let db;
@@ -28,6 +29,14 @@ let fileWatcher = null;
 // Change event listeners
 const changeListeners = [];
 
+// How long reloadDatabase waits for a connect already under way
+const RELOAD_MAX_WAIT = 10000; // milliseconds
+const RELOAD_POLL_INTERVAL = 50; // milliseconds
+
+// Operations waiting for their own connection, run one at a time (see executeOnOwnConnection)
+const ownConnectionQueue = [];
+let ownConnectionBusy = false;
+
 /**
  * Connect to the database with exponential backoff retry logic
  * @param {boolean} isReconnect - Whether this is a reconnection attempt
@@ -92,6 +101,9 @@ function connectToDatabase(isReconnect = false, callback = null) {
       // Initialize last modification time
       initLastModTime();
       
+      // The search index may no longer match this connection's data
+      searchIndex.invalidate();
+      
       // Execute callback with success if provided
       if (callback && typeof callback === 'function') {
         callback(null, { success: true });
@@ -100,6 +112,17 @@ function connectToDatabase(isReconnect = false, callback = null) {
   });
 }
 
+/**
+ * Whether an error means another connection holds a lock on the database
+ * @param {Error} err - Database error
+ * @returns {boolean} - True if the operation can be retried later
+ */
+function isBusyError(err) {
+  return Boolean(err) && (err.message.includes('SQLITE_BUSY') ||
+                          err.message.includes('SQLITE_LOCKED') ||
+                          err.message.includes('database is locked'));
+}
+
 /**
  * Execute a database operation with automatic reconnection on failure
  * @param {function} operation - Function that takes the db object and executes the operation
@@ -118,9 +141,7 @@ function executeWithRetry(operation, maxRetries = 3, callback = null) {
     
     try {
       operation(db, (err, result) => {
-        if (err && (err.message.includes('SQLITE_BUSY') || 
-                    err.message.includes('SQLITE_LOCKED') || 
-                    err.message.includes('database is locked'))) {
+        if (isBusyError(err)) {
           
           if (retries < maxRetries) {
             retries++;
@@ -517,6 +538,154 @@ function updateDatabasePath(newPath, callback) {
   });
 }
 
+/**
+ * Reopen the connection to the current database after its contents were
+ * replaced in place (e.g. by a snapshot restore). A connect already under way,
+ * such as one the file watcher started on seeing the write, is waited for first.
+ * @param {function} callback - Callback with result: callback(err, result)
+ */
+function reloadDatabase(callback) {
+  let waited = 0;
+  
+  const attempt = () => {
+    if (isConnecting) {
+      if (waited >= RELOAD_MAX_WAIT) {
+        return callback(new Error('Timed out waiting for a database connection attempt to finish'));
+      }
+      waited += RELOAD_POLL_INTERVAL;
+      return setTimeout(attempt, RELOAD_POLL_INTERVAL);
+    }
+    
+    updateDatabasePath(currentDbPath, callback);
+  };
+  
+  attempt();
+}
+
+/**
+ * Run statements one after another, each once the previous one has finished,
+ * stopping at the first failure. Inside a transaction this lets the caller
+ * decide between COMMIT and ROLLBACK once every statement has run.
+ * @param {Object} database - Database connection
+ * @param {Array<Object>} statements - Statements as { sql, params }
+ * @param {function} callback - callback(err, changes), with the rows changed by each statement
+ */
+function runStatements(database, statements, callback) {
+  const changes = [];
+  
+  const runNext = (index) => {
+    if (index === statements.length) {
+      return callback(null, changes);
+    }
+    
+    const { sql, params = [] } = statements[index];
+    database.run(sql, params, function(err) {
+      if (err) return callback(err);
+      changes.push(this.changes);
+      runNext(index + 1);
+    });
+  };
+  
+  runNext(0);
+}
+
+/**
+ * Roll back the open transaction, then pass on the error that caused it. The
+ * ROLLBACK has a callback of its own, so a failing one (for example with no
+ * transaction open) is logged instead of raising an unhandled 'error' event.
+ * @param {Object} database - Database connection
+ * @param {Error} err - Error that made the transaction fail
+ * @param {function} callback - callback(err)
+ */
+function rollbackTransaction(database, err, callback) {
+  database.run('ROLLBACK', (rollbackErr) => {
+    if (rollbackErr) {
+      console.error('Error rolling back transaction:', rollbackErr.message);
+    }
+    callback(err);
+  });
+}
+
+/**
+ * Start the next queued own-connection operation, if none is running
+ */
+function runNextOwnConnection() {
+  if (ownConnectionBusy || ownConnectionQueue.length === 0) {
+    return;
+  }
+  
+  ownConnectionBusy = true;
+  const run = ownConnectionQueue.shift();
+  run(() => {
+    ownConnectionBusy = false;
+    runNextOwnConnection();
+  });
+}
+
+/**
+ * Execute an operation on a connection of its own, closed when the operation
+ * completes. Transactions (imports, creates, domain renames and deletes, undo)
+ * use this, so the requests served meanwhile on the shared connection never
+ * run inside them. Operations are queued and run one at a time: connections
+ * waiting on each other's locks would otherwise tie up the threads sqlite3
+ * runs queries on, including the one the lock holder needs to commit.
+ * @param {function} operation - Function that takes the db object and a callback(err, result)
+ * @param {number} maxRetries - Maximum number of retries while the database is busy
+ * @param {function} callback - Callback to execute after operation completes or fails
+ */
+function executeOnOwnConnection(operation, maxRetries = 3, callback = null) {
+  ownConnectionQueue.push(done => runOnOwnConnection(operation, maxRetries, (err, result) => {
+    done();
+    if (callback) callback(err, result);
+  }));
+  runNextOwnConnection();
+}
+
+/**
+ * Open a connection, run an operation on it and close it, retrying while the
+ * database is busy
+ * @param {function} operation - Function that takes the db object and a callback(err, result)
+ * @param {number} maxRetries - Maximum number of retries while the database is busy
+ * @param {function} callback - callback(err, result)
+ */
+function runOnOwnConnection(operation, maxRetries, callback) {
+  let retries = 0;
+  
+  function attempt() {
+    const connection = new sqlite3.Database(currentDbPath, (err) => {
+      if (err) {
+        console.error('Error opening a separate database connection:', err.message);
+        if (callback) callback(err);
+        return;
+      }
+      
+      connection.configure('busyTimeout', 5000);
+      
+      operation(connection, (err, result) => {
+        connection.close((closeErr) => {
+          if (closeErr) {
+            console.error('Error closing a separate database connection:', closeErr.message);
+          }
+          
+          if (isBusyError(err) && retries < maxRetries) {
+            retries++;
+            const delay = BASE_RECONNECT_DELAY * Math.pow(2, retries - 1);
+            console.log(`Database busy/locked, retrying in ${delay}ms (attempt ${retries}/${maxRetries})`);
+            setTimeout(attempt, delay);
+          } else if (err) {
+            console.error('Database operation error:', err.message);
+            if (callback) callback(err);
+          } else if (callback) {
+            callback(null, result);
+          }
+        });
+      });
+    });
+  }
+  
+  attempt();
+}
+
 /**
  * Get the current database path
  * @returns {string} The current database path
@@ -533,6 +702,22 @@ function getDatabase() {
   return db;
 }
 
+/**
+ * Full-text search over memory nodes. The FTS5 index is kept outside the
+ * memory database and rebuilt whenever the database has changed.
+ * @param {string} text - Search text
+ * @param {number} limit - Maximum number of results
+ * @param {function} callback - Callback with result: callback(err, results)
+ */
+function searchNodes(text, limit, callback) {
+  executeWithRetry((database, cb) => {
+    searchIndex.ensureFresh(database, currentDbPath, (err) => {
+      if (err) return cb(err);
+      searchIndex.search(text, limit, cb);
+    });
+  }, 3, callback);
+}
+
 // Initialize database connection on module load
 connectToDatabase();
 
@@ -555,13 +740,18 @@ process.on('SIGINT', () => {
 module.exports = {
   connectToDatabase,
   executeWithRetry,
+  executeOnOwnConnection,
+  rollbackTransaction,
+  runStatements,
   checkDatabaseModified,
   validateDatabasePath,
   updateDatabasePath,
+  reloadDatabase,
   getDatabasePath,
   getDatabase,
   startFileWatcher,
   stopFileWatcher,
   addChangeListener,
-  removeChangeListener
+  removeChangeListener,
+  searchNodes
 };
\ No newline at end of file
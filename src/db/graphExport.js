@@ -0,0 +1,203 @@
+/**
+ * Graph Export Module
+ *
+ * Reads a self-contained part of the memory graph for export: the whole
+ * database, one domain or an explicit list of nodes. Edges and domain refs
+ * are included only when both of their endpoints are selected. Domains can
+ * also be read page by page, for streaming exports of any size.
+ */
+
+const dbService = require('./dbService');
+
+// Number of rows read per page when streaming a domain
+const EXPORT_PAGE_SIZE = 500;
+
+/**
+ * Build the WHERE clause that selects the exported nodes
+ * @param {Object} selection - { domain } or { nodeIds }; empty for the whole database
+ * @returns {Object} - { where, params } for a MEMORY_NODES query
+ */
+function buildNodeFilter(selection) {
+  if (selection.domain) {
+    return { where: 'domain = ?', params: [selection.domain] };
+  }
+
+  if (selection.nodeIds) {
+    const placeholders = selection.nodeIds.map(() => '?').join(', ') || 'NULL';
+    return { where: `id IN (${placeholders})`, params: selection.nodeIds };
+  }
+
+  return { where: '1', params: [] };
+}
+
+/**
+ * Load the selected nodes (with their tags), the edges and domain refs between
+ * them, and the DOMAINS rows of the domains they belong to (every domain for
+ * the whole database)
+ * @param {Object} selection - { domain } or { nodeIds }; empty for the whole database
+ * @param {function} callback - callback(err, { nodes, edges, domainRefs, domains })
+ */
+function loadGraphSelection(selection, callback) {
+  const { where, params } = buildNodeFilter(selection);
+  const nodeSet = `SELECT id FROM MEMORY_NODES WHERE ${where}`;
+
+  const queries = {
+    nodes: {
+      sql: `SELECT id, content, content_summary, domain, path, timestamp
+            FROM MEMORY_NODES WHERE ${where} ORDER BY domain, id`,
+      params
+    },
+    tags: {
+      sql: `SELECT nodeId, tag FROM MEMORY_TAGS WHERE nodeId IN (${nodeSet}) ORDER BY nodeId, tag`,
+      params
+    },
+    edges: {
+      sql: `SELECT id, source, target, type, strength, timestamp, domain
+            FROM MEMORY_EDGES
+            WHERE source IN (${nodeSet}) AND target IN (${nodeSet})
+            ORDER BY id`,
+      params: [...params, ...params]
+    },
+    domainRefs: {
+      sql: `SELECT nodeId, domain, targetNodeId, targetDomain, description, bidirectional
+            FROM DOMAIN_REFS
+            WHERE nodeId IN (${nodeSet}) AND targetNodeId IN (${nodeSet})
+            ORDER BY nodeId, targetNodeId`,
+      params: [...params, ...params]
+    },
+    // The whole database includes domains that have no nodes yet
+    domains: {
+      sql: `SELECT id, name, description, created, lastAccess
+            FROM DOMAINS
+            WHERE ${where === '1' ? '1' : `id IN (SELECT domain FROM MEMORY_NODES WHERE ${where})`}${selection.domain ? ' OR id = ?' : ''}
+            ORDER BY id`,
+      params: selection.domain ? [...params, selection.domain] : params
+    }
+  };
+
+  const result = {};
+  const names = Object.keys(queries);
+  let remaining = names.length;
+  let failed = false;
+
+  names.forEach(name => {
+    dbService.executeWithRetry((db, cb) => {
+      db.all(queries[name].sql, queries[name].params, cb);
+    }, 3, (err, rows) => {
+      if (failed) return;
+
+      if (err) {
+        failed = true;
+        return callback(err);
+      }
+
+      result[name] = rows;
+      if (--remaining > 0) return;
+
+      // Attach tags to their nodes
+      const tagsByNode = {};
+      result.tags.forEach(({ nodeId, tag }) => {
+        (tagsByNode[nodeId] = tagsByNode[nodeId] || []).push(tag);
+      });
+
+      callback(null, {
+        nodes: result.nodes.map(node => ({ ...node, tags: tagsByNode[node.id] || [] })),
+        edges: result.edges,
+        domainRefs: result.domainRefs.map(ref => ({ ...ref, bidirectional: !!ref.bidirectional })),
+        domains: result.domains
+      });
+    });
+  });
+}
+
+/**
+ * Read the rows of a query page by page, in key order, handing each page to
+ * a consumer that may take its time (e.g. waiting for a slow download)
+ * @param {string} sql - Query with a `key > ?` condition and `LIMIT ?`, ordered by key,
+ *                       whose last two parameters are the key and the limit
+ * @param {Array} params - Parameters before the key and limit
+ * @param {string} keyColumn - Column holding the key
+ * @param {function} onPage - onPage(rows, done) where done(err) asks for the next page
+ * @param {function} callback - callback(err) when every page has been handled
+ */
+function forEachPage(sql, params, keyColumn, onPage, callback) {
+  const readPage = (lastKey) => {
+    dbService.executeWithRetry((db, cb) => {
+      db.all(sql, [...params, lastKey, EXPORT_PAGE_SIZE], cb);
+    }, 3, (err, rows) => {
+      if (err) return callback(err);
+      if (rows.length === 0) return callback(null);
+
+      onPage(rows, (pageErr) => {
+        if (pageErr) return callback(pageErr);
+        if (rows.length < EXPORT_PAGE_SIZE) return callback(null);
+        readPage(rows[rows.length - 1][keyColumn]);
+      });
+    });
+  };
+
+  readPage('');
+}
+
+/**
+ * Read a domain as a stream of records: the DOMAINS row, then its nodes (with
+ * tags), then the edges between them, a page at a time
+ * @param {string} domainId - Domain to read
+ * @param {function} onRecords - onRecords(type, rows, done) with type 'domain', 'node' or 'edge';
+ *                               call done(err) to continue
+ * @param {function} callback - callback(err, found) once everything has been read; found is
+ *                              false if the domain does not exist
+ */
+function streamDomain(domainId, onRecords, callback) {
+  const domainQuery = `
+    SELECT id, name, description, created, lastAccess
+    FROM DOMAINS
+    WHERE id = ?
+  `;
+
+  const nodesQuery = `
+    SELECT id, content, content_summary, path, timestamp,
+      (SELECT json_group_array(tag) FROM MEMORY_TAGS t WHERE t.nodeId = n.id) AS tags
+    FROM MEMORY_NODES n
+    WHERE domain = ? AND id > ?
+    ORDER BY id
+    LIMIT ?
+  `;
+
+  // Edges within this domain (exclude cross-domain edges)
+  const edgesQuery = `
+    SELECT e.id, e.source, e.target, e.type, e.strength, e.timestamp
+    FROM MEMORY_EDGES e
+    INNER JOIN MEMORY_NODES n1 ON e.source = n1.id
+    INNER JOIN MEMORY_NODES n2 ON e.target = n2.id
+    WHERE e.domain = ? AND n1.domain = ? AND n2.domain = ? AND e.id > ?
+    ORDER BY e.id
+    LIMIT ?
+  `;
+
+  dbService.executeWithRetry((db, cb) => {
+    db.get(domainQuery, [domainId], cb);
+  }, 3, (err, domain) => {
+    if (err) return callback(err);
+    if (!domain) return callback(null, false);
+
+    onRecords('domain', [domain], (domainErr) => {
+      if (domainErr) return callback(domainErr);
+
+      forEachPage(nodesQuery, [domainId], 'id', (rows, done) => {
+        onRecords('node', rows.map(row => ({ ...row, tags: JSON.parse(row.tags) })), done);
+      }, (nodesErr) => {
+        if (nodesErr) return callback(nodesErr);
+
+        forEachPage(edgesQuery, [domainId, domainId, domainId], 'id', (rows, done) => {
+          onRecords('edge', rows, done);
+        }, (edgesErr) => callback(edgesErr || null, true));
+      });
+    });
+  });
+}
+
+module.exports = {
+  loadGraphSelection,
+  streamDomain
+};
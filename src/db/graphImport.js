@@ -0,0 +1,775 @@
+/**
+ * Graph Import Module
+ *
+ * Writes imported domains, nodes (with tags), edges and domain refs in a
+ * single transaction, in batches with prepared statements, either from data
+ * in memory (importGraph) or from an NDJSON stream read in full first
+ * (importNdjson). Imports run on a connection of their own, so requests served
+ * meanwhile are neither part of the import's transaction nor blocked by a
+ * transaction waiting for a slow upload. Before writing, each node and edge is compared with
+ * the database and classified:
+ *
+ *   nodes: new, unchanged, changed (same domain, different fields or tags)
+ *          or conflict (the id exists in another domain)
+ *   edges: new, unchanged, changed (different strength) or dangling (an end
+ *          is neither imported nor in the database)
+ *
+ * The strategy decides what happens to nodes that already exist:
+ *
+ *   overwrite  - imported content, summary, path and tags replace the existing
+ *                ones (the node keeps its domain); existing edges get the
+ *                imported strength
+ *   skip       - existing nodes and edges are left alone
+ *   keep-both  - imported nodes that differ are added under a new id, with
+ *                their edges re-pointed at the copy
+ *   merge-tags - existing nodes keep their fields and gain the imported tags
+ *
+ * New domains are created and existing ones have their lastAccess updated.
+ * Dangling edges and domain refs are never written. A dry run classifies everything and
+ * rolls back, returning the plan instead of stats.
+ */
+
+const dbService = require('./dbService');
+
+const IMPORT_STRATEGIES = ['overwrite', 'skip', 'keep-both', 'merge-tags'];
+const DEFAULT_STRATEGY = 'overwrite';
+
+// Number of rows planned and written together
+const IMPORT_BATCH_SIZE = 500;
+
+// Line diffs of content longer than this fall back to replacing every line
+const MAX_DIFF_CELLS = 250000;
+
+/**
+ * Compute a line diff between two texts
+ * @param {string} from - Old text
+ * @param {string} to - New text
+ * @returns {Array<Object>} - Lines as { op, text } where op is ' ', '-' or '+'
+ */
+function diffLines(from, to) {
+  const a = String(from || '').split('\n');
+  const b = String(to || '').split('\n');
+
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return [...a.map(text => ({ op: '-', text })), ...b.map(text => ({ op: '+', text }))];
+  }
+
+  // Longest common subsequence table, filled from the end
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const diff = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      diff.push({ op: ' ', text: a[i++] });
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      diff.push({ op: '-', text: a[i++] });
+    } else {
+      diff.push({ op: '+', text: b[j++] });
+    }
+  }
+  while (i < a.length) diff.push({ op: '-', text: a[i++] });
+  while (j < b.length) diff.push({ op: '+', text: b[j++] });
+
+  return diff;
+}
+
+/**
+ * Compare an imported node with the existing one
+ * @param {Object} node - Imported node
+ * @param {Object} existing - Existing node with a tags array
+ * @returns {Object|null} - Changed fields, or null if nothing differs
+ */
+function compareNode(node, existing) {
+  const changes = {};
+
+  if ((node.content || '') !== (existing.content || '')) {
+    changes.content = diffLines(existing.content, node.content);
+  }
+
+  ['content_summary', 'path'].forEach(field => {
+    if ((node[field] || null) !== (existing[field] || null)) {
+      changes[field] = { from: existing[field] || null, to: node[field] || null };
+    }
+  });
+
+  const importedTags = node.tags || [];
+  const added = importedTags.filter(tag => !existing.tags.includes(tag));
+  const removed = existing.tags.filter(tag => !importedTags.includes(tag));
+  if (added.length > 0 || removed.length > 0) {
+    changes.tags = { added, removed };
+  }
+
+  return Object.keys(changes).length > 0 ? changes : null;
+}
+
+/**
+ * Decide what to do with imported nodes
+ * @param {Array<Object>} nodes - Imported nodes
+ * @param {Map} existingNodes - Existing nodes (with tags) by id
+ * @param {Object} state - Session state: { strategy, copySuffix, idMap }
+ * @returns {Array<Object>} - Plan entries
+ */
+function planNodes(nodes, existingNodes, state) {
+  return nodes.map(node => {
+    const current = existingNodes.get(node.id);
+    const entry = { id: node.id, domain: node.domain, node };
+
+    if (!current) {
+      return { ...entry, status: 'new', action: 'create' };
+    }
+
+    const changes = compareNode(node, current);
+    const status = current.domain !== node.domain ? 'conflict' : changes ? 'changed' : 'unchanged';
+
+    if (status === 'unchanged') {
+      return { ...entry, status, action: 'none' };
+    }
+
+    const planned = { ...entry, status, changes, existingDomain: current.domain };
+
+    if (state.strategy === 'skip') {
+      return { ...planned, action: 'skip' };
+    }
+
+    if (state.strategy === 'keep-both') {
+      const newId = `${node.id}${state.copySuffix}`;
+      state.idMap.set(node.id, newId);
+      return { ...planned, action: 'copy', newId };
+    }
+
+    if (state.strategy === 'merge-tags') {
+      const added = changes && changes.tags ? changes.tags.added : [];
+      return { ...planned, action: added.length > 0 ? 'merge-tags' : 'skip' };
+    }
+
+    // Overwriting a node that only differs by domain changes nothing, as it keeps its domain
+    return { ...planned, action: changes ? 'overwrite' : 'none' };
+  });
+}
+
+/**
+ * Point an imported edge at copies made by keep-both
+ * @param {Object} edge - Imported edge
+ * @param {Map} idMap - Original node id to copy id
+ * @returns {Object} - Edge with final id, source and target
+ */
+function mapEdge(edge, idMap) {
+  const source = idMap.get(edge.source) || edge.source;
+  const target = idMap.get(edge.target) || edge.target;
+  const remapped = source !== edge.source || target !== edge.target;
+  const id = remapped || !edge.id ? `${source}-${target}-${edge.type}` : edge.id;
+  return { ...edge, id, source, target };
+}
+
+/**
+ * Decide what to do with an imported edge whose ends are known to exist
+ * @param {Object} edge - Mapped edge
+ * @param {Object|undefined} current - Existing edge with the same id
+ * @param {string} strategy - Import strategy
+ * @returns {Object} - Plan entry
+ */
+function planEdge(edge, current, strategy) {
+  const planned = { id: edge.id, source: edge.source, target: edge.target, type: edge.type, edge };
+
+  if (!current) {
+    return { ...planned, status: 'new', action: 'create' };
+  }
+
+  if (current.strength === edge.strength) {
+    return { ...planned, status: 'unchanged', action: 'none' };
+  }
+
+  return {
+    ...planned,
+    status: 'changed',
+    changes: { strength: { from: current.strength, to: edge.strength } },
+    action: strategy === 'overwrite' ? 'overwrite' : 'skip'
+  };
+}
+
+/**
+ * Count plan entries by status
+ * @param {Array<Object>} entries - Plan entries
+ * @param {Array<string>} statuses - Statuses to count
+ * @returns {Object} - Count per status
+ */
+function countByStatus(entries, statuses) {
+  const counts = {};
+  statuses.forEach(status => { counts[status] = 0; });
+  entries.forEach(entry => { counts[entry.status]++; });
+  return counts;
+}
+
+/**
+ * Summarize a plan for a dry run
+ * @param {Object} plan - { nodes, edges } plan entries
+ * @returns {Object} - { summary, nodes, edges }
+ */
+function describePlan(plan) {
+  return {
+    summary: {
+      nodes: countByStatus(plan.nodes, ['new', 'changed', 'unchanged', 'conflict']),
+      edges: countByStatus(plan.edges, ['new', 'changed', 'unchanged', 'dangling'])
+    },
+    nodes: plan.nodes.map(({ node, ...entry }) => ({ ...entry, tags: node.tags || [] })),
+    edges: plan.edges.map(({ edge, ...entry }) => ({ ...entry, strength: edge.strength }))
+  };
+}
+
+/**
+ * Start an import that is fed in batches, so large imports never have to be
+ * held in memory. Everything runs in one IMMEDIATE transaction on the given
+ * connection, with prepared statements, and is committed by finish().
+ * Domains should be added before their nodes, and nodes before their edges;
+ * edges and domain refs whose ends have not been seen yet are held back until
+ * finish(), so links between domains are restored whatever the order.
+ * @param {Object} db - Database connection
+ * @param {Object} [options] - { strategy, dryRun }
+ * @returns {Object} - Session with begin, addDomains, addNodes, addEdges, addDomainRefs,
+ *                     finish and abort (all returning Promises) and progress()
+ */
+function createImportSession(db, options = {}) {
+  const strategy = options.strategy || DEFAULT_STRATEGY;
+  const dryRun = !!options.dryRun;
+  const timestamp = new Date().toISOString();
+
+  const state = {
+    strategy,
+    copySuffix: `-import-${Date.now().toString(36)}`,
+    idMap: new Map(),
+    importedIds: new Set()
+  };
+
+  const stats = {
+    nodesImported: 0,
+    nodesUpdated: 0,
+    nodesSkipped: 0,
+    nodesUnchanged: 0,
+    edgesImported: 0,
+    edgesUpdated: 0,
+    edgesSkipped: 0,
+    edgesUnchanged: 0,
+    domainRefsImported: 0,
+    domainRefsSkipped: 0
+  };
+  const errors = [];
+  const processed = { nodes: 0, edges: 0 };
+
+  // Plan entries are only kept for dry runs, which return them
+  const plan = { nodes: [], edges: [] };
+  const pendingEdges = [];
+  const pendingRefs = [];
+  let statements = null;
+  let inTransaction = false;
+
+  const all = (sql, params) => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+  });
+
+  const exec = (sql, params = []) => new Promise((resolve, reject) => {
+    db.run(sql, params, err => err ? reject(err) : resolve());
+  });
+
+  const run = (statement, params, message) => new Promise((resolve) => {
+    statement.run(params, function(err) {
+      if (err) errors.push(`${message}: ${err.message}`);
+      resolve(err ? 0 : this.changes);
+    });
+  });
+
+  const finalizeStatements = () => {
+    if (!statements) return Promise.resolve();
+    const list = Object.values(statements);
+    statements = null;
+    return Promise.all(list.map(statement => new Promise(resolve => statement.finalize(() => resolve()))));
+  };
+
+  /**
+   * Start the transaction
+   * @returns {Promise}
+   */
+  function begin() {
+    return exec('BEGIN IMMEDIATE TRANSACTION').then(() => {
+      inTransaction = true;
+      if (dryRun) return;
+
+      statements = {
+        insertNode: db.prepare(`
+          INSERT INTO MEMORY_NODES (id, content, content_summary, domain, path, timestamp)
+          VALUES (?, ?, ?, ?, ?, ?)
+        `),
+        updateNode: db.prepare(`
+          UPDATE MEMORY_NODES
+          SET content = ?, content_summary = ?, path = ?
+          WHERE id = ?
+        `),
+        deleteTags: db.prepare('DELETE FROM MEMORY_TAGS WHERE nodeId = ?'),
+        insertTag: db.prepare('INSERT OR IGNORE INTO MEMORY_TAGS (nodeId, tag) VALUES (?, ?)'),
+        insertEdge: db.prepare(`
+          INSERT OR IGNORE INTO MEMORY_EDGES (id, source, target, type, strength, timestamp, domain)
+          VALUES (?, ?, ?, ?, ?, ?, ?)
+        `),
+        updateEdge: db.prepare('UPDATE MEMORY_EDGES SET strength = ? WHERE id = ?'),
+        insertRef: db.prepare(`
+          INSERT OR IGNORE INTO DOMAIN_REFS (nodeId, domain, targetNodeId, targetDomain, description, bidirectional)
+          VALUES (?, ?, ?, ?, ?, ?)
+        `)
+      };
+    });
+  }
+
+  /**
+   * Create domains, or update lastAccess of existing ones
+   * @param {Array<Object>} domains - Domain infos
+   * @returns {Promise}
+   */
+  function addDomains(domains) {
+    return domains.reduce((previous, domainInfo) => previous.then(() =>
+      all('SELECT id FROM DOMAINS WHERE id = ?', [domainInfo.id]).then(rows => {
+        if (dryRun) return;
+
+        if (rows.length > 0) {
+          console.log(`[Import] Domain '${domainInfo.id}' already exists, updating lastAccess`);
+          return exec('UPDATE DOMAINS SET lastAccess = ? WHERE id = ?', [timestamp, domainInfo.id]);
+        }
+
+        console.log(`[Import] Created domain '${domainInfo.id}'`);
+        return exec(`
+          INSERT INTO DOMAINS (id, name, description, created, lastAccess)
+          VALUES (?, ?, ?, ?, ?)
+        `, [
+          domainInfo.id,
+          domainInfo.name || domainInfo.id,
+          domainInfo.description || '',
+          domainInfo.created || timestamp,
+          timestamp
+        ]);
+      })
+    ), Promise.resolve());
+  }
+
+  const importTags = (nodeId, tags) => Promise.all(tags.map(tag =>
+    run(statements.insertTag, [nodeId, tag], `Failed to import tag '${tag}' for node ${nodeId}`)));
+
+  const applyNode = (entry) => {
+    const { node } = entry;
+
+    switch (entry.action) {
+      case 'create':
+      case 'copy': {
+        const id = entry.newId || node.id;
+        return run(statements.insertNode, [
+          id,
+          node.content,
+          node.content_summary || null,
+          node.domain,
+          node.path || null,
+          node.timestamp || timestamp
+        ], `Failed to import node ${id}`).then(changes => {
+          if (changes > 0) stats.nodesImported++;
+          return importTags(id, node.tags || []);
+        });
+      }
+      case 'overwrite':
+        return run(statements.updateNode, [node.content, node.content_summary || null, node.path || null, node.id],
+          `Failed to update node ${node.id}`)
+          .then(() => run(statements.deleteTags, [node.id], `Failed to replace tags of node ${node.id}`))
+          .then(() => importTags(node.id, node.tags || []))
+          .then(() => { stats.nodesUpdated++; });
+      case 'merge-tags':
+        return importTags(node.id, entry.changes.tags.added).then(() => { stats.nodesUpdated++; });
+      case 'skip':
+        stats.nodesSkipped++;
+        return Promise.resolve();
+      case 'none':
+        stats.nodesUnchanged++;
+        return Promise.resolve();
+      default:
+        return Promise.resolve();
+    }
+  };
+
+  /**
+   * Import a batch of nodes with their tags
+   * @param {Array<Object>} nodes - Nodes carrying their domain and a tags array
+   * @returns {Promise}
+   */
+  function addNodes(nodes) {
+    if (nodes.length === 0) return Promise.resolve();
+
+    const ids = JSON.stringify(nodes.map(node => node.id));
+
+    return Promise.all([
+      all(`SELECT id, content, content_summary, domain, path FROM MEMORY_NODES
+           WHERE id IN (SELECT value FROM json_each(?))`, [ids]),
+      all(`SELECT nodeId, tag FROM MEMORY_TAGS
+           WHERE nodeId IN (SELECT value FROM json_each(?)) ORDER BY tag`, [ids])
+    ]).then(([nodeRows, tagRows]) => {
+      const existingNodes = new Map(nodeRows.map(node => [node.id, { ...node, tags: [] }]));
+      tagRows.forEach(({ nodeId, tag }) => existingNodes.get(nodeId).tags.push(tag));
+
+      const entries = planNodes(nodes, existingNodes, state);
+      entries.forEach(entry => state.importedIds.add(entry.newId || entry.id));
+      processed.nodes += nodes.length;
+
+      if (dryRun) {
+        plan.nodes.push(...entries);
+        return;
+      }
+
+      return Promise.all(entries.map(applyNode));
+    });
+  }
+
+  const applyEdge = (entry) => {
+    const { edge } = entry;
+
+    switch (entry.action) {
+      case 'create':
+        return run(statements.insertEdge, [
+          edge.id,
+          edge.source,
+          edge.target,
+          edge.type,
+          edge.strength,
+          edge.timestamp || timestamp,
+          edge.domain
+        ], `Failed to import edge ${edge.id}`).then(changes => {
+          if (changes > 0) stats.edgesImported++;
+        });
+      case 'overwrite':
+        return run(statements.updateEdge, [edge.strength, edge.id], `Failed to update edge ${edge.id}`)
+          .then(() => { stats.edgesUpdated++; });
+      case 'skip':
+        stats.edgesSkipped++;
+        return Promise.resolve();
+      case 'none':
+        stats.edgesUnchanged++;
+        return Promise.resolve();
+      default:
+        return Promise.resolve();
+    }
+  };
+
+  /**
+   * Plan and apply a batch of edges
+   * @param {Array<Object>} edges - Imported edges
+   * @param {boolean} final - Whether ends that are still missing make an edge dangling,
+   *                          rather than holding it back
+   * @returns {Promise}
+   */
+  function processEdges(edges, final) {
+    if (edges.length === 0) return Promise.resolve();
+
+    const mapped = edges.map(edge => mapEdge(edge, state.idMap));
+    const unknownIds = new Set();
+    mapped.forEach(edge => {
+      [edge.source, edge.target].forEach(id => {
+        if (!state.importedIds.has(id)) unknownIds.add(id);
+      });
+    });
+
+    return Promise.all([
+      all('SELECT id FROM MEMORY_NODES WHERE id IN (SELECT value FROM json_each(?))',
+        [JSON.stringify(Array.from(unknownIds))]),
+      all(`SELECT id, strength FROM MEMORY_EDGES WHERE id IN (SELECT value FROM json_each(?))`,
+        [JSON.stringify(mapped.map(edge => edge.id))])
+    ]).then(([nodeRows, edgeRows]) => {
+      const existingIds = new Set(nodeRows.map(row => row.id));
+      const existingEdges = new Map(edgeRows.map(edge => [edge.id, edge]));
+      const nodeExists = id => state.importedIds.has(id) || existingIds.has(id);
+
+      const entries = [];
+      mapped.forEach((edge, index) => {
+        if (nodeExists(edge.source) && nodeExists(edge.target)) {
+          entries.push(planEdge(edge, existingEdges.get(edge.id), strategy));
+        } else if (final) {
+          entries.push({ id: edge.id, source: edge.source, target: edge.target, type: edge.type, edge,
+            status: 'dangling', action: 'skip' });
+        } else {
+          pendingEdges.push(edges[index]);
+        }
+      });
+      processed.edges += entries.length;
+
+      if (dryRun) {
+        plan.edges.push(...entries);
+        return;
+      }
+
+      return Promise.all(entries.map(applyEdge));
+    });
+  }
+
+  /**
+   * Import a batch of edges
+   * @param {Array<Object>} edges - Edges carrying their domain
+   * @returns {Promise}
+   */
+  function addEdges(edges) {
+    return processEdges(edges, false);
+  }
+
+  /**
+   * Write a batch of cross-domain references
+   * @param {Array<Object>} refs - Domain refs
+   * @param {boolean} final - Whether refs with missing ends are skipped, rather than held back
+   * @returns {Promise}
+   */
+  function processDomainRefs(refs, final) {
+    if (dryRun || refs.length === 0) return Promise.resolve();
+
+    const mapped = refs.map(ref => ({
+      ...ref,
+      nodeId: state.idMap.get(ref.nodeId) || ref.nodeId,
+      targetNodeId: state.idMap.get(ref.targetNodeId) || ref.targetNodeId
+    }));
+    const unknownIds = new Set();
+    mapped.forEach(ref => {
+      [ref.nodeId, ref.targetNodeId].forEach(id => {
+        if (!state.importedIds.has(id)) unknownIds.add(id);
+      });
+    });
+
+    return all('SELECT id FROM MEMORY_NODES WHERE id IN (SELECT value FROM json_each(?))',
+      [JSON.stringify(Array.from(unknownIds))]).then(nodeRows => {
+      const existingIds = new Set(nodeRows.map(row => row.id));
+      const nodeExists = id => state.importedIds.has(id) || existingIds.has(id);
+
+      return Promise.all(mapped.map((ref, index) => {
+        if (!nodeExists(ref.nodeId) || !nodeExists(ref.targetNodeId)) {
+          if (final) {
+            stats.domainRefsSkipped++;
+          } else {
+            pendingRefs.push(refs[index]);
+          }
+          return Promise.resolve();
+        }
+
+        return run(statements.insertRef, [
+          ref.nodeId,
+          ref.domain,
+          ref.targetNodeId,
+          ref.targetDomain,
+          ref.description || '',
+          ref.bidirectional ? 1 : 0
+        ], `Failed to import reference ${ref.nodeId} → ${ref.targetNodeId}`).then(changes => {
+          if (changes > 0) stats.domainRefsImported++;
+        });
+      }));
+    });
+  }
+
+  /**
+   * Import a batch of cross-domain references
+   * @param {Array<Object>} refs - Domain refs
+   * @returns {Promise}
+   */
+  function addDomainRefs(refs) {
+    return processDomainRefs(refs, false);
+  }
+
+  /**
+   * Settle held-back edges and domain refs and commit, or roll back a dry run
+   * @returns {Promise<Object>} - A dry run gives { dryRun, strategy, summary, nodes, edges };
+   *                              otherwise { strategy, stats, errors }
+   */
+  function finish() {
+    const pending = pendingEdges.splice(0);
+
+    return processEdges(pending, true)
+      .then(() => processDomainRefs(pendingRefs.splice(0), true))
+      .then(finalizeStatements)
+      .then(() => exec(dryRun ? 'ROLLBACK' : 'COMMIT'))
+      .then(() => {
+        inTransaction = false;
+
+        if (dryRun) {
+          return { dryRun: true, strategy, ...describePlan(plan) };
+        }
+
+        return { strategy, stats: { ...stats, errors: errors.length }, errors };
+      });
+  }
+
+  /**
+   * Roll back after a failure
+   * @returns {Promise}
+   */
+  function abort() {
+    return finalizeStatements().then(() => {
+      if (!inTransaction) return;
+      inTransaction = false;
+      return exec('ROLLBACK').catch(() => {});
+    });
+  }
+
+  return {
+    begin,
+    addDomains,
+    addNodes,
+    addEdges,
+    addDomainRefs,
+    finish,
+    abort,
+    progress: () => ({ ...processed })
+  };
+}
+
+/**
+ * Feed items to a session in batches, one batch at a time
+ * @param {Array} items - Items
+ * @param {function} add - Session method taking a batch and returning a Promise
+ * @returns {Promise}
+ */
+function inBatches(items, add) {
+  let chain = Promise.resolve();
+  for (let i = 0; i < items.length; i += IMPORT_BATCH_SIZE) {
+    const batch = items.slice(i, i + IMPORT_BATCH_SIZE);
+    chain = chain.then(() => add(batch));
+  }
+  return chain;
+}
+
+/**
+ * Import graph data held in memory
+ * @param {Object} data - { domains, nodes, edges, domainRefs }. Nodes and edges carry their
+ *                        domain; nodes carry a tags array.
+ * @param {Object} [options] - { strategy, dryRun }
+ * @param {function} callback - callback(err, result). A dry run gives { dryRun, strategy,
+ *                              summary, nodes, edges }; otherwise { strategy, stats, errors }.
+ */
+function importGraph(data, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+
+  const strategy = options.strategy || DEFAULT_STRATEGY;
+  if (!IMPORT_STRATEGIES.includes(strategy)) {
+    const err = new Error(`Unknown import strategy '${strategy}'`);
+    err.status = 400;
+    return callback(err);
+  }
+
+  dbService.executeOnOwnConnection((db, cb) => {
+    const session = createImportSession(db, { ...options, strategy });
+
+    session.begin()
+      .then(() => session.addDomains(data.domains || []))
+      .then(() => inBatches(data.nodes || [], session.addNodes))
+      .then(() => inBatches(data.edges || [], session.addEdges))
+      .then(() => inBatches(data.domainRefs || [], session.addDomainRefs))
+      .then(session.finish)
+      .then(result => cb(null, result))
+      .catch(err => session.abort().then(() => cb(err)));
+  }, 3, callback);
+}
+
+/**
+ * Read every remaining record of an NDJSON stream
+ * @param {Object} reader - Reader from export/ndjson.js createNdjsonReader
+ * @param {Array<Object>} records - Records already taken from the reader, added to
+ * @param {function} onBatch - Called after each batch is read
+ * @param {function} callback - callback(err, records)
+ */
+function readAllRecords(reader, records, onBatch, callback) {
+  const step = () => reader.next((err, batch) => {
+    if (err) return callback(err);
+    if (!batch) return callback(null, records);
+    records.push(...batch);
+    onBatch();
+    step();
+  });
+  step();
+}
+
+/**
+ * Import a stream of NDJSON records: 'domain', 'node', 'edge' and 'domainRef'
+ * records, named by a `record` field next to their own fields (edges have a
+ * `type` of their own). Other records, such as the 'export' header, are ignored.
+ * The whole stream is read before the transaction starts, so a slow upload
+ * never holds the database locked.
+ * @param {Object} reader - Reader from export/ndjson.js createNdjsonReader
+ * @param {Object} options - { strategy, dryRun, domain, initialRecords, onProgress }. If domain
+ *                           is set, every node and edge is imported into it; initialRecords
+ *                           are records already taken from the reader; onProgress(progress)
+ *                           is called after each batch read with { phase: 'reading', bytesRead }
+ *                           and after each batch written with { phase: 'importing', nodes,
+ *                           edges, totalNodes, totalEdges, bytesRead }.
+ * @param {function} callback - callback(err, result) as for importGraph
+ */
+function importNdjson(reader, options, callback) {
+  const strategy = options.strategy || DEFAULT_STRATEGY;
+  if (!IMPORT_STRATEGIES.includes(strategy)) {
+    const err = new Error(`Unknown import strategy '${strategy}'`);
+    err.status = 400;
+    return callback(err);
+  }
+
+  const withDomain = record => options.domain ? { ...record, domain: options.domain } : record;
+  const strip = ({ record: recordType, ...record }) => record;
+  const reportProgress = progress => {
+    if (options.onProgress) options.onProgress({ ...progress, bytesRead: reader.bytesRead });
+  };
+
+  readAllRecords(reader, [...(options.initialRecords || [])], () => reportProgress({ phase: 'reading' }), (err, records) => {
+    if (err) {
+      err.status = err.status || 400;
+      return callback(err);
+    }
+
+    const byType = { domain: [], node: [], edge: [], domainRef: [] };
+    records.forEach(record => {
+      if (record && byType[record.record]) byType[record.record].push(strip(record));
+    });
+    const nodes = byType.node.map(withDomain);
+    const edges = byType.edge.map(withDomain);
+    const totals = { totalNodes: nodes.length, totalEdges: edges.length };
+
+    dbService.executeOnOwnConnection((db, cb) => {
+      const session = createImportSession(db, { strategy, dryRun: options.dryRun });
+
+      // Report progress after each batch written
+      const withProgress = add => batch => add(batch).then(() => {
+        reportProgress({ phase: 'importing', ...session.progress(), ...totals });
+      });
+
+      session.begin()
+        .then(() => session.addDomains(byType.domain))
+        .then(() => inBatches(nodes, withProgress(session.addNodes)))
+        .then(() => inBatches(edges, withProgress(session.addEdges)))
+        .then(() => inBatches(byType.domainRef, session.addDomainRefs))
+        .then(session.finish)
+        .then(result => {
+          if (reader.invalidLines.length > 0) {
+            const lineErrors = reader.invalidLines.map(line => `Line ${line}: invalid JSON, skipped`);
+            if (result.dryRun) {
+              result.errors = lineErrors;
+            } else {
+              result.errors.push(...lineErrors);
+              result.stats.errors = result.errors.length;
+            }
+          }
+          cb(null, result);
+        })
+        .catch(err => session.abort().then(() => cb(err)));
+    }, 3, callback);
+  });
+}
+
+module.exports = {
+  IMPORT_STRATEGIES,
+  IMPORT_BATCH_SIZE,
+  createImportSession,
+  importGraph,
+  importNdjson
+};
@@ -0,0 +1,503 @@
+/**
+ * History Module
+ *
+ * Keeps an undo/redo log of graph mutations. Each operation stores a before
+ * and an after image of every row it could have touched, so it can be
+ * reverted (restore the before image) or re-applied (restore the after image)
+ * regardless of which route performed it. Operations too large to keep in
+ * memory are applied but not recorded, and their response says so.
+ *
+ * The rows an operation covers are described by a scope:
+ *   nodeIds   - nodes, plus their tags, edges and domain refs
+ *   edgeIds   - edges by id
+ *   edgePairs - edges between two nodes, in either direction ([source, target])
+ *   domainIds - DOMAINS rows
+ *   domains   - whole domains: their DOMAINS row, every node in them (as for
+ *               nodeIds), edges and domain refs labelled with them
+ *   tags      - every MEMORY_TAGS row with one of these tag names
+ */
+
+const dbService = require('./dbService');
+
+// Maximum number of operations kept on the undo stack
+const MAX_HISTORY = 100;
+
+// Most rows an operation's before and after images may hold together; larger
+// operations (big imports, deleting a large domain) are not kept for undo
+const MAX_IMAGE_ROWS = 5000;
+
+// Primary key columns of each tracked table
+const TABLE_KEYS = {
+  MEMORY_NODES: ['id'],
+  MEMORY_TAGS: ['nodeId', 'tag'],
+  MEMORY_EDGES: ['id'],
+  DOMAIN_REFS: ['nodeId', 'targetNodeId'],
+  DOMAINS: ['id']
+};
+
+// Undo and redo stacks, valid only for the database they were recorded on
+const undoStack = [];
+const redoStack = [];
+let historyPath = null;
+let nextOperationId = 1;
+
+// Listeners notified with the before and after images of every applied change
+const mutationListeners = [];
+
+/**
+ * Drop the history if the database has been switched since it was recorded
+ */
+function checkDatabasePath() {
+  const dbPath = dbService.getDatabasePath();
+  if (historyPath !== dbPath) {
+    if (historyPath !== null) {
+      console.log('[History] Database changed, clearing undo/redo history');
+    }
+    undoStack.length = 0;
+    redoStack.length = 0;
+    historyPath = dbPath;
+  }
+}
+
+/**
+ * Drop the whole history, e.g. after the database's contents were replaced
+ * without switching files
+ */
+function clearHistory() {
+  undoStack.length = 0;
+  redoStack.length = 0;
+  historyPath = dbService.getDatabasePath();
+  console.log('[History] Undo/redo history cleared');
+}
+
+/**
+ * Register a listener for graph changes made through the API, including undo
+ * and redo. It is called with { label, action, before, after }, where action
+ * is 'operation', 'undo' or 'redo' and the images cover the changed rows.
+ * @param {function} listener - Listener function
+ * @returns {function} - Function to remove the listener
+ */
+function addMutationListener(listener) {
+  mutationListeners.push(listener);
+  return () => {
+    const index = mutationListeners.indexOf(listener);
+    if (index !== -1) {
+      mutationListeners.splice(index, 1);
+    }
+  };
+}
+
+/**
+ * Notify mutation listeners of an applied change
+ * @param {Object} mutation - { label, action, before, after }
+ */
+function notifyMutationListeners(mutation) {
+  mutationListeners.forEach(listener => {
+    try {
+      listener(mutation);
+    } catch (err) {
+      console.error('[History] Error in mutation listener:', err.message);
+    }
+  });
+}
+
+/**
+ * Normalize a scope so every list is present and de-duplicated
+ * @param {Object} scope - Scope description
+ * @returns {Object} - Normalized scope
+ */
+function normalizeScope(scope = {}) {
+  const unique = list => [...new Set((list || []).filter(value => value !== undefined && value !== null))];
+  return {
+    nodeIds: unique(scope.nodeIds),
+    edgeIds: unique(scope.edgeIds),
+    edgePairs: (scope.edgePairs || []).filter(pair => pair && pair[0] && pair[1]),
+    domainIds: unique(scope.domainIds),
+    domains: unique(scope.domains),
+    tags: unique(scope.tags)
+  };
+}
+
+/**
+ * Merge two scopes
+ * @param {Object} a - First scope
+ * @param {Object} b - Second scope
+ * @returns {Object} - Scope covering both
+ */
+function mergeScopes(a, b) {
+  return normalizeScope({
+    nodeIds: [...(a.nodeIds || []), ...(b.nodeIds || [])],
+    edgeIds: [...(a.edgeIds || []), ...(b.edgeIds || [])],
+    edgePairs: [...(a.edgePairs || []), ...(b.edgePairs || [])],
+    domainIds: [...(a.domainIds || []), ...(b.domainIds || [])],
+    domains: [...(a.domains || []), ...(b.domains || [])],
+    tags: [...(a.tags || []), ...(b.tags || [])]
+  });
+}
+
+/**
+ * Build the SELECT queries that read every row a scope covers
+ * @param {Object} scope - Normalized scope
+ * @returns {Object} - Map of table name to { sql, params }
+ */
+function buildScopeQueries(scope) {
+  const list = ids => ids.map(() => '?').join(', ') || 'NULL';
+  const { nodeIds, edgeIds, edgePairs, domainIds, domains, tags } = scope;
+
+  const pairClause = edgePairs.length > 0
+    ? edgePairs.map(() => '(source = ? AND target = ?) OR (source = ? AND target = ?)').join(' OR ')
+    : '0';
+  const pairParams = [];
+  edgePairs.forEach(([a, b]) => pairParams.push(a, b, b, a));
+
+  // Nodes listed by id or belonging to a listed domain
+  const nodeSet = `SELECT id FROM MEMORY_NODES WHERE id IN (${list(nodeIds)}) OR domain IN (${list(domains)})`;
+  const nodeSetParams = [...nodeIds, ...domains];
+
+  return {
+    MEMORY_NODES: {
+      sql: `SELECT * FROM MEMORY_NODES WHERE id IN (${list(nodeIds)}) OR domain IN (${list(domains)})`,
+      params: nodeSetParams
+    },
+    MEMORY_TAGS: {
+      sql: `SELECT * FROM MEMORY_TAGS WHERE nodeId IN (${nodeSet}) OR tag IN (${list(tags)})`,
+      params: [...nodeSetParams, ...tags]
+    },
+    MEMORY_EDGES: {
+      sql: `SELECT * FROM MEMORY_EDGES
+            WHERE id IN (${list(edgeIds)})
+               OR domain IN (${list(domains)})
+               OR source IN (${nodeSet})
+               OR target IN (${nodeSet})
+               OR ${pairClause}`,
+      params: [...edgeIds, ...domains, ...nodeSetParams, ...nodeSetParams, ...pairParams]
+    },
+    DOMAIN_REFS: {
+      sql: `SELECT * FROM DOMAIN_REFS
+            WHERE nodeId IN (${nodeSet})
+               OR targetNodeId IN (${nodeSet})
+               OR domain IN (${list(domains)})
+               OR targetDomain IN (${list(domains)})`,
+      params: [...nodeSetParams, ...nodeSetParams, ...domains, ...domains]
+    },
+    DOMAINS: {
+      sql: `SELECT * FROM DOMAINS WHERE id IN (${list(domainIds)}) OR id IN (${list(domains)})`,
+      params: [...domainIds, ...domains]
+    }
+  };
+}
+
+/**
+ * Read every row covered by a scope
+ * @param {Object} scope - Scope description
+ * @param {function} callback - callback(err, image) where image maps table name to rows
+ */
+function captureImage(scope, callback) {
+  const queries = buildScopeQueries(normalizeScope(scope));
+  const tables = Object.keys(queries);
+  const image = {};
+  let remaining = tables.length;
+  let failed = false;
+
+  tables.forEach(table => {
+    dbService.executeWithRetry((db, cb) => {
+      db.all(queries[table].sql, queries[table].params, cb);
+    }, 3, (err, rows) => {
+      if (failed) return;
+
+      if (err) {
+        failed = true;
+        return callback(err);
+      }
+
+      image[table] = rows;
+      if (--remaining === 0) {
+        callback(null, image);
+      }
+    });
+  });
+}
+
+/**
+ * Key a row by its table's primary key
+ * @param {string} table - Table name
+ * @param {Object} row - Row object
+ * @returns {string} - Key string
+ */
+function rowKey(table, row) {
+  return TABLE_KEYS[table].map(column => row[column]).join('\u0000');
+}
+
+/**
+ * Compare two images for equality, ignoring row order
+ * @param {Object} a - First image
+ * @param {Object} b - Second image
+ * @returns {boolean} - True if both images contain the same rows
+ */
+function imagesEqual(a, b) {
+  return Object.keys(TABLE_KEYS).every(table => {
+    const serialize = image => (image[table] || [])
+      .map(row => JSON.stringify(row, Object.keys(row).sort()))
+      .sort()
+      .join('\n');
+    return serialize(a) === serialize(b);
+  });
+}
+
+/**
+ * Replace the rows of `from` with the rows of `to` in a single transaction
+ * @param {Object} from - Image currently in the database
+ * @param {Object} to - Image to restore
+ * @param {function} callback - callback(err)
+ */
+function restoreImage(from, to, callback) {
+  const statements = [];
+  Object.keys(TABLE_KEYS).forEach(table => {
+    const keyColumns = TABLE_KEYS[table];
+    const where = keyColumns.map(column => `${column} = ?`).join(' AND ');
+
+    // Remove every row either image knows about...
+    const seen = new Set();
+    [...(from[table] || []), ...(to[table] || [])].forEach(row => {
+      const key = rowKey(table, row);
+      if (seen.has(key)) return;
+      seen.add(key);
+
+      statements.push({
+        sql: `DELETE FROM ${table} WHERE ${where}`,
+        params: keyColumns.map(column => row[column])
+      });
+    });
+
+    // ...then put back the target rows
+    (to[table] || []).forEach(row => {
+      const columns = Object.keys(row);
+      statements.push({
+        sql: `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+        params: columns.map(column => row[column])
+      });
+    });
+  });
+
+  // On a connection of its own, so requests served meanwhile stay out of the transaction
+  dbService.executeOnOwnConnection((db, cb) => {
+    db.run('BEGIN IMMEDIATE TRANSACTION', (err) => {
+      if (err) return cb(err);
+
+      // Commit only once every statement has succeeded, so an image is never partly applied
+      dbService.runStatements(db, statements, (err) => {
+        if (err) return dbService.rollbackTransaction(db, err, cb);
+
+        db.run('COMMIT', (err) => {
+          if (err) return dbService.rollbackTransaction(db, err, cb);
+          cb(null);
+        });
+      });
+    });
+  }, 3, callback);
+}
+
+/**
+ * Count the rows of an image
+ * @param {Object} image - Map of table name to rows
+ * @returns {number} - Number of rows
+ */
+function countImageRows(image) {
+  return Object.keys(image).reduce((count, table) => count + (image[table] || []).length, 0);
+}
+
+/**
+ * Record a completed operation
+ * @param {string} label - Human readable description
+ * @param {Object} scope - Scope the images were captured with
+ * @param {Object} before - Image before the mutation
+ * @param {Object} after - Image after the mutation
+ * @returns {Object|null} - The recorded operation, { label, recorded: false, rows } if it was
+ *                        too large to keep, or null if nothing changed
+ */
+function recordOperation(label, scope, before, after) {
+  checkDatabasePath();
+
+  if (imagesEqual(before, after)) {
+    return null;
+  }
+
+  // Too large to keep in memory: the change stands, but can't be undone. Older
+  // operations stay undoable; the conflict check guards rows this one changed.
+  const rows = countImageRows(before) + countImageRows(after);
+  if (rows > MAX_IMAGE_ROWS) {
+    redoStack.length = 0;
+    console.log(`[History] Not recording "${label}" for undo: it changed ${rows} rows, more than ${MAX_IMAGE_ROWS}`);
+    return { label, recorded: false, rows };
+  }
+
+  const operation = {
+    id: nextOperationId++,
+    label,
+    scope: normalizeScope(scope),
+    before,
+    after,
+    timestamp: new Date().toISOString()
+  };
+
+  undoStack.push(operation);
+  if (undoStack.length > MAX_HISTORY) {
+    undoStack.shift();
+  }
+
+  // A new operation invalidates anything that was undone
+  redoStack.length = 0;
+
+  console.log(`[History] Recorded operation ${operation.id}: ${label}`);
+  return operation;
+}
+
+/**
+ * Describe the current state of the history
+ * @returns {Object} - { canUndo, canRedo, undoLabel, redoLabel }
+ */
+function getStatus() {
+  checkDatabasePath();
+
+  const lastUndo = undoStack[undoStack.length - 1];
+  const lastRedo = redoStack[redoStack.length - 1];
+
+  return {
+    canUndo: undoStack.length > 0,
+    canRedo: redoStack.length > 0,
+    undoLabel: lastUndo ? lastUndo.label : null,
+    redoLabel: lastRedo ? lastRedo.label : null
+  };
+}
+
+/**
+ * Move an operation from one stack to the other, restoring the given image
+ * @param {string} direction - 'undo' or 'redo'
+ * @param {function} callback - callback(err, operation); err.status is set for client errors
+ */
+function step(direction, callback) {
+  checkDatabasePath();
+
+  const from = direction === 'undo' ? undoStack : redoStack;
+  const to = direction === 'undo' ? redoStack : undoStack;
+  const operation = from[from.length - 1];
+
+  if (!operation) {
+    const err = new Error(`Nothing to ${direction}`);
+    err.status = 400;
+    return callback(err);
+  }
+
+  const expected = direction === 'undo' ? operation.after : operation.before;
+  const target = direction === 'undo' ? operation.before : operation.after;
+
+  // Refuse to clobber changes made to the same rows since the operation
+  captureImage(operation.scope, (err, current) => {
+    if (err) return callback(err);
+
+    if (!imagesEqual(current, expected)) {
+      const conflict = new Error(`Cannot ${direction} "${operation.label}": the affected data has changed since`);
+      conflict.status = 409;
+      return callback(conflict);
+    }
+
+    restoreImage(current, target, (restoreErr) => {
+      if (restoreErr) return callback(restoreErr);
+
+      from.pop();
+      to.push(operation);
+
+      console.log(`[History] ${direction === 'undo' ? 'Undid' : 'Redid'} operation ${operation.id}: ${operation.label}`);
+      notifyMutationListeners({ label: operation.label, action: direction, before: current, after: target });
+      callback(null, operation);
+    });
+  });
+}
+
+/**
+ * Undo the most recent operation
+ * @param {function} callback - callback(err, operation)
+ */
+function undo(callback) {
+  step('undo', callback);
+}
+
+/**
+ * Redo the most recently undone operation
+ * @param {function} callback - callback(err, operation)
+ */
+function redo(callback) {
+  step('redo', callback);
+}
+
+/**
+ * Express middleware that records the wrapped route as an undoable operation.
+ * The before image is captured when the request arrives and the after image
+ * just before a successful response is sent.
+ * @param {function} describe - describe(req) => { label, scope }, or null to skip recording
+ * @param {function} [describeResult] - describeResult(req, body) => extra scope for rows the
+ *                                      route created (e.g. a generated node id), assumed absent before
+ * @returns {function} - Express middleware
+ */
+function recordHistory(describe, describeResult) {
+  return (req, res, next) => {
+    const description = describe(req);
+    if (!description) {
+      return next();
+    }
+
+    captureImage(description.scope, (err, before) => {
+      if (err) {
+        console.error('[History] Error capturing state before operation:', err.message);
+        return next();
+      }
+
+      const originalJson = res.json.bind(res);
+
+      res.json = (body) => {
+        if (res.statusCode >= 400) {
+          return originalJson(body);
+        }
+
+        const extraScope = describeResult ? describeResult(req, body) : null;
+        const scope = extraScope ? mergeScopes(description.scope, extraScope) : description.scope;
+
+        captureImage(scope, (afterErr, after) => {
+          if (afterErr) {
+            console.error('[History] Error capturing state after operation:', afterErr.message);
+            return originalJson(body);
+          }
+
+          const operation = recordOperation(description.label, scope, before, after);
+          if (operation) {
+            notifyMutationListeners({ label: description.label, action: 'operation', before, after });
+          }
+
+          // Tell the client when the change can't be undone
+          if (operation && operation.recorded === false && body && typeof body === 'object' && !Array.isArray(body)) {
+            return originalJson({
+              ...body,
+              history: { recorded: false, message: `Too large to undo (${operation.rows} rows affected)` }
+            });
+          }
+          originalJson(body);
+        });
+
+        return res;
+      };
+
+      next();
+    });
+  };
+}
+
+module.exports = {
+  rowKey,
+  recordHistory,
+  addMutationListener,
+  captureImage,
+  getStatus,
+  clearHistory,
+  undo,
+  redo
+};
@@ -0,0 +1,41 @@
+/**
+ * Node Revision Module
+ *
+ * Derives a revision string from the stored fields of a memory node. The
+ * MCP writes to the database directly, so revisions are computed from the
+ * row contents rather than kept in a counter column.
+ */
+
+const crypto = require('crypto');
+
+// Node fields covered by the revision (tags are edited separately)
+const REVISION_FIELDS = ['content', 'content_summary', 'domain', 'path', 'timestamp'];
+
+/**
+ * Compute the revision of a node row
+ * @param {Object} node - MEMORY_NODES row
+ * @returns {string} - Revision string, changes whenever any covered field changes
+ */
+function getNodeRevision(node) {
+  const values = REVISION_FIELDS.map(field => (node[field] === undefined ? null : node[field]));
+  return crypto.createHash('sha1').update(JSON.stringify(values)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Read the revision a client sent, from an If-Match header or a `revision` body field
+ * @param {Object} req - Express request
+ * @returns {string|null} - The expected revision, '*' for any revision, or null if none was sent
+ */
+function getExpectedRevision(req) {
+  const ifMatch = req.get('If-Match');
+  if (ifMatch) {
+    return ifMatch.replace(/^W\//, '').replace(/"/g, '').trim();
+  }
+  return req.body && typeof req.body.revision === 'string' ? req.body.revision : null;
+}
+
+module.exports = {
+  REVISION_FIELDS,
+  getNodeRevision,
+  getExpectedRevision
+};
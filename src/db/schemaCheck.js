@@ -0,0 +1,186 @@
+/**
+ * Schema Check Module
+ *
+ * Compares a database file with schema-spec.json, and creates the tables,
+ * columns and indexes it is missing. Works on its own connection, so any
+ * file can be checked before the app switches to it.
+ */
+
+const sqlite3 = require('sqlite3');
+const fs = require('fs');
+const {
+  schemaSpec,
+  getColumnDefinition,
+  getCreateTableStatement,
+  getCreateIndexStatements
+} = require('./schemaSpec');
+
+/**
+ * Create an error with an HTTP status
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status
+ * @returns {Error} - Error
+ */
+function schemaError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Compare an open database with the schema specification
+ * @param {Object} db - Database connection
+ * @param {function} callback - callback(err, { empty, valid, missingTables, missingColumns,
+ *                              missingIndexes, canMigrate })
+ */
+function compareSchema(db, callback) {
+  db.all("SELECT type, name FROM sqlite_master WHERE type IN ('table', 'index')", [], (err, rows) => {
+    if (err) {
+      return callback(schemaError(`Not a readable SQLite database: ${err.message}`, 400));
+    }
+
+    // SQLite names are case-insensitive
+    const tables = new Set(rows.filter(row => row.type === 'table').map(row => row.name.toLowerCase()));
+    const indexes = new Set(rows.filter(row => row.type === 'index').map(row => row.name.toLowerCase()));
+    const tableNames = Object.keys(schemaSpec.tables);
+
+    const report = {
+      empty: rows.length === 0,
+      missingTables: tableNames.filter(name => !tables.has(name.toLowerCase())),
+      missingColumns: {},
+      missingIndexes: []
+    };
+
+    tableNames.forEach(name => {
+      (schemaSpec.tables[name].indexes || []).forEach(index => {
+        if (!indexes.has(index.name.toLowerCase())) report.missingIndexes.push(index.name);
+      });
+    });
+
+    const existingTables = tableNames.filter(name => tables.has(name.toLowerCase()));
+    let remaining = existingTables.length;
+    let failed = false;
+
+    const done = () => {
+      const missingColumns = Object.entries(report.missingColumns);
+      report.valid = report.missingTables.length === 0 && missingColumns.length === 0;
+      // Key columns cannot be added to an existing table
+      report.canMigrate = missingColumns.every(([table, columns]) => columns.every(column =>
+        !(schemaSpec.tables[table].columns[column].constraints || []).includes('PRIMARY KEY')));
+      callback(null, report);
+    };
+
+    if (remaining === 0) return done();
+
+    existingTables.forEach(name => {
+      db.all(`PRAGMA table_info(${name})`, [], (infoErr, columns) => {
+        if (failed) return;
+        if (infoErr) {
+          failed = true;
+          return callback(infoErr);
+        }
+
+        const present = new Set(columns.map(column => column.name.toLowerCase()));
+        const missing = Object.keys(schemaSpec.tables[name].columns).filter(column => !present.has(column.toLowerCase()));
+        if (missing.length > 0) report.missingColumns[name] = missing;
+
+        if (--remaining === 0) done();
+      });
+    });
+  });
+}
+
+/**
+ * Check a database file against the schema specification. A file that does
+ * not exist yet is reported as empty.
+ * @param {string} dbPath - Absolute path of the database file
+ * @param {function} callback - callback(err, report) with report as for compareSchema
+ *                              plus { path, exists }
+ */
+function inspectDatabase(dbPath, callback) {
+  fs.stat(dbPath, (statErr, stats) => {
+    if (statErr && statErr.code !== 'ENOENT') {
+      return callback(schemaError(`Database file not accessible: ${statErr.message}`, 400));
+    }
+
+    if (statErr || stats.size === 0) {
+      const tableNames = Object.keys(schemaSpec.tables);
+      return callback(null, {
+        path: dbPath,
+        exists: !statErr,
+        empty: true,
+        valid: false,
+        canMigrate: true,
+        missingTables: tableNames,
+        missingColumns: {},
+        missingIndexes: tableNames.flatMap(name => (schemaSpec.tables[name].indexes || []).map(index => index.name))
+      });
+    }
+
+    if (!stats.isFile()) {
+      return callback(schemaError(`${dbPath} exists but is not a file`, 400));
+    }
+
+    const db = new sqlite3.Database(dbPath, sqlite3.OPEN_READONLY, (openErr) => {
+      if (openErr) {
+        return callback(schemaError(`Cannot open database: ${openErr.message}`, 400));
+      }
+
+      compareSchema(db, (err, report) => {
+        db.close(() => {
+          if (err) return callback(err);
+          callback(null, { path: dbPath, exists: true, ...report });
+        });
+      });
+    });
+  });
+}
+
+/**
+ * Create the tables, columns and indexes a database file is missing, creating
+ * the file if it does not exist. Existing tables and rows are left as they are.
+ * @param {string} dbPath - Absolute path of the database file
+ * @param {function} callback - callback(err, { createdTables, addedColumns, createdIndexes })
+ */
+function applySchema(dbPath, callback) {
+  const db = new sqlite3.Database(dbPath, sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE, (openErr) => {
+    if (openErr) {
+      return callback(schemaError(`Cannot create database: ${openErr.message}`, 400));
+    }
+
+    const finish = (err, result) => db.close(() => callback(err, result));
+
+    compareSchema(db, (compareErr, report) => {
+      if (compareErr) return finish(compareErr);
+
+      if (!report.canMigrate) {
+        return finish(schemaError('The database is missing key columns that cannot be added to existing tables', 409));
+      }
+
+      const statements = [
+        ...report.missingTables.map(getCreateTableStatement),
+        ...Object.entries(report.missingColumns).flatMap(([table, columns]) => columns.map(column =>
+          `ALTER TABLE ${table} ADD COLUMN ${getColumnDefinition(column, schemaSpec.tables[table].columns[column])}`)),
+        ...Object.keys(schemaSpec.tables).flatMap(getCreateIndexStatements)
+      ];
+
+      const run = (sql) => new Promise((resolve, reject) => {
+        db.run(sql, [], err => err ? reject(err) : resolve());
+      });
+
+      statements.reduce((chain, sql) => chain.then(() => run(sql)), run('BEGIN TRANSACTION'))
+        .then(() => run('COMMIT'))
+        .then(() => finish(null, {
+          createdTables: report.missingTables,
+          addedColumns: report.missingColumns,
+          createdIndexes: report.missingIndexes
+        }))
+        .catch(err => run('ROLLBACK').catch(() => {}).then(() => finish(err)));
+    });
+  });
+}
+
+module.exports = {
+  inspectDatabase,
+  applySchema
+};
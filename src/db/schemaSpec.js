@@ -0,0 +1,156 @@
+/**
+ * Schema Specification
+ *
+ * Loads schema-spec.json, validates incoming records against it and builds
+ * the SQL that creates its tables and indexes
+ */
+
+const path = require('path');
+const schemaSpec = require(path.join(__dirname, '../../schema-spec.json'));
+
+/**
+ * Get the column specification for a table
+ * @param {string} tableName - Table name as it appears in schema-spec.json
+ * @returns {Object|null} - Column map, or null if the table is unknown
+ */
+function getTableColumns(tableName) {
+  const table = schemaSpec.tables[tableName];
+  return table ? table.columns : null;
+}
+
+/**
+ * Check whether a value matches a column's declared SQLite type
+ * @param {*} value - The value to check
+ * @param {string} type - Column type from the spec (TEXT, REAL, BOOLEAN, ...)
+ * @returns {boolean} - True if the value is acceptable for the type
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'TEXT':
+      return typeof value === 'string';
+    case 'REAL':
+    case 'INTEGER':
+      return typeof value === 'number' && !isNaN(value);
+    case 'BOOLEAN':
+      return typeof value === 'boolean' || value === 0 || value === 1;
+    default:
+      return true;
+  }
+}
+
+/**
+ * Validate a record against a table in the schema specification.
+ * Columns listed in `generated` are filled in by the server and may not be
+ * supplied by the client.
+ * @param {string} tableName - Table name as it appears in schema-spec.json
+ * @param {Object} record - The record to validate
+ * @param {Object} options - Validation options
+ * @param {Array<string>} options.generated - Columns assigned by the server
+ * @param {Array<string>} options.extra - Additional non-column fields to allow
+ * @param {boolean} options.partial - Only validate the fields that are present (for updates)
+ * @returns {Array<string>} - List of validation errors (empty if valid)
+ */
+function validateRecord(tableName, record, options = {}) {
+  const { generated = [], extra = [], partial = false } = options;
+  const columns = getTableColumns(tableName);
+  const errors = [];
+
+  if (!columns) {
+    return [`Unknown table: ${tableName}`];
+  }
+
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return ['Request body must be an object'];
+  }
+
+  // Reject anything that isn't a known column
+  Object.keys(record).forEach(key => {
+    if (generated.includes(key)) {
+      errors.push(`Field '${key}' is assigned by the server`);
+    } else if (!columns[key] && !extra.includes(key)) {
+      errors.push(`Unknown field '${key}'`);
+    }
+  });
+
+  Object.entries(columns).forEach(([name, column]) => {
+    if (generated.includes(name)) return;
+
+    const value = record[name];
+
+    if (value === undefined && partial) return;
+
+    if (value === undefined || value === null) {
+      if (!column.optional) {
+        errors.push(`Missing required field '${name}'`);
+      }
+      return;
+    }
+
+    if (!matchesType(value, column.type)) {
+      errors.push(`Field '${name}' must be of type ${column.type}`);
+      return;
+    }
+
+    // Required text columns must not be blank
+    if (column.type === 'TEXT' && !column.optional && value.trim() === '') {
+      errors.push(`Field '${name}' must not be empty`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Build the column definition for an ALTER TABLE ... ADD COLUMN or CREATE TABLE
+ * @param {string} name - Column name
+ * @param {Object} column - Column specification
+ * @returns {string} - Column definition
+ */
+function getColumnDefinition(name, column) {
+  const primaryKey = (column.constraints || []).includes('PRIMARY KEY');
+  return `${name} ${column.type}${primaryKey ? ' PRIMARY KEY' : ''}`;
+}
+
+/**
+ * Build the CREATE TABLE statement for a table. Columns the spec does not mark
+ * optional are NOT NULL; ALTER TABLE cannot add such columns without a default,
+ * so only new tables get the constraint.
+ * @param {string} tableName - Table name as it appears in schema-spec.json
+ * @returns {string} - SQL statement
+ */
+function getCreateTableStatement(tableName) {
+  const table = schemaSpec.tables[tableName];
+  const definitions = Object.entries(table.columns).map(([name, column]) =>
+    `${getColumnDefinition(name, column)}${column.optional ? '' : ' NOT NULL'}`);
+
+  definitions.push(...(table.constraints || []));
+
+  // Column constraints read "FOREIGN KEY REFERENCES TABLE(column)"
+  Object.entries(table.columns).forEach(([name, column]) => {
+    (column.constraints || []).forEach(constraint => {
+      const match = constraint.match(/^FOREIGN KEY REFERENCES (.+)$/);
+      if (match) definitions.push(`FOREIGN KEY (${name}) REFERENCES ${match[1]}`);
+    });
+  });
+
+  return `CREATE TABLE IF NOT EXISTS ${tableName} (\n  ${definitions.join(',\n  ')}\n)`;
+}
+
+/**
+ * Build the CREATE INDEX statements for a table
+ * @param {string} tableName - Table name as it appears in schema-spec.json
+ * @returns {Array<string>} - SQL statements
+ */
+function getCreateIndexStatements(tableName) {
+  return (schemaSpec.tables[tableName].indexes || []).map(index =>
+    `CREATE INDEX IF NOT EXISTS ${index.name} ON ${tableName} (${index.columns.join(', ')})`);
+}
+
+module.exports = {
+  schemaSpec,
+  getTableColumns,
+  validateRecord,
+  getColumnDefinition,
+  getCreateTableStatement,
+  getCreateIndexStatements
+};
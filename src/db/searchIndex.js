@@ -0,0 +1,290 @@
+/**
+ * Search Index Module
+ *
+ * Maintains an SQLite FTS5 index over memory node content, summaries and tags.
+ * The index lives in a separate in-memory database so the MCP-owned tables are
+ * never modified. It is rebuilt lazily whenever the source database changes.
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+const fs = require('fs');
+
+// In-memory index database
+let indexDb = null;
+
+// Signature of the source database the index was built from
+let indexedSignature = null;
+
+// Callbacks waiting on a rebuild in progress
+let pendingRebuild = null;
+
+// Markers used to delimit matches in snippets before HTML escaping
+const MATCH_START = '\u0002';
+const MATCH_END = '\u0003';
+
+/**
+ * Open the in-memory index database and create the FTS5 table
+ * @param {function} callback - callback(err, indexDb)
+ */
+function openIndex(callback) {
+  if (indexDb) {
+    return callback(null, indexDb);
+  }
+
+  const database = new sqlite3.Database(':memory:', (err) => {
+    if (err) {
+      console.error('Error opening search index database:', err.message);
+      return callback(err);
+    }
+
+    database.run(`
+      CREATE VIRTUAL TABLE node_search USING fts5(
+        id UNINDEXED,
+        domain UNINDEXED,
+        content,
+        content_summary,
+        tags,
+        tokenize = 'porter unicode61'
+      )
+    `, (createErr) => {
+      if (createErr) {
+        console.error('Error creating search index table:', createErr.message);
+        return callback(createErr);
+      }
+
+      indexDb = database;
+      callback(null, indexDb);
+    });
+  });
+}
+
+/**
+ * Compute a signature of the source database file (and its WAL, if any)
+ * so that writes made through any connection invalidate the index
+ * @param {string} dbPath - Path of the source database
+ * @returns {string} - Signature string
+ */
+function getSourceSignature(dbPath) {
+  const parts = [dbPath];
+
+  [dbPath, `${dbPath}-wal`].forEach(file => {
+    try {
+      const stats = fs.statSync(file);
+      parts.push(stats.mtimeMs, stats.size);
+    } catch (err) {
+      parts.push('-');
+    }
+  });
+
+  return parts.join(':');
+}
+
+/**
+ * Mark the index as stale so the next search rebuilds it
+ */
+function invalidate() {
+  indexedSignature = null;
+}
+
+/**
+ * Rebuild the index from the source database. If any node can't be indexed
+ * the rebuild is rolled back and the error passed on, so searches fail rather
+ * than silently miss nodes.
+ * @param {Object} sourceDb - Connection to the memory graph database
+ * @param {function} callback - callback(err, { indexed })
+ */
+function rebuild(sourceDb, callback) {
+  const rowsQuery = `
+    SELECT
+      n.id,
+      n.domain,
+      n.content,
+      n.content_summary,
+      (SELECT group_concat(t.tag, ' ') FROM MEMORY_TAGS t WHERE t.nodeId = n.id) AS tags
+    FROM MEMORY_NODES n
+  `;
+
+  sourceDb.all(rowsQuery, [], (err, rows) => {
+    if (err) {
+      return callback(err);
+    }
+
+    openIndex((openErr, index) => {
+      if (openErr) {
+        return callback(openErr);
+      }
+
+      const fail = (failure) => {
+        index.run('ROLLBACK', (rollbackErr) => {
+          if (rollbackErr) {
+            console.error('[Search] Error rolling back index rebuild:', rollbackErr.message);
+          }
+          callback(failure);
+        });
+      };
+
+      index.run('BEGIN TRANSACTION', (beginErr) => {
+        if (beginErr) {
+          console.error('[Search] Error starting index rebuild:', beginErr.message);
+          return callback(beginErr);
+        }
+
+        index.run('DELETE FROM node_search', (deleteErr) => {
+          if (deleteErr) {
+            console.error('[Search] Error clearing index:', deleteErr.message);
+            return fail(deleteErr);
+          }
+
+          // The statement runs its queue in order, so every insert has
+          // reported back by the time finalize does
+          let insertErr = null;
+          const insert = index.prepare(
+            'INSERT INTO node_search (id, domain, content, content_summary, tags) VALUES (?, ?, ?, ?, ?)'
+          );
+          rows.forEach(row => {
+            insert.run([row.id, row.domain, row.content || '', row.content_summary || '', row.tags || ''], (runErr) => {
+              if (runErr && !insertErr) {
+                console.error(`[Search] Error indexing node ${row.id}:`, runErr.message);
+                insertErr = runErr;
+              }
+            });
+          });
+
+          insert.finalize((finalizeErr) => {
+            if (insertErr || finalizeErr) {
+              return fail(insertErr || finalizeErr);
+            }
+
+            index.run('COMMIT', (commitErr) => {
+              if (commitErr) {
+                console.error('[Search] Error committing index rebuild:', commitErr.message);
+                return fail(commitErr);
+              }
+
+              console.log(`[Search] Indexed ${rows.length} nodes`);
+              callback(null, { indexed: rows.length });
+            });
+          });
+        });
+      });
+    });
+  });
+}
+
+/**
+ * Make sure the index reflects the current source database, rebuilding if needed.
+ * Concurrent callers share a single rebuild.
+ * @param {Object} sourceDb - Connection to the memory graph database
+ * @param {string} dbPath - Path of the source database
+ * @param {function} callback - callback(err)
+ */
+function ensureFresh(sourceDb, dbPath, callback) {
+  const signature = getSourceSignature(dbPath);
+
+  if (indexDb && indexedSignature === signature) {
+    return callback(null);
+  }
+
+  if (pendingRebuild) {
+    pendingRebuild.push(callback);
+    return;
+  }
+
+  pendingRebuild = [callback];
+
+  rebuild(sourceDb, (err) => {
+    const waiting = pendingRebuild;
+    pendingRebuild = null;
+
+    if (!err) {
+      indexedSignature = signature;
+    }
+
+    waiting.forEach(cb => cb(err || null));
+  });
+}
+
+/**
+ * Turn free text into a safe FTS5 query: every term is quoted and the last
+ * one is treated as a prefix so results update while typing
+ * @param {string} text - User supplied search text
+ * @returns {string|null} - FTS5 MATCH expression, or null if there are no terms
+ */
+function buildMatchExpression(text) {
+  const terms = String(text)
+    .split(/\s+/)
+    .map(term => term.replace(/"/g, ''))
+    .filter(Boolean);
+
+  if (terms.length === 0) {
+    return null;
+  }
+
+  return terms
+    .map((term, i) => `"${term}"${i === terms.length - 1 ? '*' : ''}`)
+    .join(' ');
+}
+
+/**
+ * Escape text for HTML, then turn match markers into <mark> tags
+ * @param {string} snippet - Raw snippet from FTS5
+ * @returns {string} - HTML-safe snippet
+ */
+function formatSnippet(snippet) {
+  return (snippet || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .split(MATCH_START).join('<mark>')
+    .split(MATCH_END).join('</mark>');
+}
+
+/**
+ * Search the index
+ * @param {string} text - User supplied search text
+ * @param {number} limit - Maximum number of results
+ * @param {function} callback - callback(err, results)
+ */
+function search(text, limit, callback) {
+  const match = buildMatchExpression(text);
+
+  if (!match) {
+    return callback(null, []);
+  }
+
+  // Weights follow column order: id, domain, content, content_summary, tags
+  const searchQuery = `
+    SELECT
+      id,
+      domain,
+      content_summary,
+      snippet(node_search, -1, ?, ?, '…', 12) AS snippet,
+      bm25(node_search, 0, 0, 1.0, 2.0, 3.0) AS rank
+    FROM node_search
+    WHERE node_search MATCH ?
+    ORDER BY rank
+    LIMIT ?
+  `;
+
+  indexDb.all(searchQuery, [MATCH_START, MATCH_END, match, limit], (err, rows) => {
+    if (err) {
+      return callback(err);
+    }
+
+    callback(null, rows.map(row => ({
+      id: row.id,
+      domain: row.domain,
+      content_summary: row.content_summary || null,
+      snippet: formatSnippet(row.snippet),
+      // bm25 is lower-is-better; flip it so higher scores rank first
+      score: -row.rank
+    })));
+  });
+}
+
+module.exports = {
+  invalidate,
+  ensureFresh,
+  search
+};
@@ -0,0 +1,372 @@
+/**
+ * Snapshots Module
+ *
+ * Takes consistent copies of the current database with SQLite's online
+ * backup API, so other writers such as the MCP server never have to stop,
+ * and restores them into the current database. Snapshots are kept in a
+ * directory per database, named after their kind and time:
+ *
+ *   manual      - taken on request
+ *   auto        - taken on the configured schedule and rotated
+ *   pre-restore - taken automatically before a restore replaces the data
+ */
+
+const sqlite3 = require('sqlite3');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const dbService = require('./dbService');
+const history = require('./history');
+const { inspectDatabase } = require('./schemaCheck');
+
+const SNAPSHOT_KINDS = ['manual', 'auto', 'pre-restore'];
+
+// Pages copied per backup step; writers can get in between steps
+const BACKUP_PAGES_PER_STEP = 256;
+
+// How often a busy or locked step is retried, and how long to wait in between
+const BACKUP_MAX_RETRIES = 50;
+const BACKUP_RETRY_DELAY = 100;
+
+let scheduleTimer = null;
+
+/**
+ * Create an error with an HTTP status
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status
+ * @returns {Error} - Error
+ */
+function snapshotError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Get the directory holding the current database's snapshots
+ * @returns {string} - Absolute directory path
+ */
+function getSnapshotDir() {
+  const dbPath = path.resolve(dbService.getDatabasePath());
+  const name = path.basename(dbPath, path.extname(dbPath));
+  return config.snapshotDir
+    ? path.resolve(config.snapshotDir, name)
+    : path.join(path.dirname(dbPath), `${name}-snapshots`);
+}
+
+/**
+ * Get the file of a snapshot, rejecting ids that are not snapshot names
+ * @param {string} id - Snapshot id
+ * @returns {string|null} - Absolute file path, or null for an invalid id
+ */
+function getSnapshotFile(id) {
+  if (!/^[a-z-]+-\d{4}-\d{2}-\d{2}T[\d-]+Z$/.test(id)) return null;
+  return path.join(getSnapshotDir(), `${id}.db`);
+}
+
+/**
+ * Copy a database with the online backup API, step by step
+ * @param {Object} db - Connection whose main database takes part in the backup
+ * @param {string} file - The other database file
+ * @param {boolean} fileIsDest - Whether the file is written (snapshot) or read (restore)
+ * @param {function} callback - callback(err)
+ */
+function runBackup(db, file, fileIsDest, callback) {
+  let retries = 0;
+  let finished = false;
+
+  const done = (err) => {
+    if (finished) return;
+    finished = true;
+    backup.finish(() => callback(err || null));
+  };
+
+  const step = () => {
+    backup.step(BACKUP_PAGES_PER_STEP, (err, completed) => {
+      if (err) {
+        // Busy and locked steps can be retried; anything else ends the backup
+        if (backup.failed || ++retries > BACKUP_MAX_RETRIES) return done(err);
+        return setTimeout(step, BACKUP_RETRY_DELAY);
+      }
+
+      if (completed) return done();
+      setImmediate(step);
+    });
+  };
+
+  const backup = db.backup(file, 'main', 'main', fileIsDest, (err) => {
+    if (err) return done(err);
+    step();
+  });
+}
+
+/**
+ * Read size and graph stats of a snapshot file
+ * @param {string} file - Snapshot file
+ * @param {function} callback - callback(null, { size, stats }); stats is null if unreadable
+ */
+function readSnapshotInfo(file, callback) {
+  fs.stat(file, (statErr, fileStats) => {
+    if (statErr) return callback(null, { size: 0, stats: null });
+
+    const snapshotDb = new sqlite3.Database(file, sqlite3.OPEN_READONLY, (openErr) => {
+      if (openErr) return callback(null, { size: fileStats.size, stats: null });
+
+      snapshotDb.get(`
+        SELECT
+          (SELECT COUNT(*) FROM MEMORY_NODES) AS nodes,
+          (SELECT COUNT(*) FROM MEMORY_EDGES) AS edges,
+          (SELECT COUNT(*) FROM DOMAINS) AS domains,
+          (SELECT COUNT(*) FROM MEMORY_TAGS) AS tags
+      `, [], (err, row) => {
+        snapshotDb.close(() => callback(null, { size: fileStats.size, stats: err ? null : row }));
+      });
+    });
+  });
+}
+
+/**
+ * Describe a snapshot file
+ * @param {string} id - Snapshot id
+ * @param {function} callback - callback(err, { id, kind, created, size, stats })
+ */
+function describeSnapshot(id, callback) {
+  const [, kind, time] = id.match(/^([a-z-]+)-(\d{4}-.+)$/);
+  // Colons and the dot are not allowed in every file system, so the time is stored with dashes
+  const created = time.replace(/T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/, 'T$1:$2:$3.$4Z');
+
+  readSnapshotInfo(getSnapshotFile(id), (err, info) => {
+    callback(null, { id, kind, created, ...info });
+  });
+}
+
+/**
+ * List the snapshots of the current database, newest first
+ * @param {function} callback - callback(err, snapshots)
+ */
+function listSnapshots(callback) {
+  fs.readdir(getSnapshotDir(), (err, files) => {
+    if (err) {
+      return err.code === 'ENOENT' ? callback(null, []) : callback(err);
+    }
+
+    const ids = files
+      .filter(file => file.endsWith('.db'))
+      .map(file => file.slice(0, -3))
+      .filter(id => getSnapshotFile(id))
+      .sort()
+      .reverse();
+
+    const snapshots = [];
+    const next = (index) => {
+      if (index >= ids.length) {
+        // Newest first, whatever the kind
+        snapshots.sort((a, b) => b.created.localeCompare(a.created));
+        return callback(null, snapshots);
+      }
+      describeSnapshot(ids[index], (describeErr, snapshot) => {
+        snapshots.push(snapshot);
+        next(index + 1);
+      });
+    };
+    next(0);
+  });
+}
+
+/**
+ * Take a snapshot of the current database
+ * @param {string} kind - One of SNAPSHOT_KINDS
+ * @param {function} callback - callback(err, snapshot)
+ */
+function createSnapshot(kind, callback) {
+  if (!SNAPSHOT_KINDS.includes(kind)) {
+    return callback(snapshotError(`Unknown snapshot kind '${kind}'`, 400));
+  }
+
+  const dir = getSnapshotDir();
+  const time = new Date().toISOString().replace(/[:.]/g, '-');
+  const id = `${kind}-${time}`;
+  const file = path.join(dir, `${id}.db`);
+  // Written under a temporary name, so a failed backup never shows up as a snapshot
+  const tempFile = `${file}.tmp`;
+
+  fs.mkdir(dir, { recursive: true }, (mkdirErr) => {
+    if (mkdirErr) {
+      return callback(snapshotError(`Cannot create snapshot directory: ${mkdirErr.message}`, 500));
+    }
+
+    dbService.executeWithRetry((db, cb) => runBackup(db, tempFile, true, cb), 3, (err) => {
+      if (err) {
+        fs.unlink(tempFile, () => callback(err));
+        return;
+      }
+
+      fs.rename(tempFile, file, (renameErr) => {
+        if (renameErr) return callback(renameErr);
+        console.log(`[Snapshots] Created ${kind} snapshot ${id}`);
+        describeSnapshot(id, callback);
+      });
+    });
+  });
+}
+
+/**
+ * Delete a snapshot
+ * @param {string} id - Snapshot id
+ * @param {function} callback - callback(err)
+ */
+function deleteSnapshot(id, callback) {
+  const file = getSnapshotFile(id);
+  if (!file) {
+    return callback(snapshotError('Snapshot not found', 404));
+  }
+
+  fs.unlink(file, (err) => {
+    if (err) {
+      return callback(err.code === 'ENOENT' ? snapshotError('Snapshot not found', 404) : err);
+    }
+    console.log(`[Snapshots] Deleted snapshot ${id}`);
+    callback(null);
+  });
+}
+
+/**
+ * Replace the current database's contents with a snapshot. A pre-restore
+ * snapshot is taken first, so the restore itself can be undone by restoring
+ * that one. The file watcher is paused meanwhile, so the restore's own writes
+ * don't start a reconnect, and the connection is then reopened through
+ * dbService.reloadDatabase, so listeners see the new contents. Once the data
+ * has been replaced the restore succeeds; a failed reconnect is only reported
+ * as a warning.
+ * @param {string} id - Snapshot id
+ * @param {function} callback - callback(err, { restored, backup, warning })
+ */
+function restoreSnapshot(id, callback) {
+  const file = getSnapshotFile(id);
+  if (!file || !fs.existsSync(file)) {
+    return callback(snapshotError('Snapshot not found', 404));
+  }
+
+  // A damaged or foreign snapshot must not replace a working database
+  inspectDatabase(file, (inspectErr, report) => {
+    if (inspectErr) return callback(inspectErr);
+    if (!report.valid) {
+      return callback(snapshotError('Snapshot does not match the Memory Graph schema', 400));
+    }
+
+    createSnapshot('pre-restore', (backupErr, preRestore) => {
+      if (backupErr) return callback(backupErr);
+
+      const watching = dbService.stopFileWatcher();
+
+      dbService.executeWithRetry((db, cb) => runBackup(db, file, false, cb), 0, (err) => {
+        if (err) {
+          if (watching) dbService.startFileWatcher();
+          return callback(err);
+        }
+
+        // Undo images refer to the replaced contents
+        history.clearHistory();
+        console.log(`[Snapshots] Restored snapshot ${id}`);
+
+        // Reopening restarts the watcher
+        dbService.reloadDatabase((reloadErr) => {
+          if (reloadErr) {
+            console.error(`[Snapshots] Restored snapshot ${id}, but reconnecting failed:`, reloadErr.message);
+            if (watching) dbService.startFileWatcher();
+            return callback(null, {
+              restored: id,
+              backup: preRestore,
+              warning: `Restored, but reconnecting to the database failed: ${reloadErr.message}`
+            });
+          }
+          callback(null, { restored: id, backup: preRestore });
+        });
+      });
+    });
+  });
+}
+
+/**
+ * Delete automatic snapshots beyond the configured number to keep
+ * @param {function} callback - callback(err, deletedIds)
+ */
+function rotateSnapshots(callback) {
+  listSnapshots((err, snapshots) => {
+    if (err) return callback(err);
+
+    const expired = snapshots.filter(snapshot => snapshot.kind === 'auto').slice(config.snapshotKeep);
+    const deleted = [];
+
+    const next = (index) => {
+      if (index >= expired.length) return callback(null, deleted);
+      deleteSnapshot(expired[index].id, (deleteErr) => {
+        if (!deleteErr) deleted.push(expired[index].id);
+        next(index + 1);
+      });
+    };
+    next(0);
+  });
+}
+
+/**
+ * Start taking automatic snapshots, if an interval is configured
+ */
+function startSnapshotSchedule() {
+  if (scheduleTimer || config.snapshotIntervalMinutes <= 0) return;
+
+  console.log(`[Snapshots] Taking a snapshot every ${config.snapshotIntervalMinutes} minutes, keeping ${config.snapshotKeep}`);
+
+  scheduleTimer = setInterval(() => {
+    createSnapshot('auto', (err) => {
+      if (err) {
+        return console.error('[Snapshots] Scheduled snapshot failed:', err.message);
+      }
+      rotateSnapshots((rotateErr, deleted) => {
+        if (rotateErr) {
+          console.error('[Snapshots] Rotation failed:', rotateErr.message);
+        } else if (deleted.length > 0) {
+          console.log(`[Snapshots] Rotated out ${deleted.length} automatic snapshots`);
+        }
+      });
+    });
+  }, config.snapshotIntervalMinutes * 60 * 1000);
+
+  // The schedule alone should not keep the process alive
+  scheduleTimer.unref();
+}
+
+/**
+ * Stop taking automatic snapshots
+ */
+function stopSnapshotSchedule() {
+  if (scheduleTimer) {
+    clearInterval(scheduleTimer);
+    scheduleTimer = null;
+  }
+}
+
+/**
+ * Describe the snapshot schedule
+ * @returns {Object} - { intervalMinutes, keep, active }
+ */
+function getSchedule() {
+  return {
+    intervalMinutes: config.snapshotIntervalMinutes,
+    keep: config.snapshotKeep,
+    active: scheduleTimer !== null
+  };
+}
+
+module.exports = {
+  SNAPSHOT_KINDS,
+  getSnapshotDir,
+  listSnapshots,
+  createSnapshot,
+  deleteSnapshot,
+  restoreSnapshot,
+  rotateSnapshots,
+  startSnapshotSchedule,
+  stopSnapshotSchedule,
+  getSchedule
+};
@@ -0,0 +1,158 @@
+/**
+ * Database Bundle Module
+ *
+ * Packs the whole memory graph into a zip bundle for moving a knowledge base
+ * between machines, and unpacks it again. The bundle holds:
+ *
+ *   manifest.json     - format, bundle version, schema version, export date,
+ *                       row counts and a SHA-256 checksum of every data file
+ *   domains.json      - DOMAINS rows
+ *   nodes.json        - MEMORY_NODES rows, each with its tags
+ *   edges.json        - MEMORY_EDGES rows, including edges between domains
+ *   domain-refs.json  - DOMAIN_REFS rows
+ */
+
+const crypto = require('crypto');
+const { createZip, readZip } = require('./zip');
+const { schemaSpec } = require('../db/schemaSpec');
+
+const BUNDLE_FORMAT = 'memory-graph-bundle';
+const BUNDLE_VERSION = '1.0';
+
+// Data files and the part of the graph each one holds
+const BUNDLE_FILES = {
+  'domains.json': 'domains',
+  'nodes.json': 'nodes',
+  'edges.json': 'edges',
+  'domain-refs.json': 'domainRefs'
+};
+
+/**
+ * Get the major part of a version string
+ * @param {string} version - Version such as "1.0.0"
+ * @returns {string} - Major version
+ */
+function majorVersion(version) {
+  return String(version || '').split('.')[0];
+}
+
+/**
+ * Compute the SHA-256 checksum of a file's contents
+ * @param {Buffer} data - File contents
+ * @returns {string} - Hex digest
+ */
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Create an error for an unusable bundle
+ * @param {string} message - Error message
+ * @returns {Error} - Error with status 400
+ */
+function bundleError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/**
+ * Build a bundle of the whole database
+ * @param {Object} graph - { domains, nodes, edges, domainRefs } as loaded by db/graphExport.js
+ * @returns {Buffer} - Zip archive
+ */
+function toBundle(graph) {
+  const files = Object.keys(BUNDLE_FILES).map(name => ({
+    name,
+    data: Buffer.from(JSON.stringify(graph[BUNDLE_FILES[name]], null, 2), 'utf8')
+  }));
+
+  const manifest = {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    schemaVersion: schemaSpec.version,
+    exportDate: new Date().toISOString(),
+    counts: {
+      domains: graph.domains.length,
+      nodes: graph.nodes.length,
+      tags: graph.nodes.reduce((count, node) => count + node.tags.length, 0),
+      edges: graph.edges.length,
+      domainRefs: graph.domainRefs.length
+    },
+    checksums: {}
+  };
+  files.forEach(file => { manifest.checksums[file.name] = sha256(file.data); });
+
+  return createZip([
+    { name: 'manifest.json', data: Buffer.from(JSON.stringify(manifest, null, 2), 'utf8') },
+    ...files
+  ]);
+}
+
+/**
+ * Read a bundle, checking its format, versions and checksums
+ * @param {Buffer} buffer - Zip archive
+ * @returns {Object} - { manifest, domains, nodes, edges, domainRefs }
+ * @throws {Error} - With status 400 if the bundle is invalid, from another schema
+ *                   version or damaged
+ */
+function parseBundle(buffer) {
+  let entries;
+  try {
+    entries = readZip(buffer);
+  } catch (err) {
+    throw bundleError(`Not a valid bundle archive: ${err.message}`);
+  }
+
+  const files = new Map(entries.map(entry => [entry.name, entry.data]));
+
+  const parseFile = (name) => {
+    if (!files.has(name)) {
+      throw bundleError(`Bundle is missing ${name}`);
+    }
+    try {
+      return JSON.parse(files.get(name).toString('utf8'));
+    } catch (err) {
+      throw bundleError(`Bundle file ${name} is not valid JSON`);
+    }
+  };
+
+  const manifest = parseFile('manifest.json');
+
+  if (manifest.format !== BUNDLE_FORMAT) {
+    throw bundleError('Not a Memory Graph database bundle');
+  }
+
+  if (majorVersion(manifest.version) !== majorVersion(BUNDLE_VERSION)) {
+    throw bundleError(`Unsupported bundle version ${manifest.version}`);
+  }
+
+  // Rows from another major schema version may not fit the tables
+  if (majorVersion(manifest.schemaVersion) !== majorVersion(schemaSpec.version)) {
+    throw bundleError(`Bundle schema version ${manifest.schemaVersion} does not match ` +
+      `database schema version ${schemaSpec.version}`);
+  }
+
+  const bundle = { manifest };
+  Object.keys(BUNDLE_FILES).forEach(name => {
+    const expected = manifest.checksums && manifest.checksums[name];
+    if (!files.has(name) || sha256(files.get(name)) !== expected) {
+      throw bundleError(`Checksum mismatch for ${name}, the bundle is damaged`);
+    }
+
+    const rows = parseFile(name);
+    if (!Array.isArray(rows)) {
+      throw bundleError(`Bundle file ${name} must hold an array`);
+    }
+    bundle[BUNDLE_FILES[name]] = rows;
+  });
+
+  return bundle;
+}
+
+module.exports = {
+  BUNDLE_FORMAT,
+  BUNDLE_VERSION,
+  toBundle,
+  parseBundle
+};
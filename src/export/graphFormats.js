@@ -0,0 +1,208 @@
+/**
+ * Graph Formats Module
+ *
+ * Serializes an exported graph (see db/graphExport.js) as GraphML or GEXF so
+ * it can be opened in graph analysis tools such as yEd and Gephi.
+ *
+ * Memory edges are directed. Cross-domain refs become edges with kind
+ * 'cross_domain'; bidirectional refs are written as undirected edges.
+ */
+
+// Weight given to cross-domain refs, matching their strength in the graph view
+const CROSS_DOMAIN_STRENGTH = 0.7;
+
+// Node and edge attributes written in both formats: [id, type]
+const NODE_ATTRIBUTES = [
+  ['domain', 'string'],
+  ['tags', 'string'],
+  ['summary', 'string'],
+  ['content', 'string'],
+  ['path', 'string'],
+  ['timestamp', 'string']
+];
+
+const EDGE_ATTRIBUTES = [
+  ['kind', 'string'],
+  ['type', 'string'],
+  ['strength', 'double'],
+  ['description', 'string']
+];
+
+/**
+ * Escape text for use in XML content and attribute values, dropping
+ * characters XML 1.0 cannot represent. Line breaks are written as character
+ * references so they survive attribute value normalization.
+ * @param {*} value - Value to escape
+ * @returns {string} - Escaped text
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+    .replace(/\r/g, '&#13;')
+    .replace(/\n/g, '&#10;');
+}
+
+/**
+ * Flatten an exported graph into the node and edge records both formats write
+ * @param {Object} graph - { nodes, edges, domainRefs }
+ * @returns {Object} - { nodes, edges } with id, label/source/target, directed and attribute values
+ */
+function toRecords(graph) {
+  const nodes = graph.nodes.map(node => ({
+    id: node.id,
+    label: node.content_summary || node.id,
+    values: {
+      domain: node.domain,
+      tags: node.tags.join(';'),
+      summary: node.content_summary,
+      content: node.content,
+      path: node.path,
+      timestamp: node.timestamp
+    }
+  }));
+
+  const edges = graph.edges.map(edge => ({
+    id: edge.id,
+    source: edge.source,
+    target: edge.target,
+    directed: true,
+    weight: edge.strength,
+    values: {
+      kind: 'edge',
+      type: edge.type,
+      strength: edge.strength,
+      description: null
+    }
+  }));
+
+  graph.domainRefs.forEach(ref => {
+    edges.push({
+      id: `crossdomain-${ref.nodeId}-${ref.targetNodeId}`,
+      source: ref.nodeId,
+      target: ref.targetNodeId,
+      directed: !ref.bidirectional,
+      weight: CROSS_DOMAIN_STRENGTH,
+      values: {
+        kind: 'cross_domain',
+        type: 'cross_domain',
+        strength: CROSS_DOMAIN_STRENGTH,
+        description: ref.description
+      }
+    });
+  });
+
+  return { nodes, edges };
+}
+
+/**
+ * Write attribute values, skipping empty ones
+ * @param {Object} values - Attribute values by id
+ * @param {function} format - format(id, escapedValue) => XML line
+ * @returns {Array<string>} - XML lines
+ */
+function writeValues(values, format) {
+  return Object.entries(values)
+    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+    .map(([id, value]) => format(id, escapeXml(value)));
+}
+
+/**
+ * Serialize a graph as GraphML
+ * @param {Object} graph - { nodes, edges, domainRefs }
+ * @returns {string} - GraphML document
+ */
+function toGraphML(graph) {
+  const { nodes, edges } = toRecords(graph);
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns"',
+    '         xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+    '         xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">',
+    '  <key id="label" for="node" attr.name="label" attr.type="string"/>'
+  ];
+
+  NODE_ATTRIBUTES.forEach(([id, type]) => {
+    lines.push(`  <key id="${id}" for="node" attr.name="${id}" attr.type="${type}"/>`);
+  });
+  EDGE_ATTRIBUTES.forEach(([id, type]) => {
+    lines.push(`  <key id="e_${id}" for="edge" attr.name="${id}" attr.type="${type}"/>`);
+  });
+
+  lines.push('  <graph id="memory-graph" edgedefault="directed">');
+
+  nodes.forEach(node => {
+    lines.push(`    <node id="${escapeXml(node.id)}">`);
+    lines.push(`      <data key="label">${escapeXml(node.label)}</data>`);
+    lines.push(...writeValues(node.values, (id, value) => `      <data key="${id}">${value}</data>`));
+    lines.push('    </node>');
+  });
+
+  edges.forEach(edge => {
+    const directed = edge.directed ? '' : ' directed="false"';
+    lines.push(`    <edge id="${escapeXml(edge.id)}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}"${directed}>`);
+    lines.push(...writeValues(edge.values, (id, value) => `      <data key="e_${id}">${value}</data>`));
+    lines.push('    </edge>');
+  });
+
+  lines.push('  </graph>', '</graphml>', '');
+  return lines.join('\n');
+}
+
+/**
+ * Serialize a graph as GEXF 1.3
+ * @param {Object} graph - { nodes, edges, domainRefs }
+ * @returns {string} - GEXF document
+ */
+function toGEXF(graph) {
+  const { nodes, edges } = toRecords(graph);
+  const gexfType = type => (type === 'double' ? 'double' : 'string');
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gexf xmlns="http://gexf.net/1.3" version="1.3">',
+    `  <meta lastmodifieddate="${new Date().toISOString().slice(0, 10)}">`,
+    '    <creator>Memory Graph Interface</creator>',
+    '  </meta>',
+    '  <graph mode="static" defaultedgetype="directed">',
+    '    <attributes class="node">'
+  ];
+
+  NODE_ATTRIBUTES.forEach(([id, type]) => {
+    lines.push(`      <attribute id="${id}" title="${id}" type="${gexfType(type)}"/>`);
+  });
+  lines.push('    </attributes>', '    <attributes class="edge">');
+  EDGE_ATTRIBUTES.forEach(([id, type]) => {
+    lines.push(`      <attribute id="${id}" title="${id}" type="${gexfType(type)}"/>`);
+  });
+  lines.push('    </attributes>', '    <nodes>');
+
+  nodes.forEach(node => {
+    lines.push(`      <node id="${escapeXml(node.id)}" label="${escapeXml(node.label)}">`);
+    lines.push('        <attvalues>');
+    lines.push(...writeValues(node.values, (id, value) => `          <attvalue for="${id}" value="${value}"/>`));
+    lines.push('        </attvalues>', '      </node>');
+  });
+
+  lines.push('    </nodes>', '    <edges>');
+
+  edges.forEach(edge => {
+    const type = edge.directed ? '' : ' type="undirected"';
+    lines.push(`      <edge id="${escapeXml(edge.id)}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}" weight="${Number(edge.weight) || 0}"${type}>`);
+    lines.push('        <attvalues>');
+    lines.push(...writeValues(edge.values, (id, value) => `          <attvalue for="${id}" value="${value}"/>`));
+    lines.push('        </attvalues>', '      </edge>');
+  });
+
+  lines.push('    </edges>', '  </graph>', '</gexf>', '');
+  return lines.join('\n');
+}
+
+module.exports = {
+  escapeXml,
+  toGraphML,
+  toGEXF
+};
@@ -0,0 +1,417 @@
+/**
+ * Markdown Vault Module
+ *
+ * Converts between the memory graph and an Obsidian-style Markdown vault:
+ * one file per node in a folder per domain, with YAML front-matter for the
+ * node's fields and generated sections listing its links as [[wikilinks]].
+ *
+ *   ---
+ *   id: "n1"
+ *   domain: "general"
+ *   tags:
+ *     - "fruit"
+ *   timestamp: "2024-01-01T00:00:00Z"
+ *   summary: "apples"
+ *   ---
+ *   <node content>
+ *
+ *   ## Links
+ *
+ *   - [[n2|bananas]] (type: relates_to, strength: 0.5, id: "n1-n2-relates_to")
+ *
+ *   ## Cross-Domain References
+ *
+ *   - [[n3|report]] (bidirectional): apples for report
+ */
+
+const path = require('path');
+const { createZip } = require('./zip');
+
+const LINKS_HEADING = '## Links';
+const REFS_HEADING = '## Cross-Domain References';
+
+/**
+ * Make a string safe to use as a file or folder name
+ * @param {string} name - Name to sanitize
+ * @returns {string} - Sanitized name
+ */
+function safeFileName(name) {
+  const safe = String(name).replace(/[\\/:*?"<>|#^[\]\u0000-\u001F]+/g, '_').trim();
+  return safe && safe !== '.' && safe !== '..' ? safe : '_';
+}
+
+/**
+ * Make text safe to use as a wikilink alias
+ * @param {string} text - Alias text
+ * @returns {string} - Alias without characters that end a wikilink
+ */
+function safeAlias(text) {
+  return String(text).replace(/[|\]\[\r\n]+/g, ' ').trim();
+}
+
+/**
+ * Assign each node a vault-wide unique file base name. Wikilinks resolve by
+ * file name, so two nodes must never share one even in different folders.
+ * @param {Array<Object>} nodes - Nodes
+ * @returns {Map<string, string>} - Node id to file base name
+ */
+function assignFileNames(nodes) {
+  const used = new Set();
+  const names = new Map();
+
+  nodes.forEach(node => {
+    const base = safeFileName(node.id);
+    let name = base;
+    for (let n = 2; used.has(name.toLowerCase()); n++) {
+      name = `${base}-${n}`;
+    }
+    used.add(name.toLowerCase());
+    names.set(node.id, name);
+  });
+
+  return names;
+}
+
+/**
+ * Render one node as a Markdown note
+ * @param {Object} node - Node with tags
+ * @param {Array<string>} links - Link list items
+ * @param {Array<string>} refs - Cross-domain reference list items
+ * @returns {string} - Markdown text
+ */
+function renderNote(node, links, refs) {
+  const lines = ['---', `id: ${JSON.stringify(node.id)}`, `domain: ${JSON.stringify(node.domain)}`];
+
+  if (node.tags.length > 0) {
+    lines.push('tags:', ...node.tags.map(tag => `  - ${JSON.stringify(tag)}`));
+  } else {
+    lines.push('tags: []');
+  }
+
+  if (node.timestamp) lines.push(`timestamp: ${JSON.stringify(node.timestamp)}`);
+  if (node.content_summary) lines.push(`summary: ${JSON.stringify(node.content_summary)}`);
+  if (node.path) lines.push(`path: ${JSON.stringify(node.path)}`);
+
+  lines.push('---', node.content || '');
+
+  if (links.length > 0) {
+    lines.push('', LINKS_HEADING, '', ...links);
+  }
+
+  if (refs.length > 0) {
+    lines.push('', REFS_HEADING, '', ...refs);
+  }
+
+  lines.push('');
+  return lines.join('\n');
+}
+
+/**
+ * Build a zipped Markdown vault from an exported graph
+ * @param {Object} graph - { nodes, edges, domainRefs } as loaded by db/graphExport.js
+ * @returns {Buffer} - Zip archive
+ */
+function toMarkdownVault(graph) {
+  const fileNames = assignFileNames(graph.nodes);
+  const nodesById = new Map(graph.nodes.map(node => [node.id, node]));
+
+  const wikilink = (nodeId) => {
+    const node = nodesById.get(nodeId);
+    const alias = node && node.content_summary ? safeAlias(node.content_summary) : '';
+    const name = fileNames.get(nodeId);
+    return alias && alias !== name ? `[[${name}|${alias}]]` : `[[${name}]]`;
+  };
+
+  const linksByNode = new Map();
+  graph.edges.forEach(edge => {
+    if (!linksByNode.has(edge.source)) linksByNode.set(edge.source, []);
+    // The id lets a re-import update the edge instead of adding a copy
+    linksByNode.get(edge.source).push(
+      `- ${wikilink(edge.target)} (type: ${edge.type}, strength: ${edge.strength}, id: ${JSON.stringify(edge.id)})`);
+  });
+
+  const refsByNode = new Map();
+  graph.domainRefs.forEach(ref => {
+    if (!refsByNode.has(ref.nodeId)) refsByNode.set(ref.nodeId, []);
+    const flags = ref.bidirectional ? ' (bidirectional)' : '';
+    const description = ref.description ? `: ${ref.description.replace(/[\r\n]+/g, ' ')}` : '';
+    refsByNode.get(ref.nodeId).push(`- ${wikilink(ref.targetNodeId)}${flags}${description}`);
+  });
+
+  const files = graph.nodes.map(node => ({
+    name: `${safeFileName(node.domain)}/${fileNames.get(node.id)}.md`,
+    data: renderNote(node, linksByNode.get(node.id) || [], refsByNode.get(node.id) || [])
+  }));
+
+  return createZip(files);
+}
+
+/**
+ * Parse a YAML scalar as written in front-matter
+ * @param {string} text - Raw value
+ * @returns {string} - Parsed value
+ */
+function parseScalar(text) {
+  const value = text.trim();
+
+  if (value.startsWith('"') && value.endsWith('"') && value.length >= 2) {
+    try {
+      return JSON.parse(value);
+    } catch (err) {
+      return value.slice(1, -1);
+    }
+  }
+
+  if (value.startsWith("'") && value.endsWith("'") && value.length >= 2) {
+    return value.slice(1, -1).replace(/''/g, "'");
+  }
+
+  return value;
+}
+
+/**
+ * Parse the simple YAML used in note front-matter: scalar values, flow lists
+ * ([a, b]) and block lists (- item)
+ * @param {string} text - Front-matter text without the --- fences
+ * @returns {Object} - Parsed fields
+ */
+function parseFrontMatter(text) {
+  const fields = {};
+  let listKey = null;
+
+  text.split(/\r?\n/).forEach(line => {
+    if (!line.trim() || line.trim().startsWith('#')) return;
+
+    const item = line.match(/^\s*-\s+(.*)$/);
+    if (item && listKey) {
+      fields[listKey].push(parseScalar(item[1]));
+      return;
+    }
+
+    const pair = line.match(/^([A-Za-z_][\w-]*):\s*(.*)$/);
+    if (!pair) return;
+
+    const [, key, rawValue] = pair;
+    const value = rawValue.trim();
+    listKey = null;
+
+    if (value === '') {
+      fields[key] = [];
+      listKey = key;
+    } else if (value.startsWith('[') && value.endsWith(']')) {
+      const inner = value.slice(1, -1).trim();
+      fields[key] = inner ? inner.split(',').map(parseScalar).filter(Boolean) : [];
+    } else {
+      fields[key] = parseScalar(value);
+    }
+  });
+
+  return fields;
+}
+
+/**
+ * Split a note into front-matter and body
+ * @param {string} text - Note text
+ * @returns {Object} - { fields, body }
+ */
+function splitFrontMatter(text) {
+  const match = text.match(/^﻿?---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/);
+  if (!match) {
+    return { fields: {}, body: text };
+  }
+  return { fields: parseFrontMatter(match[1]), body: text.slice(match[0].length) };
+}
+
+/**
+ * Separate the generated link sections at the end of a note from its content
+ * @param {string} body - Note body after the front-matter
+ * @returns {Object} - { content, links, refs } where links and refs are raw list item texts
+ */
+function splitSections(body) {
+  const lines = body.split(/\r?\n/);
+  const isGeneratedHeading = line => line.trim() === LINKS_HEADING || line.trim() === REFS_HEADING;
+  const isSectionLine = line => !line.trim() || /^\s*-\s/.test(line) || isGeneratedHeading(line);
+
+  // The generated sections run from the first generated heading to the end of
+  // the note, and contain nothing but list items and blank lines
+  let start = lines.length;
+  for (let i = lines.length - 1; i >= 0; i--) {
+    if (!isSectionLine(lines[i])) break;
+    if (isGeneratedHeading(lines[i])) start = i;
+  }
+
+  const links = [];
+  const refs = [];
+  let current = null;
+
+  lines.slice(start).forEach(line => {
+    if (line.trim() === LINKS_HEADING) current = links;
+    else if (line.trim() === REFS_HEADING) current = refs;
+    else if (current && /^\s*-\s/.test(line)) current.push(line.replace(/^\s*-\s+/, ''));
+  });
+
+  const contentLines = lines.slice(0, start);
+  while (contentLines.length > 0 && !contentLines[contentLines.length - 1].trim()) {
+    contentLines.pop();
+  }
+
+  return { content: contentLines.join('\n'), links, refs };
+}
+
+/**
+ * Read a JSON-quoted string
+ * @param {string} [text] - Quoted string, as written by JSON.stringify
+ * @returns {string|null} - The string, or null if there is none or it is not valid
+ */
+function parseQuoted(text) {
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Get the target of the wikilink at the start of a list item
+ * @param {string} item - List item text
+ * @returns {Object|null} - { target, rest } or null if the item has no wikilink
+ */
+function parseWikilink(item) {
+  const match = item.match(/^\[\[([^\]|#]+)(?:[#|][^\]]*)?\]\](.*)$/);
+  if (!match) return null;
+  return { target: match[1].trim().replace(/\.md$/i, ''), rest: match[2] };
+}
+
+/**
+ * Parse the files of a Markdown vault into graph data. Link targets are
+ * resolved by file name first and node id second; targets not in the vault
+ * are returned in `unresolved` so the caller can look them up.
+ * @param {Array<Object>} files - Files as { name, content }
+ * @param {Object} options - Parse options
+ * @param {string} options.defaultDomain - Domain for notes without one in their front-matter or folder
+ * @returns {Object} - { nodes, edges, domainRefs, unresolved, warnings }
+ */
+function parseMarkdownVault(files, options = {}) {
+  const warnings = [];
+  const notes = [];
+
+  files.forEach(file => {
+    const name = file.name.replace(/\\/g, '/');
+    const segments = name.split('/').filter(Boolean);
+
+    // Skip non-notes and hidden folders such as .obsidian
+    if (!/\.md$/i.test(name) || segments.some(segment => segment.startsWith('.'))) {
+      return;
+    }
+
+    const { fields, body } = splitFrontMatter(file.content);
+    const baseName = path.posix.basename(name).replace(/\.md$/i, '');
+    const folder = segments.length > 1 ? segments[segments.length - 2] : null;
+    const sections = splitSections(body);
+
+    const id = typeof fields.id === 'string' && fields.id.trim() ? fields.id.trim() : baseName;
+    const domain = (typeof fields.domain === 'string' && fields.domain.trim()) || folder || options.defaultDomain;
+
+    if (!domain) {
+      warnings.push(`${name}: no domain in front-matter or folder, skipped`);
+      return;
+    }
+
+    if (!sections.content.trim()) {
+      warnings.push(`${name}: note has no content, skipped`);
+      return;
+    }
+
+    const tags = Array.isArray(fields.tags) ? fields.tags : typeof fields.tags === 'string' ? [fields.tags] : [];
+
+    notes.push({
+      fileName: name,
+      baseName,
+      node: {
+        id,
+        domain,
+        content: sections.content,
+        content_summary: typeof fields.summary === 'string' && fields.summary ? fields.summary : null,
+        path: typeof fields.path === 'string' && fields.path ? fields.path : null,
+        timestamp: typeof fields.timestamp === 'string' && fields.timestamp ? fields.timestamp : undefined,
+        tags: [...new Set(tags.map(tag => String(tag).replace(/^#/, '').trim()).filter(Boolean))]
+      },
+      links: sections.links,
+      refs: sections.refs
+    });
+  });
+
+  // Later duplicates of an id are dropped
+  const nodesById = new Map();
+  const idsByFileName = new Map();
+  notes.forEach(note => {
+    if (nodesById.has(note.node.id)) {
+      warnings.push(`${note.fileName}: duplicate id '${note.node.id}', skipped`);
+      note.skipped = true;
+      return;
+    }
+    nodesById.set(note.node.id, note.node);
+    idsByFileName.set(note.baseName.toLowerCase(), note.node.id);
+  });
+
+  const resolve = target => idsByFileName.get(target.toLowerCase()) || target;
+  const unresolved = new Set();
+  const edges = [];
+  const domainRefs = [];
+
+  notes.filter(note => !note.skipped).forEach(note => {
+    const source = note.node;
+
+    note.links.forEach(item => {
+      const link = parseWikilink(item);
+      if (!link) return;
+
+      const target = resolve(link.target);
+      const type = (link.rest.match(/type:\s*([^,)\s]+)/) || [])[1] || 'relates_to';
+      const strength = parseFloat((link.rest.match(/strength:\s*([\d.]+)/) || [])[1]);
+      const id = parseQuoted((link.rest.match(/id:\s*("(?:[^"\\]|\\.)*")/) || [])[1]);
+
+      if (!nodesById.has(target)) unresolved.add(target);
+      edges.push({
+        id,
+        source: source.id,
+        target,
+        type,
+        strength: isNaN(strength) ? 0.5 : Math.max(0, Math.min(1, strength)),
+        domain: source.domain
+      });
+    });
+
+    note.refs.forEach(item => {
+      const link = parseWikilink(item);
+      if (!link) return;
+
+      const target = resolve(link.target);
+      const description = link.rest.match(/^\s*(?:\(([^)]*)\))?\s*(?::\s*(.*))?$/) || [];
+
+      if (!nodesById.has(target)) unresolved.add(target);
+      domainRefs.push({
+        nodeId: source.id,
+        domain: source.domain,
+        targetNodeId: target,
+        targetDomain: nodesById.has(target) ? nodesById.get(target).domain : null,
+        description: (description[2] || '').trim(),
+        bidirectional: /bidirectional/.test(description[1] || '')
+      });
+    });
+  });
+
+  return {
+    nodes: Array.from(nodesById.values()),
+    edges,
+    domainRefs,
+    unresolved: Array.from(unresolved),
+    warnings
+  };
+}
+
+module.exports = {
+  toMarkdownVault,
+  parseMarkdownVault
+};
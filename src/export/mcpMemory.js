@@ -0,0 +1,205 @@
+/**
+ * MCP Memory Format Module
+ *
+ * Converts between a memory domain and the JSONL knowledge graph of the
+ * reference MCP memory server, which has one record per line:
+ *
+ *   {"type":"entity","name":"Alice","entityType":"person","observations":["Likes tea"]}
+ *   {"type":"relation","from":"Alice","to":"Bob","relationType":"knows"}
+ *
+ * An entity becomes a node with id "<domain>:<name>", the name as summary,
+ * one line of content per observation and the entity type as tag. A relation
+ * becomes an edge of its relation type. Exporting reverses this, taking the
+ * entity type from the node's first tag.
+ *
+ * Exported entities and relations also carry the node or edge they came from,
+ * which the MCP memory server ignores:
+ *
+ *   {"type":"entity","name":"Alice",...,"memoryGraph":{"id":"n1","domain":"people"}}
+ *
+ * Importing such a file back into the same domain reuses those ids, so the
+ * existing nodes and edges are updated instead of duplicated.
+ */
+
+// MCP relations have no strength, so imported edges get the default
+const DEFAULT_STRENGTH = 0.5;
+
+// Entity type for exported nodes without tags
+const DEFAULT_ENTITY_TYPE = 'memory';
+
+/**
+ * Get the node id for an entity imported into a domain
+ * @param {string} domain - Target domain
+ * @param {string} name - Entity name
+ * @returns {string} - Node id
+ */
+function getEntityNodeId(domain, name) {
+  return `${domain}:${name}`;
+}
+
+/**
+ * Get the Memory Graph id an exported record carries, if it was exported from
+ * the domain it is imported into
+ * @param {Object} record - Entity or relation record
+ * @param {string} domain - Target domain
+ * @returns {string|null} - The original node or edge id
+ */
+function getOriginalId(record, domain) {
+  const origin = record.memoryGraph;
+  if (!origin || typeof origin.id !== 'string' || !origin.id || origin.domain !== domain) {
+    return null;
+  }
+  return origin.id;
+}
+
+/**
+ * Parse MCP memory JSONL into nodes and edges for a domain. Relations whose
+ * ends are not entities in the file are returned in `unresolved` as names,
+ * so the caller can look them up among existing nodes.
+ * @param {string} text - JSONL text
+ * @param {string} domain - Target domain
+ * @returns {Object} - { nodes, edges, unresolved, warnings }; edges exported from this
+ *                     domain keep their id, other edges have none
+ */
+function parseMcpMemory(text, domain) {
+  const warnings = [];
+  const entities = new Map();
+  const relations = [];
+
+  String(text).split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim()) return;
+
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (err) {
+      warnings.push(`Line ${index + 1}: invalid JSON, skipped`);
+      return;
+    }
+
+    if (record && record.type === 'entity') {
+      if (typeof record.name !== 'string' || !record.name.trim()) {
+        warnings.push(`Line ${index + 1}: entity without a name, skipped`);
+        return;
+      }
+
+      const observations = Array.isArray(record.observations)
+        ? record.observations.filter(observation => typeof observation === 'string' && observation.trim())
+        : [];
+
+      // Repeated entities add their observations, as in the MCP memory server
+      const existing = entities.get(record.name);
+      if (existing) {
+        observations.forEach(observation => {
+          if (!existing.observations.includes(observation)) existing.observations.push(observation);
+        });
+        return;
+      }
+
+      entities.set(record.name, {
+        id: getOriginalId(record, domain) || getEntityNodeId(domain, record.name),
+        name: record.name,
+        entityType: typeof record.entityType === 'string' ? record.entityType.trim() : '',
+        observations
+      });
+    } else if (record && record.type === 'relation') {
+      if (typeof record.from !== 'string' || typeof record.to !== 'string' ||
+          typeof record.relationType !== 'string' || !record.relationType.trim()) {
+        warnings.push(`Line ${index + 1}: relation needs from, to and relationType, skipped`);
+        return;
+      }
+      relations.push(record);
+    } else {
+      warnings.push(`Line ${index + 1}: unknown record type, skipped`);
+    }
+  });
+
+  const nodes = Array.from(entities.values()).map(entity => ({
+    id: entity.id,
+    domain,
+    // A node needs content, so an entity without observations is described by its name
+    content: entity.observations.length > 0 ? entity.observations.join('\n') : entity.name,
+    content_summary: entity.name,
+    path: null,
+    tags: entity.entityType ? [entity.entityType] : []
+  }));
+
+  const unresolved = new Set();
+  const edgeIds = new Set();
+  const edges = [];
+
+  relations.forEach(relation => {
+    [relation.from, relation.to].forEach(name => {
+      if (!entities.has(name)) unresolved.add(name);
+    });
+
+    const entityId = name => entities.has(name) ? entities.get(name).id : getEntityNodeId(domain, name);
+    const source = entityId(relation.from);
+    const target = entityId(relation.to);
+    const type = relation.relationType.trim();
+    const key = `${source}-${target}-${type}`;
+
+    if (edgeIds.has(key)) return;
+    edgeIds.add(key);
+
+    // Without an original id the caller derives one once both ends are resolved
+    const id = getOriginalId(relation, domain) || undefined;
+    edges.push({ id, source, target, type, strength: DEFAULT_STRENGTH, domain, from: relation.from, to: relation.to });
+  });
+
+  return { nodes, edges, unresolved: Array.from(unresolved), warnings };
+}
+
+/**
+ * Build MCP memory JSONL from a domain's nodes and edges
+ * @param {Object} graph - { nodes, edges } as loaded by db/graphExport.js
+ * @returns {string} - JSONL text
+ */
+function toMcpMemory(graph) {
+  // Entity names must be unique; nodes sharing a summary fall back to their id
+  const summaryCounts = new Map();
+  graph.nodes.forEach(node => {
+    if (node.content_summary) {
+      summaryCounts.set(node.content_summary, (summaryCounts.get(node.content_summary) || 0) + 1);
+    }
+  });
+
+  const names = new Map(graph.nodes.map(node => [
+    node.id,
+    node.content_summary && summaryCounts.get(node.content_summary) === 1 ? node.content_summary : node.id
+  ]));
+
+  const lines = graph.nodes.map(node => {
+    const name = names.get(node.id);
+    // Content that only repeats the name stands for an entity without observations
+    const observations = node.content === name
+      ? []
+      : String(node.content || '').split(/\r?\n/).filter(line => line.trim());
+
+    return JSON.stringify({
+      type: 'entity',
+      name,
+      entityType: node.tags[0] || DEFAULT_ENTITY_TYPE,
+      observations,
+      memoryGraph: { id: node.id, domain: node.domain }
+    });
+  });
+
+  graph.edges.forEach(edge => {
+    lines.push(JSON.stringify({
+      type: 'relation',
+      from: names.get(edge.source),
+      to: names.get(edge.target),
+      relationType: edge.type,
+      memoryGraph: { id: edge.id, domain: edge.domain }
+    }));
+  });
+
+  return lines.length > 0 ? lines.join('\n') + '\n' : '';
+}
+
+module.exports = {
+  getEntityNodeId,
+  parseMcpMemory,
+  toMcpMemory
+};
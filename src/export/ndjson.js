@@ -0,0 +1,153 @@
+/**
+ * NDJSON Module
+ *
+ * Reads and writes newline-delimited JSON, one record per line. Exports are
+ * written as the client downloads them, so they never hold the whole document
+ * in memory; imports are parsed line by line, up to a size limit.
+ */
+
+/**
+ * Create a reader that pulls records from a stream in batches. The stream is
+ * paused whenever enough records are buffered, so it is only read as fast as
+ * the consumer asks for batches. Streams longer than maxBytes fail with an
+ * error with status 413.
+ * @param {stream.Readable} stream - Source stream, such as an HTTP request
+ * @param {Object} [options] - { batchSize, maxLineLength, maxBytes }
+ * @returns {Object} - Reader with next(callback), where callback(err, records) gets
+ *                     null records at the end, plus bytesRead, invalidLines and lineCount
+ */
+function createNdjsonReader(stream, options = {}) {
+  const batchSize = options.batchSize || 500;
+  const maxLineLength = options.maxLineLength || 16 * 1024 * 1024;
+  const maxBytes = options.maxBytes || Infinity;
+
+  const records = [];
+  let partial = '';
+  let ended = false;
+  let failed = null;
+  let waiting = null;
+
+  const reader = {
+    bytesRead: 0,
+    lineCount: 0,
+    invalidLines: [],
+    next
+  };
+
+  const parseLine = (line) => {
+    reader.lineCount++;
+    if (!line.trim()) return;
+    try {
+      records.push(JSON.parse(line));
+    } catch (err) {
+      reader.invalidLines.push(reader.lineCount);
+    }
+  };
+
+  const deliver = () => {
+    if (!waiting) return;
+
+    if (failed) {
+      const callback = waiting;
+      waiting = null;
+      return callback(failed);
+    }
+
+    if (records.length >= batchSize || (ended && records.length > 0)) {
+      const callback = waiting;
+      waiting = null;
+      stream.pause();
+      return callback(null, records.splice(0, batchSize));
+    }
+
+    if (ended) {
+      const callback = waiting;
+      waiting = null;
+      return callback(null, null);
+    }
+
+    stream.resume();
+  };
+
+  stream.setEncoding('utf8');
+  stream.pause();
+
+  stream.on('data', (chunk) => {
+    if (failed) return;
+
+    reader.bytesRead += Buffer.byteLength(chunk, 'utf8');
+    const lines = (partial + chunk).split('\n');
+    partial = lines.pop();
+
+    if (reader.bytesRead > maxBytes) {
+      failed = new Error(`Upload is larger than ${maxBytes} bytes`);
+      failed.status = 413;
+      stream.pause();
+    } else if (partial.length > maxLineLength) {
+      failed = new Error(`Line ${reader.lineCount + 1} is longer than ${maxLineLength} characters`);
+      stream.pause();
+    } else {
+      lines.forEach(parseLine);
+    }
+
+    deliver();
+  });
+
+  stream.on('end', () => {
+    if (partial) parseLine(partial);
+    partial = '';
+    ended = true;
+    deliver();
+  });
+
+  stream.on('error', (err) => {
+    failed = err;
+    deliver();
+  });
+
+  /**
+   * Get the next batch of records
+   * @param {function} callback - callback(err, records), records null at the end
+   */
+  function next(callback) {
+    waiting = callback;
+    deliver();
+  }
+
+  return reader;
+}
+
+/**
+ * Write records as NDJSON, waiting for the destination to drain when its
+ * buffer is full
+ * @param {stream.Writable} stream - Destination, such as an HTTP response
+ * @param {Array<Object>} records - Records to write
+ * @param {function} callback - callback(err), called when the destination can take more
+ *                              or with an error if it closed first
+ */
+function writeNdjson(stream, records, callback) {
+  if (stream.destroyed) {
+    return callback(new Error('Connection closed'));
+  }
+
+  const text = records.map(record => JSON.stringify(record) + '\n').join('');
+  if (stream.write(text)) {
+    return callback();
+  }
+
+  const onDrain = () => {
+    stream.removeListener('close', onClose);
+    callback();
+  };
+  const onClose = () => {
+    stream.removeListener('drain', onDrain);
+    callback(new Error('Connection closed'));
+  };
+  stream.once('drain', onDrain);
+  stream.once('close', onClose);
+}
+
+module.exports = {
+  createNdjsonReader,
+  writeNdjson
+};
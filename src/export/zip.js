@@ -0,0 +1,255 @@
+/**
+ * Zip Module
+ *
+ * Minimal zip archive writer and reader built on zlib, enough for exporting
+ * and importing folders of text files. Supports stored and deflated entries;
+ * zip64, encryption and multi-disk archives are not supported.
+ */
+
+const zlib = require('zlib');
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+
+// General purpose flag: file names are UTF-8
+const UTF8_FLAG = 0x0800;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+
+// Most a read archive may unpack to, so a small upload can't fill the memory
+const MAX_UNCOMPRESSED_SIZE = 256 * 1024 * 1024; // 256 MB
+
+// CRC-32 lookup table
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * Compute the CRC-32 of a buffer
+ * @param {Buffer} buffer - Data
+ * @returns {number} - Unsigned CRC-32
+ */
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Convert a date to MS-DOS time and date fields
+ * @param {Date} date - Date to convert
+ * @returns {Object} - { time, date }
+ */
+function toDosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Create a zip archive
+ * @param {Array<Object>} entries - Files as { name, data } where data is a Buffer or string
+ * @returns {Buffer} - Zip archive
+ */
+function createZip(entries) {
+  const { time, date } = toDosDateTime(new Date());
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  entries.forEach(entry => {
+    const name = Buffer.from(entry.name, 'utf8');
+    const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(String(entry.data), 'utf8');
+    const deflated = zlib.deflateRawSync(data);
+
+    // Keep small or incompressible files uncompressed
+    const method = deflated.length < data.length ? METHOD_DEFLATED : METHOD_STORED;
+    const body = method === METHOD_DEFLATED ? deflated : data;
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(LOCAL_HEADER_SIGNATURE, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(UTF8_FLAG, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(CENTRAL_HEADER_SIGNATURE, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(UTF8_FLAG, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(body.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, name, body);
+    centralParts.push(central, name);
+    offset += local.length + name.length + body.length;
+  });
+
+  const centralDirectory = Buffer.concat(centralParts);
+
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY_SIGNATURE, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+/**
+ * Create an error for an archive that can't be read
+ * @param {string} message - Error message
+ * @returns {Error} - Error with status 400
+ */
+function zipError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/**
+ * Check that a range lies inside the archive
+ * @param {Buffer} buffer - Zip archive
+ * @param {number} start - Start offset
+ * @param {number} length - Length in bytes
+ * @throws {Error} - With status 400 if the archive ends before the range does
+ */
+function checkRange(buffer, start, length) {
+  if (start < 0 || start + length > buffer.length) {
+    throw zipError('Invalid zip archive: truncated or corrupt');
+  }
+}
+
+/**
+ * Read the files in a zip archive. Directory entries are skipped.
+ * @param {Buffer} buffer - Zip archive
+ * @returns {Array<Object>} - Files as { name, data } with data as a Buffer
+ * @throws {Error} - With status 400 if the archive is invalid, too large once
+ *                   unpacked or uses unsupported features
+ */
+function readZip(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 22) {
+    throw zipError('Invalid zip archive');
+  }
+
+  // The end of central directory record is at the end, before an optional comment
+  let endOffset = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+      endOffset = i;
+      break;
+    }
+  }
+
+  if (endOffset === -1) {
+    throw zipError('Invalid zip archive');
+  }
+
+  const entryCount = buffer.readUInt16LE(endOffset + 10);
+  let offset = buffer.readUInt32LE(endOffset + 16);
+
+  if (entryCount === 0xffff || offset === 0xffffffff) {
+    throw zipError('Zip64 archives are not supported');
+  }
+
+  const files = [];
+  let totalSize = 0;
+
+  for (let i = 0; i < entryCount; i++) {
+    checkRange(buffer, offset, 46);
+    if (buffer.readUInt32LE(offset) !== CENTRAL_HEADER_SIGNATURE) {
+      throw zipError('Invalid zip archive: corrupt central directory');
+    }
+
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const uncompressedSize = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    checkRange(buffer, offset + 46, nameLength + extraLength + commentLength);
+    const name = buffer.toString(flags & UTF8_FLAG ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength);
+
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) {
+      continue;
+    }
+
+    if (flags & 0x0001) {
+      throw zipError(`Encrypted zip entries are not supported (${name})`);
+    }
+
+    checkRange(buffer, localOffset, 30);
+    if (buffer.readUInt32LE(localOffset) !== LOCAL_HEADER_SIGNATURE) {
+      throw zipError(`Invalid zip archive: corrupt entry ${name}`);
+    }
+
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    checkRange(buffer, dataStart, compressedSize);
+    const body = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    totalSize += uncompressedSize;
+    if (totalSize > MAX_UNCOMPRESSED_SIZE) {
+      throw zipError(`Zip archive unpacks to more than ${MAX_UNCOMPRESSED_SIZE / (1024 * 1024)} MB`);
+    }
+
+    // Entries may not unpack to more than their declared size
+    let data;
+    if (method === METHOD_STORED) {
+      data = Buffer.from(body);
+    } else if (method === METHOD_DEFLATED) {
+      try {
+        data = zlib.inflateRawSync(body, { maxOutputLength: Math.max(uncompressedSize, 1) });
+      } catch (err) {
+        throw zipError(`Invalid zip archive: entry ${name} could not be unpacked (${err.message})`);
+      }
+    } else {
+      throw zipError(`Unsupported zip compression method ${method} (${name})`);
+    }
+
+    if (data.length !== uncompressedSize) {
+      throw zipError(`Invalid zip archive: entry ${name} does not match its declared size`);
+    }
+
+    files.push({ name, data });
+  }
+
+  return files;
+}
+
+module.exports = {
+  crc32,
+  createZip,
+  readZip
+};
@@ -0,0 +1,64 @@
+/**
+ * Auth Router
+ *
+ * Handles logging in with an API token and reporting the current access
+ */
+
+const express = require('express');
+const router = express.Router();
+const tokenAuth = require('../auth/tokenAuth');
+
+/**
+ * @route   GET /auth/status
+ * @desc    Report whether tokens are required and the access of the current request
+ * @access  Public
+ */
+router.get('/auth/status', (req, res) => {
+  console.log('==== [API] GET /api/auth/status request received ====');
+
+  const auth = tokenAuth.authenticateRequest(req);
+  res.json({
+    enabled: tokenAuth.isAuthEnabled(),
+    authenticated: auth !== null,
+    role: auth ? auth.role : null
+  });
+});
+
+/**
+ * @route   POST /auth/login
+ * @desc    Check a token and keep it in an HttpOnly cookie for later requests
+ * @access  Public
+ */
+router.post('/auth/login', (req, res) => {
+  console.log('==== [API] POST /api/auth/login request received ====');
+
+  if (!tokenAuth.isAuthEnabled()) {
+    return res.json({ success: true, role: tokenAuth.ROLE_READ_WRITE });
+  }
+
+  const { token } = req.body || {};
+  const role = tokenAuth.getTokenRole(typeof token === 'string' ? token.trim() : null);
+
+  if (!role) {
+    console.log('[API] POST /api/auth/login error: Invalid token');
+    return res.status(401).json({ error: 'Invalid token' });
+  }
+
+  console.log(`[API] Logged in with a ${role} token`);
+  tokenAuth.setTokenCookie(res, token.trim());
+  res.json({ success: true, role });
+});
+
+/**
+ * @route   POST /auth/logout
+ * @desc    Remove the login cookie
+ * @access  Public
+ */
+router.post('/auth/logout', (req, res) => {
+  console.log('==== [API] POST /api/auth/logout request received ====');
+
+  tokenAuth.clearTokenCookie(res);
+  res.json({ success: true });
+});
+
+module.exports = router;
@@ -0,0 +1,33 @@
+/**
+ * Control Router
+ *
+ * Lets external processes steer the connected browsers: focus a node, open
+ * its details, highlight nodes and links, filter the graph or show a message
+ */
+
+const express = require('express');
+const router = express.Router();
+const wsServer = require('../websocket/wsServer');
+
+/**
+ * @route   POST /control
+ * @desc    Send a command to every open interface, or to the WebSocket client
+ *          given as clientId. The body is { command, ...parameters, clientId },
+ *          as described in src/websocket/controlCommands.js.
+ * @access  Public
+ */
+router.post('/control', (req, res) => {
+  console.log('==== [API] POST /api/control request received ====');
+
+  const { clientId, ...command } = req.body || {};
+
+  try {
+    const delivered = wsServer.sendControlCommand(command, { source: 'api', clientId });
+    res.json({ success: true, command: command.command, delivered });
+  } catch (err) {
+    console.log('[API] Control command error:', err.message);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
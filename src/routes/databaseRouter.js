@@ -6,7 +6,29 @@
 
 const express = require('express');
 const router = express.Router();
+const fs = require('fs');
+const nodePath = require('path');
 const dbService = require('../db/dbService');
+const { inspectDatabase, applySchema } = require('../db/schemaCheck');
+const { requireWriteAccess } = require('../auth/tokenAuth');
+
+/**
+ * Describe what a database is missing, for error details
+ * @param {Object} report - Report from schemaCheck.inspectDatabase
+ * @returns {string} - Summary such as "Missing tables: DOMAINS; missing columns: MEMORY_NODES.path"
+ */
+function describeSchemaReport(report) {
+  const parts = [];
+  if (report.missingTables.length > 0) {
+    parts.push(`Missing tables: ${report.missingTables.join(', ')}`);
+  }
+  const columns = Object.entries(report.missingColumns)
+    .flatMap(([table, names]) => names.map(name => `${table}.${name}`));
+  if (columns.length > 0) {
+    parts.push(`missing columns: ${columns.join(', ')}`);
+  }
+  return parts.join('; ');
+}
 
 /**
  * @route   GET /db-path
@@ -36,6 +58,20 @@ router.post('/db-path', (req, res) => {
   
   // Add validation steps
   dbService.validateDatabasePath(path)
+    .then(validationResult => new Promise((resolve, reject) => {
+      // A foreign SQLite file would otherwise only fail later, query by query
+      inspectDatabase(path, (err, report) => {
+        if (err) return reject({ message: err.message, details: err.message });
+        if (!report.valid) {
+          return reject({
+            message: 'Database does not match the Memory Graph schema',
+            details: describeSchemaReport(report),
+            schema: report
+          });
+        }
+        resolve(validationResult);
+      });
+    }))
     .then(validationResult => {
       console.log(`[API] Changing database path from ${dbService.getDatabasePath()} to ${path}`);
       
@@ -54,11 +90,131 @@ router.post('/db-path', (req, res) => {
       console.error('[API] Path validation error:', error.message);
       return res.status(400).json({
         error: error.message,
-        details: error.details
+        details: error.details,
+        schema: error.schema
       });
     });
 });
 
+/**
+ * @route   GET /db-schema
+ * @desc    Compare a database file (?path=, default the current database) with
+ *          schema-spec.json and report missing tables, columns and indexes
+ * @access  Read-write tokens only, as the check serves picking a database
+ */
+router.get('/db-schema', requireWriteAccess, (req, res) => {
+  console.log('==== [API] GET /api/db-schema request received ====');
+  
+  const path = req.query.path ? String(req.query.path) : dbService.getDatabasePath();
+  
+  if (!nodePath.isAbsolute(path)) {
+    console.log('[API] GET /api/db-schema error: Relative path');
+    return res.status(400).json({ error: 'Database path must be absolute (start with /)' });
+  }
+  
+  inspectDatabase(path, (err, report) => {
+    if (err) {
+      console.error('[API] Schema check error:', err.message);
+      return res.status(err.status || 500).json({ error: err.message });
+    }
+    
+    console.log(`[API] Schema of ${path}: ${report.valid ? 'valid' : describeSchemaReport(report)}`);
+    res.json(report);
+  });
+});
+
+/**
+ * @route   POST /db-schema
+ * @desc    Create the tables, columns and indexes that a database file is missing.
+ *          Existing tables and rows are left as they are.
+ * @access  Public
+ */
+router.post('/db-schema', (req, res) => {
+  console.log('==== [API] POST /api/db-schema request received ====');
+  
+  const { path } = req.body;
+  
+  if (!path) {
+    console.log('[API] POST /api/db-schema error: Missing path parameter');
+    return res.status(400).json({ error: 'Missing path parameter' });
+  }
+  
+  if (!nodePath.isAbsolute(path)) {
+    console.log('[API] POST /api/db-schema error: Relative path');
+    return res.status(400).json({ error: 'Database path must be absolute (start with /)' });
+  }
+  
+  if (!fs.existsSync(path)) {
+    console.log('[API] POST /api/db-schema error: File not found');
+    return res.status(404).json({ error: 'Database file not found', details: `The file at ${path} does not exist` });
+  }
+  
+  applySchema(path, (err, result) => {
+    if (err) {
+      console.error('[API] Error creating schema:', err.message);
+      return res.status(err.status || 500).json({ error: err.message });
+    }
+    
+    console.log(`[API] Created schema in ${path}:`, result);
+    res.json({ success: true, path, ...result });
+  });
+});
+
+/**
+ * @route   POST /db-new
+ * @desc    Create a new database file with the Memory Graph schema and switch to it
+ * @access  Public
+ */
+router.post('/db-new', (req, res) => {
+  console.log('==== [API] POST /api/db-new request received ====');
+  
+  const { path } = req.body;
+  
+  if (!path) {
+    console.log('[API] POST /api/db-new error: Missing path parameter');
+    return res.status(400).json({ error: 'Missing path parameter' });
+  }
+  
+  if (!nodePath.isAbsolute(path)) {
+    console.log('[API] POST /api/db-new error: Relative path');
+    return res.status(400).json({ error: 'Database path must be absolute (start with /)' });
+  }
+  
+  fs.stat(nodePath.dirname(path), (dirErr, dirStats) => {
+    if (dirErr || !dirStats.isDirectory()) {
+      console.log('[API] POST /api/db-new error: Directory not found');
+      return res.status(400).json({ error: 'Directory not found', details: `${nodePath.dirname(path)} does not exist` });
+    }
+    
+    fs.stat(path, (statErr, stats) => {
+      // Never write into an existing database; an empty file is fine
+      if (!statErr && stats.size > 0) {
+        console.log('[API] POST /api/db-new error: File exists');
+        return res.status(409).json({ error: 'File already exists', details: `${path} is not empty` });
+      }
+      
+      applySchema(path, (err, schemaResult) => {
+        if (err) {
+          console.error('[API] Error creating database:', err.message);
+          return res.status(err.status || 500).json({ error: 'Failed to create the database', details: err.message });
+        }
+        
+        console.log(`[API] Created database at ${path}, switching from ${dbService.getDatabasePath()}`);
+        
+        dbService.updateDatabasePath(path, (switchErr, result) => {
+          if (switchErr) {
+            return res.status(500).json({
+              error: 'Failed to connect to the new database',
+              details: switchErr.message
+            });
+          }
+          res.json({ ...result, created: true, createdTables: schemaResult.createdTables });
+        });
+      });
+    });
+  });
+});
+
 /**
  * @route   GET /db-status
  * @desc    Check if the database file has been modified
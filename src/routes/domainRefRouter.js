@@ -0,0 +1,288 @@
+/**
+ * Domain Ref Router
+ *
+ * Handles routes for creating, updating, and deleting cross-domain references
+ * (DOMAIN_REFS rows), which the graph shows as 'cross_domain' links
+ */
+
+const express = require('express');
+const router = express.Router();
+const dbService = require('../db/dbService');
+const { recordHistory } = require('../db/history');
+
+/**
+ * Check the optional description and bidirectional fields of a request body
+ * @param {Object} body - Request body
+ * @returns {Array<string>} - List of validation errors (empty if valid)
+ */
+function validateRefFields(body) {
+  const errors = [];
+
+  if (body.description !== undefined && body.description !== null && typeof body.description !== 'string') {
+    errors.push("Field 'description' must be of type TEXT");
+  }
+
+  if (body.bidirectional !== undefined && typeof body.bidirectional !== 'boolean' &&
+      body.bidirectional !== 0 && body.bidirectional !== 1) {
+    errors.push("Field 'bidirectional' must be of type BOOLEAN");
+  }
+
+  return errors;
+}
+
+/**
+ * Convert a DOMAIN_REFS row for the response
+ * @param {Object} row - DOMAIN_REFS row
+ * @returns {Object} - Ref with a boolean bidirectional flag
+ */
+function formatRef(row) {
+  return { ...row, bidirectional: !!row.bidirectional };
+}
+
+/**
+ * @route   GET /domain-refs
+ * @desc    List cross-domain references, optionally for one node (?nodeId=) or domain (?domain=)
+ * @access  Public
+ */
+router.get('/domain-refs', (req, res) => {
+  console.log('==== [API] GET /api/domain-refs request received ====');
+
+  const { nodeId, domain } = req.query;
+  const conditions = [];
+  const params = [];
+
+  if (nodeId) {
+    conditions.push('(nodeId = ? OR targetNodeId = ?)');
+    params.push(nodeId, nodeId);
+  }
+
+  if (domain) {
+    conditions.push('(domain = ? OR targetDomain = ?)');
+    params.push(domain, domain);
+  }
+
+  const query = `
+    SELECT nodeId, domain, targetNodeId, targetDomain, description, bidirectional
+    FROM DOMAIN_REFS
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY domain, nodeId, targetNodeId
+  `;
+
+  dbService.executeWithRetry((db, callback) => {
+    db.all(query, params, callback);
+  }, 3, (err, refs) => {
+    if (err) {
+      console.error('[API] Error fetching domain refs:', err.message);
+      return res.status(500).json({ error: err.message });
+    }
+
+    console.log(`[API] Found ${refs.length} domain refs`);
+    res.json(refs.map(formatRef));
+  });
+});
+
+/**
+ * @route   POST /domain-refs
+ * @desc    Create a cross-domain reference between nodes in different domains.
+ *          The domains are taken from the nodes.
+ * @access  Public
+ */
+router.post('/domain-refs', recordHistory(req => ({
+  label: 'Create cross-domain reference',
+  scope: { nodeIds: [req.body.nodeId, req.body.targetNodeId] }
+})), (req, res) => {
+  console.log('==== [API] POST /api/domain-refs request received ====');
+  console.log('[API] Request body:', JSON.stringify(req.body, null, 2));
+
+  const { nodeId, targetNodeId } = req.body;
+  const description = req.body.description || '';
+  const bidirectional = req.body.bidirectional ? 1 : 0;
+
+  if (!nodeId || !targetNodeId) {
+    console.log('[API] POST /api/domain-refs error: Missing required fields');
+    return res.status(400).json({ error: 'Missing required fields' });
+  }
+
+  if (nodeId === targetNodeId) {
+    console.log('[API] POST /api/domain-refs error: Self reference');
+    return res.status(400).json({ error: 'Cannot create a reference from a node to itself' });
+  }
+
+  const errors = validateRefFields(req.body);
+  if (errors.length > 0) {
+    console.log('[API] POST /api/domain-refs validation failed:', errors);
+    return res.status(400).json({ error: 'Invalid domain ref', details: errors });
+  }
+
+  const nodesQuery = `SELECT id, domain FROM MEMORY_NODES WHERE id IN (?, ?)`;
+
+  dbService.executeWithRetry((db, callback) => {
+    db.all(nodesQuery, [nodeId, targetNodeId], callback);
+  }, 3, (err, nodes) => {
+    if (err) {
+      console.error('[API] Error checking nodes:', err.message);
+      return res.status(500).json({ error: err.message });
+    }
+
+    const source = nodes.find(node => node.id === nodeId);
+    const target = nodes.find(node => node.id === targetNodeId);
+
+    if (!source || !target) {
+      console.log('[API] Error: Source or target node does not exist');
+      return res.status(404).json({ error: 'Source or target node not found' });
+    }
+
+    if (source.domain === target.domain) {
+      console.log('[API] Error: Nodes are in the same domain');
+      return res.status(400).json({ error: 'Both nodes are in the same domain; create a regular link instead' });
+    }
+
+    const insertQuery = `
+      INSERT INTO DOMAIN_REFS (nodeId, domain, targetNodeId, targetDomain, description, bidirectional)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `;
+
+    dbService.executeWithRetry((db, callback) => {
+      db.run(insertQuery, [nodeId, source.domain, targetNodeId, target.domain, description, bidirectional], callback);
+    }, 3, (insertErr) => {
+      if (insertErr) {
+        if (insertErr.message.includes('UNIQUE constraint failed')) {
+          console.log('[API] Error: Domain ref already exists');
+          return res.status(409).json({ error: 'Reference already exists between these nodes' });
+        }
+
+        console.error('[API] Error creating domain ref:', insertErr.message);
+        return res.status(500).json({ error: insertErr.message });
+      }
+
+      const ref = formatRef({
+        nodeId,
+        domain: source.domain,
+        targetNodeId,
+        targetDomain: target.domain,
+        description,
+        bidirectional
+      });
+
+      console.log(`[API] Created domain ref ${nodeId} (${source.domain}) → ${targetNodeId} (${target.domain})`);
+      res.json({ success: true, ref });
+    });
+  });
+});
+
+/**
+ * @route   PUT /domain-refs/:nodeId/:targetNodeId
+ * @desc    Update a cross-domain reference's description and/or bidirectional flag
+ * @access  Public
+ */
+router.put('/domain-refs/:nodeId/:targetNodeId', recordHistory(req => ({
+  label: 'Edit cross-domain reference',
+  scope: { nodeIds: [req.params.nodeId, req.params.targetNodeId] }
+})), (req, res) => {
+  console.log('==== [API] PUT /api/domain-refs/:nodeId/:targetNodeId request received ====');
+  console.log('[API] Request body:', JSON.stringify(req.body, null, 2));
+
+  const { nodeId, targetNodeId } = req.params;
+  const updates = [];
+  const params = [];
+
+  const errors = validateRefFields(req.body);
+  Object.keys(req.body).forEach(key => {
+    if (key !== 'description' && key !== 'bidirectional') {
+      errors.push(`Field '${key}' cannot be updated`);
+    }
+  });
+
+  if (errors.length > 0) {
+    console.log('[API] PUT /api/domain-refs validation failed:', errors);
+    return res.status(400).json({ error: 'Invalid domain ref', details: errors });
+  }
+
+  if (req.body.description !== undefined) {
+    updates.push('description = ?');
+    params.push(req.body.description || '');
+  }
+
+  if (req.body.bidirectional !== undefined) {
+    updates.push('bidirectional = ?');
+    params.push(req.body.bidirectional ? 1 : 0);
+  }
+
+  if (updates.length === 0) {
+    console.log('[API] PUT /api/domain-refs error: No fields to update');
+    return res.status(400).json({ error: 'No fields to update' });
+  }
+
+  const updateQuery = `UPDATE DOMAIN_REFS SET ${updates.join(', ')} WHERE nodeId = ? AND targetNodeId = ?`;
+
+  dbService.executeWithRetry((db, callback) => {
+    db.run(updateQuery, [...params, nodeId, targetNodeId], function(err) {
+      if (err) {
+        callback(err);
+      } else {
+        callback(null, { changes: this.changes });
+      }
+    });
+  }, 3, (err, result) => {
+    if (err) {
+      console.error('[API] Error updating domain ref:', err.message);
+      return res.status(500).json({ error: err.message });
+    }
+
+    if (result.changes === 0) {
+      console.log('[API] Domain ref not found');
+      return res.status(404).json({ error: 'Reference not found' });
+    }
+
+    dbService.executeWithRetry((db, callback) => {
+      db.get('SELECT * FROM DOMAIN_REFS WHERE nodeId = ? AND targetNodeId = ?', [nodeId, targetNodeId], callback);
+    }, 3, (getErr, ref) => {
+      if (getErr) {
+        console.error('[API] Error reading updated domain ref:', getErr.message);
+        return res.status(500).json({ error: getErr.message });
+      }
+
+      console.log(`[API] Updated domain ref ${nodeId} → ${targetNodeId}`);
+      res.json({ success: true, ref: formatRef(ref) });
+    });
+  });
+});
+
+/**
+ * @route   DELETE /domain-refs/:nodeId/:targetNodeId
+ * @desc    Delete a cross-domain reference
+ * @access  Public
+ */
+router.delete('/domain-refs/:nodeId/:targetNodeId', recordHistory(req => ({
+  label: 'Delete cross-domain reference',
+  scope: { nodeIds: [req.params.nodeId, req.params.targetNodeId] }
+})), (req, res) => {
+  console.log('==== [API] DELETE /api/domain-refs/:nodeId/:targetNodeId request received ====');
+
+  const { nodeId, targetNodeId } = req.params;
+
+  dbService.executeWithRetry((db, callback) => {
+    db.run('DELETE FROM DOMAIN_REFS WHERE nodeId = ? AND targetNodeId = ?', [nodeId, targetNodeId], function(err) {
+      if (err) {
+        callback(err);
+      } else {
+        callback(null, { changes: this.changes });
+      }
+    });
+  }, 3, (err, result) => {
+    if (err) {
+      console.error('[API] Error deleting domain ref:', err.message);
+      return res.status(500).json({ error: err.message });
+    }
+
+    if (result.changes === 0) {
+      console.log('[API] Domain ref not found');
+      return res.status(404).json({ error: 'Reference not found' });
+    }
+
+    console.log(`[API] Deleted domain ref ${nodeId} → ${targetNodeId}`);
+    res.json({ success: true, deleted: true, nodeId, targetNodeId });
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,133 @@
+/**
+ * Export Router
+ *
+ * Handles exporting the memory graph in formats used by other tools
+ */
+
+const express = require('express');
+const router = express.Router();
+const { loadGraphSelection } = require('../db/graphExport');
+const { toGraphML, toGEXF } = require('../export/graphFormats');
+const { toMarkdownVault } = require('../export/markdownVault');
+const { toBundle } = require('../export/bundle');
+
+// Supported export formats
+const EXPORT_FORMATS = {
+  graphml: {
+    contentType: 'application/graphml+xml; charset=utf-8',
+    extension: 'graphml',
+    serialize: toGraphML
+  },
+  gexf: {
+    contentType: 'application/gexf+xml; charset=utf-8',
+    extension: 'gexf',
+    serialize: toGEXF
+  },
+  markdown: {
+    contentType: 'application/zip',
+    extension: 'zip',
+    serialize: toMarkdownVault
+  },
+  // A bundle is always the whole database, so it can be restored elsewhere as it was
+  bundle: {
+    contentType: 'application/zip',
+    extension: 'bundle.zip',
+    serialize: toBundle,
+    wholeDatabase: true
+  }
+};
+
+/**
+ * Read the export selection from the query string
+ * @param {Object} query - Express query object
+ * @returns {Object} - { domain } or { nodeIds }; empty for the whole database
+ */
+function parseSelection(query) {
+  if (query.domain) {
+    return { domain: String(query.domain) };
+  }
+
+  if (query.nodes) {
+    // Accept both ?nodes=a,b and ?nodes=a&nodes=b
+    const values = Array.isArray(query.nodes) ? query.nodes : [query.nodes];
+    const nodeIds = values
+      .flatMap(value => String(value).split(','))
+      .map(id => id.trim())
+      .filter(Boolean);
+    return { nodeIds: [...new Set(nodeIds)] };
+  }
+
+  return {};
+}
+
+/**
+ * Build the download file name for an export
+ * @param {Object} selection - Export selection
+ * @param {string} extension - File extension
+ * @returns {string} - File name
+ */
+function getExportFileName(selection, extension) {
+  const scope = selection.domain
+    ? selection.domain.replace(/[^\w.-]+/g, '_')
+    : selection.nodeIds ? 'selection' : 'memory-graph';
+  return `${scope}-export.${extension}`;
+}
+
+/**
+ * @route   GET /export
+ * @desc    Export the whole database, one domain (?domain=) or a list of nodes
+ *          (?nodes=id1,id2) as GraphML, GEXF or a zipped Markdown vault
+ *          (?format=graphml|gexf|markdown), or the whole database as a bundle
+ *          with schema version and checksums (?format=bundle)
+ * @access  Public
+ */
+router.get('/export', (req, res) => {
+  console.log('==== [API] GET /api/export request received ====');
+  console.log('[API] Query:', req.query);
+
+  const formatName = String(req.query.format || '').toLowerCase();
+  const format = EXPORT_FORMATS[formatName];
+
+  if (!format) {
+    console.log(`[API] Export error: Unsupported format '${formatName}'`);
+    return res.status(400).json({
+      error: `Unsupported export format '${formatName}'`,
+      formats: Object.keys(EXPORT_FORMATS)
+    });
+  }
+
+  const selection = format.wholeDatabase ? {} : parseSelection(req.query);
+
+  if (selection.nodeIds && selection.nodeIds.length === 0) {
+    console.log('[API] Export error: Empty node list');
+    return res.status(400).json({ error: 'Node list is empty' });
+  }
+
+  loadGraphSelection(selection, (err, graph) => {
+    if (err) {
+      console.error('[API] Error loading graph for export:', err.message);
+      return res.status(500).json({ error: err.message });
+    }
+
+    if (selection.domain && graph.nodes.length === 0 && graph.domains.length === 0) {
+      console.log('[API] Export error: Domain not found');
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    if (selection.nodeIds && graph.nodes.length === 0) {
+      console.log('[API] Export error: None of the requested nodes exist');
+      return res.status(404).json({ error: 'No matching nodes found' });
+    }
+
+    const fileName = getExportFileName(selection, format.extension);
+
+    console.log(`[API] Exporting ${graph.nodes.length} nodes, ${graph.edges.length} edges and ` +
+      `${graph.domainRefs.length} domain refs as ${formatName}`);
+
+    res.setHeader('Content-Type', format.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(format.serialize(graph));
+  });
+});
+
+module.exports = router;
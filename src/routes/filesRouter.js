@@ -8,13 +8,14 @@ const express = require('express');
 const router = express.Router();
 const fs = require('fs');
 const path = require('path');
+const { requireWriteAccess } = require('../auth/tokenAuth');
 
 /**
  * @route   GET /browse
  * @desc    Browse directory and list files with optional filtering
- * @access  Public
+ * @access  Read-write tokens only, as browsing serves picking a database
  */
-router.get('/browse', (req, res) => {
+router.get('/browse', requireWriteAccess, (req, res) => {
   console.log('==== [API] GET /api/browse request received ====');
   
   const requestedPath = req.query.path || '/';
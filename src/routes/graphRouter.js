@@ -7,6 +7,49 @@
 const express = require('express');
 const router = express.Router();
 const dbService = require('../db/dbService');
+const changeJournal = require('../db/changeJournal');
+const { recordHistory } = require('../db/history');
+const { getNodeRevision } = require('../db/nodeRevision');
+const { importGraph, importNdjson, IMPORT_STRATEGIES, IMPORT_BATCH_SIZE } = require('../db/graphImport');
+const { loadGraphSelection, streamDomain } = require('../db/graphExport');
+const { parseMcpMemory, toMcpMemory } = require('../export/mcpMemory');
+const { createNdjsonReader, writeNdjson } = require('../export/ndjson');
+const wsServer = require('../websocket/wsServer');
+const config = require('../config');
+
+/**
+ * Convert a DOMAIN_REFS row into graph links (type: 'cross_domain').
+ * Bidirectional refs produce a second, reversed link.
+ * @param {Object} ref - DOMAIN_REFS row
+ * @returns {Array<Object>} - Graph links
+ */
+function domainRefToLinks(ref) {
+  const links = [{
+    id: `crossdomain-${ref.nodeId}-${ref.targetNodeId}`,
+    source: ref.nodeId,
+    target: ref.targetNodeId,
+    type: 'cross_domain',
+    strength: 0.7,
+    domain: ref.domain,
+    targetDomain: ref.targetDomain,
+    description: ref.description
+  }];
+  
+  if (ref.bidirectional) {
+    links.push({
+      id: `crossdomain-${ref.targetNodeId}-${ref.nodeId}`,
+      source: ref.targetNodeId,
+      target: ref.nodeId,
+      type: 'cross_domain',
+      strength: 0.7,
+      domain: ref.targetDomain,
+      targetDomain: ref.domain,
+      description: ref.description
+    });
+  }
+  
+  return links;
+}
 
 /**
  * @route   GET /nodes
@@ -35,6 +78,39 @@ router.get('/nodes', (req, res) => {
   });
 });
 
+/**
+ * @route   GET /nodes/:id
+ * @desc    Get a single node with its tags and current revision (also sent as the ETag)
+ * @access  Public
+ */
+router.get('/nodes/:id', (req, res) => {
+  const { id } = req.params;
+  
+  dbService.executeWithRetry((db, callback) => {
+    db.get('SELECT * FROM MEMORY_NODES WHERE id = ?', [id], (err, node) => {
+      if (err || !node) return callback(err, node);
+      
+      db.all('SELECT tag FROM MEMORY_TAGS WHERE nodeId = ?', [id], (tagErr, tags) => {
+        if (tagErr) return callback(tagErr);
+        callback(null, { ...node, tags: tags.map(row => row.tag) });
+      });
+    });
+  }, 3, (err, node) => {
+    if (err) {
+      console.error('Error fetching node:', err.message);
+      return res.status(500).json({ error: err.message });
+    }
+    
+    if (!node) {
+      return res.status(404).json({ error: 'Node not found' });
+    }
+    
+    const revision = getNodeRevision(node);
+    res.set('ETag', `"${revision}"`);
+    res.json({ ...node, revision });
+  });
+});
+
 /**
  * @route   GET /edges
  * @desc    Get all memory edges
@@ -89,6 +165,31 @@ router.get('/tags', (req, res) => {
   });
 });
 
+/**
+ * @route   GET /tags/counts
+ * @desc    Get each distinct tag with the number of nodes using it, most used first
+ * @access  Public
+ */
+router.get('/tags/counts', (req, res) => {
+  const query = `
+    SELECT tag, COUNT(*) AS count
+    FROM MEMORY_TAGS
+    GROUP BY tag
+    ORDER BY count DESC, tag COLLATE NOCASE
+  `;
+  
+  dbService.executeWithRetry((db, callback) => {
+    db.all(query, [], callback);
+  }, 3, (err, tags) => {
+    if (err) {
+      console.error('Error fetching tag counts:', err.message);
+      return res.status(500).json({ error: err.message });
+    }
+    
+    res.json(tags);
+  });
+});
+
 /**
  * @route   GET /link-types
  * @desc    Get all unique link types
@@ -151,7 +252,10 @@ router.get('/domains', (req, res) => {
  * @desc    Create a new domain
  * @access  Public
  */
-router.post('/domains/create', (req, res) => {
+router.post('/domains/create', recordHistory(req => ({
+  label: 'Create domain',
+  scope: { domainIds: [req.body.domain] }
+})), (req, res) => {
   console.log('==== [API] POST /api/domains/create request received ====');
   console.log('[API] Request body:', JSON.stringify(req.body, null, 2));
   
@@ -209,74 +313,333 @@ router.post('/domains/create', (req, res) => {
   });
 });
 
+// Rows affected by deleting a domain, per strategy. Each query takes the domain id
+// for every ? except `reassign.conflicts`, which takes the target as well.
+const DOMAIN_NODE_SET = 'SELECT id FROM MEMORY_NODES WHERE domain = ?';
+const DOMAIN_DELETE_COUNTS = {
+  cascade: `
+    SELECT
+      (SELECT COUNT(*) FROM MEMORY_NODES WHERE domain = ?) AS nodes,
+      (SELECT COUNT(*) FROM MEMORY_TAGS WHERE nodeId IN (${DOMAIN_NODE_SET})) AS tags,
+      (SELECT COUNT(*) FROM MEMORY_EDGES
+        WHERE domain = ? OR source IN (${DOMAIN_NODE_SET}) OR target IN (${DOMAIN_NODE_SET})) AS edges,
+      (SELECT COUNT(*) FROM DOMAIN_REFS
+        WHERE domain = ? OR targetDomain = ?
+           OR nodeId IN (${DOMAIN_NODE_SET}) OR targetNodeId IN (${DOMAIN_NODE_SET})) AS domainRefs
+  `,
+  reassign: `
+    SELECT
+      (SELECT COUNT(*) FROM MEMORY_NODES WHERE domain = ?) AS nodes,
+      (SELECT COUNT(*) FROM MEMORY_TAGS WHERE nodeId IN (${DOMAIN_NODE_SET})) AS tags,
+      (SELECT COUNT(*) FROM MEMORY_EDGES WHERE domain = ?) AS edges,
+      (SELECT COUNT(*) FROM DOMAIN_REFS WHERE domain = ? OR targetDomain = ?) AS domainRefs
+  `
+};
+
+/**
+ * Count the rows a domain delete would remove (cascade) or move (reassign)
+ * @param {Object} db - Database connection
+ * @param {string} domainId - Domain being deleted
+ * @param {string} strategy - 'cascade' or 'reassign'
+ * @param {function} callback - callback(err, counts)
+ */
+function countDomainContents(db, domainId, strategy, callback) {
+  const query = DOMAIN_DELETE_COUNTS[strategy];
+  const params = new Array((query.match(/\?/g) || []).length).fill(domainId);
+  db.get(query, params, callback);
+}
+
 /**
  * @route   DELETE /domains/:domainId
- * @desc    Delete an empty domain
+ * @desc    Delete a domain. Non-empty domains need a strategy:
+ *          ?strategy=cascade removes its nodes, tags, edges and domain refs;
+ *          ?strategy=reassign&target=<domain> moves them into another domain.
+ *          Add ?preview=true to only report the counts.
  * @access  Public
  */
-router.delete('/domains/:domainId', (req, res) => {
+router.delete('/domains/:domainId', recordHistory(req => {
+  if (req.query.preview === 'true') return null;
+  return {
+    label: req.query.strategy === 'reassign'
+      ? `Merge domain ${req.params.domainId} into ${req.query.target}`
+      : `Delete domain ${req.params.domainId}`,
+    scope: { domains: [req.params.domainId, req.query.target] }
+  };
+}), (req, res) => {
   console.log('==== [API] DELETE /api/domains/:domainId request received ====');
   const { domainId } = req.params;
+  const strategy = req.query.strategy || null;
+  const target = typeof req.query.target === 'string' ? req.query.target.trim() : '';
+  const preview = req.query.preview === 'true';
   
-  console.log('[API] Deleting domain:', domainId);
+  console.log('[API] Deleting domain:', { domainId, strategy, target, preview });
   
   if (!domainId) {
     console.log('[API] Delete domain error: Missing domain ID');
     return res.status(400).json({ error: 'Missing domain ID' });
   }
   
-  // First check if the domain has any nodes
-  const checkNodesQuery = `
-    SELECT COUNT(*) as count FROM MEMORY_NODES WHERE domain = ?
-  `;
+  if (strategy && !DOMAIN_DELETE_COUNTS[strategy]) {
+    console.log(`[API] Delete domain error: Unknown strategy '${strategy}'`);
+    return res.status(400).json({ error: `Unknown strategy '${strategy}'. Use 'cascade' or 'reassign'` });
+  }
   
-  dbService.executeWithRetry((db, callback) => {
-    db.get(checkNodesQuery, [domainId], callback);
+  if (strategy === 'reassign' && (!target || target === domainId)) {
+    console.log('[API] Delete domain error: Missing or invalid reassign target');
+    return res.status(400).json({ error: 'Reassign needs a target domain different from the deleted one' });
+  }
+  
+  // On a connection of its own, like renames, so concurrent requests stay out
+  // of the transaction; a preview only reads and takes no write lock
+  dbService.executeOnOwnConnection((db, callback) => {
+    db.run(preview ? 'BEGIN TRANSACTION' : 'BEGIN IMMEDIATE TRANSACTION', (err) => {
+      if (err) return callback(err);
+      
+      const fail = (err) => dbService.rollbackTransaction(db, err, callback);
+      
+      db.get('SELECT id FROM DOMAINS WHERE id = ?', [domainId], (err, domainRow) => {
+        if (err) return fail(err);
+        
+        countDomainContents(db, domainId, strategy || 'cascade', (err, counts) => {
+          if (err) return fail(err);
+          
+          if (!domainRow && counts.nodes === 0) {
+            const notFound = new Error('Domain not found');
+            notFound.status = 404;
+            return fail(notFound);
+          }
+          
+          if (preview) {
+            return dbService.rollbackTransaction(db, null, () => {
+              callback(null, { success: true, preview: true, domain: domainId, strategy, target: target || null, counts });
+            });
+          }
+          
+          if (counts.nodes > 0 && !strategy) {
+            const notEmpty = new Error('Cannot delete non-empty domain');
+            notEmpty.status = 400;
+            notEmpty.details = { nodeCount: counts.nodes, counts };
+            return fail(notEmpty);
+          }
+          
+          const statements = [];
+          if (strategy === 'reassign') {
+            const timestamp = new Date().toISOString();
+            statements.push(
+              { sql: `INSERT OR IGNORE INTO DOMAINS (id, name, description, created, lastAccess)
+                      VALUES (?, ?, ?, ?, ?)`, params: [target, target, '', timestamp, timestamp] },
+              { sql: 'UPDATE MEMORY_NODES SET domain = ? WHERE domain = ?', params: [target, domainId] },
+              { sql: 'UPDATE MEMORY_EDGES SET domain = ? WHERE domain = ?', params: [target, domainId] },
+              { sql: 'UPDATE DOMAIN_REFS SET domain = ? WHERE domain = ?', params: [target, domainId] },
+              { sql: 'UPDATE DOMAIN_REFS SET targetDomain = ? WHERE targetDomain = ?', params: [target, domainId] }
+            );
+          } else {
+            // Children first, then the nodes themselves
+            statements.push(
+              { sql: `DELETE FROM MEMORY_TAGS WHERE nodeId IN (${DOMAIN_NODE_SET})`, params: [domainId] },
+              { sql: `DELETE FROM MEMORY_EDGES
+                      WHERE domain = ? OR source IN (${DOMAIN_NODE_SET}) OR target IN (${DOMAIN_NODE_SET})`,
+                params: [domainId, domainId, domainId] },
+              { sql: `DELETE FROM DOMAIN_REFS
+                      WHERE domain = ? OR targetDomain = ?
+                         OR nodeId IN (${DOMAIN_NODE_SET}) OR targetNodeId IN (${DOMAIN_NODE_SET})`,
+                params: [domainId, domainId, domainId, domainId] },
+              { sql: 'DELETE FROM MEMORY_NODES WHERE domain = ?', params: [domainId] }
+            );
+          }
+          statements.push({ sql: 'DELETE FROM DOMAINS WHERE id = ?', params: [domainId] });
+          
+          // Each statement runs after the previous one succeeded; any failure rolls back all of them
+          dbService.runStatements(db, statements, (err) => {
+            if (err) return fail(err);
+            
+            db.run('COMMIT', (err) => {
+              if (err) return fail(err);
+              
+              callback(null, {
+                success: true,
+                deleted: true,
+                domain: domainId,
+                strategy,
+                target: strategy === 'reassign' ? target : null,
+                counts
+              });
+            });
+          });
+        });
+      });
+    });
   }, 3, (err, result) => {
     if (err) {
-      console.error('[API] Error checking domain nodes:', err.message);
-      return res.status(500).json({ error: err.message });
+      console.error('[API] Error deleting domain:', err.message);
+      return res.status(err.status || 500).json({ error: err.message, ...(err.details || {}) });
     }
     
-    if (result.count > 0) {
-      console.log(`[API] Cannot delete domain '${domainId}' - contains ${result.count} nodes`);
-      return res.status(400).json({ 
-        error: 'Cannot delete non-empty domain', 
-        nodeCount: result.count 
-      });
+    if (result.preview) {
+      console.log(`[API] Delete preview for domain '${domainId}':`, result.counts);
+    } else {
+      console.log(`[API] Domain '${domainId}' deleted successfully (${strategy || 'empty'}):`, result.counts);
     }
-    
-    // Domain is empty, proceed with deletion
-    const deleteQuery = `DELETE FROM DOMAINS WHERE id = ?`;
-    
-    dbService.executeWithRetry((db, callback) => {
-      db.run(deleteQuery, [domainId], function(err) {
-        if (err) {
-          callback(err);
-        } else {
-          callback(null, { changes: this.changes });
-        }
-      });
-    }, 3, (deleteErr, deleteResult) => {
-      if (deleteErr) {
-        console.error('[API] Error deleting domain:', deleteErr.message);
-        return res.status(500).json({ error: deleteErr.message });
-      }
+    res.json(result);
+  });
+});
+
+/**
+ * @route   POST /domains/:domainId/rename
+ * @desc    Rename a domain, moving its nodes, edges and domain refs in one transaction
+ * @access  Public
+ */
+router.post('/domains/:domainId/rename', recordHistory(req => {
+  const newDomain = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+  if (!newDomain) return null;
+  return {
+    label: `Rename domain ${req.params.domainId}`,
+    scope: { domains: [req.params.domainId, newDomain] }
+  };
+}), (req, res) => {
+  console.log('==== [API] POST /api/domains/:domainId/rename request received ====');
+  console.log('[API] Request body:', JSON.stringify(req.body, null, 2));
+  
+  const oldDomain = req.params.domainId;
+  const newDomain = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+  
+  if (!newDomain) {
+    console.log('[API] Rename domain error: Missing new domain name');
+    return res.status(400).json({ error: 'Missing new domain name' });
+  }
+  
+  if (newDomain === oldDomain) {
+    console.log('[API] Rename domain error: New name matches the current name');
+    return res.status(400).json({ error: 'New domain name must differ from the current name' });
+  }
+  
+  // A domain "exists" if it has a DOMAINS row or any node still uses it
+  const existsQuery = `
+    SELECT
+      (SELECT COUNT(*) FROM DOMAINS WHERE id = ?) AS domainRows,
+      (SELECT COUNT(*) FROM MEMORY_NODES WHERE domain = ?) AS nodeCount
+  `;
+  
+  // The transaction gets a connection of its own, so requests served while it
+  // runs neither fail on a nested BEGIN nor get swept into its rollback
+  dbService.executeOnOwnConnection((db, callback) => {
+    db.run('BEGIN IMMEDIATE TRANSACTION', (err) => {
+      if (err) return callback(err);
       
-      if (deleteResult.changes === 0) {
-        console.log('[API] Domain not found');
-        return res.status(404).json({ error: 'Domain not found' });
-      }
+      const fail = (err) => dbService.rollbackTransaction(db, err, callback);
       
-      console.log(`[API] Domain '${domainId}' deleted successfully`);
-      res.json({ success: true, deleted: true, domain: domainId });
+      db.get(existsQuery, [oldDomain, oldDomain], (err, source) => {
+        if (err) return fail(err);
+        
+        if (source.domainRows === 0 && source.nodeCount === 0) {
+          const notFound = new Error('Domain not found');
+          notFound.status = 404;
+          return fail(notFound);
+        }
+        
+        db.get(existsQuery, [newDomain, newDomain], (err, target) => {
+          if (err) return fail(err);
+          
+          if (target.domainRows > 0 || target.nodeCount > 0) {
+            const conflict = new Error(`Domain '${newDomain}' already exists`);
+            conflict.status = 409;
+            return fail(conflict);
+          }
+          
+          const timestamp = new Date().toISOString();
+          const domainStatement = source.domainRows > 0
+            ? { sql: 'UPDATE DOMAINS SET id = ?, name = ?, lastAccess = ? WHERE id = ?',
+                params: [newDomain, newDomain, timestamp, oldDomain] }
+            : { sql: 'INSERT INTO DOMAINS (id, name, description, created, lastAccess) VALUES (?, ?, ?, ?, ?)',
+                params: [newDomain, newDomain, '', timestamp, timestamp] };
+          
+          // Each statement runs after the previous one succeeded; any failure rolls back all of them
+          dbService.runStatements(db, [
+            domainStatement,
+            { sql: 'UPDATE MEMORY_NODES SET domain = ? WHERE domain = ?', params: [newDomain, oldDomain] },
+            { sql: 'UPDATE MEMORY_EDGES SET domain = ? WHERE domain = ?', params: [newDomain, oldDomain] },
+            { sql: 'UPDATE DOMAIN_REFS SET domain = ? WHERE domain = ?', params: [newDomain, oldDomain] },
+            { sql: 'UPDATE DOMAIN_REFS SET targetDomain = ? WHERE targetDomain = ?', params: [newDomain, oldDomain] }
+          ], (err, changes) => {
+            if (err) return fail(err);
+            
+            db.run('COMMIT', (err) => {
+              if (err) return fail(err);
+              
+              const [, nodes, edges, refsFrom, refsTo] = changes;
+              callback(null, {
+                success: true,
+                oldDomain,
+                newDomain,
+                changes: {
+                  nodes,
+                  edges,
+                  domainRefs: refsFrom + refsTo
+                }
+              });
+            });
+          });
+        });
+      });
     });
+  }, 3, (err, result) => {
+    if (err) {
+      console.error('[API] Error renaming domain:', err.message);
+      return res.status(err.status || 500).json({ error: err.message });
+    }
+    
+    console.log(`[API] Renamed domain '${oldDomain}' to '${newDomain}':`, result.changes);
+    res.json(result);
   });
 });
 
+/**
+ * Stream a domain export as NDJSON: an 'export' header record, the 'domain'
+ * record, then one 'node' record per node and one 'edge' record per edge,
+ * each named by its `record` field. Pages are read only as fast as the client downloads them.
+ * @param {string} domainId - Domain to export
+ * @param {Object} res - Express response
+ */
+function streamDomainExport(domainId, res) {
+  let started = false;
+  let nodeCount = 0;
+  let edgeCount = 0;
+
+  streamDomain(domainId, (type, rows, done) => {
+    const records = rows.map(row => ({ record: type, ...row }));
+
+    if (!started) {
+      started = true;
+      res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${domainId.replace(/[^\w.-]+/g, '_')}-export.ndjson"`);
+      records.unshift({ record: 'export', version: '1.0', exportDate: new Date().toISOString() });
+    }
+
+    if (type === 'node') nodeCount += rows.length;
+    if (type === 'edge') edgeCount += rows.length;
+
+    writeNdjson(res, records, done);
+  }, (err, found) => {
+    if (err) {
+      console.error('[API] Error streaming domain export:', err.message);
+      // Once streaming has begun the status can no longer change, so cut the download short
+      return started ? res.destroy(err) : res.status(500).json({ error: err.message });
+    }
+
+    if (!found) {
+      console.log('[API] Domain not found');
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    console.log(`[API] Streamed domain '${domainId}' with ${nodeCount} nodes and ${edgeCount} edges`);
+    res.end();
+  });
+}
+
 /**
  * @route   GET /domains/:domainId/export
- * @desc    Export a memory domain with all its nodes and edges
+ * @desc    Export a memory domain with all its nodes and edges, as one JSON document or,
+ *          with ?format=ndjson, streamed as NDJSON records for domains of any size
  * @access  Public
  */
 router.get('/domains/:domainId/export', (req, res) => {
@@ -290,6 +653,10 @@ router.get('/domains/:domainId/export', (req, res) => {
     return res.status(400).json({ error: 'Missing domain ID' });
   }
   
+  if (req.query.format === 'ndjson') {
+    return streamDomainExport(domainId, res);
+  }
+  
   // First, get domain info
   const domainQuery = `
     SELECT id, name, description, created, lastAccess
@@ -399,15 +766,146 @@ router.get('/domains/:domainId/export', (req, res) => {
   });
 });
 
+/**
+ * Middleware that, for NDJSON imports, reads records up to the 'domain'
+ * record into req.ndjson, so the history scope is known before anything is
+ * written. The rest of the body is left in the stream.
+ */
+function readNdjsonHead(req, res, next) {
+  if (!req.is('application/x-ndjson')) {
+    return next();
+  }
+
+  // The whole upload is read into memory before it is written, so cap its size
+  const maxBytes = config.maxNdjsonImportMb * 1024 * 1024;
+  const contentLength = parseInt(req.headers['content-length'], 10);
+  if (contentLength > maxBytes) {
+    console.log(`[API] Import error: NDJSON upload of ${contentLength} bytes is over the limit`);
+    return res.status(413).json({ error: `NDJSON imports are limited to ${config.maxNdjsonImportMb} MB` });
+  }
+
+  const reader = createNdjsonReader(req, { batchSize: IMPORT_BATCH_SIZE, maxBytes });
+  const records = [];
+
+  const readUntilDomain = () => reader.next((err, batch) => {
+    if (err) {
+      console.error('[API] Error reading NDJSON import:', err.message);
+      return res.status(err.status || 400).json({ error: err.message });
+    }
+
+    if (batch) {
+      records.push(...batch);
+    }
+
+    const domainRecord = records.find(record => record && record.record === 'domain');
+    if (domainRecord && domainRecord.id) {
+      req.ndjson = { reader, records, domain: domainRecord };
+      return next();
+    }
+
+    // The domain record comes first in exports, so give up after a batch without it
+    if (!batch || records.length >= IMPORT_BATCH_SIZE) {
+      console.log('[API] Import error: NDJSON import has no domain record');
+      return res.status(400).json({ error: 'NDJSON import must start with a domain record' });
+    }
+
+    readUntilDomain();
+  });
+
+  readUntilDomain();
+}
+
+/**
+ * Send the result of a domain import
+ * @param {Object} res - Express response
+ * @param {string} domainId - Imported domain
+ * @param {Error} err - Import error
+ * @param {Object} result - Import result
+ */
+function sendImportResult(res, domainId, err, result) {
+  if (err) {
+    console.error('[API] Import failed:', err.message);
+    return res.status(err.status || 500).json({ error: err.message });
+  }
+
+  if (result.dryRun) {
+    console.log('[API] Import preview:', result.summary);
+    return res.json({ success: true, domain: domainId, ...result });
+  }
+
+  const response = {
+    success: true,
+    domain: domainId,
+    strategy: result.strategy,
+    stats: result.stats,
+    errors: result.errors
+  };
+
+  console.log('[API] Import completed:', response.stats);
+  res.json(response);
+}
+
 /**
  * @route   POST /domains/import
- * @desc    Import a memory domain from JSON file
+ * @desc    Import a memory domain from a JSON export or, with Content-Type
+ *          application/x-ndjson, from a streamed NDJSON export.
+ *          ?strategy=overwrite|skip|keep-both|merge-tags decides what happens to nodes
+ *          that already exist (default overwrite); ?dryRun=true returns the per-node and
+ *          per-edge diff without importing; ?progress=<id> reports progress to WebSocket
+ *          clients subscribed to the topic import:<id>.
  * @access  Public
  */
-router.post('/domains/import', (req, res) => {
+router.post('/domains/import', readNdjsonHead, recordHistory(req => {
+  if (req.query.dryRun === 'true') return null;
+  // Copies made by keep-both get new ids, which the domain scope also covers
+  if (req.ndjson) {
+    return { label: `Import domain ${req.ndjson.domain.id}`, scope: { domains: [req.ndjson.domain.id] } };
+  }
+  const { domain, nodes, edges } = req.body || {};
+  if (!domain || !Array.isArray(nodes) || !Array.isArray(edges)) return null;
+  return {
+    label: `Import domain ${domain.id}`,
+    scope: { nodeIds: nodes.map(node => node.id), edgeIds: edges.map(edge => edge.id), domains: [domain.id] }
+  };
+}), (req, res) => {
   console.log('==== [API] POST /api/domains/import request received ====');
   
   const importData = req.body;
+  const dryRun = req.query.dryRun === 'true';
+  const strategy = req.query.strategy || undefined;
+  
+  if (strategy && !IMPORT_STRATEGIES.includes(strategy)) {
+    console.log(`[API] Import error: Unknown strategy '${strategy}'`);
+    return res.status(400).json({ error: `Unknown import strategy '${strategy}'`, strategies: IMPORT_STRATEGIES });
+  }
+  
+  if (req.ndjson) {
+    const { reader, records, domain: domainInfo } = req.ndjson;
+    const progressTopic = req.query.progress ? `import:${req.query.progress}` : null;
+    const totalBytes = parseInt(req.headers['content-length'], 10) || null;
+    
+    const publishProgress = (phase, progress) => {
+      if (!progressTopic) return;
+      wsServer.publishToTopic(progressTopic, {
+        type: 'import_progress',
+        data: { id: req.query.progress, phase, totalBytes, ...progress }
+      });
+    };
+    
+    console.log(`[API] ${dryRun ? 'Previewing' : 'Running'} streamed import of domain '${domainInfo.id}' (strategy: ${strategy || 'default'})`);
+    
+    // Everything in a domain export belongs to that domain
+    return importNdjson(reader, {
+      strategy,
+      dryRun,
+      domain: domainInfo.id,
+      initialRecords: records,
+      onProgress: progress => publishProgress(progress.phase, progress)
+    }, (err, result) => {
+      publishProgress(err ? 'failed' : 'done', { bytesRead: reader.bytesRead });
+      sendImportResult(res, domainInfo.id, err, result);
+    });
+  }
   
   // Validate import data structure
   if (!importData || !importData.domain || !importData.nodes || !importData.edges) {
@@ -417,206 +915,156 @@ router.post('/domains/import', (req, res) => {
   
   const { domain: domainInfo, nodes, edges } = importData;
   
-  // Begin transaction to ensure atomicity
-  dbService.executeWithRetry((db, callback) => {
-    db.serialize(() => {
-      db.run('BEGIN TRANSACTION');
-      
-      let createdNodes = 0;
-      let updatedNodes = 0;
-      let createdEdges = 0;
-      let skippedEdges = 0;
-      let errors = [];
-      
-      // Step 1: Check if domain exists, create or update it
-      const checkDomainQuery = `SELECT id FROM DOMAINS WHERE id = ?`;
-      
-      db.get(checkDomainQuery, [domainInfo.id], (err, existingDomain) => {
-        if (err) {
-          db.run('ROLLBACK');
-          return callback(err);
-        }
-        
-        // Create or update domain
-        const timestamp = new Date().toISOString();
-        if (!existingDomain) {
-          const createDomainQuery = `
-            INSERT INTO DOMAINS (id, name, description, created, lastAccess)
-            VALUES (?, ?, ?, ?, ?)
-          `;
-          
-          db.run(createDomainQuery, [
-            domainInfo.id,
-            domainInfo.name,
-            domainInfo.description || '',
-            domainInfo.created || timestamp,
-            timestamp
-          ], (err) => {
-            if (err && !err.message.includes('UNIQUE constraint failed')) {
-              errors.push(`Failed to create domain: ${err.message}`);
-            }
-            console.log(`[API] Created domain '${domainInfo.id}'`);
-          });
-        } else {
-          // Update lastAccess
-          db.run('UPDATE DOMAINS SET lastAccess = ? WHERE id = ?', [timestamp, domainInfo.id]);
-          console.log(`[API] Domain '${domainInfo.id}' already exists, updating lastAccess`);
-        }
-        
-        // Step 2: Import nodes
-        // First check if node exists
-        const checkNodeQuery = `SELECT id FROM MEMORY_NODES WHERE id = ?`;
-        const updateNodeQuery = `
-          UPDATE MEMORY_NODES 
-          SET content = ?, content_summary = ?, path = ?
-          WHERE id = ?
-        `;
-        const insertNodeQuery = `
-          INSERT INTO MEMORY_NODES (id, content, content_summary, domain, path, timestamp)
-          VALUES (?, ?, ?, ?, ?, ?)
-        `;
-        
-        const nodePromises = nodes.map(node => {
-          return new Promise((resolve) => {
-            // First check if node exists
-            db.get(checkNodeQuery, [node.id], (err, existingNode) => {
-              if (err) {
-                errors.push(`Failed to check node ${node.id}: ${err.message}`);
-                resolve();
-                return;
-              }
-              
-              if (existingNode) {
-                // Update existing node
-                db.run(updateNodeQuery, [
-                  node.content,
-                  node.content_summary || null,
-                  node.path || null,
-                  node.id
-                ], function(err) {
-                  if (err) {
-                    errors.push(`Failed to update node ${node.id}: ${err.message}`);
-                  } else {
-                    updatedNodes++;
-                  }
-                  
-                  // Import tags for this node
-                  if (node.tags && node.tags.length > 0) {
-                    const tagQuery = `INSERT OR IGNORE INTO MEMORY_TAGS (nodeId, tag) VALUES (?, ?)`;
-                    node.tags.forEach(tag => {
-                      db.run(tagQuery, [node.id, tag], (tagErr) => {
-                        if (tagErr) {
-                          errors.push(`Failed to import tag '${tag}' for node ${node.id}: ${tagErr.message}`);
-                        }
-                      });
-                    });
-                  }
-                  
-                  resolve();
-                });
-              } else {
-                // Insert new node
-                db.run(insertNodeQuery, [
-                  node.id,
-                  node.content,
-                  node.content_summary || null,
-                  domainInfo.id,
-                  node.path || null,
-                  node.timestamp || timestamp
-                ], function(err) {
-                  if (err) {
-                    errors.push(`Failed to import node ${node.id}: ${err.message}`);
-                  } else {
-                    createdNodes++;
-                  }
-                  
-                  // Import tags for this node
-                  if (node.tags && node.tags.length > 0) {
-                    const tagQuery = `INSERT OR IGNORE INTO MEMORY_TAGS (nodeId, tag) VALUES (?, ?)`;
-                    node.tags.forEach(tag => {
-                      db.run(tagQuery, [node.id, tag], (tagErr) => {
-                        if (tagErr) {
-                          errors.push(`Failed to import tag '${tag}' for node ${node.id}: ${tagErr.message}`);
-                        }
-                      });
-                    });
-                  }
-                  
-                  resolve();
-                });
-              }
-            });
-          });
-        });
-        
-        Promise.all(nodePromises).then(() => {
-          // Step 3: Import edges
-          const insertEdgeQuery = `
-            INSERT OR IGNORE INTO MEMORY_EDGES (id, source, target, type, strength, timestamp, domain)
-            VALUES (?, ?, ?, ?, ?, ?, ?)
-          `;
-          
-          const edgePromises = edges.map(edge => {
-            return new Promise((resolve) => {
-              db.run(insertEdgeQuery, [
-                edge.id,
-                edge.source,
-                edge.target,
-                edge.type,
-                edge.strength,
-                edge.timestamp || timestamp,
-                domainInfo.id
-              ], function(err) {
-                if (err) {
-                  if (err.message.includes('FOREIGN KEY constraint failed')) {
-                    skippedEdges++;
-                  } else {
-                    errors.push(`Failed to import edge ${edge.id}: ${err.message}`);
-                  }
-                } else if (this.changes > 0) {
-                  createdEdges++;
-                }
-                resolve();
-              });
-            });
-          });
-          
-          Promise.all(edgePromises).then(() => {
-            // Commit transaction
-            db.run('COMMIT', (err) => {
-              if (err) {
-                db.run('ROLLBACK');
-                return callback(err);
-              }
-              
-              callback(null, {
-                success: true,
-                domain: domainInfo.id,
-                stats: {
-                  nodesImported: createdNodes,
-                  nodesUpdated: updatedNodes,
-                  edgesImported: createdEdges,
-                  edgesSkipped: skippedEdges,
-                  errors: errors.length
-                },
-                errors: errors
-              });
-            });
-          });
-        });
-      });
-    });
-  }, 3, (err, result) => {
+  console.log(`[API] ${dryRun ? 'Previewing' : 'Running'} import of domain '${domainInfo.id}' (strategy: ${strategy || 'default'})`);
+  
+  // Everything in a domain export belongs to that domain
+  importGraph({
+    domains: [domainInfo],
+    nodes: nodes.map(node => ({ ...node, domain: domainInfo.id })),
+    edges: edges.map(edge => ({ ...edge, domain: domainInfo.id }))
+  }, { strategy, dryRun }, (err, result) => sendImportResult(res, domainInfo.id, err, result));
+});
+
+/**
+ * @route   GET /domains/:domainId/export/mcp-memory
+ * @desc    Export a memory domain as MCP memory server JSONL (entities and relations)
+ * @access  Public
+ */
+router.get('/domains/:domainId/export/mcp-memory', (req, res) => {
+  console.log('==== [API] GET /api/domains/:domainId/export/mcp-memory request received ====');
+  const { domainId } = req.params;
+
+  console.log('[API] Exporting domain as MCP memory:', domainId);
+
+  loadGraphSelection({ domain: domainId }, (err, graph) => {
     if (err) {
-      console.error('[API] Import failed:', err.message);
+      console.error('[API] Error exporting domain:', err.message);
       return res.status(500).json({ error: err.message });
     }
-    
-    console.log('[API] Import completed:', result);
-    res.json(result);
+
+    if (graph.nodes.length === 0 && graph.domains.length === 0) {
+      console.log('[API] Domain not found');
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    console.log(`[API] Exported domain '${domainId}' with ${graph.nodes.length} entities and ${graph.edges.length} relations`);
+
+    res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${domainId.replace(/[^\w.-]+/g, '_')}-memory.jsonl"`);
+    res.send(toMcpMemory(graph));
   });
 });
 
+/**
+ * Middleware that parses an MCP memory JSONL body into req.mcpMemory, so the
+ * history scope can be described before anything is written
+ */
+function parseMcpMemoryBody(req, res, next) {
+  if (typeof req.body !== 'string') {
+    console.log('[API] Import error: Expected a JSONL body');
+    return res.status(400).json({ error: 'Expected MCP memory JSONL as a text body' });
+  }
+
+  const parsed = parseMcpMemory(req.body, req.params.domainId);
+
+  if (parsed.nodes.length === 0) {
+    console.log('[API] Import error: No entities found');
+    return res.status(400).json({ error: 'No entities found', warnings: parsed.warnings });
+  }
+
+  req.mcpMemory = parsed;
+  next();
+}
+
+/**
+ * @route   POST /domains/:domainId/import/mcp-memory
+ * @desc    Import MCP memory server JSONL into a domain. Entities become nodes tagged
+ *          with their entity type; relations become edges. Relations may also point
+ *          at entities imported into the domain earlier. Files exported from this domain
+ *          update the nodes and edges they were exported from.
+ * @access  Public
+ */
+router.post('/domains/:domainId/import/mcp-memory',
+  express.text({ type: ['text/plain', 'application/x-ndjson', 'application/jsonl'], limit: '50mb' }),
+  parseMcpMemoryBody,
+  recordHistory(req => req.mcpMemory ? {
+    label: `Import MCP memory into ${req.params.domainId}`,
+    scope: { nodeIds: req.mcpMemory.nodes.map(node => node.id), domains: [req.params.domainId] }
+  } : null),
+  (req, res) => {
+    console.log('==== [API] POST /api/domains/:domainId/import/mcp-memory request received ====');
+    const { domainId } = req.params;
+    const { nodes, edges, unresolved } = req.mcpMemory;
+    const warnings = [...req.mcpMemory.warnings];
+
+    console.log(`[API] Parsed ${nodes.length} entities and ${edges.length} relations for domain '${domainId}'`);
+
+    // Relations to entities not in the file may match nodes already in the domain,
+    // by entity id or by summary
+    const findExisting = (db, callback) => {
+      if (unresolved.length === 0) return callback(null, []);
+      const placeholders = unresolved.map(() => '?').join(',');
+      db.all(`
+        SELECT id, content_summary FROM MEMORY_NODES
+        WHERE domain = ? AND (id IN (${placeholders}) OR content_summary IN (${placeholders}))
+      `, [domainId, ...unresolved.map(name => `${domainId}:${name}`), ...unresolved], callback);
+    };
+
+    dbService.executeWithRetry(findExisting, 3, (err, rows) => {
+      if (err) {
+        console.error('[API] Error resolving relations:', err.message);
+        return res.status(500).json({ error: err.message });
+      }
+
+      const nodeIds = new Set(nodes.map(node => node.id));
+      const existingIds = new Map();
+      rows.forEach(row => {
+        existingIds.set(row.id, row.id);
+        if (row.content_summary && !existingIds.has(`${domainId}:${row.content_summary}`)) {
+          existingIds.set(`${domainId}:${row.content_summary}`, row.id);
+        }
+      });
+
+      const resolve = id => nodeIds.has(id) ? id : existingIds.get(id);
+
+      const importedEdges = [];
+      edges.forEach(({ from, to, ...edge }) => {
+        const source = resolve(edge.source);
+        const target = resolve(edge.target);
+
+        if (!source || !target) {
+          warnings.push(`Relation ${from} → ${to}: entity not found, skipped`);
+          return;
+        }
+
+        importedEdges.push({ ...edge, id: edge.id || `${source}-${target}-${edge.type}`, source, target });
+      });
+
+      importGraph({
+        domains: [{ id: domainId, name: domainId }],
+        nodes,
+        edges: importedEdges
+      }, (err, result) => {
+        if (err) {
+          console.error('[API] Import failed:', err.message);
+          return res.status(500).json({ error: err.message });
+        }
+
+        const response = {
+          success: true,
+          domain: domainId,
+          stats: result.stats,
+          errors: result.errors,
+          warnings
+        };
+
+        console.log('[API] MCP memory import completed:', response.stats);
+        res.json(response);
+      });
+    });
+  }
+);
+
 /**
  * @route   GET /graph/memory
  * @desc    Get memory-centric graph data
@@ -624,6 +1072,10 @@ router.post('/domains/import', (req, res) => {
  */
 router.get('/graph/memory', (req, res) => {
   console.log('API request received for /api/graph/memory');
+  
+  // Taken before reading so no later change can be missed; changes already
+  // reflected in this response are safe for the client to apply again
+  const cursor = changeJournal.getCursor();
 
   const nodesQuery = `
     SELECT 
@@ -751,29 +1203,7 @@ router.get('/graph/memory', (req, res) => {
     domainRefs.forEach(ref => {
       // Only add if both nodes exist
       if (nodeMap[ref.nodeId] && nodeMap[ref.targetNodeId]) {
-        links.push({
-          id: `crossdomain-${ref.nodeId}-${ref.targetNodeId}`,
-          source: ref.nodeId,
-          target: ref.targetNodeId,
-          type: 'cross_domain',
-          strength: 0.7,
-          domain: ref.domain,
-          targetDomain: ref.targetDomain,
-          description: ref.description
-        });
-        // If bidirectional, add reverse link
-        if (ref.bidirectional) {
-          links.push({
-            id: `crossdomain-${ref.targetNodeId}-${ref.nodeId}`,
-            source: ref.targetNodeId,
-            target: ref.nodeId,
-            type: 'cross_domain',
-            strength: 0.7,
-            domain: ref.targetDomain,
-            targetDomain: ref.domain,
-            description: ref.description
-          });
-        }
+        links.push(...domainRefToLinks(ref));
       }
     });
 
@@ -781,7 +1211,8 @@ router.get('/graph/memory', (req, res) => {
 
     res.json({
       nodes,
-      links
+      links,
+      cursor
     });
   })
   .catch(err => {
@@ -790,4 +1221,160 @@ router.get('/graph/memory', (req, res) => {
   });
 });
 
+/**
+ * @route   GET /graph/elements
+ * @desc    Get specific nodes and links for a partial reload.
+ *          Query: node=<id> and link=<id>, both repeatable. Requested nodes are
+ *          returned with their tags and every edge or cross-domain link touching
+ *          them; requested links are returned by id. Ids that no longer exist
+ *          are listed under `missing` so the client can drop them.
+ * @access  Public
+ */
+router.get('/graph/elements', (req, res) => {
+  console.log('[API] GET /api/graph/elements request received');
+  
+  // Express gives a string for a single value and an array for repeats
+  const toArray = value => (value === undefined ? [] : [].concat(value)).filter(Boolean);
+  const nodeIds = [...new Set(toArray(req.query.node))];
+  const linkIds = [...new Set(toArray(req.query.link))];
+  
+  console.log('[API] Requested elements:', { nodes: nodeIds.length, links: linkIds.length });
+  
+  if (nodeIds.length === 0 && linkIds.length === 0) {
+    return res.status(400).json({ error: 'At least one node or link id is required' });
+  }
+  
+  const placeholders = ids => ids.map(() => '?').join(', ') || 'NULL';
+  const nodeList = placeholders(nodeIds);
+  const linkList = placeholders(linkIds);
+  
+  const nodesQuery = `
+    SELECT id, content, content_summary, domain, path
+    FROM MEMORY_NODES
+    WHERE id IN (${nodeList})
+  `;
+  
+  const tagsQuery = `
+    SELECT nodeId, tag
+    FROM MEMORY_TAGS
+    WHERE nodeId IN (${nodeList})
+  `;
+  
+  // Edges must have both endpoints present, as in /graph/memory
+  const edgesQuery = `
+    SELECT e.id, e.source, e.target, e.type, e.strength, e.domain
+    FROM MEMORY_EDGES e
+    JOIN MEMORY_NODES s ON s.id = e.source
+    JOIN MEMORY_NODES t ON t.id = e.target
+    WHERE e.id IN (${linkList})
+       OR e.source IN (${nodeList})
+       OR e.target IN (${nodeList})
+  `;
+  
+  // Cross-domain link ids are derived, so match them in either direction
+  const domainRefsQuery = `
+    SELECT r.nodeId, r.domain, r.targetDomain, r.targetNodeId, r.description, r.bidirectional
+    FROM DOMAIN_REFS r
+    JOIN MEMORY_NODES s ON s.id = r.nodeId
+    JOIN MEMORY_NODES t ON t.id = r.targetNodeId
+    WHERE r.nodeId IN (${nodeList})
+       OR r.targetNodeId IN (${nodeList})
+       OR ('crossdomain-' || r.nodeId || '-' || r.targetNodeId) IN (${linkList})
+       OR (r.bidirectional AND ('crossdomain-' || r.targetNodeId || '-' || r.nodeId) IN (${linkList}))
+  `;
+  
+  const runQuery = (query, params) => {
+    return new Promise((resolve, reject) => {
+      dbService.executeWithRetry((db, callback) => {
+        db.all(query, params, callback);
+      }, 3, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+  };
+  
+  Promise.all([
+    nodeIds.length > 0 ? runQuery(nodesQuery, nodeIds) : [],
+    nodeIds.length > 0 ? runQuery(tagsQuery, nodeIds) : [],
+    runQuery(edgesQuery, [...linkIds, ...nodeIds, ...nodeIds]),
+    runQuery(domainRefsQuery, [...nodeIds, ...nodeIds, ...linkIds, ...linkIds])
+  ])
+  .then(([memoryNodes, tagRecords, edgeRecords, domainRefs]) => {
+    const nodeMap = {};
+    memoryNodes.forEach(node => {
+      nodeMap[node.id] = {
+        id: node.id,
+        content: node.content,
+        content_summary: node.content_summary,
+        domain: node.domain,
+        path: node.path,
+        tags: []
+      };
+    });
+    
+    tagRecords.forEach(record => {
+      if (nodeMap[record.nodeId]) {
+        nodeMap[record.nodeId].tags.push(record.tag);
+      }
+    });
+    
+    const nodes = Object.values(nodeMap);
+    const links = edgeRecords.map(edge => ({
+      id: edge.id,
+      source: edge.source,
+      target: edge.target,
+      type: edge.type,
+      strength: edge.strength,
+      domain: edge.domain
+    }));
+    
+    domainRefs.forEach(ref => {
+      links.push(...domainRefToLinks(ref));
+    });
+    
+    const returnedLinkIds = new Set(links.map(link => link.id));
+    const missing = {
+      nodes: nodeIds.filter(id => !nodeMap[id]),
+      links: linkIds.filter(id => !returnedLinkIds.has(id))
+    };
+    
+    console.log(`[API] Returning ${nodes.length} nodes and ${links.length} links (${missing.nodes.length} nodes, ${missing.links.length} links missing)`);
+    
+    res.json({
+      nodes,
+      links,
+      missing
+    });
+  })
+  .catch(err => {
+    console.error('[API] Error fetching graph elements:', err.message);
+    res.status(500).json({ error: err.message });
+  });
+});
+
+/**
+ * @route   GET /graph/changes
+ * @desc    Get node, edge, tag and domain-ref changes recorded after a cursor.
+ *          Query: since=<cursor> from /graph/memory or a database_changed message.
+ *          Returns { cursor, reset, changes }; reset means the client must reload everything.
+ * @access  Public
+ */
+router.get('/graph/changes', (req, res) => {
+  const since = req.query.since;
+  console.log(`[API] GET /api/graph/changes request received (since ${since})`);
+  
+  // Pick up anything the file watcher hasn't reported yet
+  changeJournal.capture((err) => {
+    if (err) {
+      console.error('[API] Error capturing database changes:', err.message);
+      return res.status(500).json({ error: err.message });
+    }
+    
+    const result = changeJournal.getChangesSince(since);
+    console.log(`[API] Returning ${result.changes.length} changes up to ${result.cursor}${result.reset ? ' (reset)' : ''}`);
+    res.json(result);
+  });
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,61 @@
+/**
+ * History Router
+ * 
+ * Handles undo and redo of graph mutations
+ */
+
+const express = require('express');
+const router = express.Router();
+const history = require('../db/history');
+
+/**
+ * Send the result of an undo or redo step
+ * @param {Object} res - Express response
+ * @param {string} direction - 'undo' or 'redo'
+ * @param {Error|null} err - Error from the history module
+ * @param {Object} operation - The operation that was undone or redone
+ */
+function sendStepResult(res, direction, err, operation) {
+  if (err) {
+    console.error(`[API] Error performing ${direction}:`, err.message);
+    return res.status(err.status || 500).json({ error: err.message, ...history.getStatus() });
+  }
+  
+  res.json({
+    success: true,
+    operation: { id: operation.id, label: operation.label },
+    ...history.getStatus()
+  });
+}
+
+/**
+ * @route   GET /history
+ * @desc    Get the undo/redo state (availability and labels)
+ * @access  Public
+ */
+router.get('/history', (req, res) => {
+  res.json(history.getStatus());
+});
+
+/**
+ * @route   POST /history/undo
+ * @desc    Undo the most recent graph mutation. Responds 409 if the affected
+ *          rows were changed by something else since.
+ * @access  Public
+ */
+router.post('/history/undo', (req, res) => {
+  console.log('==== [API] POST /api/history/undo request received ====');
+  history.undo((err, operation) => sendStepResult(res, 'undo', err, operation));
+});
+
+/**
+ * @route   POST /history/redo
+ * @desc    Redo the most recently undone graph mutation
+ * @access  Public
+ */
+router.post('/history/redo', (req, res) => {
+  console.log('==== [API] POST /api/history/redo request received ====');
+  history.redo((err, operation) => sendStepResult(res, 'redo', err, operation));
+});
+
+module.exports = router;
@@ -0,0 +1,267 @@
+/**
+ * Import Router
+ *
+ * Handles importing the memory graph from formats written by other tools
+ */
+
+const express = require('express');
+const router = express.Router();
+const dbService = require('../db/dbService');
+const { recordHistory } = require('../db/history');
+const { importGraph, IMPORT_STRATEGIES } = require('../db/graphImport');
+const { parseMarkdownVault } = require('../export/markdownVault');
+const { parseBundle } = require('../export/bundle');
+const { readZip } = require('../export/zip');
+
+/**
+ * Read the vault files from the request: either a zip archive as the raw
+ * body, or JSON { files: [{ path, content }] } for a folder picked in the browser
+ * @param {Object} req - Express request
+ * @returns {Array<Object>} - Files as { name, content }
+ * @throws {Error} - With status 400 if the body holds no files
+ */
+function readVaultFiles(req) {
+  if (Buffer.isBuffer(req.body)) {
+    return readZip(req.body).map(file => ({ name: file.name, content: file.data.toString('utf8') }));
+  }
+
+  const files = req.body && req.body.files;
+  if (!Array.isArray(files)) {
+    const err = new Error('Expected a zip archive or { files: [{ path, content }] }');
+    err.status = 400;
+    throw err;
+  }
+
+  return files
+    .filter(file => file && typeof file.path === 'string' && typeof file.content === 'string')
+    .map(file => ({ name: file.path, content: file.content }));
+}
+
+/**
+ * Look up the domains of existing nodes
+ * @param {Array<string>} nodeIds - Node ids
+ * @param {function} callback - callback(err, Map of node id to domain)
+ */
+function getNodeDomains(nodeIds, callback) {
+  if (nodeIds.length === 0) {
+    return callback(null, new Map());
+  }
+
+  const placeholders = nodeIds.map(() => '?').join(',');
+  dbService.executeWithRetry((db, cb) => {
+    db.all(`SELECT id, domain FROM MEMORY_NODES WHERE id IN (${placeholders})`, nodeIds, cb);
+  }, 3, (err, rows) => {
+    if (err) return callback(err);
+    callback(null, new Map(rows.map(row => [row.id, row.domain])));
+  });
+}
+
+/**
+ * Give links written without an edge id (by hand, or by older exports) the id
+ * of the existing edge with the same source, target and type, so importing a
+ * vault again updates that edge instead of adding a second one
+ * @param {Array<Object>} edges - Parsed links; those matched get their id set
+ * @param {function} callback - callback(err)
+ */
+function matchExistingEdges(edges, callback) {
+  const unmatched = edges.filter(edge => !edge.id);
+  if (unmatched.length === 0) {
+    return callback(null);
+  }
+
+  const sources = [...new Set(unmatched.map(edge => edge.source))];
+  const placeholders = sources.map(() => '?').join(',');
+  dbService.executeWithRetry((db, cb) => {
+    db.all(`SELECT id, source, target, type FROM MEMORY_EDGES WHERE source IN (${placeholders})`, sources, cb);
+  }, 3, (err, rows) => {
+    if (err) return callback(err);
+
+    const key = edge => JSON.stringify([edge.source, edge.target, edge.type]);
+    const existingIds = new Map(rows.map(row => [key(row), row.id]));
+    unmatched.forEach(edge => {
+      if (existingIds.has(key(edge))) edge.id = existingIds.get(key(edge));
+    });
+    callback(null);
+  });
+}
+
+/**
+ * Middleware that parses the uploaded vault into req.vault, so the history
+ * scope can be described before anything is written
+ */
+function parseVault(req, res, next) {
+  let files;
+  try {
+    files = readVaultFiles(req);
+  } catch (err) {
+    console.log('[API] Import error:', err.message);
+    return res.status(err.status || 400).json({ error: err.message });
+  }
+
+  const vault = parseMarkdownVault(files, { defaultDomain: req.query.domain ? String(req.query.domain) : null });
+
+  if (vault.nodes.length === 0) {
+    console.log('[API] Import error: No notes found in vault');
+    return res.status(400).json({ error: 'No Markdown notes found', warnings: vault.warnings });
+  }
+
+  req.vault = vault;
+  next();
+}
+
+/**
+ * @route   POST /import/markdown
+ * @desc    Import a Markdown vault, as written by GET /export?format=markdown, from a
+ *          zip archive or a list of files. Notes without a domain in their front-matter
+ *          or folder go to ?domain=. ?dryRun=true works as for POST /domains/import.
+ * @access  Public
+ */
+router.post('/import/markdown', parseVault, recordHistory(req => {
+  if (!req.vault || req.query.dryRun === 'true') return null;
+  const domains = [...new Set(req.vault.nodes.map(node => node.domain))];
+  return {
+    label: `Import Markdown vault (${req.vault.nodes.length} notes)`,
+    scope: { nodeIds: req.vault.nodes.map(node => node.id), domainIds: domains }
+  };
+}), (req, res) => {
+  console.log('==== [API] POST /api/import/markdown request received ====');
+
+  const { nodes, edges, domainRefs, unresolved } = req.vault;
+  const warnings = [...req.vault.warnings];
+  const dryRun = req.query.dryRun === 'true';
+
+  console.log(`[API] Parsed vault: ${nodes.length} notes, ${edges.length} links, ${domainRefs.length} references`);
+
+  // Links may point at nodes that are already in the database rather than in the vault
+  getNodeDomains(unresolved, (err, existingDomains) => {
+    if (err) {
+      console.error('[API] Error resolving link targets:', err.message);
+      return res.status(500).json({ error: err.message });
+    }
+
+    const vaultNodeIds = new Set(nodes.map(node => node.id));
+    const resolvable = target => vaultNodeIds.has(target) || existingDomains.has(target);
+
+    const importedEdges = edges.filter(edge => {
+      if (resolvable(edge.target)) return true;
+      warnings.push(`Link ${edge.source} → ${edge.target}: target not found, skipped`);
+      return false;
+    });
+
+    const importedRefs = domainRefs
+      .filter(ref => {
+        if (resolvable(ref.targetNodeId)) return true;
+        warnings.push(`Reference ${ref.nodeId} → ${ref.targetNodeId}: target not found, skipped`);
+        return false;
+      })
+      .map(ref => ({ ...ref, targetDomain: ref.targetDomain || existingDomains.get(ref.targetNodeId) }));
+
+    const domains = [...new Set(nodes.map(node => node.domain))].map(id => ({ id, name: id }));
+
+    matchExistingEdges(importedEdges, err => {
+      if (err) {
+        console.error('[API] Error matching existing links:', err.message);
+        return res.status(500).json({ error: err.message });
+      }
+
+      importGraph({ domains, nodes, edges: importedEdges, domainRefs: importedRefs }, { dryRun }, (err, result) => {
+        if (err) {
+          console.error('[API] Import failed:', err.message);
+          return res.status(500).json({ error: err.message });
+        }
+
+        if (dryRun) {
+          console.log('[API] Markdown import preview:', result.summary);
+          return res.json({ success: true, domains: domains.map(domain => domain.id), ...result, warnings });
+        }
+
+        const response = {
+          success: true,
+          domains: domains.map(domain => domain.id),
+          stats: result.stats,
+          errors: result.errors,
+          warnings
+        };
+
+        console.log('[API] Markdown import completed:', response.stats);
+        res.json(response);
+      });
+    });
+  });
+});
+
+/**
+ * Middleware that unpacks and verifies the uploaded bundle into req.bundle
+ */
+function parseBundleUpload(req, res, next) {
+  if (!Buffer.isBuffer(req.body)) {
+    console.log('[API] Import error: Bundle upload is not a zip archive');
+    return res.status(400).json({ error: 'Expected a bundle zip archive' });
+  }
+
+  try {
+    req.bundle = parseBundle(req.body);
+  } catch (err) {
+    console.log('[API] Import error:', err.message);
+    return res.status(err.status || 400).json({ error: err.message });
+  }
+
+  next();
+}
+
+/**
+ * @route   POST /import/bundle
+ * @desc    Import a whole-database bundle, as written by GET /export?format=bundle, from
+ *          a zip archive. Links and references between domains are restored once all
+ *          their ends exist. ?strategy= and ?dryRun=true work as for POST /domains/import.
+ * @access  Public
+ */
+router.post('/import/bundle', parseBundleUpload, recordHistory(req => {
+  if (!req.bundle || req.query.dryRun === 'true') return null;
+  return {
+    label: `Import database bundle (${req.bundle.nodes.length} nodes)`,
+    scope: {
+      nodeIds: req.bundle.nodes.map(node => node.id),
+      edgeIds: req.bundle.edges.map(edge => edge.id),
+      domains: req.bundle.domains.map(domain => domain.id)
+    }
+  };
+}), (req, res) => {
+  console.log('==== [API] POST /api/import/bundle request received ====');
+
+  const { manifest, domains, nodes, edges, domainRefs } = req.bundle;
+  const dryRun = req.query.dryRun === 'true';
+  const strategy = req.query.strategy || undefined;
+
+  if (strategy && !IMPORT_STRATEGIES.includes(strategy)) {
+    console.log(`[API] Import error: Unknown strategy '${strategy}'`);
+    return res.status(400).json({ error: `Unknown import strategy '${strategy}'`, strategies: IMPORT_STRATEGIES });
+  }
+
+  console.log(`[API] ${dryRun ? 'Previewing' : 'Running'} import of bundle from ${manifest.exportDate}:`, manifest.counts);
+
+  importGraph({ domains, nodes, edges, domainRefs }, { strategy, dryRun }, (err, result) => {
+    if (err) {
+      console.error('[API] Import failed:', err.message);
+      return res.status(err.status || 500).json({ error: err.message });
+    }
+
+    if (dryRun) {
+      console.log('[API] Bundle import preview:', result.summary);
+      return res.json({ success: true, domains: domains.map(domain => domain.id), ...result });
+    }
+
+    const response = {
+      success: true,
+      domains: domains.map(domain => domain.id),
+      strategy: result.strategy,
+      stats: result.stats,
+      errors: result.errors
+    };
+
+    console.log('[API] Bundle import completed:', response.stats);
+    res.json(response);
+  });
+});
+
+module.exports = router;
@@ -6,14 +6,129 @@
 
 const express = require('express');
 const router = express.Router();
+const crypto = require('crypto');
 const dbService = require('../db/dbService');
+const { validateRecord } = require('../db/schemaSpec');
+const { recordHistory } = require('../db/history');
+const { REVISION_FIELDS, getNodeRevision, getExpectedRevision } = require('../db/nodeRevision');
+
+// Node fields PUT /nodes/:id may change
+const EDITABLE_NODE_FIELDS = ['content', 'content_summary', 'path', 'timestamp'];
+
+/**
+ * @route   POST /nodes
+ * @desc    Create a new memory node (and its tags)
+ * @access  Public
+ */
+router.post('/nodes', recordHistory(
+  req => ({ label: 'Create memory', scope: { domainIds: [req.body && req.body.domain && String(req.body.domain).trim()] } }),
+  (req, body) => ({ nodeIds: [body.node && body.node.id] })
+), (req, res) => {
+  console.log('==== [API] POST /api/nodes request received ====');
+  console.log('[API] Request body:', JSON.stringify(req.body, null, 2));
+  
+  const body = req.body || {};
+  const tags = body.tags === undefined ? [] : body.tags;
+  
+  // Validate the node fields against schema-spec.json; id and timestamp are ours
+  const nodeFields = { ...body };
+  delete nodeFields.tags;
+  const errors = validateRecord('MEMORY_NODES', nodeFields, { generated: ['id', 'timestamp'] });
+  
+  if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string' || tag.trim() === '')) {
+    errors.push("Field 'tags' must be an array of non-empty strings");
+  }
+  
+  if (errors.length > 0) {
+    console.log('[API] POST /api/nodes validation failed:', errors);
+    return res.status(400).json({ error: 'Invalid node', details: errors });
+  }
+  
+  const node = {
+    id: crypto.randomUUID(),
+    content: body.content,
+    content_summary: body.content_summary || null,
+    domain: body.domain.trim(),
+    path: body.path || null,
+    timestamp: new Date().toISOString()
+  };
+  const uniqueTags = [...new Set(tags.map(tag => tag.trim()))];
+  
+  // The transaction runs on a connection of its own, so creates never nest
+  // inside one another or inside another request's transaction
+  dbService.executeOnOwnConnection((db, callback) => {
+    db.run('BEGIN IMMEDIATE TRANSACTION', (err) => {
+      if (err) return callback(err);
+      
+      // Create the domain on-the-fly if it doesn't exist yet
+      db.run(
+        `INSERT OR IGNORE INTO DOMAINS (id, name, description, created, lastAccess) VALUES (?, ?, ?, ?, ?)`,
+        [node.domain, node.domain, '', node.timestamp, node.timestamp],
+        function(err) {
+          if (err) {
+            return dbService.rollbackTransaction(db, err, callback);
+          }
+          
+          if (this.changes > 0) {
+            console.log(`[API] Created new domain '${node.domain}' on-the-fly`);
+          }
+          
+          db.run(
+            `INSERT INTO MEMORY_NODES (id, content, content_summary, domain, path, timestamp) VALUES (?, ?, ?, ?, ?, ?)`,
+            [node.id, node.content, node.content_summary, node.domain, node.path, node.timestamp],
+            function(err) {
+              if (err) {
+                return dbService.rollbackTransaction(db, err, callback);
+              }
+              
+              const commit = () => {
+                db.run('COMMIT', function(err) {
+                  if (err) {
+                    return dbService.rollbackTransaction(db, err, callback);
+                  }
+                  callback(null, node);
+                });
+              };
+              
+              if (uniqueTags.length === 0) {
+                return commit();
+              }
+              
+              const placeholders = uniqueTags.map(() => '(?, ?)').join(', ');
+              const values = [];
+              uniqueTags.forEach(tag => values.push(node.id, tag));
+              
+              db.run(`INSERT OR IGNORE INTO MEMORY_TAGS (nodeId, tag) VALUES ${placeholders}`, values, function(err) {
+                if (err) {
+                  return dbService.rollbackTransaction(db, err, callback);
+                }
+                commit();
+              });
+            }
+          );
+        }
+      );
+    });
+  }, 3, (err, createdNode) => {
+    if (err) {
+      console.error('[API] Error creating node:', err.message);
+      return res.status(500).json({ error: err.message });
+    }
+    
+    console.log(`[API] Created node ${createdNode.id} in domain ${createdNode.domain}`);
+    res.status(201).json({ success: true, node: { ...createdNode, tags: uniqueTags } });
+  });
+});
 
 /**
  * @route   POST /nodes/update-domain
  * @desc    Update a node's domain
  * @access  Public
  */
-router.post('/nodes/update-domain', (req, res) => {
+router.post('/nodes/update-domain', recordHistory(req => ({
+  label: 'Move memory to domain',
+  scope: { nodeIds: [req.body.nodeId || req.body.node_id], domainIds: [req.body.domain] }
+})), (req, res) => {
   console.log('==== [API] POST /api/nodes/update-domain request received ====');
   console.log('[API] Request body:', JSON.stringify(req.body, null, 2));
   
@@ -226,7 +341,10 @@ router.post('/nodes/update-domain', (req, res) => {
  * @desc    Create a new edge between nodes
  * @access  Public
  */
-router.post('/edges', (req, res) => {
+router.post('/edges', recordHistory(req => ({
+  label: 'Create link',
+  scope: { edgeIds: [`${req.body.source}-${req.body.target}-${req.body.type}`], edgePairs: [[req.body.source, req.body.target]] }
+})), (req, res) => {
   console.log('==== [API] POST /api/edges request received ====');
   console.log('[API] Request body:', JSON.stringify(req.body, null, 2));
   
@@ -343,7 +461,10 @@ router.post('/edges', (req, res) => {
  * @desc    Update an edge's strength
  * @access  Public
  */
-router.post('/edges/update-strength', (req, res) => {
+router.post('/edges/update-strength', recordHistory(req => ({
+  label: 'Change link strength',
+  scope: { edgePairs: [[req.body.source, req.body.target]] }
+})), (req, res) => {
   console.log('==== [API] POST /api/edges/update-strength request received ====');
   console.log('[API] Request body:', JSON.stringify(req.body, null, 2));
   
@@ -422,7 +543,10 @@ router.post('/edges/update-strength', (req, res) => {
  * @desc    Update an edge's type
  * @access  Public
  */
-router.post('/edges/update-type', (req, res) => {
+router.post('/edges/update-type', recordHistory(req => ({
+  label: 'Change link type',
+  scope: { edgePairs: [[req.body.source, req.body.target]] }
+})), (req, res) => {
   console.log('==== [API] POST /api/edges/update-type request received ====');
   console.log('[API] Request body:', JSON.stringify(req.body, null, 2));
   
@@ -501,7 +625,10 @@ router.post('/edges/update-type', (req, res) => {
  * @desc    Delete an edge between two nodes
  * @access  Public
  */
-router.delete('/edges/:source/:target', (req, res) => {
+router.delete('/edges/:source/:target', recordHistory(req => ({
+  label: 'Delete link',
+  scope: { edgePairs: [[req.params.source, req.params.target]] }
+})), (req, res) => {
   console.log('==== [API] DELETE /api/edges/:source/:target request received ====');
   const { source, target } = req.params;
   
@@ -550,7 +677,10 @@ router.delete('/edges/:source/:target', (req, res) => {
  * @desc    Delete a node and its associated edges and tags
  * @access  Public
  */
-router.delete('/nodes/:id', (req, res) => {
+router.delete('/nodes/:id', recordHistory(req => ({
+  label: 'Delete memory',
+  scope: { nodeIds: [req.params.id] }
+})), (req, res) => {
   console.log('==== [API] DELETE /api/nodes/:id request received ====');
   const { id } = req.params;
   
@@ -630,7 +760,10 @@ router.delete('/nodes/:id', (req, res) => {
  * @desc    Delete multiple nodes and their associated edges and tags in a single transaction
  * @access  Public
  */
-router.post('/nodes/delete-batch', (req, res) => {
+router.post('/nodes/delete-batch', recordHistory(req => Array.isArray(req.body.nodeIds) ? {
+  label: `Delete ${req.body.nodeIds.length} memories`,
+  scope: { nodeIds: req.body.nodeIds }
+} : null), (req, res) => {
   console.log('==== [API] POST /api/nodes/delete-batch request received ====');
   const { nodeIds } = req.body;
   
@@ -745,7 +878,10 @@ router.post('/nodes/delete-batch', (req, res) => {
  * @desc    Add one or more tags to a node
  * @access  Public
  */
-router.post('/tags', (req, res) => {
+router.post('/tags', recordHistory(req => ({
+  label: 'Add tags',
+  scope: { nodeIds: [req.body.nodeId] }
+})), (req, res) => {
   const { nodeId, tags } = req.body;
   if (!nodeId || !tags || !Array.isArray(tags) || tags.length === 0) {
     return res.status(400).json({ error: 'Missing nodeId or tags' });
@@ -776,49 +912,316 @@ router.post('/tags', (req, res) => {
   });
 });
 
+/**
+ * @route   DELETE /nodes/:id/tags/:tag
+ * @desc    Remove a single tag from a node
+ * @access  Public
+ */
+router.delete('/nodes/:id/tags/:tag', recordHistory(req => ({
+  label: `Remove tag '${req.params.tag}'`,
+  scope: { nodeIds: [req.params.id] }
+})), (req, res) => {
+  console.log('==== [API] DELETE /api/nodes/:id/tags/:tag request received ====');
+  const { id, tag } = req.params;
+  
+  console.log(`[API] Removing tag '${tag}' from node ${id}`);
+  
+  dbService.executeWithRetry((db, callback) => {
+    db.run('DELETE FROM MEMORY_TAGS WHERE nodeId = ? AND tag = ?', [id, tag], function(err) {
+      if (err) {
+        callback(err);
+      } else {
+        callback(null, { changes: this.changes });
+      }
+    });
+  }, 3, (err, result) => {
+    if (err) {
+      console.error('[API] Error removing tag:', err.message);
+      return res.status(500).json({ error: err.message });
+    }
+    
+    if (result.changes === 0) {
+      console.log('[API] Tag not found on node');
+      return res.status(404).json({ error: 'Tag not found on node' });
+    }
+    
+    console.log(`[API] Removed tag '${tag}' from node ${id}`);
+    res.json({ success: true, nodeId: id, tag });
+  });
+});
+
+/**
+ * Move every use of the source tags to the target tag in a single transaction.
+ * Nodes that already have the target tag simply lose the source tags.
+ * @param {Array<string>} sourceTags - Tags to replace
+ * @param {string} targetTag - Tag to replace them with
+ * @param {function} callback - callback(err, { nodesAffected, targetExisted })
+ */
+function mergeTags(sourceTags, targetTag, callback) {
+  const placeholders = sourceTags.map(() => '?').join(', ');
+  
+  // On a connection of its own, so other requests stay out of the transaction
+  dbService.executeOnOwnConnection((db, cb) => {
+    db.run('BEGIN IMMEDIATE TRANSACTION', (err) => {
+      if (err) return cb(err);
+      
+      const fail = (err) => dbService.rollbackTransaction(db, err, cb);
+      
+      db.get(
+        `SELECT
+           (SELECT COUNT(DISTINCT nodeId) FROM MEMORY_TAGS WHERE tag IN (${placeholders})) AS nodesAffected,
+           (SELECT COUNT(*) FROM MEMORY_TAGS WHERE tag = ?) AS targetCount`,
+        [...sourceTags, targetTag],
+        (err, counts) => {
+          if (err) return fail(err);
+          
+          db.run(
+            `INSERT OR IGNORE INTO MEMORY_TAGS (nodeId, tag)
+             SELECT DISTINCT nodeId, ? FROM MEMORY_TAGS WHERE tag IN (${placeholders})`,
+            [targetTag, ...sourceTags],
+            (err) => {
+              if (err) return fail(err);
+              
+              db.run(`DELETE FROM MEMORY_TAGS WHERE tag IN (${placeholders})`, sourceTags, (err) => {
+                if (err) return fail(err);
+                
+                db.run('COMMIT', (err) => {
+                  if (err) return fail(err);
+                  cb(null, { nodesAffected: counts.nodesAffected, targetExisted: counts.targetCount > 0 });
+                });
+              });
+            }
+          );
+        }
+      );
+    });
+  }, 3, callback);
+}
+
+/**
+ * @route   POST /tags/rename
+ * @desc    Rename a tag on every node. Renaming to an existing tag merges the two.
+ * @access  Public
+ */
+router.post('/tags/rename', recordHistory(req => ({
+  label: `Rename tag '${req.body.from}'`,
+  scope: { tags: [req.body.from, req.body.to] }
+})), (req, res) => {
+  console.log('==== [API] POST /api/tags/rename request received ====');
+  console.log('[API] Request body:', JSON.stringify(req.body, null, 2));
+  
+  const from = typeof req.body.from === 'string' ? req.body.from : '';
+  const to = typeof req.body.to === 'string' ? req.body.to.trim() : '';
+  
+  if (!from || !to) {
+    console.log('[API] POST /api/tags/rename error: Missing from or to');
+    return res.status(400).json({ error: 'Missing from or to' });
+  }
+  
+  if (from === to) {
+    return res.json({ success: true, changed: false, tag: to, nodesAffected: 0 });
+  }
+  
+  mergeTags([from], to, (err, result) => {
+    if (err) {
+      console.error('[API] Error renaming tag:', err.message);
+      return res.status(500).json({ error: err.message });
+    }
+    
+    if (result.nodesAffected === 0) {
+      console.log(`[API] Tag '${from}' not found`);
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+    
+    console.log(`[API] Renamed tag '${from}' to '${to}' on ${result.nodesAffected} nodes`);
+    res.json({
+      success: true,
+      changed: true,
+      tag: to,
+      merged: result.targetExisted,
+      nodesAffected: result.nodesAffected
+    });
+  });
+});
+
+/**
+ * @route   POST /tags/merge
+ * @desc    Merge several tags into one target tag on every node
+ * @access  Public
+ */
+router.post('/tags/merge', recordHistory(req => Array.isArray(req.body.tags) ? {
+  label: `Merge tags into '${req.body.into}'`,
+  scope: { tags: [...req.body.tags, req.body.into] }
+} : null), (req, res) => {
+  console.log('==== [API] POST /api/tags/merge request received ====');
+  console.log('[API] Request body:', JSON.stringify(req.body, null, 2));
+  
+  const { tags } = req.body;
+  const into = typeof req.body.into === 'string' ? req.body.into.trim() : '';
+  
+  if (!into || !Array.isArray(tags) || tags.length === 0 || tags.some(tag => typeof tag !== 'string' || !tag)) {
+    console.log('[API] POST /api/tags/merge error: Missing or invalid tags or target');
+    return res.status(400).json({ error: 'Missing or invalid tags or target' });
+  }
+  
+  const sourceTags = [...new Set(tags)].filter(tag => tag !== into);
+  if (sourceTags.length === 0) {
+    return res.json({ success: true, changed: false, tag: into, nodesAffected: 0 });
+  }
+  
+  mergeTags(sourceTags, into, (err, result) => {
+    if (err) {
+      console.error('[API] Error merging tags:', err.message);
+      return res.status(500).json({ error: err.message });
+    }
+    
+    console.log(`[API] Merged tags ${JSON.stringify(sourceTags)} into '${into}' on ${result.nodesAffected} nodes`);
+    res.json({
+      success: true,
+      changed: result.nodesAffected > 0,
+      tag: into,
+      merged: sourceTags,
+      nodesAffected: result.nodesAffected
+    });
+  });
+});
+
+// ISO-8601 date and time with a UTC offset, e.g. 2024-01-31T12:00:00Z
+const ISO_TIMESTAMP_PATTERN = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2})(?:\.\d{1,3})?)?(?:Z|[+-]\d{2}:\d{2})$/;
+
+/**
+ * Check that a value is an ISO-8601 timestamp naming a real date and time
+ * @param {*} value - Value sent by the client
+ * @returns {boolean} - True if it is a valid timestamp
+ */
+function isIsoTimestamp(value) {
+  const match = typeof value === 'string' && value.match(ISO_TIMESTAMP_PATTERN);
+  if (!match || isNaN(new Date(value).getTime())) return false;
+
+  // Dates like February 30th parse by rolling over, so they don't come back the same
+  const [, year, month, day, hour, minute, second = '00'] = match;
+  const written = `${year}-${month}-${day}T${hour}:${minute}:${second}`;
+  const utc = new Date(Date.UTC(+year, month - 1, +day, +hour, +minute, +second));
+  return +year >= 1000 && utc.toISOString().slice(0, 19) === written;
+}
+
 /**
  * @route   PUT /nodes/:id
- * @desc    Update a node's content
+ * @desc    Update a node's content, summary, path and/or timestamp. Send the
+ *          revision from GET /nodes/:id as an If-Match header (or `revision`
+ *          field); if the node has changed since, responds 409 with the current node.
+ *          Without a revision it responds 428; `If-Match: *` explicitly opts out
+ *          of the check and overwrites whatever is stored.
  * @access  Public
  */
-router.put('/nodes/:id', (req, res) => {
+router.put('/nodes/:id', recordHistory(req => ({
+  label: 'Edit memory',
+  scope: { nodeIds: [req.params.id] }
+})), (req, res) => {
   console.log('==== [API] PUT /api/nodes/:id request received ====');
   console.log('[API] Node ID:', req.params.id);
   console.log('[API] Request body:', JSON.stringify(req.body, null, 2));
   
   const nodeId = req.params.id;
-  const { content } = req.body;
+  const expectedRevision = getExpectedRevision(req);
   
-  // Validate required fields
-  if (!nodeId || content === undefined) {
-    console.log('[API] PUT /api/nodes/:id error: Missing required fields');
-    return res.status(400).json({ error: 'Missing required fields' });
+  // Only these fields can be edited here; domain moves go through update-domain
+  const updates = {};
+  EDITABLE_NODE_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) {
+      updates[field] = req.body[field];
+    }
+  });
+  
+  const errors = validateRecord('MEMORY_NODES', updates, { partial: true });
+  Object.keys(req.body).forEach(key => {
+    if (!EDITABLE_NODE_FIELDS.includes(key) && key !== 'revision') {
+      errors.push(`Field '${key}' cannot be edited here`);
+    }
+  });
+  if (updates.timestamp !== undefined && !isIsoTimestamp(updates.timestamp)) {
+    errors.push("Field 'timestamp' must be an ISO-8601 date and time, such as 2024-01-31T12:00:00Z");
+  }
+  if (Object.keys(updates).length === 0) {
+    errors.push('No fields to update');
+  }
+  
+  if (errors.length > 0) {
+    console.log('[API] PUT /api/nodes/:id validation failed:', errors);
+    return res.status(400).json({ error: 'Invalid node update', details: errors });
   }
   
-  // Update the node content
-  const updateQuery = `UPDATE MEMORY_NODES SET content = ? WHERE id = ?`;
+  if (!expectedRevision) {
+    console.log('[API] PUT /api/nodes/:id rejected: no revision sent');
+    return res.status(428).json({
+      error: 'Revision required',
+      details: ["Send the node's revision as an If-Match header or 'revision' field, or If-Match: * to overwrite it"]
+    });
+  }
   
   dbService.executeWithRetry((db, callback) => {
-    db.run(updateQuery, [content, nodeId], function(err) {
-      if (err) {
-        callback(err);
-      } else {
-        callback(null, { changes: this.changes });
+    db.get('SELECT * FROM MEMORY_NODES WHERE id = ?', [nodeId], (err, current) => {
+      if (err) return callback(err);
+      if (!current) return callback(null, { status: 404 });
+      
+      const currentRevision = getNodeRevision(current);
+      if (expectedRevision !== '*' && expectedRevision !== currentRevision) {
+        return callback(null, { status: 409, current });
       }
+      
+      // Only write if the row still matches what we compared against, so a
+      // concurrent write from another connection can't be silently overwritten
+      const fields = Object.keys(updates);
+      const unchanged = REVISION_FIELDS.map(field => `${field} IS ?`).join(' AND ');
+      const updateQuery = `
+        UPDATE MEMORY_NODES SET ${fields.map(field => `${field} = ?`).join(', ')}
+        WHERE id = ? AND ${unchanged}
+      `;
+      const params = [
+        ...fields.map(field => updates[field]),
+        nodeId,
+        ...REVISION_FIELDS.map(field => current[field])
+      ];
+      
+      db.run(updateQuery, params, function(err) {
+        if (err) return callback(err);
+        
+        if (this.changes === 0) {
+          // Lost the race; report whatever is there now
+          return db.get('SELECT * FROM MEMORY_NODES WHERE id = ?', [nodeId], (readErr, latest) => {
+            if (readErr) return callback(readErr);
+            callback(null, latest ? { status: 409, current: latest } : { status: 404 });
+          });
+        }
+        
+        callback(null, { status: 200, node: { ...current, ...updates } });
+      });
     });
   }, 3, (err, result) => {
     if (err) {
-      console.error('[API] Error updating node content:', err.message);
+      console.error('[API] Error updating node:', err.message);
       return res.status(500).json({ error: err.message });
     }
     
-    if (result.changes === 0) {
+    if (result.status === 404) {
       console.log('[API] Node not found:', nodeId);
       return res.status(404).json({ error: 'Node not found' });
     }
     
-    console.log('[API] Node content updated successfully:', nodeId);
-    res.json({ success: true, nodeId });
+    if (result.status === 409) {
+      const revision = getNodeRevision(result.current);
+      console.log(`[API] Node ${nodeId} was modified concurrently (expected ${expectedRevision}, now ${revision})`);
+      res.set('ETag', `"${revision}"`);
+      return res.status(409).json({
+        error: 'Node has been modified since it was loaded',
+        current: { ...result.current, revision }
+      });
+    }
+    
+    const revision = getNodeRevision(result.node);
+    console.log('[API] Node updated successfully:', nodeId, Object.keys(updates));
+    res.set('ETag', `"${revision}"`);
+    res.json({ success: true, nodeId, node: { ...result.node, revision } });
   });
 });
 
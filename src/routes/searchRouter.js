@@ -0,0 +1,49 @@
+/**
+ * Search Router
+ * 
+ * Handles full-text search over memory nodes
+ */
+
+const express = require('express');
+const router = express.Router();
+const dbService = require('../db/dbService');
+
+// Result limits for GET /search
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * @route   GET /search
+ * @desc    Search node content, summaries and tags. Query: q (required), limit.
+ *          Results are ranked best-first; snippets are HTML with matches in <mark>.
+ * @access  Public
+ */
+router.get('/search', (req, res) => {
+  // A repeated or bracketed q (?q=a&q=b, ?q[x]=a) is parsed into an array or object
+  if (req.query.q !== undefined && typeof req.query.q !== 'string') {
+    console.log('[API] GET /api/search error: q is not a single string');
+    return res.status(400).json({ error: 'Search query must be a single string' });
+  }
+
+  const query = (req.query.q || '').trim();
+  // SQLite treats a negative LIMIT as no limit at all
+  const limit = Math.max(1, Math.min(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT));
+  
+  console.log(`[API] GET /api/search request received: "${query}" (limit ${limit})`);
+  
+  if (!query) {
+    return res.status(400).json({ error: 'Missing search query' });
+  }
+  
+  dbService.searchNodes(query, limit, (err, results) => {
+    if (err) {
+      console.error('[API] Error searching nodes:', err.message);
+      return res.status(500).json({ error: err.message });
+    }
+    
+    console.log(`[API] Search for "${query}" returned ${results.length} results`);
+    res.json({ query, results });
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,93 @@
+/**
+ * Snapshot Router
+ *
+ * Handles taking, listing, restoring and deleting database snapshots
+ */
+
+const express = require('express');
+const router = express.Router();
+const snapshots = require('../db/snapshots');
+
+/**
+ * @route   GET /db/snapshots
+ * @desc    List the current database's snapshots, newest first, with size and graph stats
+ * @access  Public
+ */
+router.get('/db/snapshots', (req, res) => {
+  console.log('==== [API] GET /api/db/snapshots request received ====');
+
+  snapshots.listSnapshots((err, list) => {
+    if (err) {
+      console.error('[API] Error listing snapshots:', err.message);
+      return res.status(err.status || 500).json({ error: err.message });
+    }
+
+    console.log(`[API] Found ${list.length} snapshots`);
+    res.json({
+      directory: snapshots.getSnapshotDir(),
+      snapshots: list,
+      schedule: snapshots.getSchedule()
+    });
+  });
+});
+
+/**
+ * @route   POST /db/snapshots
+ * @desc    Take a snapshot of the current database with the online backup API
+ * @access  Public
+ */
+router.post('/db/snapshots', (req, res) => {
+  console.log('==== [API] POST /api/db/snapshots request received ====');
+
+  snapshots.createSnapshot('manual', (err, snapshot) => {
+    if (err) {
+      console.error('[API] Error creating snapshot:', err.message);
+      return res.status(err.status || 500).json({ error: err.message });
+    }
+
+    console.log(`[API] Snapshot ${snapshot.id} created (${snapshot.size} bytes)`);
+    res.status(201).json(snapshot);
+  });
+});
+
+/**
+ * @route   POST /db/snapshots/:id/restore
+ * @desc    Replace the current database's contents with a snapshot. A pre-restore
+ *          snapshot is taken first and the undo history is cleared.
+ * @access  Public
+ */
+router.post('/db/snapshots/:id/restore', (req, res) => {
+  const { id } = req.params;
+  console.log(`==== [API] POST /api/db/snapshots/${id}/restore request received ====`);
+
+  snapshots.restoreSnapshot(id, (err, result) => {
+    if (err) {
+      console.error('[API] Error restoring snapshot:', err.message);
+      return res.status(err.status || 500).json({ error: err.message });
+    }
+
+    console.log(`[API] Snapshot ${id} restored, previous contents kept as ${result.backup.id}`);
+    res.json({ success: true, ...result });
+  });
+});
+
+/**
+ * @route   DELETE /db/snapshots/:id
+ * @desc    Delete a snapshot
+ * @access  Public
+ */
+router.delete('/db/snapshots/:id', (req, res) => {
+  const { id } = req.params;
+  console.log(`==== [API] DELETE /api/db/snapshots/${id} request received ====`);
+
+  snapshots.deleteSnapshot(id, (err) => {
+    if (err) {
+      console.error('[API] Error deleting snapshot:', err.message);
+      return res.status(err.status || 500).json({ error: err.message });
+    }
+
+    res.json({ success: true, id });
+  });
+});
+
+module.exports = router;
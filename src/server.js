@@ -10,30 +10,65 @@ const http = require('http');
 const path = require('path');
 const config = require('./config');
 
+// Import authentication
+const tokenAuth = require('./auth/tokenAuth');
+
 // Import route modules
+const authRouter = require('./routes/authRouter');
 const graphRouter = require('./routes/graphRouter');
 const databaseRouter = require('./routes/databaseRouter');
 const filesRouter = require('./routes/filesRouter');
 const nodeEdgeRouter = require('./routes/nodeEdgeRouter');
+const searchRouter = require('./routes/searchRouter');
+const historyRouter = require('./routes/historyRouter');
+const domainRefRouter = require('./routes/domainRefRouter');
+const exportRouter = require('./routes/exportRouter');
+const importRouter = require('./routes/importRouter');
+const snapshotRouter = require('./routes/snapshotRouter');
+const controlRouter = require('./routes/controlRouter');
 
 // Import WebSocket server
 const wsServer = require('./websocket/wsServer');
 
+// Import snapshot scheduling
+const snapshots = require('./db/snapshots');
+
 // Create Express application
 const app = express();
 
 // Create HTTP server using Express app
 const server = http.createServer(app);
 
+// Check API tokens first, so uploads are not parsed for rejected requests;
+// read-only tokens may only make requests that change nothing
+app.use('/api', tokenAuth.authenticate, tokenAuth.rejectReadOnlyMutations);
+
+// Imports upload whole vaults, so they get a larger body limit and accept raw zip archives
+app.use('/api/import', express.json({ limit: '50mb' }), express.raw({
+  type: ['application/zip', 'application/x-zip-compressed', 'application/octet-stream'],
+  limit: '50mb'
+}));
+
+// Large domain imports should be streamed as NDJSON, but JSON exports can still be sizeable
+app.use('/api/domains/import', express.json({ limit: '50mb' }));
+
 // Middleware for parsing JSON and serving static files
 app.use(express.json());
 app.use(express.static(config.publicDir));
 
 // API Routes
+app.use('/api', authRouter);          // Token login and status
 app.use('/api', graphRouter);         // Graph data endpoints
 app.use('/api', databaseRouter);      // Database management endpoints
 app.use('/api', filesRouter);         // File system operations
 app.use('/api', nodeEdgeRouter);      // Node and edge operations
+app.use('/api', searchRouter);        // Full-text search
+app.use('/api', historyRouter);       // Undo/redo
+app.use('/api', domainRefRouter);     // Cross-domain references
+app.use('/api', exportRouter);        // GraphML/GEXF/Markdown export
+app.use('/api', importRouter);        // Markdown vault import
+app.use('/api', snapshotRouter);      // Database snapshots
+app.use('/api', controlRouter);       // Steering the open interfaces
 
 // Initialize WebSocket server
 wsServer.initWebSocketServer(server);
@@ -42,6 +77,9 @@ wsServer.initWebSocketServer(server);
 server.listen(config.port, () => {
   console.log(`Server is running on http://localhost:${config.port}`);
   console.log(`WebSocket server is available at ws://localhost:${config.port}`);
+
+  // Take automatic snapshots, if configured
+  snapshots.startSnapshotSchedule();
 });
 
 // Handle process termination
@@ -51,6 +89,9 @@ process.on('SIGINT', () => {
   // Close WebSocket server
   wsServer.shutdownWebSocketServer();
   
+  // Stop automatic snapshots
+  snapshots.stopSnapshotSchedule();
+  
   // Close HTTP server
   server.close(() => {
     console.log('HTTP server closed');
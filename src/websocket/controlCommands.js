@@ -0,0 +1,164 @@
+/**
+ * Control Commands Module
+ *
+ * Validates the commands external processes (such as agents writing through
+ * the MCP) send to steer the connected browsers, over the WebSocket or with
+ * POST /api/control. Browsers receive them as 'control_command' messages on
+ * the control topic.
+ *
+ * Commands:
+ *   focus_node    { nodeId }                        - fly the camera to a node
+ *   show_details  { nodeId }                        - select a node and open the info panel
+ *   highlight     { nodeIds, links, duration }      - highlight nodes and links; empty clears
+ *   filter        { domains, tags, nodeIds }        - only show matching nodes; empty clears
+ *   toast         { message, level, duration }      - show a short message
+ */
+
+const CONTROL_COMMANDS = ['focus_node', 'show_details', 'highlight', 'filter', 'toast'];
+const TOAST_LEVELS = ['info', 'success', 'warning', 'error'];
+
+// Limits on what a command may carry
+const MAX_IDS = 500;
+const MAX_MESSAGE_LENGTH = 500;
+const MAX_DURATION = 10 * 60 * 1000; // 10 minutes
+
+/**
+ * Create a validation error
+ * @param {string} message - Error message
+ * @returns {Error} - Error with status 400
+ */
+function commandError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/**
+ * Check a list of ids
+ * @param {*} value - Value sent by the client
+ * @param {string} field - Field name, for error messages
+ * @returns {Array<string>} - The ids, empty if the field was left out
+ * @throws {Error} - With status 400 if it is not a list of strings
+ */
+function toIdList(value, field) {
+  if (value === undefined || value === null) return [];
+
+  if (!Array.isArray(value) || !value.every(id => typeof id === 'string' && id)) {
+    throw commandError(`'${field}' must be a list of ids`);
+  }
+  if (value.length > MAX_IDS) {
+    throw commandError(`'${field}' may hold at most ${MAX_IDS} ids`);
+  }
+  return Array.from(new Set(value));
+}
+
+/**
+ * Check a node id
+ * @param {*} value - Value sent by the client
+ * @returns {string} - The node id
+ * @throws {Error} - With status 400 if it is missing
+ */
+function toNodeId(value) {
+  if (typeof value !== 'string' || !value) {
+    throw commandError("'nodeId' is required");
+  }
+  return value;
+}
+
+/**
+ * Check a duration in milliseconds
+ * @param {*} value - Value sent by the client
+ * @param {number} defaultValue - Duration when left out (0 keeps it until replaced)
+ * @returns {number} - Duration in milliseconds
+ * @throws {Error} - With status 400 if it is not a number in range
+ */
+function toDuration(value, defaultValue) {
+  if (value === undefined || value === null) return defaultValue;
+
+  if (!Number.isFinite(value) || value < 0 || value > MAX_DURATION) {
+    throw commandError(`'duration' must be between 0 and ${MAX_DURATION} milliseconds`);
+  }
+  return Math.round(value);
+}
+
+/**
+ * Check a list of links, given by their endpoints
+ * @param {*} value - Value sent by the client
+ * @returns {Array<Object>} - Links as { source, target, type }
+ * @throws {Error} - With status 400 if a link has no source or target
+ */
+function toLinkList(value) {
+  if (value === undefined || value === null) return [];
+
+  if (!Array.isArray(value) || value.length > MAX_IDS) {
+    throw commandError(`'links' must be a list of at most ${MAX_IDS} links`);
+  }
+
+  return value.map(link => {
+    if (!link || typeof link.source !== 'string' || typeof link.target !== 'string') {
+      throw commandError("Each link needs a 'source' and a 'target' node id");
+    }
+    return {
+      source: link.source,
+      target: link.target,
+      type: typeof link.type === 'string' ? link.type : null
+    };
+  });
+}
+
+/**
+ * Validate a control command, keeping only the fields it uses
+ * @param {Object} data - { command, ...parameters }
+ * @returns {Object} - The normalized command
+ * @throws {Error} - With status 400 if the command is unknown or malformed
+ */
+function parseControlCommand(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw commandError('Command must be an object');
+  }
+
+  switch (data.command) {
+    case 'focus_node':
+    case 'show_details':
+      return { command: data.command, nodeId: toNodeId(data.nodeId) };
+
+    case 'highlight':
+      return {
+        command: 'highlight',
+        nodeIds: toIdList(data.nodeIds, 'nodeIds'),
+        links: toLinkList(data.links),
+        duration: toDuration(data.duration, 0)
+      };
+
+    case 'filter':
+      return {
+        command: 'filter',
+        domains: toIdList(data.domains, 'domains'),
+        tags: toIdList(data.tags, 'tags'),
+        nodeIds: toIdList(data.nodeIds, 'nodeIds')
+      };
+
+    case 'toast': {
+      if (typeof data.message !== 'string' || !data.message.trim()) {
+        throw commandError("'message' is required");
+      }
+      if (data.level !== undefined && !TOAST_LEVELS.includes(data.level)) {
+        throw commandError(`'level' must be one of: ${TOAST_LEVELS.join(', ')}`);
+      }
+      return {
+        command: 'toast',
+        message: data.message.trim().slice(0, MAX_MESSAGE_LENGTH),
+        level: data.level || 'info',
+        duration: toDuration(data.duration, 5000)
+      };
+    }
+
+    default:
+      throw commandError(`Unknown command: ${data.command}. Expected one of: ${CONTROL_COMMANDS.join(', ')}`);
+  }
+}
+
+module.exports = {
+  CONTROL_COMMANDS,
+  parseControlCommand
+};
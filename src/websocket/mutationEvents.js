@@ -0,0 +1,202 @@
+/**
+ * Mutation Events Module
+ *
+ * Turns the before and after images of a graph change (see db/history.js)
+ * into typed events that clients can apply to their live graph:
+ *   node_created / node_updated   - { node }, with the node's tags
+ *   node_deleted                  - { node }
+ *   edge_created / edge_updated /
+ *   edge_deleted                  - { edge } for MEMORY_EDGES rows, or
+ *                                   { ref } for cross-domain DOMAIN_REFS rows
+ *   tags_changed                  - { nodeId, domain, tags, added, removed } for
+ *                                   nodes that were neither created nor deleted
+ *   domain_changed                - { action: 'created'|'updated'|'deleted', domain }
+ * Every event also carries change: { label, action }, naming the operation and
+ * whether it was performed ('operation'), undone ('undo') or redone ('redo').
+ *
+ * Events are published to the topics of what they touch: node:<id> for each
+ * node and domain:<id> for each domain, before and after the change.
+ * domain_changed is also published to the database topic, so clients learn
+ * about domains they are not subscribed to yet.
+ */
+
+const dbService = require('../db/dbService');
+const { rowKey } = require('../db/history');
+
+// Changes producing more events than this are left to the database_changed
+// notification, which clients answer with a single delta sync
+const MAX_EVENTS_PER_CHANGE = 500;
+
+/**
+ * Compare the rows of one table in two images
+ * @param {string} table - Table name
+ * @param {Object} before - Image before the change
+ * @param {Object} after - Image after the change
+ * @returns {Object} - { created, updated, deleted } lists of rows; updated entries are { row, previous }
+ */
+function diffTable(table, before, after) {
+  const beforeRows = new Map((before[table] || []).map(row => [rowKey(table, row), row]));
+  const afterRows = new Map((after[table] || []).map(row => [rowKey(table, row), row]));
+  const serialize = row => JSON.stringify(row, Object.keys(row).sort());
+
+  const created = [];
+  const updated = [];
+  const deleted = [];
+
+  afterRows.forEach((row, key) => {
+    const previous = beforeRows.get(key);
+    if (!previous) {
+      created.push(row);
+    } else if (serialize(previous) !== serialize(row)) {
+      updated.push({ row, previous });
+    }
+  });
+
+  beforeRows.forEach((row, key) => {
+    if (!afterRows.has(key)) {
+      deleted.push(row);
+    }
+  });
+
+  return { created, updated, deleted };
+}
+
+/**
+ * Group the tag rows of an image by node
+ * @param {Array<Object>} rows - MEMORY_TAGS rows
+ * @returns {Map} - Map of node id to sorted tag names
+ */
+function tagsByNode(rows) {
+  const tags = new Map();
+  (rows || []).forEach(row => {
+    if (!tags.has(row.nodeId)) {
+      tags.set(row.nodeId, []);
+    }
+    tags.get(row.nodeId).push(row.tag);
+  });
+  tags.forEach(list => list.sort());
+  return tags;
+}
+
+/**
+ * Build the topics of the nodes and domains an event touches
+ * @param {Array<string>} nodeIds - Node ids
+ * @param {Array<string>} domains - Domain ids
+ * @returns {Array<string>} - Unique topics
+ */
+function topicsFor(nodeIds, domains) {
+  return [...new Set([
+    ...nodeIds.filter(Boolean).map(id => `node:${id}`),
+    ...domains.filter(Boolean).map(id => `domain:${id}`)
+  ])];
+}
+
+/**
+ * Build the events describing a graph change
+ * @param {Object} mutation - { label, action, before, after } from history.addMutationListener
+ * @returns {Array<Object>|null} - Events as { type, data, topics }, or null if there are too many
+ */
+function toMutationEvents(mutation) {
+  const { label, action, before, after } = mutation;
+  const events = [];
+  const add = (type, data, topics) => events.push({ type, data: { ...data, change: { label, action } }, topics });
+
+  const afterTags = tagsByNode(after.MEMORY_TAGS);
+  const beforeTags = tagsByNode(before.MEMORY_TAGS);
+
+  // Domains first, so clients know a domain before its nodes arrive
+  const domains = diffTable('DOMAINS', before, after);
+  domains.created.forEach(domain => add('domain_changed', { action: 'created', domain },
+    ['database', ...topicsFor([], [domain.id])]));
+  domains.updated.forEach(({ row }) => add('domain_changed', { action: 'updated', domain: row },
+    ['database', ...topicsFor([], [row.id])]));
+
+  const nodes = diffTable('MEMORY_NODES', before, after);
+  const createdNodeIds = new Set(nodes.created.map(node => node.id));
+  const deletedNodeIds = new Set(nodes.deleted.map(node => node.id));
+
+  // Domain of every node either image knows, for tag events
+  const nodeDomains = new Map();
+  [...(before.MEMORY_NODES || []), ...(after.MEMORY_NODES || [])].forEach(node => nodeDomains.set(node.id, node.domain));
+
+  nodes.created.forEach(node => add('node_created', { node: { ...node, tags: afterTags.get(node.id) || [] } },
+    topicsFor([node.id], [node.domain])));
+  nodes.updated.forEach(({ row, previous }) => add('node_updated', { node: { ...row, tags: afterTags.get(row.id) || [] } },
+    topicsFor([row.id], [row.domain, previous.domain])));
+
+  // Tag changes of nodes that exist both before and after
+  const tagNodeIds = new Set();
+  const tags = diffTable('MEMORY_TAGS', before, after);
+  [...tags.created, ...tags.deleted].forEach(row => tagNodeIds.add(row.nodeId));
+  tagNodeIds.forEach(nodeId => {
+    if (createdNodeIds.has(nodeId) || deletedNodeIds.has(nodeId)) return;
+
+    const previous = beforeTags.get(nodeId) || [];
+    const current = afterTags.get(nodeId) || [];
+    // The domain is filled in by addTagEventDomains if neither image has the node
+    const domain = nodeDomains.get(nodeId) || null;
+    add('tags_changed', {
+      nodeId,
+      domain,
+      tags: current,
+      added: current.filter(tag => !previous.includes(tag)),
+      removed: previous.filter(tag => !current.includes(tag))
+    }, topicsFor([nodeId], [domain]));
+  });
+
+  const edgeTopics = (edge, previous = edge) =>
+    topicsFor([edge.source, edge.target], [edge.domain, previous.domain]);
+  const edges = diffTable('MEMORY_EDGES', before, after);
+  edges.created.forEach(edge => add('edge_created', { edge }, edgeTopics(edge)));
+  edges.updated.forEach(({ row, previous }) => add('edge_updated', { edge: row }, edgeTopics(row, previous)));
+  edges.deleted.forEach(edge => add('edge_deleted', { edge }, edgeTopics(edge)));
+
+  const refTopics = (ref, previous = ref) => topicsFor([ref.nodeId, ref.targetNodeId],
+    [ref.domain, ref.targetDomain, previous.domain, previous.targetDomain]);
+  const refs = diffTable('DOMAIN_REFS', before, after);
+  refs.created.forEach(ref => add('edge_created', { ref }, refTopics(ref)));
+  refs.updated.forEach(({ row, previous }) => add('edge_updated', { ref: row }, refTopics(row, previous)));
+  refs.deleted.forEach(ref => add('edge_deleted', { ref }, refTopics(ref)));
+
+  // Deleted nodes and domains last, after the edges that pointed at them
+  nodes.deleted.forEach(node => add('node_deleted', { node }, topicsFor([node.id], [node.domain])));
+  domains.deleted.forEach(domain => add('domain_changed', { action: 'deleted', domain },
+    ['database', ...topicsFor([], [domain.id])]));
+
+  if (events.length > MAX_EVENTS_PER_CHANGE) {
+    return null;
+  }
+  return events;
+}
+
+/**
+ * Look up the domain of tags_changed events whose node was not in the images,
+ * e.g. after renaming a tag across the database
+ * @param {Array<Object>} events - Events from toMutationEvents
+ * @param {function} callback - callback(err, events)
+ */
+function addTagEventDomains(events, callback) {
+  const missing = events.filter(event => event.type === 'tags_changed' && !event.data.domain);
+  if (missing.length === 0) {
+    return callback(null, events);
+  }
+
+  const nodeIds = [...new Set(missing.map(event => event.data.nodeId))];
+  dbService.executeWithRetry((db, cb) => {
+    db.all(`SELECT id, domain FROM MEMORY_NODES WHERE id IN (${nodeIds.map(() => '?').join(', ')})`, nodeIds, cb);
+  }, 3, (err, rows) => {
+    if (err) return callback(err);
+
+    const domains = new Map(rows.map(row => [row.id, row.domain]));
+    missing.forEach(event => {
+      event.data.domain = domains.get(event.data.nodeId) || null;
+      event.topics = topicsFor([event.data.nodeId], [event.data.domain]);
+    });
+    callback(null, events);
+  });
+}
+
+module.exports = {
+  toMutationEvents,
+  addTagEventDomains
+};
@@ -0,0 +1,105 @@
+/**
+ * Presence Module
+ *
+ * Validates the presence clients publish (display name, selection and camera
+ * pose) and describes it for the other clients on the presence topic.
+ */
+
+// Colors given to connected clients in turn, so everyone sees the same color for a user
+const PRESENCE_COLORS = [
+  '#ff6b6b', '#4ecdc4', '#ffd93d', '#a78bfa', '#6bcb77',
+  '#ff9f43', '#54a0ff', '#f368e0', '#00d2d3', '#c8d6e5'
+];
+
+// Limits on what a client may publish
+const MAX_NAME_LENGTH = 40;
+const MAX_SELECTED_NODES = 200;
+
+let nextColorIndex = 0;
+
+/**
+ * Pick the color for a newly connected client
+ * @returns {string} - CSS color
+ */
+function assignColor() {
+  const color = PRESENCE_COLORS[nextColorIndex % PRESENCE_COLORS.length];
+  nextColorIndex++;
+  return color;
+}
+
+/**
+ * Check a point sent by a client
+ * @param {*} point - Value to check
+ * @returns {Object|null} - { x, y, z }, or null if it is not a finite point
+ */
+function toPoint(point) {
+  if (!point || typeof point !== 'object') return null;
+
+  const { x, y, z } = point;
+  return [x, y, z].every(Number.isFinite) ? { x, y, z } : null;
+}
+
+/**
+ * Validate a presence update, keeping only well-formed fields
+ * @param {Object} data - data of a 'presence_update' message
+ * @param {Object} previous - The client's presence so far
+ * @returns {Object} - { name, selectedNodeId, selectedNodeIds, camera }
+ */
+function sanitizePresence(data = {}, previous = {}) {
+  const presence = {
+    name: previous.name || null,
+    selectedNodeId: previous.selectedNodeId || null,
+    selectedNodeIds: previous.selectedNodeIds || [],
+    camera: previous.camera || null
+  };
+
+  if (typeof data.name === 'string' && data.name.trim()) {
+    presence.name = data.name.trim().slice(0, MAX_NAME_LENGTH);
+  }
+
+  // Fields sent as null are cleared; fields left out keep their value
+  if (data.selectedNodeId === null || typeof data.selectedNodeId === 'string') {
+    presence.selectedNodeId = data.selectedNodeId;
+  }
+
+  if (Array.isArray(data.selectedNodeIds)) {
+    presence.selectedNodeIds = data.selectedNodeIds
+      .filter(id => typeof id === 'string')
+      .slice(0, MAX_SELECTED_NODES);
+  }
+
+  if (data.camera === null) {
+    presence.camera = null;
+  } else if (data.camera) {
+    const position = toPoint(data.camera.position);
+    const target = toPoint(data.camera.target);
+    if (position && target) {
+      presence.camera = { position, target };
+    }
+  }
+
+  return presence;
+}
+
+/**
+ * Describe a client's presence for other clients
+ * @param {Object} client - Client record from wsServer
+ * @returns {Object} - { clientId, name, color, role, ...presence }
+ */
+function describePresence(client) {
+  return {
+    clientId: client.id,
+    name: client.presence.name || `Guest ${client.id.slice(-4)}`,
+    color: client.color,
+    role: client.role,
+    selectedNodeId: client.presence.selectedNodeId,
+    selectedNodeIds: client.presence.selectedNodeIds,
+    camera: client.presence.camera
+  };
+}
+
+module.exports = {
+  assignColor,
+  sanitizePresence,
+  describePresence
+};
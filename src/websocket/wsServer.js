@@ -2,15 +2,46 @@
  * WebSocket Server Module
  * 
  * Provides real-time communication capabilities for the application.
+ * 
+ * Clients receive change notifications only for the topics they subscribe to:
+ *   database      - database_changed, and domain_changed for every domain
+ *   domain:<id>   - mutation events touching a domain
+ *   node:<id>     - mutation events touching a node
+ *   import:<id>   - progress of a streamed import
+ *   presence      - the display name, selection and camera of other clients
+ *   control       - commands from external processes that steer the interface
+ * 
+ * Change notifications (database_changed and mutation events) carry a
+ * sequence number and are kept in a bounded replay buffer. A reconnecting
+ * client sends 'resume' with the last sequence number it saw to receive what
+ * it missed, or is told to reload if that is no longer in the buffer.
  */
 
 const WebSocket = require('ws');
 const dbService = require('../db/dbService');
+const changeJournal = require('../db/changeJournal');
+const history = require('../db/history');
+const tokenAuth = require('../auth/tokenAuth');
+const { toMutationEvents, addTagEventDomains } = require('./mutationEvents');
+const presence = require('./presence');
+const { parseControlCommand } = require('./controlCommands');
 
 // Map to store active connections
 const clients = new Map();
+
+// Topics clients can subscribe to
+const TOPIC_PATTERN = /^(database|presence|control|(domain|node|import):.+)$/;
+
+// Number of change notifications kept for reconnecting clients
+const REPLAY_BUFFER_SIZE = 1000;
+
+// Sequence numbers restart with the server; the epoch tells clients when they did
+const epoch = Date.now().toString(36);
+let sequence = 0;
+const replayBuffer = [];
 let wsServer = null;
 let databaseChangeUnsubscribe = null;
+let mutationUnsubscribe = null;
 
 /**
  * Initialize WebSocket server
@@ -24,8 +55,9 @@ function initWebSocketServer(server) {
 
   console.log('Initializing WebSocket server');
   
-  // Create WebSocket server attached to the HTTP server
-  wsServer = new WebSocket.Server({ server });
+  // Create WebSocket server attached to the HTTP server, checking the token
+  // of every upgrade request as for the API
+  wsServer = new WebSocket.Server({ server, verifyClient });
   
   // Handle new connections
   wsServer.on('connection', (ws, req) => {
@@ -39,7 +71,11 @@ function initWebSocketServer(server) {
       id: clientId,
       connection: ws,
       ip,
-      connectedAt: new Date()
+      role: req.auth.role,
+      connectedAt: new Date(),
+      subscriptions: [],
+      color: presence.assignColor(),
+      presence: null
     });
     
     // Send initial connection confirmation
@@ -48,6 +84,9 @@ function initWebSocketServer(server) {
       data: {
         id: clientId,
         connected: true,
+        role: req.auth.role,
+        epoch,
+        seq: sequence,
         serverTime: new Date().toISOString()
       }
     });
@@ -73,7 +112,7 @@ function initWebSocketServer(server) {
     // Handle client disconnection
     ws.on('close', () => {
       console.log(`[WebSocket] Client disconnected: ${clientId}`);
-      clients.delete(clientId);
+      removeClient(clientId);
       
       // Log active connections
       console.log(`[WebSocket] Active connections: ${clients.size}`);
@@ -82,7 +121,7 @@ function initWebSocketServer(server) {
     // Handle errors
     ws.on('error', (error) => {
       console.error(`[WebSocket] Error with client ${clientId}:`, error.message);
-      clients.delete(clientId);
+      removeClient(clientId);
     });
     
     // Log active connections
@@ -92,6 +131,9 @@ function initWebSocketServer(server) {
   // Register for database change notifications
   setupDatabaseChangeListener();
   
+  // Register for changes made through the API
+  setupMutationListener();
+  
   // Handle server errors
   wsServer.on('error', (error) => {
     console.error('[WebSocket] Server error:', error.message);
@@ -101,6 +143,23 @@ function initWebSocketServer(server) {
   return wsServer;
 }
 
+/**
+ * Accept an upgrade request only if it carries a valid token
+ * @param {object} info - { origin, secure, req } from the ws library
+ * @param {function} callback - callback(accept, code, message)
+ */
+function verifyClient(info, callback) {
+  const auth = tokenAuth.authenticateRequest(info.req);
+  if (!auth) {
+    console.log(`[WebSocket] Rejected connection from ${info.req.socket.remoteAddress}: missing or invalid token`);
+    return callback(false, 401, 'Authentication required');
+  }
+
+  // Kept on the request for the connection handler
+  info.req.auth = auth;
+  callback(true);
+}
+
 /**
  * Set up database change listener
  */
@@ -111,22 +170,66 @@ function setupDatabaseChangeListener() {
     databaseChangeUnsubscribe = null;
   }
   
+  // Take the baseline snapshot for the change journal
+  changeJournal.capture();
+  
   // Register new listener
   databaseChangeUnsubscribe = dbService.addChangeListener((changeInfo) => {
     console.log('[WebSocket] Database change detected, notifying clients');
     
-    // Create notification message
-    const notification = {
-      type: 'database_changed',
-      data: {
-        timestamp: changeInfo.timestamp,
-        path: changeInfo.path,
-        serverTime: new Date().toISOString()
+    // Record what changed so clients can fetch just the delta
+    changeJournal.capture((err, result) => {
+      if (err) {
+        console.error('[WebSocket] Error recording database changes:', err.message);
       }
-    };
+      
+      // Create notification message
+      const notification = {
+        type: 'database_changed',
+        data: {
+          timestamp: changeInfo.timestamp,
+          path: changeInfo.path,
+          cursor: err ? null : result.cursor,
+          changeCount: err ? null : result.changeCount,
+          reset: err ? true : result.reset,
+          serverTime: new Date().toISOString()
+        }
+      };
+      
+      // Notify the clients following the database
+      publishChange(['database'], notification);
+    });
+  });
+}
+
+/**
+ * Set up the listener that broadcasts a typed event for every node, edge, tag
+ * and domain changed through the API, so clients can update their graph
+ * without fetching anything
+ */
+function setupMutationListener() {
+  if (mutationUnsubscribe) {
+    mutationUnsubscribe();
+    mutationUnsubscribe = null;
+  }
+  
+  mutationUnsubscribe = history.addMutationListener((mutation) => {
+    const events = toMutationEvents(mutation);
     
-    // Broadcast to all connected clients
-    broadcastMessage(notification);
+    // Very large changes (imports) are picked up by clients on database_changed
+    if (!events) {
+      console.log(`[WebSocket] "${mutation.label}" changed too much to broadcast as events`);
+      return;
+    }
+    
+    addTagEventDomains(events, (err) => {
+      if (err) {
+        console.error('[WebSocket] Error looking up domains for tag events:', err.message);
+      }
+      
+      console.log(`[WebSocket] Publishing ${events.length} mutation events for "${mutation.label}"`);
+      events.forEach(({ type, data, topics }) => publishChange(topics, { type, data }));
+    });
   });
 }
 
@@ -137,8 +240,10 @@ function setupDatabaseChangeListener() {
  * @param {object} message - Parsed message from client
  */
 function handleClientMessage(clientId, ws, message) {
-  // Log message type
-  console.log(`[WebSocket] Received message from client ${clientId}:`, message.type);
+  // Log message type (presence updates arrive several times a second while the camera moves)
+  if (message.type !== 'presence_update') {
+    console.log(`[WebSocket] Received message from client ${clientId}:`, message.type);
+  }
   
   switch (message.type) {
     case 'ping':
@@ -153,52 +258,20 @@ function handleClientMessage(clientId, ws, message) {
       break;
       
     case 'subscribe':
-      // Store subscription info with client
-      const client = clients.get(clientId);
-      if (client) {
-        client.subscriptions = client.subscriptions || [];
-        
-        // Add subscription if not already present
-        if (message.data?.topic && !client.subscriptions.includes(message.data.topic)) {
-          client.subscriptions.push(message.data.topic);
-          clients.set(clientId, client);
-          
-          console.log(`[WebSocket] Client ${clientId} subscribed to: ${message.data.topic}`);
-          
-          // Confirm subscription
-          sendToClient(ws, {
-            type: 'subscription_confirmed',
-            data: {
-              topic: message.data.topic,
-              active: true
-            }
-          });
-        }
-      }
+    case 'unsubscribe':
+      updateSubscriptions(clientId, ws, message.type === 'subscribe', message.data);
       break;
       
-    case 'unsubscribe':
-      // Remove subscription
-      const clientData = clients.get(clientId);
-      if (clientData && clientData.subscriptions) {
-        const topicIndex = clientData.subscriptions.indexOf(message.data?.topic);
-        
-        if (topicIndex !== -1) {
-          clientData.subscriptions.splice(topicIndex, 1);
-          clients.set(clientId, clientData);
-          
-          console.log(`[WebSocket] Client ${clientId} unsubscribed from: ${message.data.topic}`);
-          
-          // Confirm unsubscription
-          sendToClient(ws, {
-            type: 'subscription_confirmed',
-            data: {
-              topic: message.data.topic,
-              active: false
-            }
-          });
-        }
-      }
+    case 'resume':
+      resumeClient(clientId, ws, message.data);
+      break;
+      
+    case 'presence_update':
+      updatePresence(clientId, message.data);
+      break;
+      
+    case 'control':
+      handleControlMessage(clientId, ws, message.data);
       break;
       
     case 'get_database_status':
@@ -240,6 +313,216 @@ function handleClientMessage(clientId, ws, message) {
   }
 }
 
+/**
+ * Add or remove topics from a client's subscriptions. Topics are sent as
+ * data.topic, or as data.topics to change several at once.
+ * @param {string} clientId - ID of the client
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {boolean} active - True to subscribe, false to unsubscribe
+ * @param {object} data - Message data
+ */
+function updateSubscriptions(clientId, ws, active, data) {
+  const client = clients.get(clientId);
+  if (!client) return;
+  
+  const topics = Array.isArray(data?.topics) ? data.topics : [data?.topic];
+  const invalid = topics.filter(topic => typeof topic !== 'string' || !TOPIC_PATTERN.test(topic));
+  if (invalid.length > 0) {
+    sendToClient(ws, {
+      type: 'error',
+      data: {
+        message: `Unknown topic: ${invalid.join(', ')}`
+      }
+    });
+    return;
+  }
+  
+  topics.forEach(topic => {
+    const index = client.subscriptions.indexOf(topic);
+    if (active && index === -1) {
+      client.subscriptions.push(topic);
+    } else if (!active && index !== -1) {
+      client.subscriptions.splice(index, 1);
+    }
+  });
+  
+  console.log(`[WebSocket] Client ${clientId} ${active ? 'subscribed to' : 'unsubscribed from'}: ${topics.join(', ')}`);
+  
+  // Confirm the change
+  sendToClient(ws, {
+    type: 'subscription_confirmed',
+    data: {
+      topic: topics.length === 1 ? topics[0] : undefined,
+      topics,
+      active
+    }
+  });
+  
+  // New presence subscribers start from everyone already present
+  if (active && topics.includes('presence')) {
+    const users = [];
+    clients.forEach((other, otherId) => {
+      if (otherId !== clientId && other.presence) {
+        users.push(presence.describePresence(other));
+      }
+    });
+    
+    sendToClient(ws, {
+      type: 'presence_snapshot',
+      data: { users }
+    });
+  }
+}
+
+/**
+ * Replay the change notifications a reconnecting client missed, for the
+ * topics it has subscribed to again. If they are no longer all buffered (or
+ * the server restarted), the client is told to reload instead.
+ * @param {string} clientId - ID of the client
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {object} data - { epoch, lastSeq } from the client's previous connection
+ */
+function resumeClient(clientId, ws, data) {
+  const client = clients.get(clientId);
+  if (!client) return;
+  
+  const lastSeq = data?.lastSeq;
+  const oldestSeq = replayBuffer.length > 0 ? replayBuffer[0].seq : sequence + 1;
+  
+  let reason = null;
+  if (data?.epoch !== epoch || !Number.isInteger(lastSeq) || lastSeq > sequence) {
+    reason = 'restarted';
+  } else if (lastSeq < oldestSeq - 1) {
+    reason = 'expired';
+  }
+  
+  if (reason) {
+    console.log(`[WebSocket] Client ${clientId} cannot resume from ${data?.epoch}.${lastSeq}: ${reason}`);
+    sendToClient(ws, {
+      type: 'resume_failed',
+      data: { reason, epoch, seq: sequence }
+    });
+    return;
+  }
+  
+  const missed = replayBuffer.filter(entry => entry.seq > lastSeq &&
+    entry.topics.some(topic => client.subscriptions.includes(topic)));
+  missed.forEach(entry => sendToClient(ws, entry.message));
+  
+  console.log(`[WebSocket] Client ${clientId} resumed from ${lastSeq}, replayed ${missed.length} messages`);
+  sendToClient(ws, {
+    type: 'resume_complete',
+    data: { replayed: missed.length, epoch, seq: sequence }
+  });
+}
+
+/**
+ * Store a client's presence and pass it on to the other clients
+ * @param {string} clientId - ID of the client
+ * @param {object} data - data of the 'presence_update' message
+ */
+function updatePresence(clientId, data) {
+  const client = clients.get(clientId);
+  if (!client) return;
+  
+  client.presence = presence.sanitizePresence(data, client.presence || {});
+  
+  publishToTopics(['presence'], {
+    type: 'presence_changed',
+    data: presence.describePresence(client)
+  }, clientId);
+}
+
+/**
+ * Pass on a control command sent by a client. Read-only clients may watch
+ * the interface but not steer it.
+ * @param {string} clientId - ID of the client
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {object} data - { command, clientId, ...parameters }
+ */
+function handleControlMessage(clientId, ws, data) {
+  const client = clients.get(clientId);
+  if (!client) return;
+  
+  if (client.role === tokenAuth.ROLE_READ_ONLY) {
+    sendToClient(ws, {
+      type: 'error',
+      data: {
+        message: 'This connection has read-only access'
+      }
+    });
+    return;
+  }
+  
+  try {
+    const delivered = sendControlCommand(data, { source: clientId, clientId: data?.clientId });
+    sendToClient(ws, {
+      type: 'control_sent',
+      data: {
+        command: data.command,
+        delivered
+      }
+    });
+  } catch (err) {
+    sendToClient(ws, {
+      type: 'error',
+      data: {
+        message: err.message
+      }
+    });
+  }
+}
+
+/**
+ * Validate a control command and send it to the clients on the control
+ * topic, or to a single client
+ * @param {object} data - { command, ...parameters }
+ * @param {object} options - { source, clientId }: who sent it, and the only client to send it to
+ * @returns {number} - Number of clients the command was sent to
+ * @throws {Error} - With status 400 if the command is invalid, or 404 if the client is not connected
+ */
+function sendControlCommand(data, options = {}) {
+  const command = parseControlCommand(data);
+  const message = {
+    type: 'control_command',
+    data: { ...command, source: options.source || null }
+  };
+  
+  let recipients = Array.from(clients.values())
+    .filter(client => client.subscriptions.includes('control'));
+  
+  if (options.clientId) {
+    recipients = recipients.filter(client => client.id === options.clientId);
+    if (recipients.length === 0) {
+      const err = new Error(`Client ${options.clientId} is not connected or not listening for commands`);
+      err.status = 404;
+      throw err;
+    }
+  }
+  
+  recipients.forEach(client => sendToClient(client.connection, message));
+  console.log(`[WebSocket] Sent control command ${command.command} from ${message.data.source} to ${recipients.length} clients`);
+  return recipients.length;
+}
+
+/**
+ * Forget a disconnected client, telling the others it has left
+ * @param {string} clientId - ID of the client
+ */
+function removeClient(clientId) {
+  const client = clients.get(clientId);
+  if (!client) return;
+  
+  clients.delete(clientId);
+  
+  if (client.presence) {
+    publishToTopics(['presence'], {
+      type: 'presence_left',
+      data: { clientId }
+    });
+  }
+}
+
 /**
  * Send message to a specific client
  * @param {WebSocket} ws - WebSocket connection
@@ -278,6 +561,51 @@ function broadcastMessage(message, excludeClientId = null) {
   });
 }
 
+/**
+ * Send a message to the clients subscribed to a topic
+ * @param {string} topic - Topic, as sent by clients in 'subscribe' messages
+ * @param {object} message - Message to send
+ */
+function publishToTopic(topic, message) {
+  publishToTopics([topic], message);
+}
+
+/**
+ * Publish a change notification with the next sequence number, keeping it
+ * for clients that reconnect later
+ * @param {Array<string>} topics - Topics
+ * @param {object} message - Message to send
+ */
+function publishChange(topics, message) {
+  sequence++;
+  const sequenced = { ...message, seq: sequence };
+  
+  replayBuffer.push({ seq: sequence, topics, message: sequenced });
+  if (replayBuffer.length > REPLAY_BUFFER_SIZE) {
+    replayBuffer.shift();
+  }
+  
+  publishToTopics(topics, sequenced);
+}
+
+/**
+ * Send a message once to every client subscribed to any of several topics
+ * @param {Array<string>} topics - Topics
+ * @param {object} message - Message to send
+ * @param {string} excludeClientId - Optional client ID to leave out
+ */
+function publishToTopics(topics, message, excludeClientId = null) {
+  clients.forEach((client, clientId) => {
+    if (excludeClientId && clientId === excludeClientId) {
+      return;
+    }
+    
+    if (topics.some(topic => client.subscriptions.includes(topic))) {
+      sendToClient(client.connection, message);
+    }
+  });
+}
+
 /**
  * Shutdown the WebSocket server
  */
@@ -291,6 +619,12 @@ function shutdownWebSocketServer() {
       databaseChangeUnsubscribe = null;
     }
     
+    // Unsubscribe from API changes
+    if (mutationUnsubscribe) {
+      mutationUnsubscribe();
+      mutationUnsubscribe = null;
+    }
+    
     // Close all client connections
     clients.forEach((client, clientId) => {
       try {
@@ -320,5 +654,8 @@ function shutdownWebSocketServer() {
 module.exports = {
   initWebSocketServer,
   broadcastMessage,
+  publishToTopic,
+  publishToTopics,
+  sendControlCommand,
   shutdownWebSocketServer
 };
\ No newline at end of file